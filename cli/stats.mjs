@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * Command line facility statistics, for nightly jobs and scripts
+ *
+ * Runs the same data layer as the dashboard (js/api.js) in Node and prints the numbers the
+ * cards show - models, element breakdowns, streams, tickets, systems, levels, rooms, tagged
+ * assets, documents and schema diagnostics:
+ *
+ *   node cli/stats.mjs report --facility <urn> [--format json|md|xlsx] [--out <file>]
+ *                             [--region us|eu|aus] [--env prod|stg|mock] [--base-url <url>]
+ *
+ * Authentication (first match wins):
+ * - TANDEM_TOKEN                          an existing access token (3-legged or 2-legged)
+ * - APS_CLIENT_ID + APS_CLIENT_SECRET     2-legged client credentials; the app's service account
+ *                                         must be added to the facility. Scope: APS_SCOPE (data:read)
+ * - --env mock                            no credentials needed (mock/server.mjs accepts any token)
+ *
+ * The report goes to stdout (or --out); progress and warnings go to stderr.
+ * xlsx output needs the optional xlsx-js-style package (npm install) and an --out file name.
+ */
+
+import { realpathSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { Environments } from '../js/config.js';
+import { configureApi } from '../js/api.js';
+import { buildFacilityReport } from '../js/report/facilityReport.js';
+import { reportToMarkdown, reportToWorkbook } from '../js/report/reportFormats.js';
+import { createDateFilename } from '../js/utils/excelUtils.js';
+import { Region, RegionLabelMap } from '../tandem/constants.js';
+
+const Formats = ['json', 'md', 'xlsx'];
+
+// Renew 2-legged tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const usage = `Usage: node cli/stats.mjs report --facility <urn> [options]
+
+Options:
+  --facility <urn>    Facility URN (urn:adsk.dtt:...)
+  --format <format>   json (default), md or xlsx
+  --out <file>        Write to a file instead of stdout (xlsx defaults to <facility>-stats-<date>.xlsx)
+  --region <region>   Facility region: us (default), eu or aus
+  --env <env>         prod (default), stg or mock
+  --base-url <url>    Override the Tandem API base URL (mock default: http://localhost:8001/api/v1)
+  -h, --help          Show this help
+
+Environment:
+  TANDEM_TOKEN                       Access token
+  APS_CLIENT_ID, APS_CLIENT_SECRET   Client credentials for a 2-legged token (APS_SCOPE, default data:read)
+`;
+
+/**
+ * Error for bad command line input (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse and validate command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string, help: boolean, facility: string, format: string, out: string|undefined, region: string, env: string, baseURL: string|undefined}}
+ * @throws {UsageError} On unknown options or invalid values
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        facility: { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        out: { type: 'string' },
+        region: { type: 'string', default: 'us' },
+        env: { type: 'string', default: 'prod' },
+        'base-url': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const options = {
+    command: positionals[0],
+    help: values.help,
+    facility: values.facility,
+    format: values.format.toLowerCase(),
+    out: values.out,
+    region: RegionLabelMap[values.region.toLowerCase()] || values.region.toUpperCase(),
+    env: values.env,
+    baseURL: values['base-url']
+  };
+
+  if (options.help) {
+    return options;
+  }
+  if (options.command !== 'report') {
+    throw new UsageError(options.command ? `Unknown command: ${options.command}` : 'Missing command');
+  }
+  if (!options.facility?.startsWith('urn:adsk.dtt:')) {
+    throw new UsageError('--facility must be a facility URN (urn:adsk.dtt:...)');
+  }
+  if (!Formats.includes(options.format)) {
+    throw new UsageError(`--format must be one of: ${Formats.join(', ')}`);
+  }
+  if (!Object.values(Region).includes(options.region)) {
+    throw new UsageError(`Unknown region: ${values.region}`);
+  }
+  if (!Environments[options.env]) {
+    throw new UsageError(`--env must be one of: ${Object.keys(Environments).join(', ')}`);
+  }
+  return options;
+}
+
+/**
+ * Request a 2-legged token with the client credentials grant
+ * @param {object} env - Environment configuration (apsHost)
+ * @param {string} clientId - APS client ID
+ * @param {string} clientSecret - APS client secret
+ * @param {string} scope - Space separated scopes
+ * @returns {Promise<{token: string, expiresAt: number}>}
+ */
+async function requestClientCredentialsToken(env, clientId, clientSecret, scope) {
+  const response = await fetch(`${env.apsHost}/authentication/v2/token`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json'
+    },
+    body: new URLSearchParams({ grant_type: 'client_credentials', scope }).toString()
+  });
+
+  if (!response.ok) {
+    throw new Error(`Client credentials token request failed: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  return { token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+}
+
+/**
+ * Configure the data layer's base URL and token source
+ * @param {object} options - Parsed command line options
+ * @param {NodeJS.ProcessEnv} processEnv - Environment variables
+ */
+async function configureSession(options, processEnv) {
+  const env = Environments[options.env];
+  const baseURL = options.baseURL
+    || (options.env === 'mock' ? `http://localhost:8001${env.tandemDbBaseURL}` : env.tandemDbBaseURL);
+
+  if (processEnv.TANDEM_TOKEN) {
+    configureApi({ baseURL, getToken: () => processEnv.TANDEM_TOKEN });
+    return;
+  }
+  if (processEnv.APS_CLIENT_ID && processEnv.APS_CLIENT_SECRET) {
+    const scope = processEnv.APS_SCOPE || 'data:read';
+    let session = await requestClientCredentialsToken(env, processEnv.APS_CLIENT_ID, processEnv.APS_CLIENT_SECRET, scope);
+    let renewal = null;
+
+    // Renew after a 401 or close to expiry; concurrent callers share one request
+    const renew = () => {
+      if (!renewal) {
+        renewal = requestClientCredentialsToken(env, processEnv.APS_CLIENT_ID, processEnv.APS_CLIENT_SECRET, scope)
+          .then(next => {
+            session = next;
+            return true;
+          })
+          .catch(error => {
+            console.error('Error renewing token:', error);
+            return false;
+          })
+          .finally(() => renewal = null);
+      }
+      return renewal;
+    };
+    configureApi({
+      baseURL,
+      getToken: () => {
+        if (Date.now() > session.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+          renew();
+        }
+        return session.token;
+      },
+      refreshToken: renew
+    });
+    return;
+  }
+  if (options.env === 'mock') {
+    configureApi({ baseURL, getToken: () => 'mock-token' });
+    return;
+  }
+  throw new UsageError('Set TANDEM_TOKEN, or APS_CLIENT_ID and APS_CLIENT_SECRET');
+}
+
+/**
+ * Load the optional xlsx-js-style package
+ * @returns {Promise<Object>} XLSX module
+ */
+async function loadXlsx() {
+  try {
+    return (await import('xlsx-js-style')).default;
+  } catch (error) {
+    throw new Error('xlsx output needs the xlsx-js-style package: run npm install');
+  }
+}
+
+/**
+ * Write the report in the requested format
+ * @param {Object} report - Facility report
+ * @param {object} options - Parsed command line options
+ * @param {Object|null} XLSX - xlsx-js-style module (xlsx format only)
+ * @returns {Promise<string|null>} Output file, or null when written to stdout
+ */
+async function writeReport(report, options, XLSX) {
+  if (options.format === 'xlsx') {
+    const file = options.out || createDateFilename(`${report.facility.name}-stats`);
+    XLSX.writeFile(reportToWorkbook(XLSX, report), file);
+    return file;
+  }
+  const output = options.format === 'md'
+    ? reportToMarkdown(report)
+    : JSON.stringify(report, null, 2) + '\n';
+
+  if (options.out) {
+    await writeFile(options.out, output);
+    return options.out;
+  }
+  process.stdout.write(output);
+  return null;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+  // The data layer logs progress with console.log - keep stdout for the report itself while running
+  const log = console.log;
+  console.log = console.error;
+
+  try {
+    const options = parseCommandLine(argv);
+
+    if (options.help) {
+      process.stdout.write(usage);
+      return 0;
+    }
+    // Fail before any requests are made if xlsx output isn't available
+    const XLSX = options.format === 'xlsx' ? await loadXlsx() : null;
+    await configureSession(options, process.env);
+
+    const startTime = performance.now();
+    const report = await buildFacilityReport(options.facility, options.region);
+    const file = await writeReport(report, options, XLSX);
+    const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
+
+    console.error(`📊 ${report.facility.name}: ${report.totals.models} models, ${report.totals.elements} elements in ${elapsed}s${file ? ` -> ${file}` : ''}`);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${usage}`);
+      return 2;
+    }
+    console.error('Error generating report:', error.message);
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+// Run as a script: node cli/stats.mjs (or the "stats" bin, which is a symlink)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
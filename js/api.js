@@ -1,10 +1,99 @@
 import { getEnv } from './config.js';
-import { ColumnFamilies, ElementFlags, QC, Region, SystemClassNames } from './../tandem/constants.js';
-import { toFullKey, toSystemId } from './../tandem/keys.js';
+import { refreshToken } from './auth.js';
+import { ColumnFamilies, ElementFlags, QC, Region } from './../tandem/constants.js';
 import { isDefaultModel } from './utils.js';
+import { createTaskQueue } from './utils/taskQueue.js';
+import { TIMESERIES_MAX_VALUES, chunkDuration, mergeStreamValues, planChunks, uncoveredRanges } from './utils/timeseries.js';
+import { cachedFetch, fetchWithCacheFallback } from './state/persistentCache.js';
+import { buildSystems, countElementsByCategoryAndClassification, summarizeTaggedAssets } from './utils/scanShaping.js';
 
-const env = getEnv();
-export const tandemBaseURL = env.tandemDbBaseURL;
+// Base URL of the Tandem API. Reassigned by configureApi() when running headless.
+export let tandemBaseURL = getEnv().tandemDbBaseURL;
+
+// Where requests get their access token. Defaults to the browser session kept fresh by auth.js.
+const apiSession = {
+  getToken: () => window.sessionStorage.token,
+  canRefreshToken: () => !!window.sessionStorage.refreshToken,
+  refreshToken: refreshToken
+};
+
+/**
+ * Point the data layer at a different API server and token source
+ * The browser app uses the defaults (environment from config.js, token from sessionStorage).
+ * Headless callers such as the CLI (cli/stats.mjs) call this once, before the first request.
+ * @param {object} options
+ * @param {string} [options.baseURL] - Tandem API base URL (e.g. 'https://developer.api.autodesk.com/tandem/v1')
+ * @param {Function} [options.getToken] - Returns the current access token
+ * @param {Function} [options.refreshToken] - Async function that gets a new token after a 401 and
+ *   resolves to true on success. Without it a 401 fails the request.
+ */
+export function configureApi({ baseURL, getToken, refreshToken: refresh } = {}) {
+  if (baseURL) {
+    tandemBaseURL = baseURL.replace(/\/+$/, '');
+  }
+  if (getToken) {
+    apiSession.getToken = getToken;
+    apiSession.canRefreshToken = () => !!refresh;
+    apiSession.refreshToken = refresh ?? null;
+  }
+}
+
+/**
+ * Retry policy for Tandem API requests.
+ * Delays grow exponentially (baseDelayMs * 2^attempt, with jitter) up to maxDelayMs.
+ * A Retry-After header on 429/503 overrides the computed delay, as long as it
+ * does not exceed maxRetryAfterMs - longer waits are surfaced to the user instead.
+ */
+export const RetryPolicy = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 60000,
+  retryableStatuses: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Error thrown by the request layer when a Tandem API call fails.
+ * Lets callers tell a failed request apart from a legitimately empty result.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status code (0 for network failures)
+   * @param {string} [details.statusText] - HTTP status text
+   * @param {string} [details.url] - Request URL
+   * @param {number|null} [details.retryAfterMs] - Server-requested wait before retrying
+   * @param {Error} [details.cause] - Underlying error (network failures)
+   */
+  constructor(message, { status = 0, statusText = '', url = '', retryAfterMs = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.statusText = statusText;
+    this.url = url;
+    this.retryAfterMs = retryAfterMs;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  /**
+   * True when the request never got a response (offline, DNS, CORS, etc.)
+   * @returns {boolean}
+   */
+  get isNetworkError() {
+    return this.status === 0;
+  }
+
+  /**
+   * True when the server rejected the request because of rate limiting
+   * @returns {boolean}
+   */
+  get isRateLimited() {
+    return this.status === 429;
+  }
+}
 
 /**
  * Create request options for GET requests
@@ -13,7 +102,7 @@ export const tandemBaseURL = env.tandemDbBaseURL;
  */
 export function makeRequestOptionsGET(region) {
   const headers = new Headers();
-  headers.append('Authorization', `Bearer ${window.sessionStorage.token}`);
+  headers.append('Authorization', `Bearer ${apiSession.getToken()}`);
 
   if (region) {
     headers.append('Region', region);
@@ -33,7 +122,7 @@ export function makeRequestOptionsGET(region) {
  */
 export function makeRequestOptionsPOST(bodyPayload, region) {
   const headers = new Headers();
-  headers.append("Authorization", "Bearer " + window.sessionStorage.token);
+  headers.append("Authorization", "Bearer " + apiSession.getToken());
   headers.append("Content-Type", "application/json");
 
   if (region) {
@@ -47,23 +136,350 @@ export function makeRequestOptionsPOST(bodyPayload, region) {
   };
 }
 
+/**
+ * Maximum number of requests in flight at once, per region.
+ * Multi-model loaders fire all their requests at once and rely on this limit;
+ * change it before the first request is made.
+ */
+export const RequestConcurrency = {
+  perRegion: 4
+};
+
+// region -> task queue limiting concurrent requests to that region
+const regionQueues = new Map();
+
+/**
+ * Get the request queue for a region
+ * @param {string} [region] - Region identifier
+ * @returns {object} Task queue
+ */
+function getRegionQueue(region) {
+  const queueKey = region || 'default';
+  let queue = regionQueues.get(queueKey);
+
+  if (!queue) {
+    queue = createTaskQueue(RequestConcurrency.perRegion);
+    regionQueues.set(queueKey, queue);
+  }
+  return queue;
+}
+
+// Number of HTTP requests sent and shared scan reuses since the last resetRequestStats()
+const requestStats = { requests: 0, sharedScanHits: 0 };
+
+/**
+ * Get request counters (used to log how many requests a facility load took)
+ * @returns {{requests: number, sharedScanHits: number}} Copy of the counters
+ */
+export function getRequestStats() {
+  return { ...requestStats };
+}
+
+/**
+ * Reset request counters
+ */
+export function resetRequestStats() {
+  requestStats.requests = 0;
+  requestStats.sharedScanHits = 0;
+}
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP-date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute exponential backoff delay with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RetryPolicy.maxDelayMs, RetryPolicy.baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a request to the Tandem API.
+ * All API functions in this module go through here so retry, backoff and error
+ * reporting behave the same everywhere. Idempotent requests are retried on network
+ * failures and on 408/429/5xx responses; the Retry-After header is honored on 429/503.
+ * A 401 triggers one (shared) token refresh, after which the request is replayed once.
+ * At most RequestConcurrency.perRegion requests run at the same time per region; the rest wait in a queue.
+ * @param {string} path - API path relative to tandemBaseURL (e.g. '/groups')
+ * @param {object} [options]
+ * @param {string} [options.method] - 'GET' or 'POST' (default 'GET')
+ * @param {object} [options.body] - Payload for POST requests (serialized as JSON)
+ * @param {string} [options.region] - Optional region header
+ * @param {boolean} [options.idempotent] - Whether the request is safe to retry (defaults to true; all
+ *   Tandem POSTs used by this app are read-only queries)
+ * @param {string} [options.responseType] - 'json' or 'blob' (default 'json')
+ * @returns {Promise<any>} Parsed response body
+ * @throws {ApiError} When the request fails after all retries
+ */
+export async function tandemRequest(path, { method = 'GET', body, region, idempotent = true, responseType = 'json' } = {}) {
+  const url = `${tandemBaseURL}${path}`;
+  const maxAttempts = idempotent ? RetryPolicy.maxRetries + 1 : 1;
+  let attempt = 0;
+  let tokenRefreshed = false;
+
+  while (true) {
+    const canRetry = attempt + 1 < maxAttempts;
+    let requestToken;
+    let response;
+    let result;
+
+    try {
+      // The region slot is held until the body has been read - for scans that's most of the time
+      [response, result] = await getRegionQueue(region).run(async () => {
+        requestToken = apiSession.getToken();
+        const options = method === 'POST'
+          ? makeRequestOptionsPOST(JSON.stringify(body ?? {}), region)
+          : makeRequestOptionsGET(region);
+        requestStats.requests++;
+        const res = await fetch(url, options);
+
+        if (!res.ok) {
+          return [res, null];
+        }
+        return [res, responseType === 'blob' ? await res.blob() : await res.json()];
+      });
+    } catch (error) {
+      if (canRetry) {
+        const delay = backoffDelay(attempt);
+        console.warn(`Network error on ${method} ${path}, retrying in ${delay}ms (attempt ${attempt + 1}/${RetryPolicy.maxRetries})`);
+        await sleep(delay);
+        attempt++;
+        continue;
+      }
+      throw new ApiError(`${method} ${path} failed: ${error.message}`, { url, cause: error });
+    }
+
+    if (response.ok) {
+      return result;
+    }
+
+    const { status, statusText } = response;
+
+    // Token expired (e.g. refresh timer missed while the laptop was asleep) - refresh once and replay.
+    // Replays don't count against the retry budget. In the browser, if the refresh token itself
+    // is rejected, refreshToken() logs the user out.
+    if (status === 401 && !tokenRefreshed && apiSession.canRefreshToken()) {
+      tokenRefreshed = true;
+      // Another request may have already refreshed the token while this one was in flight
+      if (apiSession.getToken() !== requestToken) {
+        continue;
+      }
+      console.warn(`401 on ${method} ${path}, refreshing token and replaying request`);
+      if (await apiSession.refreshToken()) {
+        continue;
+      }
+    }
+    const retryAfterMs = (status === 429 || status === 503)
+      ? parseRetryAfter(response.headers.get('Retry-After'))
+      : null;
+    const retryable = RetryPolicy.retryableStatuses.includes(status)
+      && (retryAfterMs === null || retryAfterMs <= RetryPolicy.maxRetryAfterMs);
+
+    if (retryable && canRetry) {
+      const delay = retryAfterMs ?? backoffDelay(attempt);
+      console.warn(`${status} on ${method} ${path}, retrying in ${delay}ms (attempt ${attempt + 1}/${RetryPolicy.maxRetries})`);
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
+    throw new ApiError(`${method} ${path} failed: ${status} ${statusText}`, { status, statusText, url, retryAfterMs });
+  }
+}
+
+/**
+ * GET a JSON resource from the Tandem API
+ * @param {string} path - API path relative to tandemBaseURL
+ * @param {string} [region] - Optional region header
+ * @returns {Promise<any>} Parsed JSON response
+ */
+function getJSON(path, region) {
+  return tandemRequest(path, { region });
+}
+
+/**
+ * POST a JSON query to the Tandem API
+ * @param {string} path - API path relative to tandemBaseURL
+ * @param {object} body - Request payload
+ * @param {string} [region] - Optional region header
+ * @returns {Promise<any>} Parsed JSON response
+ */
+function postJSON(path, body, region) {
+  return tandemRequest(path, { method: 'POST', body, region });
+}
+
+/**
+ * Scan elements of a model
+ * The first item of the returned array is the model version string, the rest are element rows.
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @param {object} query - Scan payload (families, qualifiedColumns, keys, includeHistory, skipArrays)
+ * @returns {Promise<Array>} Raw scan response
+ */
+export function scanModel(modelURN, region, query) {
+  return postJSON(`/modeldata/${modelURN}/scan`, query, region);
+}
+
+// Column families fetched by the shared per-model scan. Together they cover every card
+// (model breakdowns, levels, rooms, systems, streams, tickets, tagged assets).
+export const SharedScanFamilies = [
+  ColumnFamilies.Standard,
+  ColumnFamilies.DtProperties,
+  ColumnFamilies.Refs,
+  ColumnFamilies.Xrefs,
+  ColumnFamilies.Systems
+];
+
+// modelURN -> Promise<Array> of element rows from the shared scan
+const sharedScans = new Map();
+
+// modelURN -> Promise<string|null> of the model's lastUpdated timestamp
+const modelVersions = new Map();
+
+// facilityURN -> Promise<Array> of the facility's models
+const facilityModels = new Map();
+
+/**
+ * Whether cached data may stand in for a failed request
+ * Only when the server couldn't be reached or failed; denied access (401, 403, 404) and other
+ * rejected requests must not show cached data.
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+function canServeStale(error) {
+  return error instanceof ApiError && (error.isNetworkError || error.status >= 500);
+}
+
+/**
+ * Get the version of a model's data, used to validate persistent cache entries
+ * Fetched once per model per facility load.
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @returns {Promise<string|null>} lastUpdated timestamp from the model properties, or null if unavailable
+ *   because of a network or server error; rejects when the request was refused (e.g. access revoked)
+ */
+export function getModelVersion(modelURN, region) {
+  let version = modelVersions.get(modelURN);
+
+  if (!version) {
+    version = getModelProperties(modelURN, region)
+      .then(props => props?.dataSource?.lastUpdated ?? null)
+      .catch(error => {
+        if (canServeStale(error)) {
+          return null;
+        }
+        throw error;
+      });
+    version.catch(() => modelVersions.delete(modelURN));
+    modelVersions.set(modelURN, version);
+  }
+  return version;
+}
+
+/**
+ * Get element rows of a model from the shared scan
+ * The first call for a model reads the rows from the persistent cache, or issues a single scan
+ * of SharedScanFamilies if the model changed since it was cached; later and concurrent
+ * calls reuse the same rows. Rows are shared between cards and must not be mutated.
+ * Failed scans are not kept, so a retry scans again.
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @returns {Promise<Array>} Element rows (version string removed)
+ */
+export function getModelRows(modelURN, region) {
+  let scan = sharedScans.get(modelURN);
+
+  if (scan) {
+    requestStats.sharedScanHits++;
+    return scan;
+  }
+  scan = cachedFetch(`scan:${SharedScanFamilies.join('')}:${modelURN}`, getModelVersion(modelURN, region), () =>
+    scanModel(modelURN, region, {
+      families: SharedScanFamilies,
+      includeHistory: false
+    }).then(data => data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]))
+  );
+  scan.catch(() => sharedScans.delete(modelURN));
+  sharedScans.set(modelURN, scan);
+  return scan;
+}
+
+/**
+ * Get shared scan rows for several models at once
+ * All scans are started together (bounded by RequestConcurrency) so the slowest model
+ * doesn't hold up the others.
+ * @param {Array} models - Array of model objects
+ * @param {string} region - Region identifier
+ * @param {Function} [onProgress] - Called with (doneCount, totalCount) as each model finishes
+ * @returns {Promise<Map<string, Array>>} modelURN -> element rows
+ */
+export async function getRowsForModels(models, region, onProgress = null) {
+  let done = 0;
+  onProgress?.(done, models.length);
+
+  const rows = await Promise.all(models.map(async model => {
+    const modelRows = await getModelRows(model.modelId, region);
+    onProgress?.(++done, models.length);
+    return modelRows;
+  }));
+  return new Map(models.map((model, i) => [model.modelId, rows[i]]));
+}
+
+/**
+ * Drop all shared scan rows, model versions and model lists held for the current load
+ * Should be called when switching facilities. The persistent cache is not affected.
+ */
+export function clearSharedScans() {
+  sharedScans.clear();
+  modelVersions.clear();
+  facilityModels.clear();
+}
+
+/**
+ * Returns true if the error is an ApiError with one of the given HTTP statuses
+ * @param {any} error - Caught error
+ * @param {...number} statuses - HTTP statuses to match
+ * @returns {boolean}
+ */
+export function isApiStatus(error, ...statuses) {
+  return error instanceof ApiError && statuses.includes(error.status);
+}
+
 /**
  * Get list of groups (accounts/teams)
  * @returns {Promise<Array>} List of groups
  */
 export async function getGroups() {
   try {
-    const requestPath = `${tandemBaseURL}/groups`;
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch groups: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON('/groups');
   } catch (error) {
     console.error('Error fetching groups:', error);
-    return null;
+    throw error;
   }
 }
 
@@ -75,13 +491,7 @@ export async function getGroups() {
 export async function getFacilitiesForGroup(groupURN) {
   try {
     const promises = Object.keys(Region).map(async (region) => {
-      const requestPath = groupURN === '@me' ? `${tandemBaseURL}/users/@me/twins` : `${tandemBaseURL}/groups/${groupURN}/twins`;
-      const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-      if (!response.ok) {
-        throw new Error(`Failed to fetch facilities: ${response.statusText}`);
-      }
-      return await response.json();
+      return await getJSON(groupURN === '@me' ? `/users/@me/twins` : `/groups/${groupURN}/twins`, region);
     });
     const allTwins = await Promise.all(promises);
     const results = Object.assign({}, ...allTwins);
@@ -89,7 +499,7 @@ export async function getFacilitiesForGroup(groupURN) {
     return results;
   } catch (error) {
     console.error('Error fetching facilities for group:', error);
-    return null;
+    throw error;
   }
 }
 
@@ -101,17 +511,10 @@ export async function getFacilitiesForGroup(groupURN) {
  */
 export async function getFacilitiesForUser(userId, region) {
   try {
-    const requestPath = `${tandemBaseURL}/users/${userId}/twins`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch user facilities: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON(`/users/${userId}/twins`, region);
   } catch (error) {
     console.error('Error fetching facilities for user:', error);
-    return null;
+    throw error;
   }
 }
 
@@ -122,17 +525,10 @@ export async function getFacilitiesForUser(userId, region) {
  */
 export async function getUserResources(userId) {
   try {
-    const requestPath = `${tandemBaseURL}/users/${userId}/resources`;
-    const response = await fetch(requestPath, makeRequestOptionsGET());
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch user resources: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON(`/users/${userId}/resources`);
   } catch (error) {
     console.error('Error fetching user resources:', error);
-    return null;
+    throw error;
   }
 }
 
@@ -144,33 +540,37 @@ export async function getUserResources(userId) {
  */
 export async function getFacilityInfo(facilityURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/twins/${facilityURN}`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch facility info: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON(`/twins/${facilityURN}`, region);
   } catch (error) {
     console.error('Error fetching facility info:', error);
-    return null;
+    throw error;
   }
 }
 
 /**
  * Get list of models for a facility
+ * The list is fetched at most once per facility load; the persistent cache copy is used only
+ * when the facility can't be reached because of a network or server error.
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @returns {Promise<Array>} List of models
  */
 export async function getModels(facilityURN, region) {
+  let models = facilityModels.get(facilityURN);
+
+  if (!models) {
+    models = fetchWithCacheFallback(`models:${facilityURN}`, async () => {
+      const facilityInfo = await getFacilityInfo(facilityURN, region);
+      return facilityInfo ? facilityInfo.links : null;
+    }, canServeStale);
+    models.catch(() => facilityModels.delete(facilityURN));
+    facilityModels.set(facilityURN, models);
+  }
   try {
-    const facilityInfo = await getFacilityInfo(facilityURN, region);
-    return facilityInfo ? facilityInfo.links : null;
+    return await models;
   } catch (error) {
     console.error('Error fetching models:', error);
-    return null;
+    throw error;
   }
 }
 
@@ -187,7 +587,7 @@ export async function getDocuments(facilityURN, region) {
     return facilityInfo ? facilityInfo.docs || [] : [];
   } catch (error) {
     console.error('Error fetching documents:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -199,17 +599,57 @@ export async function getDocuments(facilityURN, region) {
  */
 export async function getModelDetails(modelURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch model details: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON(`/modeldata/${modelURN}`, region);
   } catch (error) {
     console.error('Error fetching model details:', error);
-    return null;
+    throw error;
+  }
+}
+
+/**
+ * Get the viewer metadata of a model
+ * Bounding boxes (QC.BoundingBox) are relative to its fragmentTransformsOffset.
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @returns {Promise<object>} Model metadata
+ */
+export async function getModelMeta(modelURN, region) {
+  try {
+    return await getJSON(`/modeldata/${modelURN}/model`, region);
+  } catch (error) {
+    console.error('Error fetching model metadata:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the bounding boxes of elements
+ * The LMV family isn't part of the shared scan, so the column is scanned for just these keys.
+ * @param {string} modelURN - Model URN
+ * @param {string} region - Region identifier
+ * @param {Array<string>} keys - Element keys
+ * @returns {Promise<Map<string, string>>} Element key -> encoded bounding box (see utils/floorPlan.js)
+ */
+export async function getBoundingBoxes(modelURN, region, keys) {
+  try {
+    const boxes = new Map();
+    if (keys.length === 0) {
+      return boxes;
+    }
+    const data = await scanModel(modelURN, region, {
+      keys: keys,
+      qualifiedColumns: [QC.BoundingBox],
+      includeHistory: false
+    });
+    data.forEach(row => {
+      if (typeof row === 'object' && row !== null && row[QC.Key] && row[QC.BoundingBox]?.[0]) {
+        boxes.set(row[QC.Key], row[QC.BoundingBox][0]);
+      }
+    });
+    return boxes;
+  } catch (error) {
+    console.error('Error fetching bounding boxes:', error);
+    throw error;
   }
 }
 
@@ -221,25 +661,11 @@ export async function getModelDetails(modelURN, region) {
  */
 export async function getElementCount(modelURN, region) {
   try {
-    // Scan with minimal data to count elements
-    const payload = JSON.stringify({
-      families: [ColumnFamilies.Standard], // Standard column family
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // First element is version info, rest are elements
-    return data ? data.length - 1 : 0;
+    const elements = await getModelRows(modelURN, region);
+    return elements.length;
   } catch (error) {
     console.error('Error fetching element count:', error);
-    return 0;
+    throw error;
   }
 }
 
@@ -252,102 +678,13 @@ export async function getElementCount(modelURN, region) {
  */
 export async function getElementCountByCategoryAndClassification(modelURN, region) {
   try {
-    // Fetch elements with CategoryId, TandemCategory, Classification, Name, and OName in ONE call
-    const payload = JSON.stringify({
-      qualifiedColumns: [QC.CategoryId, QC.TandemCategory, QC.OTandemCategory, QC.Classification, QC.OClassification, QC.Name, QC.OName],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // Filter out version string
-    const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
-    
-    // Count by category
-    const categoryCounts = {};
-    elements.forEach(element => {
-      const categoryId = element[QC.CategoryId]?.[0];
-      if (categoryId !== undefined && categoryId !== null) {
-        categoryCounts[categoryId] = (categoryCounts[categoryId] || 0) + 1;
-      } else {
-        // Elements without a category
-        categoryCounts['unknown'] = (categoryCounts['unknown'] || 0) + 1;
-      }
-    });
+    // CategoryId, TandemCategory, Classification, Name, and OName all come from the shared scan
+    const elements = await getModelRows(modelURN, region);
     
-    // Count by tandem category (prefer override, fall back to standard)
-    const tandemCategoryCounts = {};
-    elements.forEach(element => {
-      const tandemCategory = element[QC.OTandemCategory]?.[0] || element[QC.TandemCategory]?.[0];
-      if (tandemCategory !== undefined && tandemCategory !== null && tandemCategory !== '') {
-        tandemCategoryCounts[tandemCategory] = (tandemCategoryCounts[tandemCategory] || 0) + 1;
-      } else {
-        // Elements without a tandem category
-        tandemCategoryCounts['unknown'] = (tandemCategoryCounts['unknown'] || 0) + 1;
-      }
-    });
-    
-    // Count by classification (prefer override, fall back to standard)
-    const classificationCounts = {};
-    elements.forEach(element => {
-      const classification = element[QC.OClassification]?.[0] || element[QC.Classification]?.[0];
-      if (classification !== undefined && classification !== null && classification !== '') {
-        classificationCounts[classification] = (classificationCounts[classification] || 0) + 1;
-      } else {
-        // Elements without a classification
-        classificationCounts['unknown'] = (classificationCounts['unknown'] || 0) + 1;
-      }
-    });
-    
-    // Count elements with overrides
-    let nameOverrideCount = 0;
-    let classificationOverrideCount = 0;
-    
-    elements.forEach(element => {
-      // Count elements that have name override (OName exists and is different from Name)
-      if (element[QC.OName] && element[QC.OName][0]) {
-        nameOverrideCount++;
-      }
-      
-      // Count elements that have classification override (OClassification exists)
-      if (element[QC.OClassification] && element[QC.OClassification][0]) {
-        classificationOverrideCount++;
-      }
-    });
-    
-    // Convert to arrays and sort by count descending
-    const categories = Object.entries(categoryCounts).map(([id, count]) => ({
-      id: id === 'unknown' ? null : parseInt(id),
-      count: count
-    })).sort((a, b) => b.count - a.count);
-    
-    const tandemCategories = Object.entries(tandemCategoryCounts).map(([id, count]) => ({
-      id: id === 'unknown' ? null : id,
-      count: count
-    })).sort((a, b) => b.count - a.count);
-    
-    const classifications = Object.entries(classificationCounts).map(([id, count]) => ({
-      id: id === 'unknown' ? null : id,
-      count: count
-    })).sort((a, b) => b.count - a.count);
-    
-    return {
-      total: elements.length,
-      categories: categories,
-      tandemCategories: tandemCategories,
-      classifications: classifications,
-      nameOverrides: nameOverrideCount,
-      classificationOverrides: classificationOverrideCount
-    };
+    return countElementsByCategoryAndClassification(elements);
   } catch (error) {
     console.error('Error fetching element count by category and classification:', error);
-    return { total: 0, categories: [], tandemCategories: [], classifications: [], nameOverrides: 0, classificationOverrides: 0 };
+    throw error;
   }
 }
 
@@ -360,22 +697,7 @@ export async function getElementCountByCategoryAndClassification(modelURN, regio
  */
 export async function getElementsByCategory(modelURN, region, categoryId) {
   try {
-    // Fetch elements with CategoryId
-    const payload = JSON.stringify({
-      qualifiedColumns: [QC.CategoryId],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // Filter out version string
-    const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
+    const elements = await getModelRows(modelURN, region);
     
     // Filter by category and extract keys
     const keys = elements
@@ -393,7 +715,7 @@ export async function getElementsByCategory(modelURN, region, categoryId) {
     return keys;
   } catch (error) {
     console.error('Error fetching elements by category:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -406,22 +728,7 @@ export async function getElementsByCategory(modelURN, region, categoryId) {
  */
 export async function getElementsByClassification(modelURN, region, classificationId) {
   try {
-    // Fetch elements with Classification
-    const payload = JSON.stringify({
-      qualifiedColumns: [QC.Classification, QC.OClassification],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // Filter out version string
-    const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
+    const elements = await getModelRows(modelURN, region);
     
     // Filter by classification and extract keys
     const keys = elements
@@ -439,7 +746,7 @@ export async function getElementsByClassification(modelURN, region, classificati
     return keys;
   } catch (error) {
     console.error('Error fetching elements by classification:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -452,22 +759,7 @@ export async function getElementsByClassification(modelURN, region, classificati
  */
 export async function getElementsByTandemCategory(modelURN, region, tandemCategoryId) {
   try {
-    // Fetch elements with TandemCategory
-    const payload = JSON.stringify({
-      qualifiedColumns: [QC.TandemCategory, QC.OTandemCategory],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // Filter out version string
-    const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
+    const elements = await getModelRows(modelURN, region);
     
     // Filter by tandem category and extract keys
     const keys = elements
@@ -485,7 +777,7 @@ export async function getElementsByTandemCategory(modelURN, region, tandemCatego
     return keys;
   } catch (error) {
     console.error('Error fetching elements by tandem category:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -497,22 +789,7 @@ export async function getElementsByTandemCategory(modelURN, region, tandemCatego
  */
 export async function getElementsByNameOverride(modelURN, region) {
   try {
-    // Fetch elements with Name and OName
-    const payload = JSON.stringify({
-      qualifiedColumns: [QC.Name, QC.OName],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // Filter out version string
-    const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
+    const elements = await getModelRows(modelURN, region);
     
     // Filter elements that have name override and extract keys
     const keys = elements
@@ -525,7 +802,7 @@ export async function getElementsByNameOverride(modelURN, region) {
     return keys;
   } catch (error) {
     console.error('Error fetching elements by name override:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -537,22 +814,7 @@ export async function getElementsByNameOverride(modelURN, region) {
  */
 export async function getElementsByClassificationOverride(modelURN, region) {
   try {
-    // Fetch elements with Classification and OClassification
-    const payload = JSON.stringify({
-      qualifiedColumns: [QC.Classification, QC.OClassification],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    // Filter out version string
-    const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
+    const elements = await getModelRows(modelURN, region);
     
     // Filter elements that have classification override and extract keys
     const keys = elements
@@ -565,7 +827,7 @@ export async function getElementsByClassificationOverride(modelURN, region) {
     return keys;
   } catch (error) {
     console.error('Error fetching elements by classification override:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -580,20 +842,16 @@ const thumbnailBlobURLs = new Set();
  */
 export async function getFacilityThumbnail(facilityURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/twins/${facilityURN}/thumbnail`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      return null; // No thumbnail available
-    }
-    
-    const blob = await response.blob();
+    const blob = await tandemRequest(`/twins/${facilityURN}/thumbnail`, { region, responseType: 'blob' });
     // Convert blob to blob URL for display
     const blobURL = URL.createObjectURL(blob);
     thumbnailBlobURLs.add(blobURL);
     return blobURL;
   } catch (error) {
-    console.error('Error fetching facility thumbnail:', error);
+    // A missing thumbnail is not an error worth surfacing
+    if (!isApiStatus(error, 404)) {
+      console.error('Error fetching facility thumbnail:', error);
+    }
     return null;
   }
 }
@@ -629,28 +887,7 @@ export async function getStreams(facilityURN, region) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
     
-    const payload = JSON.stringify({
-      families: [
-        ColumnFamilies.Standard,
-        ColumnFamilies.DtProperties,
-        ColumnFamilies.Xrefs
-      ], // Standard, DtProperties, and Xrefs column families
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${defaultModelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      // 403 Forbidden typically means no default model exists yet
-      if (response.status === 403) {
-        console.log('No default model found - streams not available');
-        return [];
-      }
-      throw new Error(`Failed to fetch streams: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await getModelRows(defaultModelURN, region);
     
     // Filter for elements that are streams (ElementFlags.Stream)
     const streams = data.filter(row => {
@@ -660,8 +897,13 @@ export async function getStreams(facilityURN, region) {
     
     return streams;
   } catch (error) {
+    // 403 Forbidden typically means no default model exists yet
+    if (isApiStatus(error, 403)) {
+      console.log('No default model found - streams not available');
+      return [];
+    }
     console.error('Error fetching streams:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -674,21 +916,14 @@ export async function getStreams(facilityURN, region) {
 export async function getStreamConfigs(facilityURN, region) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
-    const requestPath = `${tandemBaseURL}/models/${defaultModelURN}/stream-configs`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      if (response.status === 403 || response.status === 404) {
-        console.log('Stream configurations not available');
-        return [];
-      }
-      throw new Error(`Failed to fetch stream configurations: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON(`/models/${defaultModelURN}/stream-configs`, region);
   } catch (error) {
+    if (isApiStatus(error, 403, 404)) {
+      console.log('Stream configurations not available');
+      return [];
+    }
     console.error('Error fetching stream configurations:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -703,28 +938,7 @@ export async function getTickets(facilityURN, region) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
     
-    const payload = JSON.stringify({
-      families: [
-        ColumnFamilies.Standard,
-        ColumnFamilies.Refs,
-        ColumnFamilies.Xrefs
-      ],
-      includeHistory: false,
-      skipArrays: true
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${defaultModelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      if (response.status === 403) {
-        console.log('No default model found - tickets not available');
-        return [];
-      }
-      throw new Error(`Failed to fetch tickets: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await getModelRows(defaultModelURN, region);
     
     // Filter for elements that are tickets (ElementFlags.Ticket)
     const tickets = data.filter(row => {
@@ -734,8 +948,12 @@ export async function getTickets(facilityURN, region) {
     
     return tickets;
   } catch (error) {
+    if (isApiStatus(error, 403)) {
+      console.log('No default model found - tickets not available');
+      return [];
+    }
     console.error('Error fetching tickets:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -749,21 +967,14 @@ export async function getTickets(facilityURN, region) {
 export async function getStreamConfig(facilityURN, region, streamKey) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
-    const requestPath = `${tandemBaseURL}/models/${defaultModelURN}/stream-configs/${streamKey}`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      if (response.status === 404) {
-        console.log(`Stream configuration not found for ${streamKey}`);
-        return null;
-      }
-      throw new Error(`Failed to fetch stream configuration: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await getJSON(`/models/${defaultModelURN}/stream-configs/${streamKey}`, region);
   } catch (error) {
+    if (isApiStatus(error, 404)) {
+      console.log(`Stream configuration not found for ${streamKey}`);
+      return null;
+    }
     console.error('Error fetching stream configuration:', error);
-    return null;
+    throw error;
   }
 }
 
@@ -776,28 +987,26 @@ export async function getStreamConfig(facilityURN, region, streamKey) {
  */
 export async function getElementsByKeys(modelURN, region, keys) {
   try {
-    const payload = JSON.stringify({
+    // Reuse the shared scan if this model was already scanned, rather than scanning again for a few keys
+    if (sharedScans.has(modelURN)) {
+      const keySet = new Set(keys);
+      const rows = await getModelRows(modelURN, region);
+      return rows.filter(row => keySet.has(row[QC.Key]));
+    }
+    
+    const data = await scanModel(modelURN, region, {
       keys: keys,
       families: [ColumnFamilies.Standard], // Standard column family for name
       includeHistory: false
     });
     
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
     // Filter out version string (first element) and only return objects with a 'k' property
     const elements = data.filter(item => typeof item === 'object' && item !== null && item.k);
     
     return elements;
   } catch (error) {
     console.error('Error fetching elements by keys:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -812,27 +1021,18 @@ export async function getLastSeenStreamValues(facilityURN, region, streamKeys) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
     
-    const payload = JSON.stringify({
+    const data = await postJSON(`/timeseries/models/${defaultModelURN}/streams`, {
       keys: streamKeys
-    });
-    
-    const requestPath = `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch last seen stream values: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    }, region);
     return data;
   } catch (error) {
     console.error('Error fetching last seen stream values:', error);
-    return {};
+    throw error;
   }
 }
 
 /**
- * Get stream values for a given time range
+ * Get stream values for the last few days
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @param {string} streamKey - Stream key
@@ -840,51 +1040,70 @@ export async function getLastSeenStreamValues(facilityURN, region, streamKeys) {
  * @returns {Promise<Object>} Object with stream values
  */
 export async function getStreamValues(facilityURN, region, streamKey, daysBack = 30) {
+  const end = Date.now();
+  return getStreamValuesInRange(facilityURN, region, streamKey, end - daysBack * 24 * 60 * 60 * 1000, end);
+}
+
+/**
+ * Get stream values for a time range
+ * Each /timeseries call asks for at most TIMESERIES_MAX_VALUES values per property, so the range is
+ * split into windows that fit the stream's sampling frequency and fetched one after the other.
+ * Whatever part of a window the response doesn't reach (the server capped it lower, or the stream
+ * reports faster than configured) is fetched again (see uncoveredRanges).
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {string} streamKey - Stream key
+ * @param {number} start - Start timestamp (ms)
+ * @param {number} end - End timestamp (ms)
+ * @param {Object} [options]
+ * @param {number} [options.frequency] - Stream sampling frequency in ms (from its stream settings)
+ * @param {Function} [options.onProgress] - Called with (doneCount, totalCount) after each window
+ * @returns {Promise<Object>} Stream values ({ propertyId: { timestamp: value } })
+ */
+export async function getStreamValuesInRange(facilityURN, region, streamKey, start, end, { frequency, onProgress } = {}) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
-    
-    const dateNow = new Date();
-    const timestampEnd = dateNow.getTime();
-    
-    const dateMinus = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000);
-    const timestampStart = dateMinus.getTime();
-    
-    const requestPath = `${tandemBaseURL}/timeseries/models/${defaultModelURN}/streams/${streamKey}?start=${timestampStart}&end=${timestampEnd}`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch stream values: ${response.statusText}`);
+    const chunks = planChunks(start, end, chunkDuration(frequency));
+    const values = {};
+    let done = 0;
+
+    const fetchChunk = async (chunk) => {
+      const data = await getJSON(`/timeseries/models/${defaultModelURN}/streams/${streamKey}?start=${chunk.start}&end=${chunk.end}&limit=${TIMESERIES_MAX_VALUES}`, region);
+
+      mergeStreamValues(values, data);
+      for (const range of uncoveredRanges(data, chunk, frequency)) {
+        await fetchChunk(range);
+      }
+    };
+
+    for (const chunk of chunks) {
+      await fetchChunk(chunk);
+      onProgress?.(++done, chunks.length);
     }
-    
-    const data = await response.json();
-    return data;
+    return values;
   } catch (error) {
     console.error('Error fetching stream values:', error);
-    return null;
+    throw error;
   }
 }
 
 /**
  * Get schema for a model
  * Schema contains attribute definitions with id (qualified property), category, name, dataType, etc.
+ * Served from the persistent cache while the model's lastUpdated timestamp is unchanged.
  * @param {string} modelURN - Model URN
  * @param {string} region - Region identifier
  * @returns {Promise<Object>} Schema object with attributes array
  */
 export async function getSchema(modelURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/schema`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch schema: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+    const data = await cachedFetch(`schema:${modelURN}`, getModelVersion(modelURN, region), () =>
+      getJSON(`/modeldata/${modelURN}/schema`, region)
+    );
     return data;
   } catch (error) {
     console.error('Error fetching schema:', error);
-    return { attributes: [] };
+    throw error;
   }
 }
 
@@ -893,28 +1112,17 @@ export async function getSchema(modelURN, region) {
  * Uses ElementFlags.Level (0x01000001) to identify levels
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
+ * @param {Function} [onProgress] - Called with (doneCount, totalCount) as each model is scanned
  * @returns {Promise<Array>} Array of level objects with modelId, key, name, and elevation
  */
-export async function getLevels(facilityURN, region) {
+export async function getLevels(facilityURN, region, onProgress = null) {
   try {
     const models = await getModels(facilityURN, region);
+    const rowsByModel = await getRowsForModels(models, region, onProgress);
     const allLevels = [];
     
     for (const model of models) {
-      const payload = JSON.stringify({
-        qualifiedColumns: [QC.ElementFlags, QC.Name, QC.Elevation], // ElementFlags, Name, Elevation
-        includeHistory: false
-      });
-      
-      const requestPath = `${tandemBaseURL}/modeldata/${model.modelId}/scan`;
-      const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-      
-      if (!response.ok) {
-        console.error(`Failed to fetch elements for model ${model.modelId}`);
-        continue;
-      }
-      
-      const elements = await response.json();
+      const elements = rowsByModel.get(model.modelId);
       
       // Filter for levels using ElementFlags.Level (0x01000001)
       const levels = elements.filter(row => row[QC.ElementFlags]?.[0] === ElementFlags.Level);
@@ -934,7 +1142,7 @@ export async function getLevels(facilityURN, region) {
     return allLevels;
   } catch (error) {
     console.error('Error fetching levels:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -945,18 +1153,23 @@ export async function getLevels(facilityURN, region) {
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @param {Object} schemaCache - Optional pre-loaded schema cache to avoid duplicate API calls
+ * @param {Function} [onProgress] - Called with (doneCount, totalCount) as each model finishes
  * @returns {Promise<Array>} Array of room objects with modelId, key, name, type, number, area, and volume
  */
-export async function getRooms(facilityURN, region, schemaCache = null) {
+export async function getRooms(facilityURN, region, schemaCache = null, onProgress = null) {
   try {
     const models = await getModels(facilityURN, region);
-    const allRooms = [];
+    let done = 0;
+    onProgress?.(done, models.length);
     
-    for (const model of models) {
+    // Models are processed in parallel (bounded by RequestConcurrency)
+    const roomsByModel = await Promise.all(models.map(async model => {
+      const modelRooms = [];
+      
       // Get schema from cache if available, otherwise fetch it
       const schema = schemaCache && schemaCache[model.modelId] 
         ? schemaCache[model.modelId] 
-        : await getSchema(model.modelId);
+        : await getSchema(model.modelId, region);
       
       // Find the Area property (Category="Dimensions", Name="Area")
       const areaAttr = schema.attributes?.find(attr => 
@@ -973,58 +1186,57 @@ export async function getRooms(facilityURN, region, schemaCache = null) {
       const volumeQualifiedProp = volumeAttr?.id;
       const volumeUnit = volumeAttr?.forgeUnit || 'cubic feet'; // Default to cubic feet if not specified
       
-      // Build the list of qualified columns to fetch
-      // ElementFlags.Room matches both rooms and spaces; CategoryId differentiates them
-      const qualifiedColumns = [QC.ElementFlags, QC.CategoryId, QC.Name];
-      if (areaQualifiedProp) {
-        qualifiedColumns.push(areaQualifiedProp); // Add the Area qualified property
-      }
-      if (volumeQualifiedProp) {
-        qualifiedColumns.push(volumeQualifiedProp); // Add the Volume qualified property
-      }
-      
-      const payload = JSON.stringify({
-        qualifiedColumns: qualifiedColumns,
-        includeHistory: false
-      });
-      
-      const requestPath = `${tandemBaseURL}/modeldata/${model.modelId}/scan`;
-      const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-      
-      if (!response.ok) {
-        console.error(`Failed to fetch elements for model ${model.modelId}`);
-        continue;
-      }
-      
-      const elements = await response.json();
+      const elements = await getModelRows(model.modelId, region);
       
       // Filter using ElementFlags.Room - this matches both rooms (CategoryId 160) and spaces (CategoryId 3600)
       const roomElements = elements.filter(row => row[QC.ElementFlags]?.[0] === ElementFlags.Room);
       
+      // Area/Volume may live in a column family the shared scan doesn't include -
+      // fetch just those columns for the rooms in that case
+      const extraColumns = [areaQualifiedProp, volumeQualifiedProp]
+        .filter(prop => prop && !SharedScanFamilies.includes(prop.split(':')[0]));
+      const extraValues = {};
+      if (extraColumns.length > 0 && roomElements.length > 0) {
+        const extraData = await scanModel(model.modelId, region, {
+          keys: roomElements.map(row => row[QC.Key]),
+          qualifiedColumns: extraColumns,
+          includeHistory: false
+        });
+        extraData.forEach(row => {
+          if (typeof row === 'object' && row !== null && row[QC.Key]) {
+            extraValues[row[QC.Key]] = row;
+          }
+        });
+      }
+      const getValue = (element, prop) => (extraValues[element[QC.Key]] ?? element)[prop]?.[0];
+      
       // Process each room element and differentiate by CategoryId
       roomElements.forEach(element => {
         const categoryId = element[QC.CategoryId]?.[0];
         const type = categoryId === 3600 ? 'Space' : 'Room';
         const defaultName = categoryId === 3600 ? 'Unnamed Space' : 'Unnamed Room';
-        
-        allRooms.push({
+      
+        modelRooms.push({
           modelId: model.modelId,
           modelName: model.label,
           key: element[QC.Key],
           name: element[QC.Name]?.[0] || defaultName,
-          area: areaQualifiedProp ? element[areaQualifiedProp]?.[0] : null,
+          area: areaQualifiedProp ? getValue(element, areaQualifiedProp) : null,
           areaUnit: areaUnit,
-          volume: volumeQualifiedProp ? element[volumeQualifiedProp]?.[0] : null,
+          volume: volumeQualifiedProp ? getValue(element, volumeQualifiedProp) : null,
           volumeUnit: volumeUnit,
           type: type
         });
       });
-    }
+      
+      onProgress?.(++done, models.length);
+      return modelRooms;
+    }));
     
-    return allRooms;
+    return roomsByModel.flat();
   } catch (error) {
     console.error('Error fetching rooms:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -1034,197 +1246,33 @@ export async function getRooms(facilityURN, region, schemaCache = null) {
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @param {Array} models - Array of model objects
+ * @param {Function} [onProgress] - Called with (doneCount, totalCount) as each model is scanned
  * @returns {Promise<Array>} Array of system objects with name, key, systemId, and subsystems
  */
-export async function getSystems(facilityURN, region, models) {
+export async function getSystems(facilityURN, region, models, onProgress = null) {
   try {
     const defaultModelURN = getDefaultModelURN(facilityURN);
     
-    const payload = JSON.stringify({
-      families: [
-        ColumnFamilies.Standard,
-        ColumnFamilies.Systems,
-        ColumnFamilies.Refs
-      ],
-      includeHistory: false
-    });
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${defaultModelURN}/scan`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
+    let data;
+    try {
+      data = await getModelRows(defaultModelURN, region);
+    } catch (error) {
       // 403 Forbidden typically means no default model exists yet
-      if (response.status === 403) {
+      if (isApiStatus(error, 403)) {
         console.log('No default model found - systems not available');
         return [];
       }
-      throw new Error(`Failed to fetch systems: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // Filter for elements that are systems (ElementFlags.System)
-    const systemElements = data.filter(row => {
-      const flags = row[QC.ElementFlags];
-      return flags && flags[0] === ElementFlags.System;
-    });
-    
-    // Process systems and build hierarchy
-    const systems = [];
-    const subsystems = [];
-    
-    for (const item of systemElements) {
-      const name = item[QC.OName]?.[0] ?? item[QC.Name]?.[0];
-      const key = item[QC.Key];
-      const parent = item[QC.Parent]?.[0];
-      
-      if (parent) {
-        // This is a subsystem
-        subsystems.push({
-          name: name || 'Unnamed Subsystem',
-          key: key,
-          parent: parent,
-          systemClass: item[QC.OSystemClass]?.[0] ?? item[QC.SystemClass]?.[0]
-        });
-      } else {
-        // This is a main system
-        const fullKey = toFullKey(key, true);
-        const systemId = toSystemId(fullKey);
-        
-        systems.push({
-          name: name || 'Unnamed System',
-          key: key,
-          systemId: systemId,
-          systemClass: item[QC.OSystemClass]?.[0] ?? item[QC.SystemClass]?.[0],
-          elementCount: 0 // will be calculated later
-        });
-      }
+      throw error;
     }
     
-    // Attach subsystems to their parent systems
-    systems.forEach(system => {
-      system.subsystems = subsystems.filter(sub => sub.parent === system.key);
-    });
-    // calculate element count for each system and track by model
-    const systemMap = {};
-
-    for (const system of systems) {
-      systemMap[system.systemId] = system;
-      // Initialize elementsByModel as an object to group keys by model
-      system.elementsByModel = {};
-    }
-    const systemElementsMap = {};
-    const systemClassMap = {};
-
-    for (const model of models) {
-      const payload = JSON.stringify({
-        families: [
-          ColumnFamilies.Standard,
-          ColumnFamilies.Systems
-        ],
-        includeHistory: false
-      });
-      const requestPath = `${tandemBaseURL}/modeldata/${model.modelId}/scan`;
-      const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-
-      if (!response.ok) {
-        console.error(`Failed to fetch elements for model ${model.modelId}`);
-        continue;
-      }
-      const data = await response.json();
-
-      for (const element of data) {
-        const key = element[QC.Key];
-
-        if (!key) {
-          continue;
-        }
-        const elementFlags = element[QC.ElementFlags]?.[0];
-
-        if (elementFlags === ElementFlags.Deleted || elementFlags === ElementFlags.System) {
-          continue;
-        }
-        const elementClass = element[QC.OSystemClass] ?? element[QC.SystemClass];
-
-        if (!elementClass) {
-          continue;
-        }
-        let elementClassNames = systemClassMap[elementClass];
-
-        if (!elementClassNames) {
-          elementClassNames = systemClassToList(elementClass);
-          systemClassMap[elementClass] = elementClassNames;
-        }
-        for (const item in element) {
-          // we need to handle both fam:col and fam:!col formats
-          const [, family, systemId] = item.match(/^([^:]+):!?(.+)$/) ?? [];
-
-          if (family !== ColumnFamilies.Systems) {
-            continue;
-          }
-          const system = systemMap[systemId];
-
-          if (!system) {
-            continue;
-          }
-          let classNames = systemClassMap[system.systemClass];
-
-          if (!classNames) {
-            classNames = systemClassToList(system.systemClass);
-            systemClassMap[system.systemClass] = classNames;
-          }
-          const matches = elementClassNames.some(name => classNames.includes(name));
-
-          if (matches) {
-            // Track total count
-            const elementList = systemElementsMap[systemId] || new Set();
-            elementList.add(key);
-            systemElementsMap[systemId] = elementList;
-            
-            // Track by model
-            if (!system.elementsByModel[model.modelId]) {
-              system.elementsByModel[model.modelId] = {
-                modelURN: model.modelId,
-                modelName: model.label || 'Unknown Model',
-                keys: new Set()
-              };
-            }
-            system.elementsByModel[model.modelId].keys.add(key);
-          }
-        }
-      }
-    }
-    // update element count and convert Sets to Arrays
-    for (const system of systems) {
-      const elementSet = systemElementsMap[system.systemId];
-      system.elementCount = elementSet ? elementSet.size : 0;
-      
-      // Convert elementsByModel Sets to Arrays
-      system.elementsByModel = Object.values(system.elementsByModel).map(model => ({
-        modelURN: model.modelURN,
-        modelName: model.modelName,
-        keys: Array.from(model.keys)
-      }));
-    }
-    return systems;
+    const rowsByModel = await getRowsForModels(models, region, onProgress);
+    return buildSystems(data, models, rowsByModel);
   } catch (error) {
     console.error('Error fetching systems:', error);
-    return [];
+    throw error;
   }
 }
 
-/**
- * Returns true when an element type is eligible to be a tagged asset.
- * Physical elements (flags 0x00–0x04) and GenericAsset (0x01000005) are eligible.
- * Rooms, Levels, Streams, Tickets, Systems, etc. are not.
- * @param {number|undefined} flags - Element flags value from QC.ElementFlags
- * @returns {boolean}
- */
-function isAssetCandidate(flags) {
-  if (flags === undefined || flags === null) return false;
-  return flags <= 0x00000004 || flags === ElementFlags.GenericAsset;
-}
-
 /**
  * Get count of tagged assets from all models in a facility.
  * An element is a tagged asset when the n:ia (IsAsset) field is present and truthy.
@@ -1239,7 +1287,7 @@ export async function getTaggedAssetsCount(facilityURN) {
     return details.totalCount;
   } catch (error) {
     console.error('Error fetching tagged assets count:', error);
-    return 0;
+    throw error;
   }
 }
 
@@ -1248,112 +1296,18 @@ export async function getTaggedAssetsCount(facilityURN) {
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @param {boolean} includeKeys - If true, also collect element keys grouped by model
+ * @param {Function} [onProgress] - Called with (doneCount, totalCount) as each model is scanned
  * @returns {Promise<Object>} Object with totalCount, propertyUsage, and optionally elementsByModel
  */
-export async function getTaggedAssetsDetails(facilityURN, region, includeKeys = false) {
+export async function getTaggedAssetsDetails(facilityURN, region, includeKeys = false, onProgress = null) {
   try {
     const models = await getModels(facilityURN, region);
-    let totalTaggedAssets = 0;
-    // Map of modelId -> { modelName, props: { propId -> count } }
-    const propertyUsageByModel = {};
-    const elementsByModel = []; // Array of {modelURN, modelName, keys}
-    
-    for (const model of models) {
-      // Scan for elements with Standard and DtProperties families
-      // IMPORTANT: Must include Standard family to get IsAsset flag
-      const payload = JSON.stringify({
-        families: [
-          ColumnFamilies.Standard,  // Need this for IsAsset flag
-          ColumnFamilies.DtProperties
-        ],
-        includeHistory: false,
-        skipArrays: true
-      });
-      
-      const requestPath = `${tandemBaseURL}/modeldata/${model.modelId}/scan`;
-      const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-      
-      if (!response.ok) {
-        console.error(`Failed to fetch tagged assets for model ${model.modelId}`);
-        continue;
-      }
-      
-      const rawData = await response.json();
-      // Filter out the leading version string and any non-element entries
-      const elements = rawData.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
-      const modelKeys = [];
-      
-      // Determine which elements are tagged assets using the same two-method logic as the server.
-      elements.forEach(element => {
-        const isAssetFlag = element[QC.IsAsset];
-        const hasIsAssetField = isAssetFlag !== undefined && isAssetFlag !== null;
-        let isTaggedAsset;
-
-        if (hasIsAssetField) {
-          // n:ia present: its value is the authoritative answer. The field is set automatically
-          // when a z: property is first written and persists even if those properties are later removed.
-          isTaggedAsset = !!isAssetFlag;
-        } else {
-          // n:ia absent (older elements): fall back to eligible element type AND has z: properties.
-          const flags = element[QC.ElementFlags];
-          const hasZProps = Object.keys(element).some(k => k.startsWith(`${ColumnFamilies.DtProperties}:`));
-          isTaggedAsset = isAssetCandidate(flags) && hasZProps;
-        }
-
-        if (!isTaggedAsset) return;
-
-        totalTaggedAssets++;
-
-        // Collect element key if requested
-        if (includeKeys && element[QC.Key]) {
-          modelKeys.push(element[QC.Key]);
-        }
-
-        // Track z: property usage per model for the property breakdown table.
-        // Separate from asset counting — an asset may have no z: props if they were cleared
-        // after the n:ia flag was set.
-        const zProperties = Object.keys(element).filter(key => key.startsWith(`${ColumnFamilies.DtProperties}:`));
-        if (zProperties.length > 0) {
-          if (!propertyUsageByModel[model.modelId]) {
-            propertyUsageByModel[model.modelId] = {
-              modelName: model.label || '',
-              props: {}
-            };
-          }
-          zProperties.forEach(prop => {
-            propertyUsageByModel[model.modelId].props[prop] =
-              (propertyUsageByModel[model.modelId].props[prop] || 0) + 1;
-          });
-        }
-      });
-      
-      // Add model to results if it has tagged assets
-      if (includeKeys && modelKeys.length > 0) {
-        elementsByModel.push({
-          modelURN: model.modelId,
-          modelName: model.label || 'Unknown Model',
-          keys: modelKeys
-        });
-      }
-    }
-    
-    const result = {
-      totalCount: totalTaggedAssets,
-      propertyUsageByModel: propertyUsageByModel
-    };
-    
-    if (includeKeys) {
-      result.elementsByModel = elementsByModel;
-    }
-    
-    return result;
+    // The shared scan includes the Standard family (IsAsset flag) and DtProperties (z: props)
+    const rowsByModel = await getRowsForModels(models, region, onProgress);
+    return summarizeTaggedAssets(models, rowsByModel, includeKeys);
   } catch (error) {
     console.error('Error fetching tagged assets details:', error);
-    return {
-      totalCount: 0,
-      propertyUsage: {},
-      elementsByModel: includeKeys ? [] : undefined
-    };
+    throw error;
   }
 }
 
@@ -1381,23 +1335,20 @@ export async function getElementsByProperty(facilityURN, region, qualifiedProp,
     // Use same scan shape as getTaggedAssetsDetails (no qualifiedColumns) so the server
     // returns all columns in the requested families; we filter client-side for the property.
     // This avoids server omitting or normalizing the column id when requested explicitly.
-    for (const model of modelsToScan) {
-      const payload = JSON.stringify({
-        families,
-        includeHistory: false,
-        skipArrays: true
-      });
-
-      const requestPath = `${tandemBaseURL}/modeldata/${model.modelId}/scan`;
-      const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-
-      if (!response.ok) {
-        console.error(`Failed to fetch elements for model ${model.modelId}`);
-        continue;
-      }
+    // Families covered by the shared scan are served from memory.
+    const rowsByModel = SharedScanFamilies.includes(family)
+      ? await getRowsForModels(modelsToScan, region)
+      : new Map(await Promise.all(modelsToScan.map(async model => {
+        const rawData = await scanModel(model.modelId, region, {
+          families,
+          includeHistory: false,
+          skipArrays: true
+        });
+        return [model.modelId, rawData.filter(item => typeof item === 'object' && item !== null && item[QC.Key])];
+      })));
 
-      const rawData = await response.json();
-      const elements = rawData.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
+    for (const model of modelsToScan) {
+      const elements = rowsByModel.get(model.modelId);
       const elementKeys = [];
 
       elements.forEach(element => {
@@ -1424,22 +1375,8 @@ export async function getElementsByProperty(facilityURN, region, qualifiedProp,
     return resultsByModel;
   } catch (error) {
     console.error('Error fetching elements by property:', error);
-    return [];
-  }
-}
-
-function systemClassToList(flags) {
-  if (!flags) {
-    return [];
+    throw error;
   }
-  const result = [];
-
-	for (let i = 0; i < SystemClassNames.length; i++) {
-		if (flags & (1 << i)) {
-			result.push(SystemClassNames[i]);
-		}
-	}
-	return result;
 }
 
 /**
@@ -1476,20 +1413,11 @@ export async function getHistory(modelURN, region, options = {}) {
       payloadObj.limit = options.limit;
     }
     
-    const payload = JSON.stringify(payloadObj);
-    
-    const requestPath = `${tandemBaseURL}/modeldata/${modelURN}/history`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch history: ${response.statusText}`);
-    }
-    
-    const history = await response.json();
+    const history = await postJSON(`/modeldata/${modelURN}/history`, payloadObj, region);
     return history;
   } catch (error) {
     console.error('Error fetching history:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -1516,18 +1444,10 @@ export async function getTwinHistory(facilityURN, region, options = {}) {
       payloadObj.max = options.max;
     }
     
-    const payload = JSON.stringify(payloadObj);
-    const requestPath = `${tandemBaseURL}/twins/${facilityURN}/history`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch twin history: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await postJSON(`/twins/${facilityURN}/history`, payloadObj, region);
   } catch (error) {
     console.error('Error fetching twin history:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -1553,18 +1473,10 @@ export async function getGroupHistory(groupURN, options = {}) {
       payloadObj.max = options.max;
     }
     
-    const payload = JSON.stringify(payloadObj);
-    const requestPath = `${tandemBaseURL}/groups/${groupURN}/history`;
-    const response = await fetch(requestPath, makeRequestOptionsPOST(payload));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch group history: ${response.statusText}`);
-    }
-    
-    return await response.json();
+    return await postJSON(`/groups/${groupURN}/history`, payloadObj);
   } catch (error) {
     console.error('Error fetching group history:', error);
-    return [];
+    throw error;
   }
 }
 
@@ -1582,17 +1494,10 @@ export async function getGroupHistory(groupURN, options = {}) {
  */
 export async function getFacilityUsers(facilityURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/twins/${facilityURN}/users`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch facility users: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await getJSON(`/twins/${facilityURN}/users`, region);
   } catch (error) {
     console.error('Error fetching facility users:', error);
-    return {};
+    throw error;
   }
 }
 
@@ -1604,33 +1509,19 @@ export async function getFacilityUsers(facilityURN, region) {
  */
 export async function getFacilityViews(facilityURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/twins/${facilityURN}/views`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region));
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch facility views: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await getJSON(`/twins/${facilityURN}/views`, region);
   } catch (error) {
     console.error('Error fetching facility views:', error);
-    return [];
+    throw error;
   }
 }
 
 export async function getModelProperties(modelURN, region) {
   try {
-    const requestPath = `${tandemBaseURL}/models/${modelURN}/props`;
-    const response = await fetch(requestPath, makeRequestOptionsGET(region, region));
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch model properties: ${response.statusText}`);
-    }
-    
-    const props = await response.json();
+    const props = await getJSON(`/models/${modelURN}/props`, region);
     return props;
   } catch (error) {
     console.error('Error fetching model properties:', error);
-    return null;
+    throw error;
   }
 }
\ No newline at end of file
@@ -7,28 +7,34 @@ import {
   getFacilityThumbnail,
   cleanupThumbnailURLs,
   getModels,
-  getStreams,
-  getTickets,
-  getSystems,
-  getLevels,
-  getRooms,
-  getDocuments,
+  getDefaultModelURN,
   getUserResources,
+  clearSharedScans,
+  getRequestStats,
+  resetRequestStats,
   tandemBaseURL,
   makeRequestOptionsGET
 } from './api.js';
+import { renderErrorState } from './components/errorState.js';
+import { expandCard, getCardIds } from './components/toggleHeader.js';
+import { mountDashboard, getVisibleCards } from './components/cardRegistry.js';
 import { loadSchemaForModel, getSchemaCache, clearSchemaCache } from './state/schemaCache.js';
-import { displayModels } from './features/models.js';
-import { displayLevels } from './features/levels.js';
-import { displayRooms } from './features/rooms.js';
-import { displayDocuments } from './features/documents.js';
-import { displayStreams } from './features/streams.js';
-import { displayTickets } from './features/tickets.js';
-import { displaySystems } from './features/systems.js';
-import { displaySchema } from './features/schema.js';
-import { displayTaggedAssets } from './features/taggedAssets.js';
-import { displayDiagnostics } from './features/diagnostics.js';
-import { displaySearch } from './features/search.js';
+import { getCacheStats, resetCacheStats, getCacheUsage, clearPersistentCache, setCacheUser } from './state/persistentCache.js';
+import { getRoute, setRouteFacility, onRouteChange } from './state/router.js';
+// Feature modules register their dashboard cards when imported
+import './features/models.js';
+import './features/streams.js';
+import './features/streamHealth.js';
+import './features/streamCapacity.js';
+import './features/search.js';
+import './features/taggedAssets.js';
+import './features/levels.js';
+import './features/rooms.js';
+import './features/tickets.js';
+import './features/documents.js';
+import './features/systems.js';
+import './features/schema.js';
+import './features/diagnostics.js';
 import { viewUserResources } from './features/userResources.js';
 import { viewFacilityHistory } from './features/facilityHistory.js';
 import { viewFacilityUsers } from './features/facilityUsers.js';
@@ -50,22 +56,17 @@ const viewUserResourcesBtn = document.getElementById('viewUserResourcesBtn');
 const viewFacilityHistoryBtn = document.getElementById('viewFacilityHistoryBtn');
 const viewFacilityUsersBtn = document.getElementById('viewFacilityUsersBtn');
 const viewFacilityViewsBtn = document.getElementById('viewFacilityViewsBtn');
-const modelsList = document.getElementById('modelsList');
-const streamsList = document.getElementById('streamsList');
-const ticketsList = document.getElementById('ticketsList');
-const searchContainer = document.getElementById('searchContainer');
-const systemsList = document.getElementById('systemsList');
-const levelsList = document.getElementById('levelsList');
-const roomsList = document.getElementById('roomsList');
-const documentsList = document.getElementById('documentsList');
-const schemaList = document.getElementById('schemaList');
-const taggedAssetsList = document.getElementById('taggedAssetsList');
-const diagnosticsList = document.getElementById('diagnosticsList');
+const clearCacheBtn = document.getElementById('clearCacheBtn');
+const cacheStatsLabel = document.getElementById('cacheStats');
+const dashboardCards = document.getElementById('dashboardCards');
 
 // State
 let accounts = [];
 let currentFacilityURN = null;
 let currentFacilityRegion = null;
+let cardContext = null; // Data shared by the cards of the facility on screen (see loadStats)
+let loadGeneration = 0; // Incremented by every facility load; work of an earlier load is dropped
+const cardRenders = new Map(); // card ID -> Promise of its latest render (see startCard)
 
 // Performance Optimization: Cache for user resources
 // 
@@ -312,11 +313,20 @@ async function populateAccountsDropdown(accounts) {
     accountSelect.appendChild(option);
   });
 
-  // Try to restore last selected account, or select the first one
+  // Prefer the account of the facility in the URL (shared link), then the last selected
+  // account, otherwise select the first one
+  const route = getRoute();
+  const routeAccount = (route.facility && findAccountForFacility(accounts, route.facility)) || route.account;
   const lastAccount = window.localStorage.getItem('tandem-sample-stats-last-account');
   let selectedAccount = null;
   
-  if (lastAccount && accounts.some(a => a.name === lastAccount)) {
+  if (route.facility && !findAccountForFacility(accounts, route.facility)) {
+    console.warn('Facility from link not found in any account:', route.facility);
+  }
+  
+  if (routeAccount && accounts.some(a => a.name === routeAccount)) {
+    selectedAccount = routeAccount;
+  } else if (lastAccount && accounts.some(a => a.name === lastAccount)) {
     // Restore previously selected account if it exists
     selectedAccount = lastAccount;
   } else if (sortedAccounts.length > 0) {
@@ -334,6 +344,23 @@ async function populateAccountsDropdown(accounts) {
   }
 }
 
+/**
+ * Find the account a facility is listed under
+ * Used for shared links: the account name in the link may not match how the facility is shared
+ * with the person opening it (e.g. via a group vs. shared directly).
+ * @param {Array} accounts - Array of account objects
+ * @param {string} facilityURN - Facility URN
+ * @returns {string|null} Account name, or null if the facility isn't accessible
+ */
+function findAccountForFacility(accounts, facilityURN) {
+  const twin = userResourcesCache?.twins?.find(t => t.urn === facilityURN);
+  if (!twin) {
+    return null;
+  }
+  const accountId = twin.grantedViaGroup || '@me';
+  return accounts.find(a => a.id === accountId)?.name || null;
+}
+
 /**
  * Get the last used facility for a specific account
  * @param {string} accountName - Name of the account
@@ -391,8 +418,10 @@ function setLastFacilityForAccount(accountName, facilityURN) {
  * 
  * @param {Array} accounts - Array of account objects
  * @param {string} accountName - Selected account name
+ * @param {Object} [options]
+ * @param {boolean} [options.push=false] - Add a history entry for the selected facility (user navigation)
  */
-async function populateFacilitiesDropdown(accounts, accountName) {
+async function populateFacilitiesDropdown(accounts, accountName, { push = false } = {}) {
   facilitySelect.innerHTML = '<option value="">Select Facility...</option>';
   
   const account = accounts.find(a => a.name === accountName);
@@ -413,7 +442,16 @@ async function populateFacilitiesDropdown(accounts, accountName) {
       // multi-region fetching correctly for both @me and group accounts
       console.log(`📍 Fetching facilities for ${accountName}`);
       
-      const facilitiesObj = await getFacilitiesForGroup(account.id);
+      let facilitiesObj;
+      try {
+        facilitiesObj = await getFacilitiesForGroup(account.id);
+      } catch (error) {
+        // Leave account.facilities unset so selecting the account again retries
+        console.error(`Error fetching facilities for ${accountName}:`, error);
+        facilitySelect.innerHTML = '<option value="" disabled selected>Failed to load facilities</option>';
+        renderErrorState(facilityInfo, error, () => populateFacilitiesDropdown(accounts, accountName));
+        return;
+      }
       
       // Extract facility names from API response
       const facilities = facilitiesObj ? Object.entries(facilitiesObj).map(([urn, settings]) => ({
@@ -448,11 +486,15 @@ async function populateFacilitiesDropdown(accounts, accountName) {
     facilitySelect.appendChild(option);
   });
 
-  // Try to restore last selected facility for THIS account, or select the first one
+  // Prefer the facility in the URL, then the last selected facility for THIS account,
+  // otherwise select the first one
+  const routeFacility = getRoute().facility;
   const lastFacility = getLastFacilityForAccount(accountName);
   let selectedFacilityURN = null;
   
-  if (lastFacility && account.facilities.some(f => f.urn === lastFacility)) {
+  if (routeFacility && account.facilities.some(f => f.urn === routeFacility)) {
+    selectedFacilityURN = routeFacility;
+  } else if (lastFacility && account.facilities.some(f => f.urn === lastFacility)) {
     // Restore previously selected facility if it exists in this account
     selectedFacilityURN = lastFacility;
   } else if (sortedFacilities.length > 0) {
@@ -462,6 +504,7 @@ async function populateFacilitiesDropdown(accounts, accountName) {
   
   if (selectedFacilityURN) {
     facilitySelect.value = selectedFacilityURN;
+    setRouteFacility(accountName, selectedFacilityURN, { push });
     loadFacility(selectedFacilityURN);
     
     // Remove placeholder after selection
@@ -487,6 +530,7 @@ async function loadFacility(facilityURN) {
     return; // Already loaded
   }
   currentFacilityURN = facilityURN;
+  const generation = ++loadGeneration;
   
   // Get region from cache (instant lookup, no API call needed!)
   // The facilityRegionMap was populated during loadUserResourcesCache()
@@ -506,6 +550,9 @@ async function loadFacility(facilityURN) {
       getFacilityInfo(facilityURN, currentFacilityRegion),
       getFacilityThumbnail(facilityURN, currentFacilityRegion)
     ]);
+    if (generation !== loadGeneration) {
+      return; // Another facility was selected meanwhile
+    }
     
     if (info) {
       const buildingName = info.props?.["Identity Data"]?.["Building Name"] || "Unknown";
@@ -593,16 +640,10 @@ async function loadFacility(facilityURN) {
       // Check schema version - API only supports version 2
       if (schemaVersion < SchemaVersion) {
         // Clear all data sections
-        modelsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        streamsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        searchContainer.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        taggedAssetsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        levelsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        roomsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        documentsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        systemsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        schemaList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
-        diagnosticsList.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
+        cardContext = null;
+        getVisibleCards().forEach(({ container }) => {
+          container.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ Facility data not loaded due to incompatible schema version.</p>`;
+        });
         
         // Show prominent error message
         facilityInfo.innerHTML += `
@@ -629,12 +670,21 @@ async function loadFacility(facilityURN) {
       }
     }
 
+    // Facility info is on screen - hide the overlay and let each card show its own progress
+    toggleLoading(false);
+    
     // Load stats (only if schema version is 2)
-    await loadStats(facilityURN, currentFacilityRegion);
+    await loadStats(facilityURN, currentFacilityRegion, generation);
     
   } catch (error) {
     console.error('Error loading facility:', error);
-    facilityInfo.innerHTML = `<p class="text-red-600">Error loading facility information</p>`;
+    if (generation !== loadGeneration) {
+      return;
+    }
+    renderErrorState(facilityInfo, error, () => {
+      currentFacilityURN = null;
+      loadFacility(facilityURN);
+    });
     // Keep buttons hidden on error
     viewUserResourcesBtn.classList.add('hidden');
     viewFacilityHistoryBtn.classList.add('hidden');
@@ -647,70 +697,235 @@ async function loadFacility(facilityURN) {
 
 
 /**
- * Load and display facility statistics
- * @param {string} facilityURN - Facility URN
+ * Load a single dashboard card, rendering an error state with a retry button if it fails
+ * Each card loads independently so one failed request doesn't blank the whole dashboard.
+ * @param {HTMLElement} container - Card container element
+ * @param {Function} load - Async function that fetches and renders the card
  */
-async function loadStats(facilityURN, region) {
+async function loadCard(container, load) {
   try {
-    // Clear schema cache from previous facility
-    clearSchemaCache();
-    
-    // Note: Don't cleanup thumbnail URLs here - they're still being displayed!
-    // Cleanup happens only on page unload via beforeunload event
-    
-    // Get models
-    const models = await getModels(facilityURN, region);
-    
+    await load();
+  } catch (error) {
+    console.error('Error loading card:', error);
+    renderErrorState(container, error, () => loadCard(container, load));
+  }
+}
+
+/**
+ * Load the data a card depends on into the shared card context
+ * Each dependency is loaded once per facility and shared by all cards; a failed load is
+ * forgotten so retrying the card fetches it again.
+ * @param {Object} context - Card context from loadStats
+ * @param {Array<string>} requires - Dependencies: 'models' and/or 'schemas' (see registerCard)
+ * @returns {Promise<void>}
+ */
+async function loadCardDependencies(context, requires) {
+  const { facilityURN, region, loading } = context;
+  const needsSchemas = requires.includes('schemas');
+  const needsModels = needsSchemas || requires.includes('models');
+  
+  if (needsModels && !loading.models) {
+    loading.models = getModels(facilityURN, region).then(models => {
+      context.models = models;
+      // Streams, tickets and systems only exist in the default model
+      context.hasDefaultModel = models.some(m => m.modelId === getDefaultModelURN(facilityURN));
+    }).catch(error => {
+      loading.models = null;
+      throw error;
+    });
+  }
+  if (needsSchemas && !loading.schemas) {
     // Pre-load and cache schemas for all models FIRST
-    // This ensures we only call /schema once per model
-    for (const model of models) {
-      await loadSchemaForModel(model.modelId, region);
+    // This ensures we only call /schema once per model; they load in parallel, bounded by the
+    // per-region request queue in api.js
+    loading.schemas = loading.models.then(async () => {
+      await Promise.all(context.models.map(model => loadSchemaForModel(model.modelId, region)));
+      context.schemaCache = getSchemaCache();
+    }).catch(error => {
+      loading.schemas = null;
+      throw error;
+    });
+  }
+  await Promise.all([needsModels && loading.models, needsSchemas && loading.schemas]);
+}
+
+/**
+ * Load a registered card into its container using the current card context
+ * @param {Object} card - Card definition (see registerCard)
+ * @param {HTMLElement} container - Card body element
+ * @param {Object} context - Card context from loadStats
+ */
+async function renderCard(card, container, context) {
+  await loadCardDependencies(context, card.requires);
+  await card.render(container, context);
+}
+
+/**
+ * Start loading a card for a facility load
+ * Facility selection stays enabled while cards load, so a card may still be rendering the previous
+ * facility. Each load renders into its own element, put in the card body only once the card's earlier
+ * render has settled; that one finishes in a detached element (and can't wire up this load's buttons
+ * by ID), and nothing is rendered for a load that has been superseded in the meantime.
+ * @param {Object} card - Card definition
+ * @param {HTMLElement} container - Card body element
+ * @param {Object} context - Card context from loadStats
+ * @returns {Promise<void>} Resolves when the card is rendered (or skipped)
+ */
+function startCard(card, container, context) {
+  const previous = cardRenders.get(card.id) || Promise.resolve();
+  const element = document.createElement('div');
+
+  container.innerHTML = `<p>${card.placeholder}</p>`;
+  const render = previous.then(() => {
+    if (context.generation !== loadGeneration) {
+      return;
     }
-    
-    // Get schema cache for passing to downstream functions
-    const schemaCache = getSchemaCache();
-    
-    // Display all sections using feature modules
-    await displayModels(modelsList, models, facilityURN, region);
-    
-    // Check if default model exists before fetching streams
-    // Streams only exist in the default model
-    const defaultModelURN = facilityURN.replace('urn:adsk.dtt:', 'urn:adsk.dtm:');
-    const hasDefaultModel = models.some(m => m.modelId === defaultModelURN);
-    
-    const streams = hasDefaultModel ? await getStreams(facilityURN, region) : [];
-    await displayStreams(streamsList, streams, facilityURN, region);
-    
-    // Get and display tickets (only if default model exists)
-    const tickets = hasDefaultModel ? await getTickets(facilityURN, region) : [];
-    await displayTickets(ticketsList, tickets, facilityURN, region);
-    
-    // Display search interface
-    await displaySearch(searchContainer, facilityURN, region, models);
-    
-    // Get and display systems (only if default model exists)
-    const systems = hasDefaultModel ? await getSystems(facilityURN, region, models) : [];
-    await displaySystems(systemsList, systems, facilityURN, region);
-    
-    // Display tagged assets
-    await displayTaggedAssets(taggedAssetsList, facilityURN, models, region);
-    
-    const levels = await getLevels(facilityURN, region);
-    await displayLevels(levelsList, levels, facilityURN, region);
-    
-    const rooms = await getRooms(facilityURN, region, schemaCache);
-    await displayRooms(roomsList, rooms, facilityURN, region);
-    
-    const documents = await getDocuments(facilityURN, region);
-    await displayDocuments(documentsList, documents);
-    
-    await displaySchema(schemaList, models, facilityURN);
-    
-    // Display diagnostics (must be after schema is loaded)
-    await displayDiagnostics(diagnosticsList, facilityURN, models);
-    
+    container.replaceChildren(element);
+    return loadCard(element, () => renderCard(card, element, context));
+  });
+  cardRenders.set(card.id, render);
+  return render;
+}
+
+/**
+ * Load a card that was hidden and has just been shown again
+ * @param {Object} card - Card definition
+ * @param {HTMLElement} container - Card body element
+ */
+function showCard(card, container) {
+  container.innerHTML = `<p>${card.placeholder}</p>`;
+  if (cardContext) {
+    startCard(card, container, cardContext);
+  }
+}
+
+/**
+ * Load and display facility statistics
+ * Renders every visible registered card (see components/cardRegistry.js); the data they declare
+ * as dependencies is loaded first, once, and hidden cards aren't loaded at all.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {number} generation - Facility load the stats belong to (see loadGeneration)
+ */
+async function loadStats(facilityURN, region, generation) {
+  // Clear schema cache and shared scan rows from previous facility
+  // (schemas, model lists and scans stay in the persistent cache for the next visit)
+  clearSchemaCache();
+  clearSharedScans();
+  resetRequestStats();
+  resetCacheStats();
+  cacheStatsLabel.textContent = '';
+  const startTime = performance.now();
+  
+  // Sort columns from the URL (shared link or reload)
+  const { sort } = getRoute();
+  const context = {
+    generation,
+    facilityURN,
+    region,
+    sort,
+    models: null,
+    hasDefaultModel: false,
+    schemaCache: null,
+    loading: {}
+  };
+  cardContext = context;
+  
+  // Don't leave the previous facility's cards on screen while loading
+  const cards = getVisibleCards();
+  cards.forEach(({ card, container }) => container.innerHTML = `<p>${card.placeholder}</p>`);
+  
+  // Note: Don't cleanup thumbnail URLs here - they're still being displayed!
+  // Cleanup happens only on page unload via beforeunload event
+  
+  try {
+    await loadCardDependencies(context, cards.flatMap(({ card }) => card.requires));
   } catch (error) {
     console.error('Error loading stats:', error);
+    if (context.generation !== loadGeneration) {
+      return;
+    }
+    // The model list and schemas are shared, so the failure is shown on every card
+    const retry = () => {
+      cards.forEach(({ container }) => container.innerHTML = '<p>Retrying...</p>');
+      loadStats(facilityURN, region, ++loadGeneration);
+    };
+    cards.forEach(({ container }) => renderErrorState(container, error, retry));
+    return;
+  }
+  
+  // Cards load in parallel and each renders as soon as its own data arrives; the number of
+  // requests in flight is bounded by RequestConcurrency in api.js. Another facility can be selected
+  // meanwhile - this load's remaining renders are then dropped (see startCard).
+  await Promise.all(cards.map(({ card, container }) => startCard(card, container, context)));
+  if (context.generation !== loadGeneration) {
+    return;
+  }
+  
+  // Expand the cards from the URL, including changes made with back/forward while loading
+  applyCardRoute(getRoute());
+  
+  const { requests, sharedScanHits } = getRequestStats();
+  const elapsed = ((performance.now() - startTime) / 1000).toFixed(1);
+  console.log(`📊 Facility stats loaded in ${elapsed}s: ${requests} API requests, ${sharedScanHits} scans served from the shared scan`);
+  await updateCacheStats();
+}
+
+/**
+ * Expand the cards listed in a route and collapse the others
+ * @param {Object} route - Route state from state/router.js
+ */
+function applyCardRoute(route) {
+  getCardIds().forEach(card => expandCard(card, route.cards.includes(card)));
+}
+
+/**
+ * Follow a route change from back/forward or an edited URL hash
+ * A different facility is loaded (switching account if needed) and restores its cards, sorts and
+ * search as it renders; for the facility already on screen only the expanded cards are updated.
+ * @param {Object} route - Route state from state/router.js
+ */
+async function handleRouteChange(route) {
+  if (!route.facility || route.facility === currentFacilityURN) {
+    applyCardRoute(route);
+    return;
+  }
+  
+  const accountName = findAccountForFacility(accounts, route.facility) || route.account;
+  if (!accountName || !accounts.some(a => a.name === accountName)) {
+    console.warn('Facility from link not found in any account:', route.facility);
+    return;
+  }
+  accountSelect.value = accountName;
+  await populateFacilitiesDropdown(accounts, accountName);
+}
+
+/**
+ * Show persistent cache hits for the last facility load and the cache's current size
+ */
+async function updateCacheStats() {
+  const { hits, staleHits, misses } = getCacheStats();
+  const { entries, bytes } = await getCacheUsage();
+  const total = hits + staleHits + misses;
+  const hitRate = total > 0 ? Math.round(((hits + staleHits) / total) * 100) : 0;
+
+  cacheStatsLabel.textContent = `Cache: ${hitRate}% hits (${hits + staleHits}/${total}) · ${entries} entries, ${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  cacheStatsLabel.title = `${hits} fresh, ${staleHits} stale (refreshed in background), ${misses} fetched`;
+}
+
+/**
+ * Clear the persistent cache
+ * Data already on screen is kept; the next facility load fetches everything again.
+ */
+async function handleClearCache() {
+  clearCacheBtn.disabled = true;
+  try {
+    await clearPersistentCache();
+    await updateCacheStats();
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+  } finally {
+    clearCacheBtn.disabled = false;
   }
 }
 
@@ -722,14 +937,18 @@ async function initialize() {
   loginBtn.addEventListener('click', login);
   logoutBtn.addEventListener('click', logout);
   viewUserResourcesBtn.addEventListener('click', viewUserResources);
+  clearCacheBtn.addEventListener('click', handleClearCache);
   // History, Users, and Views button handlers are set dynamically in loadFacility
   // because they need the current facilityURN, region, and facility name.
 
+  // Back/forward and edited URL hashes (the initial hash is restored by the dropdowns below)
+  onRouteChange(handleRouteChange);
+
   accountSelect.addEventListener('change', async (e) => {
     const accountName = e.target.value;
     if (accountName) {
       window.localStorage.setItem('tandem-sample-stats-last-account', accountName);
-      await populateFacilitiesDropdown(accounts, accountName);
+      await populateFacilitiesDropdown(accounts, accountName, { push: true });
       // Remove placeholder after selection
       const placeholder = accountSelect.querySelector('option[value=""]');
       if (placeholder) placeholder.remove();
@@ -744,6 +963,7 @@ async function initialize() {
       if (accountName) {
         setLastFacilityForAccount(accountName, facilityURN);
       }
+      setRouteFacility(accountName, facilityURN, { push: true });
       loadFacility(facilityURN);
       // Remove placeholder after selection
       const placeholder = facilitySelect.querySelector('option[value=""]');
@@ -753,10 +973,14 @@ async function initialize() {
 
   // Check login status
   toggleLoading(true);
-  const { loggedIn, profileImg } = await checkLogin();
+  const { loggedIn, profileImg, userId } = await checkLogin();
   
   if (loggedIn) {
     updateUIForLoginState(true, profileImg);
+    setCacheUser(userId);
+    
+    // Card frames in the user's saved layout - filled by loadStats once a facility is selected
+    mountDashboard(dashboardCards, userId, { onShowCard: showCard });
     
     // Load user resources cache first (single API call for all data)
     await loadUserResourcesCache();
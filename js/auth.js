@@ -1,7 +1,12 @@
 import { getEnv } from './config.js';
+import { deletePersistentCache } from './state/persistentCache.js';
 
 const env = getEnv();
 let refreshHandle = null;
+let refreshPromise = null;
+
+// Retry delay when the token endpoint can't be reached (the refresh token may still be valid)
+const REFRESH_RETRY_DELAY = 30000;
 
 /**
  * Generate a random string for PKCE
@@ -67,14 +72,24 @@ async function doRedirection(clientId, scope) {
  * Initiate login flow
  */
 export async function login() {
+  // The mock server accepts any token - skip OAuth
+  if (env.name === 'mock') {
+    window.sessionStorage.token = 'mock-token';
+    location.reload();
+    return;
+  }
+  // The OAuth redirect drops the URL hash - keep the deep link (state/router.js) for after sign in
+  window.sessionStorage.returnHash = location.hash;
   const scope = 'data:read data:write user-profile:read';
   await doRedirection(env.apsKey, scope);
 }
 
 /**
  * Log out the user
+ * Also deletes the user's persistent cache, so the next person signing in on this browser
+ * doesn't get their facility data.
  */
-export function logout() {
+export async function logout() {
   delete window.sessionStorage.token;
   delete window.sessionStorage.refreshToken;
   delete window.sessionStorage.tokenExpiry;
@@ -84,25 +99,61 @@ export function logout() {
     refreshHandle = null;
   }
   
+  await deletePersistentCache();
   location.reload();
 }
 
 /**
- * Load user profile image
- * @returns {Promise<string>} User profile image URL
+ * Load the user profile
+ * @returns {Promise<{profileImg: string, userId: string|null}>} Profile image URL and user ID (OpenID subject)
  */
 async function loadUserProfile() {
-  const res = await fetch('https://api.userprofile.autodesk.com/userinfo', {
+  const res = await fetch(env.userProfileURL, {
     headers: { "Authorization": `Bearer ${window.sessionStorage.token}` }
   });
   const user = await res.json();
-  return user.picture;
+  return { profileImg: user.picture, userId: user.sub || null };
+}
+
+/**
+ * Store a token response and schedule the next refresh 1 minute before expiry
+ * @param {object} token - Token endpoint response
+ */
+function storeToken(token) {
+  window.sessionStorage.token = token['access_token'];
+  window.sessionStorage.refreshToken = token['refresh_token'];
+  
+  // Store token expiry time for future reference
+  const expiryTime = Date.now() + (token['expires_in'] * 1000);
+  window.sessionStorage.tokenExpiry = expiryTime;
+
+  // Schedule next token refresh
+  const nextRefresh = token['expires_in'] - 60;
+  refreshHandle = setTimeout(() => refreshToken(), nextRefresh * 1000);
 }
 
 /**
  * Refresh the access token
+ * Called by the refresh timer and by the API layer when a request gets a 401.
+ * Concurrent callers share a single in-flight refresh.
+ * @returns {Promise<boolean>} True if a new token was stored, false otherwise
  */
-async function refreshToken() {
+export function refreshToken() {
+  if (!refreshPromise) {
+    refreshPromise = requestNewToken().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * Logs the user out only when the token endpoint rejects the refresh token;
+ * network failures keep the session and schedule another attempt.
+ * @returns {Promise<boolean>} True if a new token was stored, false otherwise
+ */
+async function requestNewToken() {
   console.log('Refreshing token...');
 
   if (refreshHandle) {
@@ -110,6 +161,7 @@ async function refreshToken() {
     refreshHandle = null;
   }
 
+  let resp;
   try {
     const token = window.sessionStorage.refreshToken;
     const payload = {
@@ -118,40 +170,55 @@ async function refreshToken() {
       'refresh_token': token,
     };
 
-    const resp = await fetch('https://developer.api.autodesk.com/authentication/v2/token', {
+    resp = await fetch('https://developer.api.autodesk.com/authentication/v2/token', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
       },
       body: Object.keys(payload).map(key => encodeURIComponent(key) + '=' + encodeURIComponent(payload[key])).join('&')
     });
-    
-    if (!resp.ok) {
-      throw new Error(await resp.text());
-    }
-
-    const newToken = await resp.json();
-    window.sessionStorage.token = newToken['access_token'];
-    window.sessionStorage.refreshToken = newToken['refresh_token'];
-    
-    // Store token expiry time for future reference
-    const expiryTime = Date.now() + (newToken['expires_in'] * 1000);
-    window.sessionStorage.tokenExpiry = expiryTime;
-
-    // Schedule next token refresh
-    const nextRefresh = newToken['expires_in'] - 60;
-    refreshHandle = setTimeout(() => refreshToken(), nextRefresh * 1000);
   } catch (err) {
     console.error('Token refresh error:', err);
-    logout();
+    refreshHandle = setTimeout(() => refreshToken(), REFRESH_RETRY_DELAY);
+    return false;
+  }
+
+  if (!resp.ok) {
+    const errorText = await resp.text();
+    // 4xx (invalid_grant etc.) means the refresh token itself was rejected - back to login
+    if (resp.status >= 400 && resp.status < 500) {
+      console.error('Refresh token rejected:', resp.status, errorText);
+      logout();
+    } else {
+      console.error('Token refresh error:', resp.status, errorText);
+      refreshHandle = setTimeout(() => refreshToken(), REFRESH_RETRY_DELAY);
+    }
+    return false;
   }
+
+  storeToken(await resp.json());
+  return true;
 }
 
 /**
  * Check login status and handle OAuth callback
- * @returns {Promise<boolean>} True if logged in, false otherwise
+ * @returns {Promise<{loggedIn: boolean, profileImg: string|null, userId: string|null}>} Login state, profile image and user ID
  */
 export async function checkLogin() {
+  // No OAuth or token refresh with the mock server; its user profile comes from the fixtures
+  if (env.name === 'mock') {
+    if (!window.sessionStorage.token) {
+      return { loggedIn: false, profileImg: null, userId: null };
+    }
+    try {
+      const { profileImg, userId } = await loadUserProfile();
+      return { loggedIn: true, profileImg, userId };
+    } catch (err) {
+      console.error('Error loading user profile:', err);
+      return { loggedIn: false, profileImg: null, userId: null };
+    }
+  }
+
   const url = new URL(location);
 
   // Handle OAuth callback
@@ -182,16 +249,7 @@ export async function checkLogin() {
         if (resp.ok) {
           const token = await resp.json();
           console.log('✅ Token received successfully');
-          window.sessionStorage.token = token['access_token'];
-          window.sessionStorage.refreshToken = token['refresh_token'];
-          
-          // Store token expiry time for future reference
-          const expiryTime = Date.now() + (token['expires_in'] * 1000);
-          window.sessionStorage.tokenExpiry = expiryTime;
-
-          // Schedule token refresh
-          const nextRefresh = token['expires_in'] - 60;
-          refreshHandle = setTimeout(() => refreshToken(), nextRefresh * 1000);
+          storeToken(token);
         } else {
           const errorText = await resp.text();
           console.error('❌ Token exchange failed:', resp.status, resp.statusText);
@@ -201,19 +259,29 @@ export async function checkLogin() {
       } catch (err) {
         console.error('❌ Authentication error:', err);
         alert(`Authentication error: ${err.message}\n\nCheck console for details.`);
-        return { loggedIn: false, profileImg: null };
+        return { loggedIn: false, profileImg: null, userId: null };
       }
 
-      // Remove code from URL
+      // Remove code from URL and restore the deep link from before sign in
       url.searchParams.delete('code');
-      window.history.replaceState({}, document.title, url.pathname + url.search);
+      const returnHash = window.sessionStorage.returnHash || '';
+      delete window.sessionStorage.returnHash;
+      window.history.replaceState({}, document.title, url.pathname + url.search + returnHash);
     }
   }
 
   // Check if user is logged in
   if (window.sessionStorage.token) {
     try {
-      const profileImg = await loadUserProfile();
+      // Restored session with an already expired token (e.g. tab reopened later) - refresh before use
+      const tokenExpiry = parseInt(window.sessionStorage.tokenExpiry || '0');
+      if (tokenExpiry && tokenExpiry <= Date.now() && window.sessionStorage.refreshToken) {
+        if (!await refreshToken()) {
+          return { loggedIn: false, profileImg: null, userId: null };
+        }
+      }
+      
+      const { profileImg, userId } = await loadUserProfile();
       
       // Schedule token refresh if not already scheduled
       // This handles cases where the page was refreshed or reopened
@@ -230,12 +298,12 @@ export async function checkLogin() {
         refreshHandle = setTimeout(() => refreshToken(), refreshDelay);
       }
       
-      return { loggedIn: true, profileImg };
+      return { loggedIn: true, profileImg, userId };
     } catch (err) {
       console.error('Error loading user profile:', err);
-      return { loggedIn: false, profileImg: null };
+      return { loggedIn: false, profileImg: null, userId: null };
     }
   }
 
-  return { loggedIn: false, profileImg: null };
+  return { loggedIn: false, profileImg: null, userId: null };
 }
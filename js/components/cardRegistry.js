@@ -0,0 +1,219 @@
+import { defaultLayout, loadCardLayout, saveCardLayout, moveCard, setCardFlag } from '../state/cardLayout.js';
+
+/**
+ * Dashboard card registry
+ *
+ * Each feature module registers its card with registerCard(); app.js mounts the dashboard and
+ * loadStats() renders the visible cards generically. The card frame (title bar with move, collapse
+ * and hide buttons) is built here, so feature modules only render the card body.
+ */
+
+// Registered cards by ID
+const cards = new Map();
+
+// Mounted dashboard: { root, userId, layout, shells: Map(id -> {element, body}), hiddenBar, onShowCard }
+let dashboard = null;
+
+const iconPaths = {
+  up: 'M5 10l7-7m0 0l7 7m-7-7v18',
+  down: 'M19 14l-7 7m0 0l-7-7m7 7V3',
+  collapse: 'M20 12H4',
+  expand: 'M12 4v16m8-8H4',
+  hide: 'M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21'
+};
+
+/**
+ * Register a dashboard card
+ * @param {Object} card - Card definition
+ * @param {string} card.id - Card ID; also the prefix of the card's `<id>-detail` section (see toggleHeader.js)
+ * @param {string} card.title - Title shown in the card frame
+ * @param {string} card.placeholder - Text shown until the card renders (e.g. 'Loading levels...')
+ * @param {number} card.order - Default position (lower first)
+ * @param {Array<string>} [card.requires] - Data loaded by loadStats before rendering: 'models' (model list
+ *   and hasDefaultModel) and/or 'schemas' (schemas of every model, see state/schemaCache.js)
+ * @param {Function} card.render - async (container, context) => void; context has facilityURN, region,
+ *   models, hasDefaultModel, schemaCache and sort (sort columns from the URL, see state/router.js)
+ */
+export function registerCard({ id, title, placeholder, order, requires = [], render }) {
+  cards.set(id, { id, title, placeholder, order, requires, render });
+}
+
+/**
+ * Registered cards in their default order
+ * @returns {Array<Object>} Card definitions
+ */
+export function getRegisteredCards() {
+  return [...cards.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Create a progress callback for a card that loads data from every model
+ * @param {HTMLElement} container - Card body element
+ * @param {string} label - What is being loaded (e.g. "levels")
+ * @returns {Function} Callback taking (doneCount, totalCount)
+ */
+export function cardProgress(container, label) {
+  return (done, total) => {
+    container.innerHTML = `<p>Loading ${label}... (${done}/${total} models)</p>`;
+  };
+}
+
+/**
+ * Title bar button for a card layout action
+ * @param {string} action - 'up', 'down', 'collapse' or 'hide'
+ * @param {string} cardId - Card ID
+ * @param {string} title - Tooltip
+ * @returns {string} HTML string
+ */
+function layoutButton(action, cardId, title) {
+  return `
+    <button data-card-action="${action}" data-card-id="${cardId}"
+            class="p-1 rounded text-dark-text-secondary hover:text-tandem-blue hover:bg-dark-bg/50 transition disabled:opacity-30 disabled:pointer-events-none"
+            title="${title}">
+      <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${iconPaths[action]}"></path>
+      </svg>
+    </button>
+  `;
+}
+
+/**
+ * Build the frame of a card: title bar with layout controls and an empty body
+ * @param {Object} card - Card definition
+ * @returns {{element: HTMLElement, body: HTMLElement}}
+ */
+function createCardShell(card) {
+  const element = document.createElement('div');
+  element.className = 'bg-dark-card rounded border border-dark-border p-4 mb-4';
+  element.dataset.card = card.id;
+  element.innerHTML = `
+    <div class="flex items-center justify-between mb-3" data-card-header>
+      <h2 class="text-sm font-semibold text-dark-text">${card.title}</h2>
+      <div class="flex items-center space-x-1">
+        ${layoutButton('up', card.id, 'Move up')}
+        ${layoutButton('down', card.id, 'Move down')}
+        ${layoutButton('collapse', card.id, 'Collapse card')}
+        ${layoutButton('hide', card.id, 'Hide card')}
+      </div>
+    </div>
+    <div class="text-dark-text-secondary text-sm" data-card-body>
+      <p>${card.placeholder}</p>
+    </div>
+  `;
+  return { element, body: element.querySelector('[data-card-body]') };
+}
+
+/**
+ * Put the card frames in layout order and update their controls and the hidden cards bar
+ */
+function applyLayout() {
+  const { root, layout, shells, hiddenBar } = dashboard;
+  const visible = layout.order.filter(id => !layout.hidden.includes(id));
+
+  layout.order.forEach(id => {
+    const { element } = shells.get(id);
+    if (layout.hidden.includes(id)) {
+      element.remove();
+      return;
+    }
+    root.appendChild(element);
+
+    const collapsed = layout.collapsed.includes(id);
+    element.querySelector('[data-card-body]').classList.toggle('hidden', collapsed);
+    element.querySelector('[data-card-header]').classList.toggle('mb-3', !collapsed);
+
+    const collapseBtn = element.querySelector('[data-card-action="collapse"]');
+    collapseBtn.title = collapsed ? 'Expand card' : 'Collapse card';
+    collapseBtn.querySelector('path').setAttribute('d', collapsed ? iconPaths.expand : iconPaths.collapse);
+    element.querySelector('[data-card-action="up"]').disabled = visible[0] === id;
+    element.querySelector('[data-card-action="down"]').disabled = visible[visible.length - 1] === id;
+  });
+
+  const isDefault = JSON.stringify(layout) === JSON.stringify(defaultLayout(getRegisteredCards().map(card => card.id)));
+  hiddenBar.classList.toggle('hidden', isDefault);
+  hiddenBar.innerHTML = `
+    ${layout.hidden.length > 0 ? '<span>Hidden cards:</span>' : ''}
+    ${layout.hidden.map(id => `
+      <button data-card-action="show" data-card-id="${id}"
+              class="px-2 py-1 border border-dark-border rounded hover:border-tandem-blue hover:text-tandem-blue transition"
+              title="Show card">+ ${cards.get(id).title}</button>
+    `).join('')}
+    <button data-card-action="reset" class="text-tandem-blue hover:underline">Reset layout</button>
+  `;
+  root.appendChild(hiddenBar);
+}
+
+/**
+ * Apply a layout change from the card controls and save it
+ * @param {string} action - 'up', 'down', 'collapse', 'hide', 'show' or 'reset'
+ * @param {string} cardId - Card ID (not used by 'reset')
+ */
+function handleLayoutAction(action, cardId) {
+  const { layout } = dashboard;
+  const cardIds = getRegisteredCards().map(card => card.id);
+  let shown = [];
+
+  if (action === 'up' || action === 'down') {
+    dashboard.layout = moveCard(layout, cardId, action === 'up' ? -1 : 1);
+  } else if (action === 'collapse') {
+    dashboard.layout = setCardFlag(layout, 'collapsed', cardId, !layout.collapsed.includes(cardId));
+  } else if (action === 'hide') {
+    dashboard.layout = setCardFlag(layout, 'hidden', cardId, true);
+  } else if (action === 'show') {
+    dashboard.layout = setCardFlag(layout, 'hidden', cardId, false);
+    shown = [cardId];
+  } else if (action === 'reset') {
+    dashboard.layout = defaultLayout(cardIds);
+    shown = layout.hidden;
+  }
+
+  saveCardLayout(dashboard.userId, action === 'reset' ? null : dashboard.layout);
+  applyLayout();
+
+  // Hidden cards weren't loaded (or show a previous facility) - load them now
+  shown.forEach(id => dashboard.onShowCard?.(cards.get(id), dashboard.shells.get(id).body));
+}
+
+/**
+ * Build the dashboard cards in a user's saved layout
+ * @param {HTMLElement} root - Element the card frames are rendered into
+ * @param {string|null} userId - Signed-in user's ID (layouts are saved per user; not saved without one)
+ * @param {Object} [options]
+ * @param {Function} [options.onShowCard] - Called with (card, container) when a hidden card is shown again
+ */
+export function mountDashboard(root, userId, { onShowCard } = {}) {
+  const registered = getRegisteredCards();
+  const hiddenBar = document.createElement('div');
+  hiddenBar.className = 'flex items-center flex-wrap gap-2 text-xs text-dark-text-secondary mb-4';
+
+  dashboard = {
+    root,
+    userId,
+    layout: loadCardLayout(userId, registered.map(card => card.id)),
+    shells: new Map(registered.map(card => [card.id, createCardShell(card)])),
+    hiddenBar,
+    onShowCard
+  };
+  root.innerHTML = '';
+  root.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-card-action]');
+    if (button) {
+      handleLayoutAction(button.dataset.cardAction, button.dataset.cardId);
+    }
+  });
+  applyLayout();
+}
+
+/**
+ * Cards on screen (not hidden), in layout order
+ * @returns {Array<{card: Object, container: HTMLElement}>} Card definitions with their body element
+ */
+export function getVisibleCards() {
+  if (!dashboard) {
+    return [];
+  }
+  const { layout, shells } = dashboard;
+  return layout.order
+    .filter(id => !layout.hidden.includes(id))
+    .map(id => ({ card: cards.get(id), container: shells.get(id).body }));
+}
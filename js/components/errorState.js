@@ -0,0 +1,68 @@
+import { ApiError } from '../api.js';
+
+/**
+ * Get a short, user-facing description of a failed request
+ * @param {Error} error - Error thrown by the API layer
+ * @returns {string} Description suitable for display
+ */
+export function describeError(error) {
+  if (!(error instanceof ApiError)) {
+    return error?.message || 'Unexpected error';
+  }
+  if (error.isNetworkError) {
+    return 'Network error - check your connection';
+  }
+  switch (error.status) {
+    case 401:
+      return 'Session expired - please log in again';
+    case 403:
+      return 'Access denied (403)';
+    case 404:
+      return 'Not found (404)';
+    case 429: {
+      const wait = error.retryAfterMs ? ` - try again in ${Math.ceil(error.retryAfterMs / 1000)}s` : '';
+      return `Too many requests (429)${wait}`;
+    }
+    default:
+      return error.status >= 500
+        ? `Tandem service error (${error.status})`
+        : `Request failed (${error.status} ${error.statusText})`.trim();
+  }
+}
+
+/**
+ * Render an error state with a retry button into a card container
+ * Used when a card's data could not be loaded (as opposed to loading successfully with no data).
+ * @param {HTMLElement} container - DOM element to render into
+ * @param {Error} error - Error that caused the failure
+ * @param {Function} [onRetry] - Called when the user clicks Retry; the button is hidden if omitted
+ */
+export function renderErrorState(container, error, onRetry = null) {
+  container.innerHTML = `
+    <div class="flex items-center justify-between gap-3 p-3 bg-red-900/20 border border-red-800 rounded">
+      <div class="min-w-0">
+        <p class="text-red-500 text-xs font-medium">Failed to load data</p>
+        <p class="text-dark-text-secondary text-xs truncate"></p>
+      </div>
+      ${onRetry ? `
+      <button class="retry-btn flex-shrink-0 inline-flex items-center px-3 py-1 border border-tandem-blue text-xs font-medium rounded text-tandem-blue hover:bg-tandem-blue hover:text-white transition">
+        Retry
+      </button>
+      ` : ''}
+    </div>
+  `;
+
+  // Set through the DOM: messages come from the server or exceptions and may contain markup or quotes
+  const description = container.querySelector('p.truncate');
+  description.textContent = describeError(error);
+  description.title = error?.message || '';
+
+  if (onRetry) {
+    const retryBtn = container.querySelector('.retry-btn');
+    retryBtn.addEventListener('click', () => {
+      retryBtn.disabled = true;
+      container.innerHTML = '<p>Retrying...</p>';
+      onRetry();
+    });
+  }
+}
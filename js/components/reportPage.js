@@ -0,0 +1,441 @@
+import { toScriptLiteral } from '../utils.js';
+import { TIME_RANGE_PRESETS } from '../utils/timeseries.js';
+import { describeError } from './errorState.js';
+
+/**
+ * Report page shell shared by the pages opened in a new tab (threshold, anomaly and calculated stream reports,
+ * level heatmap, ticket analytics): styles, header with the export button, time range picker, in-page helpers
+ * and the open-in-new-tab flow. Each report module only adds its own markup, styles and script.
+ */
+
+const XLSX_SCRIPT = 'https://unpkg.com/xlsx-js-style@1.2.0/dist/xlsx.bundle.js';
+
+/**
+ * Chart.js, for pages with charts
+ */
+export const CHART_SCRIPT = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js';
+
+/**
+ * Chart.js and its date adapter, for pages with time series charts
+ */
+export const CHART_SCRIPTS = [
+  CHART_SCRIPT,
+  'https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js'
+];
+
+/**
+ * Time range select and start/end inputs; goes in the page's .controls (wired when timeRange is set)
+ */
+export const RANGE_CONTROLS = `<select id="range-preset" title="Time range"></select>
+        <input type="datetime-local" id="range-start" title="Start">
+        <span>–</span>
+        <input type="datetime-local" id="range-end" title="End">`;
+
+const REPORT_STYLES = `
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      background-color: #1a1a1a;
+      color: #e0e0e0;
+      margin: 0;
+      padding: 20px;
+    }
+    .container {
+      max-width: 1600px;
+      margin: 0 auto;
+    }
+    .main-header, .section {
+      background: #2a2a2a;
+      padding: 20px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      border: 1px solid #404040;
+    }
+    .header-top {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 10px;
+    }
+    h1 {
+      margin: 0;
+      color: #0696D7;
+      font-size: 24px;
+      font-weight: 600;
+    }
+    h2 {
+      margin: 0 0 15px 0;
+      font-size: 18px;
+      font-weight: 600;
+    }
+    .info {
+      font-size: 12px;
+      color: #a0a0a0;
+      font-family: monospace;
+      margin-bottom: 5px;
+    }
+    .controls {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      margin-top: 15px;
+      padding-top: 15px;
+      border-top: 1px solid #404040;
+      font-size: 13px;
+    }
+    .controls select, .controls input {
+      background: #1a1a1a;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 6px 8px;
+      font-size: 13px;
+      color-scheme: dark;
+    }
+    .status {
+      font-size: 12px;
+      color: #a0a0a0;
+    }
+    .status.error {
+      color: #f87171;
+    }
+    .stats {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 32px;
+      margin-top: 15px;
+    }
+    .stat-label {
+      font-size: 11px;
+      color: #a0a0a0;
+      text-transform: uppercase;
+      letter-spacing: 0.05em;
+    }
+    .stat-value {
+      font-size: 24px;
+      font-weight: 600;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+    }
+    th {
+      text-align: left;
+      font-weight: 600;
+      padding: 8px;
+      background: #1f1f1f;
+      border-bottom: 1px solid #404040;
+    }
+    td {
+      padding: 8px;
+      border-bottom: 1px solid #353535;
+    }
+    td.num, th.num {
+      text-align: right;
+    }
+    .muted {
+      color: #808080;
+    }
+    .table-scroll {
+      max-height: 480px;
+      overflow-y: auto;
+    }
+    .empty {
+      color: #808080;
+      font-size: 14px;
+      padding: 20px;
+      text-align: center;
+    }
+    .export-btn, .secondary-btn {
+      background: #0696D7;
+      color: white;
+      border: none;
+      padding: 10px 20px;
+      border-radius: 4px;
+      font-size: 14px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: background 0.2s;
+      display: inline-flex;
+      align-items: center;
+      gap: 8px;
+    }
+    .secondary-btn {
+      background: #404040;
+      padding: 6px 14px;
+    }
+    .export-btn:hover {
+      background: #0580b8;
+    }
+    .secondary-btn:hover {
+      background: #505050;
+    }
+    .export-btn:disabled, .secondary-btn:disabled {
+      background: #404040;
+      cursor: not-allowed;
+    }`;
+
+/**
+ * In-page helpers every report page gets, before its own script
+ */
+const REPORT_SCRIPT = `
+    function formatTime(ts) {
+      return new Date(ts).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+    }
+
+    function escapeHtml(str) {
+      const div = document.createElement('div');
+      div.textContent = str == null ? '' : String(str);
+      return div.innerHTML;
+    }
+
+    function setStatus(text, isError) {
+      const status = document.getElementById('status');
+      status.textContent = text;
+      status.className = isError ? 'status error' : 'status';
+    }
+
+    /**
+     * Call a loader the dashboard set on this window, with the Apply button disabled and progress in the status
+     * The loader gets args followed by an onProgress callback. Returns its result, or null when it failed (the
+     * error is shown in the status).
+     */
+    async function loadFromDashboard(loaderName, args, what) {
+      const applyBtn = document.getElementById('apply-btn');
+      applyBtn.disabled = true;
+      setStatus('Loading...');
+      try {
+        if (typeof window[loaderName] !== 'function') {
+          throw new Error('The dashboard window was closed or reloaded');
+        }
+        const result = await window[loaderName](...args, (done, total) => {
+          setStatus('Loading... (' + done + '/' + total + ' requests)');
+        });
+        setStatus('');
+        return result;
+      } catch (error) {
+        console.error('Error loading ' + what + ':', error);
+        setStatus('Failed to load: ' + (error.message || error), true);
+        return null;
+      } finally {
+        applyBtn.disabled = false;
+      }
+    }
+
+    // Excel Export Utilities
+    const ExcelUtils = {
+      headerStyle: {
+        font: { bold: true, color: { rgb: "000000" } },
+        fill: { fgColor: { rgb: "D3D3D3" } },
+        alignment: { vertical: "center", horizontal: "left" }
+      },
+
+      styleHeaderRow: function(sheet, rowIndex, count, style) {
+        for (let c = 0; c < count; c++) {
+          const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: c })];
+          if (cell) {
+            cell.s = style;
+          }
+        }
+      }
+    };
+
+    /**
+     * Export to Excel from the header button
+     * fillWorkbook(workbook) adds the sheets; the file is saved as <fileName>-<date>.xlsx.
+     */
+    function setupExport(fileName, fillWorkbook) {
+      const exportBtn = document.getElementById('export-btn');
+      exportBtn.addEventListener('click', () => {
+        const originalText = exportBtn.innerHTML;
+        const showResult = html => {
+          exportBtn.innerHTML = html;
+          setTimeout(() => {
+            exportBtn.innerHTML = originalText;
+            exportBtn.disabled = false;
+          }, 2000);
+        };
+
+        try {
+          exportBtn.disabled = true;
+          exportBtn.innerHTML = '<span>⏳</span><span>Exporting...</span>';
+
+          const workbook = XLSX.utils.book_new();
+          fillWorkbook(workbook);
+          XLSX.writeFile(workbook, fileName + '-' + new Date().toISOString().slice(0, 10) + '.xlsx');
+
+          showResult('<span>✓</span><span>Exported!</span>');
+        } catch (error) {
+          console.error('Export error:', error);
+          showResult('<span>✗</span><span>Export Failed</span>');
+        }
+      });
+    }`;
+
+/**
+ * In-page time range picker (RANGE_CONTROLS): preset options, and a custom range once the dates are edited
+ * @returns {string} Script source
+ */
+function rangeScript() {
+  const presets = TIME_RANGE_PRESETS.map(({ id, label, duration }) => ({ id, label, duration }));
+
+  return `
+    const presets = ${toScriptLiteral(presets)};
+    const rangePreset = document.getElementById('range-preset');
+    const rangeStart = document.getElementById('range-start');
+    const rangeEnd = document.getElementById('range-end');
+
+    /**
+     * Format a timestamp for a datetime-local input (local time)
+     */
+    function toInputValue(ts) {
+      const date = new Date(ts);
+      const pad = n => String(n).padStart(2, '0');
+      return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+        'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+    }
+
+    /**
+     * Show a loaded range ({ preset, start, end }) in the picker
+     */
+    function showRange(range) {
+      rangePreset.value = range.preset || 'custom';
+      rangeStart.value = toInputValue(range.start);
+      rangeEnd.value = toInputValue(range.end);
+    }
+
+    /**
+     * The picked range: { preset } or { start, end }
+     */
+    function readRangeSelection() {
+      return rangePreset.value === 'custom'
+        ? { start: new Date(rangeStart.value).getTime(), end: new Date(rangeEnd.value).getTime() }
+        : { preset: rangePreset.value };
+    }
+
+    rangePreset.innerHTML = presets.map(p => '<option value="' + p.id + '">' + p.label + '</option>').join('') +
+      '<option value="custom">Custom range</option>';
+
+    rangePreset.addEventListener('change', () => {
+      const preset = presets.find(p => p.id === rangePreset.value);
+      if (preset) {
+        const now = Date.now();
+        rangeStart.value = toInputValue(now - preset.duration);
+        rangeEnd.value = toInputValue(now);
+      }
+    });
+    [rangeStart, rangeEnd].forEach(input => input.addEventListener('change', () => {
+      rangePreset.value = 'custom';
+    }));`;
+}
+
+/**
+ * Generate a report page
+ * The header has the title, the export button and the model; the page's script runs after the shared helpers
+ * (formatTime, escapeHtml, setStatus, loadFromDashboard, ExcelUtils, setupExport and, with timeRange, the range
+ * picker's showRange and readRangeSelection).
+ * @param {Object} page - Page parts
+ * @param {string} page.title - Page title and heading
+ * @param {string} page.defaultModelURN - Default model URN
+ * @param {Array<string>} [page.scripts] - Extra script URLs (CHART_SCRIPT or CHART_SCRIPTS)
+ * @param {string} [page.styles] - Page CSS, after the shared styles
+ * @param {string} [page.header] - Markup under the model line (stats, controls)
+ * @param {string} page.body - Sections after the header
+ * @param {string} page.script - Page script
+ * @param {boolean} [page.timeRange] - Wire the RANGE_CONTROLS the header contains
+ * @returns {string} HTML page content
+ */
+export function generateReportPageHTML({ title, defaultModelURN, scripts = [], styles = '', header = '', body, script, timeRange = false }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+${[...scripts, XLSX_SCRIPT].map(src => `  <script src="${src}"></script>`).join('\n')}
+  <style>${REPORT_STYLES}${styles}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="main-header">
+      <div class="header-top">
+        <h1>${title}</h1>
+        <button id="export-btn" class="export-btn">
+          <span>📊</span>
+          <span>Export to Excel</span>
+        </button>
+      </div>
+      <div class="info">Model: ${defaultModelURN}</div>${header}
+    </div>${body}
+  </div>
+
+  <script>${REPORT_SCRIPT}
+${timeRange ? rangeScript() : ''}
+${script}
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Build a report page and open it in a new tab
+ * Shows a spinner on the button while the data loads. The page's globals (its loaders) are set on the new window
+ * before the page is written, so its script can call them while loading.
+ * @param {Object} options - Report options
+ * @param {string} options.name - Report name for messages (e.g. 'anomaly report')
+ * @param {Function} options.build - async () => { html, globals }, or null when there is nothing to show (after
+ *   telling the user)
+ * @param {HTMLElement} [options.button] - Button element that triggered the action
+ */
+export async function openReportWindow({ name, build, button = null }) {
+  let originalText = null;
+  const resetButton = () => {
+    if (button && originalText) {
+      button.disabled = false;
+      button.innerHTML = originalText;
+    }
+  };
+
+  try {
+    // Show loading state on button if provided
+    if (button) {
+      originalText = button.innerHTML;
+      button.disabled = true;
+      button.innerHTML = `
+        <svg class="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
+          <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+          <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+      `;
+    }
+
+    const page = await build();
+    resetButton();
+    if (!page) {
+      return;
+    }
+
+    // Open in new tab
+    const newWindow = window.open('', '_blank');
+    if (!newWindow) {
+      alert(`Please allow pop-ups to view the ${name}`);
+      return;
+    }
+    Object.assign(newWindow, page.globals);
+    newWindow.document.write(page.html);
+    newWindow.document.close();
+  } catch (error) {
+    console.error(`Error viewing ${name}:`, error);
+    alert(`Failed to load ${name}: ${describeError(error)}`);
+    resetButton();
+  }
+}
@@ -1,4 +1,5 @@
 import { getPropertyDisplayName } from '../state/schemaCache.js';
+import { estimateCapacity, formatPointCount } from '../utils/capacity.js';
 
 /**
  * Format frequency in milliseconds to human-readable string
@@ -65,24 +66,10 @@ function formatRetention(days) {
 function calculateCapacity(settings) {
   if (!settings) return 'N/A';
   
-  const frequency = settings.frequency || 60000; // Default 1 minute
-  const retention = settings.retentionPeriod || 90; // Default 90 days
-  const paramCount = Object.keys(settings.sourceMapping || {}).length + 
-                     Object.keys(settings.calculationSettings || {}).length;
+  const { parameters, retainedPoints } = estimateCapacity(settings);
+  if (parameters === 0) return '0 data points';
   
-  if (paramCount === 0) return '0 data points';
-  
-  const msPerDay = 24 * 60 * 60 * 1000;
-  const pointsPerParam = (retention * msPerDay) / frequency;
-  const totalPoints = pointsPerParam * paramCount;
-  
-  if (totalPoints >= 1000000) {
-    return `~${(totalPoints / 1000000).toFixed(1)}M data points`;
-  }
-  if (totalPoints >= 1000) {
-    return `~${(totalPoints / 1000).toFixed(1)}K data points`;
-  }
-  return `~${Math.floor(totalPoints)} data points`;
+  return `${formatPointCount(retainedPoints)} data points`;
 }
 
 /**
@@ -1,3 +1,8 @@
+import { setRouteCardExpanded } from '../state/router.js';
+
+// Toggle functions by card ID (detail section ID without "-detail"), for expandCard()
+const cardToggles = new Map();
+
 /**
  * Create a toggle header for collapsible sections
  * @param {Object} options - Configuration options
@@ -49,6 +54,8 @@ export function createToggleHeader({
 
 /**
  * Create a toggle function for collapsible sections
+ * The card's expanded state is recorded in the URL hash (state/router.js) so it survives a
+ * reload and can be shared; the card ID is the detail section ID without "-detail".
  * @param {Object} options - Configuration options
  * @param {string} options.detailId - ID of the detail section
  * @param {string} options.summaryId - ID of the summary section
@@ -64,7 +71,9 @@ export function createToggleFunction({
   iconDownId,
   iconUpId
 }) {
-  return function() {
+  const card = detailId.replace(/-detail$/, '');
+
+  const toggle = function() {
     const detailSection = document.getElementById(detailId);
     const summarySection = document.getElementById(summaryId);
     const toggleBtn = document.getElementById(toggleBtnId);
@@ -87,7 +96,33 @@ export function createToggleFunction({
         iconUp.classList.add('hidden');
         toggleBtn.title = 'Show more';
       }
+      setRouteCardExpanded(card, !detailSection.classList.contains('hidden'));
     }
   };
+  cardToggles.set(card, toggle);
+  return toggle;
+}
+
+/**
+ * Expand or collapse a card that has been rendered
+ * Does nothing if the card isn't on screen or is already in the requested state.
+ * @param {string} card - Card ID (e.g. 'streams')
+ * @param {boolean} [expanded=true] - Expand (true) or collapse (false)
+ */
+export function expandCard(card, expanded = true) {
+  const detailSection = document.getElementById(`${card}-detail`);
+  const toggle = cardToggles.get(card);
+
+  if (toggle && detailSection && detailSection.classList.contains('hidden') === expanded) {
+    toggle();
+  }
+}
+
+/**
+ * IDs of all cards with a toggle function
+ * @returns {Array<string>}
+ */
+export function getCardIds() {
+  return [...cardToggles.keys()];
 }
 
@@ -8,6 +8,7 @@ const prodEnvironment = {
   loginRedirect: "http://localhost:8000",
   tandemDbBaseURL: "https://developer.api.autodesk.com/tandem/v1",
   tandemAppBaseURL: "https://tandem.autodesk.com/app",
+  userProfileURL: "https://api.userprofile.autodesk.com/userinfo",
 };
 
 const stgEnvironment = {
@@ -18,13 +19,51 @@ const stgEnvironment = {
   loginRedirect: "http://localhost:8000",
   tandemDbBaseURL: "https://tandem-stg.autodesk.com/api/v1",
   tandemAppBaseURL: "https://tandem-stg.autodesk.com/app",
+  userProfileURL: "https://api.userprofile.autodesk.com/userinfo",
+};
+
+// Local mock server (mock/server.mjs) - no OAuth, data comes from mock/fixtures.
+// The mock server also serves the app, so the API is on the page's own origin.
+const mockEnvironment = {
+  name: "mock",
+  oxygenHost: null,
+  apsHost: null,
+  apsKey: "",
+  loginRedirect: null,
+  tandemDbBaseURL: "/api/v1",
+  tandemAppBaseURL: "https://tandem.autodesk.com/app",
+  userProfileURL: "/api/v1/userinfo",
+};
+
+/**
+ * Environments by name, for callers that pick one explicitly (cli/stats.mjs --env)
+ * The mock environment's tandemDbBaseURL is relative to wherever mock/server.mjs runs.
+ */
+export const Environments = {
+  prod: prodEnvironment,
+  stg: stgEnvironment,
+  mock: mockEnvironment
 };
 
 /**
  * Get the current environment configuration
+ * Open the app with ?env=mock to use the local mock server instead of Tandem.
+ * Outside the browser (no page URL to derive a login redirect from) this is production as-is.
  * @returns {object} Environment configuration
  */
 export function getEnv() {
+  if (typeof window === 'undefined') {
+    return prodEnvironment;
+  }
+  if (new URLSearchParams(window.location.search).get('env') === 'mock') {
+    return {
+      ...mockEnvironment,
+      loginRedirect: window.location.origin + window.location.pathname,
+      tandemDbBaseURL: window.location.origin + mockEnvironment.tandemDbBaseURL,
+      userProfileURL: window.location.origin + mockEnvironment.userProfileURL
+    };
+  }
+
   // Auto-detect redirect URL based on current location
   const isGitHubPages = window.location.hostname.includes('github.io');
   const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
@@ -0,0 +1,345 @@
+import { getDefaultModelURN } from '../api.js';
+import { formatDuration, toScriptLiteral } from '../utils.js';
+import { ANOMALY_METHODS, findStreamAnomalies, summarizeAnomalies } from '../utils/anomalies.js';
+import { loadAnomalySettings, saveAnomalySettings } from '../state/anomalySettings.js';
+import { RANGE_CONTROLS, generateReportPageHTML, openReportWindow } from '../components/reportPage.js';
+
+/**
+ * Range the report opens with
+ */
+const DEFAULT_RANGE = { preset: '7d' };
+
+/**
+ * Detect anomalies in loaded stream values
+ * @param {Object} loaded - Result of loadStreamSeries ({ series, propertyDisplayNames, range })
+ * @param {Object} settings - Detection settings (see utils/anomalies.js)
+ * @returns {Object} { range, settings, streams, anomalies, totals } for the report page
+ */
+function buildAnomalyReport(loaded, settings) {
+  const anomalies = findStreamAnomalies(loaded.series, settings).map(anomaly => ({
+    ...anomaly,
+    displayName: loaded.propertyDisplayNames[anomaly.propKey] || anomaly.propKey,
+    durationLabel: anomaly.end > anomaly.start ? formatDuration(anomaly.end - anomaly.start) : null
+  }));
+
+  return {
+    range: loaded.range,
+    settings,
+    streams: loaded.series.map(({ key, name }) => ({ key, name })),
+    anomalies,
+    totals: summarizeAnomalies(loaded.series, anomalies)
+  };
+}
+
+/**
+ * Generate the anomaly report page
+ * The page lists the anomalies of every stream (stream, property, method, time, value, severity) and
+ * totals per stream, and lets the user change the range and the detection settings. It reloads through
+ * window.loadAnomalyReport, which viewAnomalyReport sets on the new window.
+ * @param {Object} reportPage - Page data
+ * @param {string} reportPage.defaultModelURN - Default model URN
+ * @param {Object} reportPage.report - Result of buildAnomalyReport
+ * @returns {string} HTML page content
+ */
+function generateAnomalyReportHTML({ defaultModelURN, report }) {
+  return generateReportPageHTML({
+    title: 'Stream Anomalies',
+    defaultModelURN,
+    timeRange: true,
+    styles: `
+    .severity {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+    }
+    .severity.high {
+      background: rgba(239, 68, 68, 0.2);
+      color: #f87171;
+    }
+    .severity.medium {
+      background: rgba(249, 115, 22, 0.2);
+      color: #fb923c;
+    }
+    .severity.low {
+      background: rgba(234, 179, 8, 0.2);
+      color: #facc15;
+    }
+    .anomaly-settings {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+      gap: 12px;
+      margin-top: 15px;
+      font-size: 13px;
+    }
+    .anomaly-method label {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      margin-top: 6px;
+      color: #a0a0a0;
+    }
+    .anomaly-method .method-name {
+      justify-content: flex-start;
+      margin-top: 0;
+      color: #e0e0e0;
+      font-weight: 600;
+    }
+    .anomaly-method input[type="number"] {
+      width: 80px;
+      background: #1a1a1a;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 4px 6px;
+    }`,
+    header: `
+      <div class="info" id="time-range"></div>
+      <div class="stats" id="stats"></div>
+      <div id="anomaly-settings" class="anomaly-settings"></div>
+      <div class="controls">
+        ${RANGE_CONTROLS}
+        <button id="apply-btn" class="export-btn">Apply</button>
+        <span id="status" class="status"></span>
+      </div>`,
+    body: `
+    <div class="section">
+      <h2>Per Stream</h2>
+      <div id="totals"></div>
+    </div>
+    <div class="section">
+      <h2>Anomalies</h2>
+      <div id="anomalies" class="table-scroll"></div>
+    </div>`,
+    script: `
+    const anomalyMethods = ${toScriptLiteral(ANOMALY_METHODS)};
+    const severityColors = { high: '#EF4444', medium: '#F97316', low: '#EAB308' };
+    const severityRank = { high: 0, medium: 1, low: 2 };
+    const maxRows = 1000;
+    let report = ${toScriptLiteral(report)};
+
+    function formatNumber(value) {
+      return value === null || value === undefined ? '' : String(Math.round(value * 100) / 100);
+    }
+
+    function methodLabel(id) {
+      const method = anomalyMethods.find(m => m.id === id);
+      return method ? method.label : id;
+    }
+
+    function severityBadge(severity) {
+      return '<span class="severity ' + severity + '">' + severity + '</span>';
+    }
+
+    /**
+     * Anomalies with the most severe first, then the most recent
+     */
+    function sortedAnomalies() {
+      return report.anomalies.slice().sort((a, b) =>
+        severityRank[a.severity] - severityRank[b.severity] || b.start - a.start);
+    }
+
+    function renderHeader() {
+      document.getElementById('time-range').textContent = 'Time Range: ' + report.range.label;
+      const count = severity => report.anomalies.filter(a => a.severity === severity).length;
+      const affected = report.totals.filter(total => total.count > 0).length;
+      const stat = (label, value, color) =>
+        '<div><div class="stat-label">' + label + '</div><div class="stat-value" style="color: ' + (value > 0 ? color : '#808080') + '">' + value + '</div></div>';
+
+      document.getElementById('stats').innerHTML =
+        stat('Streams', report.streams.length, '#0696D7') +
+        stat('With Anomalies', affected, '#e0e0e0') +
+        stat('Anomalies', report.anomalies.length, '#e0e0e0') +
+        stat('High', count('high'), severityColors.high) +
+        stat('Medium', count('medium'), severityColors.medium) +
+        stat('Low', count('low'), severityColors.low);
+
+      showRange(report.range);
+    }
+
+    function renderSettings() {
+      document.getElementById('anomaly-settings').innerHTML = anomalyMethods.map(method => {
+        const settings = report.settings[method.id];
+        return '<div class="anomaly-method">' +
+          '<label class="method-name"><input type="checkbox" data-method="' + method.id + '"' + (settings.enabled ? ' checked' : '') + '> ' + method.label + '</label>' +
+          method.params.map(param =>
+            '<label>' + param.label +
+              '<input type="number" data-method="' + method.id + '" data-param="' + param.id + '" min="' + param.min + '" step="any" value="' + settings[param.id] + '">' +
+            '</label>'
+          ).join('') +
+        '</div>';
+      }).join('');
+    }
+
+    function readSettings() {
+      const settings = {};
+      anomalyMethods.forEach(method => {
+        settings[method.id] = {};
+      });
+      document.querySelectorAll('#anomaly-settings input').forEach(input => {
+        const target = settings[input.dataset.method];
+        if (input.dataset.param) {
+          target[input.dataset.param] = input.value;
+        } else {
+          target.enabled = input.checked;
+        }
+      });
+      return settings;
+    }
+
+    function renderTotals() {
+      document.getElementById('totals').innerHTML = '<table><thead><tr>' +
+        '<th>Stream</th><th class="num">Anomalies</th><th class="num">High</th><th class="num">Medium</th><th class="num">Low</th>' +
+        anomalyMethods.map(method => '<th class="num">' + method.label + '</th>').join('') +
+        '</tr></thead><tbody>' +
+        report.totals.map(total =>
+          '<tr>' +
+            '<td>' + escapeHtml(total.streamName) + '</td>' +
+            '<td class="num">' + total.count + '</td>' +
+            '<td class="num">' + total.high + '</td>' +
+            '<td class="num">' + total.medium + '</td>' +
+            '<td class="num">' + total.low + '</td>' +
+            anomalyMethods.map(method => '<td class="num">' + total.byMethod[method.id] + '</td>').join('') +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    function renderAnomalies() {
+      const container = document.getElementById('anomalies');
+      if (report.anomalies.length === 0) {
+        container.innerHTML = '<div class="empty">No anomalies in this time range.</div>';
+        return;
+      }
+      container.innerHTML = '<table><thead><tr>' +
+        '<th>Severity</th><th>Stream</th><th>Property</th><th>Method</th><th>Time</th><th class="num">Value</th><th class="num">Expected</th>' +
+        '</tr></thead><tbody>' +
+        sortedAnomalies().slice(0, maxRows).map(anomaly =>
+          '<tr>' +
+            '<td>' + severityBadge(anomaly.severity) + '</td>' +
+            '<td>' + escapeHtml(anomaly.streamName) + '</td>' +
+            '<td>' + escapeHtml(anomaly.displayName) + ' <span class="muted">(' + escapeHtml(anomaly.propKey) + ')</span></td>' +
+            '<td>' + methodLabel(anomaly.method) + '</td>' +
+            '<td>' + formatTime(anomaly.start) + (anomaly.durationLabel ? ' <span class="muted">for ' + anomaly.durationLabel + '</span>' : '') + '</td>' +
+            '<td class="num">' + escapeHtml(formatNumber(anomaly.value)) + '</td>' +
+            '<td class="num">' + escapeHtml(formatNumber(anomaly.expected)) + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>' +
+        (report.anomalies.length > maxRows ? '<div class="empty">Showing the ' + maxRows + ' most severe of ' + report.anomalies.length + ' anomalies; export to Excel for all.</div>' : '');
+    }
+
+    function renderReport() {
+      renderHeader();
+      renderSettings();
+      renderTotals();
+      renderAnomalies();
+    }
+
+    async function applySettings() {
+      const loaded = await loadFromDashboard('loadAnomalyReport', [readRangeSelection(), readSettings()], 'anomaly report');
+      if (loaded) {
+        report = loaded;
+        renderReport();
+      }
+    }
+    document.getElementById('apply-btn').addEventListener('click', applySettings);
+
+    renderReport();
+
+    setupExport('stream-anomalies', workbook => {
+      // Summary sheet: report info and totals per stream
+      const totalsHeader = ['Stream', 'Stream Key', 'Anomalies', 'High', 'Medium', 'Low'].concat(anomalyMethods.map(method => method.label));
+      const summaryData = [
+        ['Model', ${toScriptLiteral(defaultModelURN)}],
+        ['Time Range', report.range.label],
+        ['Anomalies', report.anomalies.length],
+        ['Export Date', new Date().toLocaleString()],
+        [],
+        totalsHeader
+      ];
+      report.totals.forEach(total => {
+        summaryData.push([
+          total.streamName,
+          total.streamKey,
+          total.count,
+          total.high,
+          total.medium,
+          total.low
+        ].concat(anomalyMethods.map(method => total.byMethod[method.id])));
+      });
+      const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
+      summarySheet['!cols'] = [{ wch: 30 }, { wch: 30 }].concat(totalsHeader.slice(2).map(() => ({ wch: 14 })));
+      ExcelUtils.styleHeaderRow(summarySheet, 5, totalsHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+      // Anomaly list
+      const anomalyHeader = ['Severity', 'Stream', 'Stream Key', 'Property', 'Property ID', 'Method', 'Start', 'End', 'Value', 'Expected', 'Score'];
+      const anomalyData = [anomalyHeader];
+      sortedAnomalies().forEach(anomaly => {
+        anomalyData.push([
+          anomaly.severity,
+          anomaly.streamName,
+          anomaly.streamKey,
+          anomaly.displayName,
+          anomaly.propKey,
+          methodLabel(anomaly.method),
+          new Date(anomaly.start).toLocaleString(),
+          new Date(anomaly.end).toLocaleString(),
+          anomaly.value,
+          anomaly.expected === null ? null : Math.round(anomaly.expected * 1000) / 1000,
+          Math.round(anomaly.score * 100) / 100
+        ]);
+      });
+      const anomalySheet = XLSX.utils.aoa_to_sheet(anomalyData);
+      anomalySheet['!cols'] = [{ wch: 10 }, { wch: 30 }, { wch: 30 }, { wch: 25 }, { wch: 12 }, { wch: 18 }, { wch: 22 }, { wch: 22 }, { wch: 10 }, { wch: 10 }, { wch: 8 }];
+      ExcelUtils.styleHeaderRow(anomalySheet, 0, anomalyHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, anomalySheet, 'Anomalies');
+
+      // Detection settings
+      const settingsHeader = ['Method', 'Enabled', 'Parameter', 'Value'];
+      const settingsData = [settingsHeader];
+      anomalyMethods.forEach(method => {
+        const settings = report.settings[method.id];
+        method.params.forEach(param => {
+          settingsData.push([method.label, settings.enabled ? 'Yes' : 'No', param.label, settings[param.id]]);
+        });
+      });
+      const settingsSheet = XLSX.utils.aoa_to_sheet(settingsData);
+      settingsSheet['!cols'] = [{ wch: 18 }, { wch: 10 }, { wch: 30 }, { wch: 10 }];
+      ExcelUtils.styleHeaderRow(settingsSheet, 0, settingsHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, settingsSheet, 'Settings');
+    });`
+  });
+}
+
+/**
+ * View the anomaly report in a new tab
+ * Opens with the last 7 days of every stream and the saved detection settings; the page can change both.
+ * @param {string} facilityURN - Facility URN
+ * @param {Function} loadSeries - Loads the values of the streams: (rangeSelection, onProgress) => loadStreamSeries result
+ * @param {HTMLElement} button - Button element that triggered the action
+ */
+export function viewAnomalyReport(facilityURN, loadSeries, button = null) {
+  return openReportWindow({
+    name: 'anomaly report',
+    button,
+    build: async () => {
+      // Settings changed on the page are saved for the next report and stream chart
+      const load = async (rangeSelection, settings, onProgress) => {
+        const saved = saveAnomalySettings(settings);
+        return buildAnomalyReport(await loadSeries(rangeSelection, onProgress), saved);
+      };
+      const report = buildAnomalyReport(await loadSeries(DEFAULT_RANGE), loadAnomalySettings());
+
+      return {
+        html: generateAnomalyReportHTML({ defaultModelURN: getDefaultModelURN(facilityURN), report }),
+        // The page reloads through it (time range and settings changes)
+        globals: { loadAnomalyReport: load }
+      };
+    }
+  });
+}
@@ -0,0 +1,655 @@
+import { getDefaultModelURN } from '../api.js';
+import { formatDuration, toScriptLiteral } from '../utils.js';
+import {
+  DEFAULT_TOLERANCE,
+  InputStatus,
+  calculationNode,
+  calculationStatus,
+  checkCalculation,
+  compareValues,
+  findCycles,
+  listCalculations,
+  producedProperties,
+  recomputeValues
+} from '../utils/calculations.js';
+import { CHART_SCRIPTS, RANGE_CONTROLS, generateReportPageHTML, openReportWindow } from '../components/reportPage.js';
+
+/**
+ * Range the report opens with
+ */
+const DEFAULT_RANGE = { preset: '24h' };
+
+/**
+ * Input values older than this many calculation periods count as missing when recomputing
+ */
+const MAX_INPUT_AGE_PERIODS = 2;
+
+/**
+ * Check the formulas and inputs of the calculated stream properties (everything that doesn't need values)
+ * @param {Array<Object>} configs - Stream configs ({ elementId, streamSettings })
+ * @param {Array<{key: string, name: string}>} streams - The facility's streams
+ * @returns {{calculations: Array<Object>, cycles: Array<Array<string>>, streamKeys: Array<string>}} Checked
+ *   calculations, cycles (node IDs) and the streams whose values the comparison needs
+ */
+function checkCalculations(configs, streams) {
+  const names = new Map(streams.map(stream => [stream.key, stream.name]));
+  const produced = producedProperties(streams.map(stream => stream.key), configs);
+  const calculations = listCalculations(configs);
+  const cycles = findCycles(calculations);
+  const inCycle = new Set(cycles.flat());
+
+  const checked = calculations.map(calc => {
+    const check = checkCalculation(calc, produced);
+    return {
+      ...calc,
+      ...check,
+      streamName: names.get(calc.streamKey) || calc.streamKey,
+      inCycle: inCycle.has(calculationNode(calc.streamKey, calc.propKey)),
+      inputs: check.inputs.map(input => ({ ...input, streamName: names.get(input.streamKey) || input.streamKey }))
+    };
+  });
+
+  const streamKeys = new Set(checked.flatMap(calc => [
+    calc.streamKey,
+    ...calc.inputs.filter(input => input.status === InputStatus.Ok).map(input => input.streamKey)
+  ]));
+  return { calculations: checked, cycles, streamKeys: [...streamKeys].filter(key => names.has(key)) };
+}
+
+/**
+ * Recompute the calculated properties from the loaded input values and compare them with the stored values
+ * Values are recomputed at the stored timestamps; a property without stored values is recomputed at its
+ * inputs' timestamps as a preview.
+ * @param {Object} checked - Result of checkCalculations
+ * @param {Object} loaded - Result of loadStreamSeries ({ series, propertyDisplayNames, range })
+ * @param {{absolute: number, relative: number}} tolerance - Allowed difference (see utils/calculations.js)
+ * @returns {Object} { range, tolerance, calculations, cycles } for the report page
+ */
+function buildCalculationReport(checked, loaded, tolerance) {
+  const valuesOf = new Map(loaded.series.map(stream => [stream.key, stream.values]));
+  const displayName = propKey => loaded.propertyDisplayNames[propKey] || propKey;
+  const nodeLabels = new Map(checked.calculations.map(calc => [
+    calculationNode(calc.streamKey, calc.propKey), `${calc.streamName} · ${displayName(calc.propKey)}`
+  ]));
+
+  const calculations = checked.calculations.map(({ tree, ...calc }) => {
+    const stored = valuesOf.get(calc.streamKey)?.[calc.propKey] || {};
+    const inputs = calc.inputs.filter(input => input.status === InputStatus.Ok);
+    let recomputed = {};
+    let missing = 0;
+    let comparison = null;
+
+    const recomputable = tree && !calc.inCycle && calc.inputs.every(input =>
+      input.status === InputStatus.Ok || input.status === InputStatus.Unused);
+    if (recomputable) {
+      const inputValues = Object.fromEntries(inputs.map(input =>
+        [input.variable, valuesOf.get(input.streamKey)?.[input.propKey] || {}]));
+      const storedTimes = Object.keys(stored).map(Number);
+      const timestamps = storedTimes.length > 0
+        ? storedTimes
+        : [...new Set(Object.values(inputValues).flatMap(values => Object.keys(values).map(Number)))];
+
+      ({ values: recomputed, missing } = recomputeValues(tree, inputValues, timestamps.sort((a, b) => a - b),
+        MAX_INPUT_AGE_PERIODS * calc.frequency));
+      if (storedTimes.length > 0) {
+        comparison = compareValues(stored, recomputed, tolerance);
+      }
+    }
+
+    return {
+      ...calc,
+      displayName: displayName(calc.propKey),
+      frequencyLabel: formatDuration(calc.frequency),
+      inputs: calc.inputs.map(input => ({ ...input, displayName: input.propKey ? displayName(input.propKey) : '' })),
+      status: calculationStatus(calc, calc.inCycle, comparison),
+      stored,
+      recomputed,
+      missing,
+      comparison
+    };
+  });
+
+  return {
+    range: loaded.range,
+    tolerance,
+    calculations,
+    cycles: checked.cycles.map(cycle => cycle.map(node => nodeLabels.get(node) || node))
+  };
+}
+
+/**
+ * Generate the calculated stream report page
+ * The page has a section per calculated property with its formula (as configured and normalized), its inputs,
+ * how many recomputed values match the stored ones and a chart of both, plus the circular dependencies. The
+ * user can change the range and the tolerance; it reloads through window.loadCalculationReport, which
+ * viewCalculationReport sets on the new window.
+ * @param {Object} reportPage - Page data
+ * @param {string} reportPage.defaultModelURN - Default model URN
+ * @param {Object} reportPage.report - Result of buildCalculationReport
+ * @returns {string} HTML page content
+ */
+function generateCalculationReportHTML({ defaultModelURN, report }) {
+  return generateReportPageHTML({
+    title: 'Calculated Streams',
+    defaultModelURN,
+    scripts: CHART_SCRIPTS,
+    timeRange: true,
+    styles: `
+    h2 {
+      margin: 0;
+    }
+    h3 {
+      margin: 15px 0 8px 0;
+      font-size: 14px;
+      font-weight: 600;
+      color: #a0a0a0;
+    }
+    .controls input[type="number"] {
+      width: 80px;
+    }
+    .badge {
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-weight: 500;
+    }
+    .badge.ok {
+      background: rgba(34, 197, 94, 0.2);
+      color: #86efac;
+    }
+    .badge.error {
+      background: rgba(239, 68, 68, 0.2);
+      color: #fca5a5;
+    }
+    .badge.warn {
+      background: rgba(245, 158, 11, 0.2);
+      color: #fcd34d;
+    }
+    .badge.muted {
+      background: rgba(128, 128, 128, 0.2);
+      color: #a0a0a0;
+    }
+    .table-scroll {
+      max-height: 320px;
+    }
+    .chart-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      gap: 12px;
+    }
+    .prop-key {
+      font-size: 14px;
+      font-weight: 400;
+      color: #808080;
+      font-family: monospace;
+    }
+    .formula {
+      font-family: monospace;
+      font-size: 14px;
+      background: #1a1a1a;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 8px 12px;
+      margin-top: 12px;
+      white-space: pre;
+      overflow-x: auto;
+    }
+    .formula .caret {
+      color: #f87171;
+    }
+    .formula-error {
+      color: #f87171;
+      font-size: 13px;
+      margin-top: 6px;
+    }
+    .chart-container {
+      position: relative;
+      height: 280px;
+    }`,
+    header: `
+      <div class="info" id="time-range"></div>
+      <div class="stats" id="stats"></div>
+      <div class="controls">
+        ${RANGE_CONTROLS}
+        <label for="tolerance-absolute">Tolerance ±</label>
+        <input type="number" id="tolerance-absolute" min="0" step="any" title="Absolute tolerance">
+        <label for="tolerance-relative">or</label>
+        <input type="number" id="tolerance-relative" min="0" step="any" title="Relative tolerance (% of the stored value)">
+        <span>%</span>
+        <button id="apply-btn" class="export-btn">Apply</button>
+        <span id="status" class="status"></span>
+      </div>`,
+    body: `
+    <div id="cycles"></div>
+    <div id="calculations"></div>`,
+    script: `
+    const MAX_MISMATCH_ROWS = 200;
+    const statusInfo = {
+      'parse-error': { label: 'Formula error', className: 'error', color: '#EF4444' },
+      'cycle': { label: 'Circular', className: 'error', color: '#EF4444' },
+      'missing-input': { label: 'Missing input', className: 'error', color: '#EF4444' },
+      'no-data': { label: 'No data', className: 'muted', color: '#808080' },
+      'mismatch': { label: 'Mismatch', className: 'warn', color: '#F59E0B' },
+      'ok': { label: 'OK', className: 'ok', color: '#22C55E' }
+    };
+    const inputInfo = {
+      'ok': { label: 'OK', className: 'ok' },
+      'missing-stream': { label: 'Stream not found', className: 'error' },
+      'missing-property': { label: 'Property not produced', className: 'error' },
+      'undeclared': { label: 'Not declared', className: 'error' },
+      'unused': { label: 'Unused', className: 'warn' }
+    };
+    let report = ${toScriptLiteral(report)};
+    let charts = [];
+
+    const toleranceAbsolute = document.getElementById('tolerance-absolute');
+    const toleranceRelative = document.getElementById('tolerance-relative');
+
+    function formatNumber(value) {
+      return value === null || value === undefined ? '-' : String(Math.round(value * 10000) / 10000);
+    }
+
+    function badge(info) {
+      return '<span class="badge ' + info.className + '">' + info.label + '</span>';
+    }
+
+    function renderHeader() {
+      document.getElementById('time-range').textContent = 'Time Range: ' + report.range.label;
+      const count = id => report.calculations.filter(calc => calc.status === id).length;
+      const stat = (label, value, color) =>
+        '<div><div class="stat-label">' + label + '</div><div class="stat-value" style="color: ' + (value > 0 ? color : '#808080') + '">' + value + '</div></div>';
+
+      document.getElementById('stats').innerHTML =
+        stat('Calculations', report.calculations.length, '#0696D7') +
+        stat('OK', count('ok'), statusInfo.ok.color) +
+        stat('Mismatches', count('mismatch'), statusInfo.mismatch.color) +
+        stat('Missing Inputs', count('missing-input'), statusInfo['missing-input'].color) +
+        stat('Circular', count('cycle'), statusInfo.cycle.color) +
+        stat('Formula Errors', count('parse-error'), statusInfo['parse-error'].color) +
+        stat('No Data', count('no-data'), '#e0e0e0');
+
+      showRange(report.range);
+      toleranceAbsolute.value = report.tolerance.absolute;
+      toleranceRelative.value = report.tolerance.relative * 100;
+    }
+
+    function renderCycles() {
+      const container = document.getElementById('cycles');
+      if (report.cycles.length === 0) {
+        container.innerHTML = '';
+        return;
+      }
+      container.innerHTML = '<div class="section"><h2>Circular Dependencies</h2>' +
+        '<table><thead><tr><th>Calculations that depend on each other</th></tr></thead><tbody>' +
+        report.cycles.map(cycle => '<tr><td>' + cycle.map(escapeHtml).join(' → ') + ' → …</td></tr>').join('') +
+        '</tbody></table></div>';
+    }
+
+    /**
+     * The configured formula, with a caret under the position of a parse error
+     */
+    function renderFormula(calc) {
+      let html = '<div class="formula">' + escapeHtml(calc.expression || ' ');
+      if (calc.error) {
+        html += '\\n<span class="caret">' + ' '.repeat(calc.error.position) + '^</span>';
+      }
+      html += '</div>';
+      if (calc.error) {
+        html += '<div class="formula-error">' + escapeHtml(calc.error.message) + ' (at character ' + (calc.error.position + 1) + ')</div>';
+      } else if (calc.normalized !== calc.expression.trim()) {
+        html += '<div class="info" style="margin-top: 6px">Normalized: ' + escapeHtml(calc.normalized) + '</div>';
+      }
+      return html;
+    }
+
+    function renderInputs(calc) {
+      if (calc.inputs.length === 0) {
+        return '<div class="empty">No variables declared.</div>';
+      }
+      return '<table><thead><tr><th>Variable</th><th>Stream</th><th>Property</th><th>Status</th></tr></thead><tbody>' +
+        calc.inputs.map(input =>
+          '<tr>' +
+            '<td style="font-family: monospace">' + escapeHtml(input.variable) + '</td>' +
+            '<td>' + (input.streamKey ? escapeHtml(input.streamName) : '<span class="muted">-</span>') + '</td>' +
+            '<td>' + (input.propKey ? escapeHtml(input.displayName) + ' <span class="muted">(' + escapeHtml(input.propKey) + ')</span>' : '<span class="muted">-</span>') + '</td>' +
+            '<td>' + badge(inputInfo[input.status]) + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    function renderComparison(calc) {
+      const comparison = calc.comparison;
+      if (!comparison) {
+        const reason = calc.status === 'no-data' && Object.keys(calc.recomputed).length > 0
+          ? 'No stored values in this time range; the chart shows the recomputed preview.'
+          : calc.status === 'no-data' ? 'No values in this time range.' : 'Not recomputed.';
+        return '<div class="status">' + reason + '</div>';
+      }
+      const stat = (label, value) =>
+        '<div><div class="stat-label">' + label + '</div><div class="stat-value" style="font-size: 18px">' + value + '</div></div>';
+      return '<div class="stats" style="margin-top: 0">' +
+        stat('Compared', comparison.compared) +
+        stat('Matched', comparison.matched) +
+        stat('Mismatched', comparison.mismatches.length) +
+        stat('Max Difference', formatNumber(comparison.maxDifference)) +
+        stat('Mean Difference', formatNumber(comparison.meanDifference)) +
+        stat('Inputs Missing', calc.missing) +
+      '</div>';
+    }
+
+    function renderMismatches(calc) {
+      const mismatches = calc.comparison ? calc.comparison.mismatches : [];
+      if (mismatches.length === 0) {
+        return '';
+      }
+      const rows = mismatches.slice(0, MAX_MISMATCH_ROWS);
+      return '<h3>Mismatches' + (mismatches.length > rows.length ? ' (first ' + rows.length + ' of ' + mismatches.length + ')' : '') + '</h3>' +
+        '<div class="table-scroll"><table><thead><tr><th>Time</th><th class="num">Stored</th><th class="num">Recomputed</th><th class="num">Difference</th></tr></thead><tbody>' +
+        rows.map(mismatch =>
+          '<tr>' +
+            '<td>' + formatTime(mismatch.timestamp) + '</td>' +
+            '<td class="num">' + formatNumber(mismatch.stored) + '</td>' +
+            '<td class="num">' + formatNumber(mismatch.recomputed) + '</td>' +
+            '<td class="num">' + formatNumber(mismatch.difference) + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table></div>';
+    }
+
+    function timeUnit() {
+      const days = (report.range.end - report.range.start) / 86400000;
+      if (days <= 2) return 'hour';
+      if (days <= 180) return 'day';
+      return 'month';
+    }
+
+    function toPoints(values) {
+      return Object.keys(values).map(Number).sort((a, b) => a - b).map(ts => ({ x: ts, y: values[ts] }));
+    }
+
+    function renderCalculations() {
+      charts.forEach(chart => chart.destroy());
+      charts = [];
+
+      const container = document.getElementById('calculations');
+      if (report.calculations.length === 0) {
+        container.innerHTML = '<div class="section"><div class="empty">No calculated streams.</div></div>';
+        return;
+      }
+      container.innerHTML = report.calculations.map((calc, index) => {
+        const hasValues = Object.keys(calc.stored).length > 0 || Object.keys(calc.recomputed).length > 0;
+        return '<div class="section">' +
+          '<div class="chart-header">' +
+            '<h2>' + escapeHtml(calc.streamName) + ' · ' + escapeHtml(calc.displayName) +
+              ' <span class="prop-key">(' + escapeHtml(calc.propKey) + ')</span></h2>' +
+            '<div>' + badge(statusInfo[calc.status]) + ' ' +
+              (calc.enabled ? '' : badge({ label: 'Disabled', className: 'muted' }) + ' ') +
+              '<span class="status">every ' + escapeHtml(calc.frequencyLabel) + '</span></div>' +
+          '</div>' +
+          renderFormula(calc) +
+          '<h3>Inputs</h3>' + renderInputs(calc) +
+          '<h3>Stored vs Recomputed</h3>' + renderComparison(calc) +
+          (hasValues ? '<div class="chart-container" style="margin-top: 15px"><canvas id="chart' + index + '"></canvas></div>' : '') +
+          renderMismatches(calc) +
+        '</div>';
+      }).join('');
+
+      const unit = timeUnit();
+      report.calculations.forEach((calc, index) => {
+        const canvas = document.getElementById('chart' + index);
+        if (!canvas) return;
+
+        charts.push(new Chart(canvas.getContext('2d'), {
+          type: 'line',
+          data: {
+            datasets: [{
+              label: 'Stored',
+              data: toPoints(calc.stored),
+              borderColor: '#0696D7',
+              backgroundColor: '#0696D7',
+              borderWidth: 2,
+              pointRadius: 0,
+              pointHoverRadius: 4,
+              tension: 0.1
+            }, {
+              label: 'Recomputed',
+              data: toPoints(calc.recomputed),
+              borderColor: '#A855F7',
+              backgroundColor: '#A855F7',
+              borderWidth: 1,
+              borderDash: [6, 4],
+              pointRadius: 0,
+              pointHoverRadius: 4,
+              tension: 0.1
+            }]
+          },
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            animation: false,
+            plugins: {
+              decimation: {
+                enabled: true,
+                algorithm: 'lttb',
+                samples: 1000
+              },
+              legend: {
+                labels: {
+                  color: '#a0a0a0',
+                  boxWidth: 12
+                }
+              },
+              tooltip: {
+                mode: 'index',
+                axis: 'x',
+                intersect: false,
+                backgroundColor: 'rgba(42, 42, 42, 0.95)',
+                titleColor: '#e0e0e0',
+                bodyColor: '#a0a0a0',
+                borderColor: '#404040',
+                borderWidth: 1,
+                padding: 12,
+                callbacks: {
+                  title: context => formatTime(context[0].parsed.x)
+                }
+              }
+            },
+            scales: {
+              x: {
+                type: 'time',
+                min: report.range.start,
+                max: report.range.end,
+                time: {
+                  unit: unit,
+                  displayFormats: {
+                    hour: 'MMM d ha',
+                    day: 'MMM d',
+                    month: 'MMM yyyy'
+                  }
+                },
+                ticks: {
+                  color: '#808080',
+                  font: {
+                    size: 11
+                  },
+                  maxRotation: 0,
+                  autoSkip: true,
+                  maxTicksLimit: 12
+                },
+                grid: {
+                  color: '#353535'
+                }
+              },
+              y: {
+                ticks: {
+                  color: '#808080',
+                  font: {
+                    size: 11
+                  }
+                },
+                grid: {
+                  color: '#353535'
+                }
+              }
+            },
+            interaction: {
+              mode: 'index',
+              axis: 'x',
+              intersect: false
+            }
+          }
+        }));
+      });
+    }
+
+    function renderReport() {
+      renderHeader();
+      renderCycles();
+      renderCalculations();
+    }
+
+    async function applySettings() {
+      const tolerance = {
+        absolute: Number(toleranceAbsolute.value),
+        relative: Number(toleranceRelative.value) / 100
+      };
+      if (!(tolerance.absolute >= 0) || !(tolerance.relative >= 0)) {
+        setStatus('Tolerances must be zero or more', true);
+        return;
+      }
+
+      const loaded = await loadFromDashboard('loadCalculationReport', [readRangeSelection(), tolerance], 'calculation report');
+      if (loaded) {
+        report = loaded;
+        renderReport();
+      }
+    }
+    document.getElementById('apply-btn').addEventListener('click', applySettings);
+
+    renderReport();
+
+    setupExport('calculated-streams', workbook => {
+      // Summary sheet: report info and one row per calculation
+      const calcHeader = ['Stream', 'Stream Key', 'Property', 'Property ID', 'Formula', 'Normalized', 'Enabled', 'Status', 'Compared', 'Matched', 'Mismatched', 'Max Difference', 'Mean Difference', 'Inputs Missing', 'Formula Error'];
+      const summaryData = [
+        ['Model', ${toScriptLiteral(defaultModelURN)}],
+        ['Time Range', report.range.label],
+        ['Tolerance', '± ' + report.tolerance.absolute + ' or ' + (report.tolerance.relative * 100) + '%'],
+        ['Export Date', new Date().toLocaleString()],
+        [],
+        calcHeader
+      ];
+      report.calculations.forEach(calc => {
+        const comparison = calc.comparison;
+        summaryData.push([
+          calc.streamName,
+          calc.streamKey,
+          calc.displayName,
+          calc.propKey,
+          calc.expression,
+          calc.normalized || '',
+          calc.enabled ? 'Yes' : 'No',
+          statusInfo[calc.status].label,
+          comparison ? comparison.compared : '',
+          comparison ? comparison.matched : '',
+          comparison ? comparison.mismatches.length : '',
+          comparison && comparison.maxDifference !== null ? comparison.maxDifference : '',
+          comparison && comparison.meanDifference !== null ? comparison.meanDifference : '',
+          calc.missing,
+          calc.error ? calc.error.message + ' (at character ' + (calc.error.position + 1) + ')' : ''
+        ]);
+      });
+      const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
+      summarySheet['!cols'] = [{ wch: 30 }, { wch: 30 }, { wch: 25 }, { wch: 12 }, { wch: 30 }, { wch: 30 }, { wch: 8 }, { wch: 15 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 14 }, { wch: 14 }, { wch: 14 }, { wch: 35 }];
+      ExcelUtils.styleHeaderRow(summarySheet, 5, calcHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+      // Inputs of each calculation
+      const inputHeader = ['Stream', 'Property ID', 'Variable', 'Input Stream', 'Input Stream Key', 'Input Property', 'Input Property ID', 'Status'];
+      const inputData = [inputHeader];
+      report.calculations.forEach(calc => {
+        calc.inputs.forEach(input => {
+          inputData.push([
+            calc.streamName,
+            calc.propKey,
+            input.variable,
+            input.streamName || '',
+            input.streamKey || '',
+            input.displayName || '',
+            input.propKey || '',
+            inputInfo[input.status].label
+          ]);
+        });
+      });
+      const inputSheet = XLSX.utils.aoa_to_sheet(inputData);
+      inputSheet['!cols'] = [{ wch: 30 }, { wch: 12 }, { wch: 12 }, { wch: 30 }, { wch: 30 }, { wch: 25 }, { wch: 15 }, { wch: 22 }];
+      ExcelUtils.styleHeaderRow(inputSheet, 0, inputHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, inputSheet, 'Inputs');
+
+      // Every mismatch
+      const mismatchHeader = ['Stream', 'Property ID', 'Time', 'Stored', 'Recomputed', 'Difference'];
+      const mismatchData = [mismatchHeader];
+      report.calculations.forEach(calc => {
+        (calc.comparison ? calc.comparison.mismatches : []).forEach(mismatch => {
+          mismatchData.push([
+            calc.streamName,
+            calc.propKey,
+            new Date(mismatch.timestamp).toLocaleString(),
+            mismatch.stored,
+            mismatch.recomputed,
+            mismatch.difference
+          ]);
+        });
+      });
+      const mismatchSheet = XLSX.utils.aoa_to_sheet(mismatchData);
+      mismatchSheet['!cols'] = [{ wch: 30 }, { wch: 12 }, { wch: 22 }, { wch: 12 }, { wch: 12 }, { wch: 12 }];
+      ExcelUtils.styleHeaderRow(mismatchSheet, 0, mismatchHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, mismatchSheet, 'Mismatches');
+
+      // Circular dependencies
+      if (report.cycles.length > 0) {
+        const cycleData = [['Cycle', 'Calculation']];
+        report.cycles.forEach((cycle, index) => {
+          cycle.forEach(label => cycleData.push([index + 1, label]));
+        });
+        const cycleSheet = XLSX.utils.aoa_to_sheet(cycleData);
+        cycleSheet['!cols'] = [{ wch: 8 }, { wch: 50 }];
+        ExcelUtils.styleHeaderRow(cycleSheet, 0, 2, ExcelUtils.headerStyle);
+        XLSX.utils.book_append_sheet(workbook, cycleSheet, 'Cycles');
+      }
+    });`
+  });
+}
+
+/**
+ * View the calculated stream report in a new tab
+ * Checks every calculated property and opens with the last 24 hours of the calculated streams and their inputs;
+ * the page can change the range and the tolerance.
+ * @param {string} facilityURN - Facility URN
+ * @param {Array<Object>} configs - Stream configs ({ elementId, streamSettings })
+ * @param {Array<{key: string, name: string}>} streams - The facility's streams
+ * @param {Function} loadSeries - Loads the values of some streams: (streamKeys, rangeSelection, onProgress) =>
+ *   loadStreamSeries result
+ * @param {HTMLElement} button - Button element that triggered the action
+ */
+export function viewCalculationReport(facilityURN, configs, streams, loadSeries, button = null) {
+  return openReportWindow({
+    name: 'calculated stream report',
+    button,
+    build: async () => {
+      const checked = checkCalculations(configs, streams);
+      const load = async (rangeSelection, tolerance, onProgress) =>
+        buildCalculationReport(checked, await loadSeries(checked.streamKeys, rangeSelection, onProgress), tolerance);
+      const report = await load(DEFAULT_RANGE, DEFAULT_TOLERANCE);
+
+      return {
+        html: generateCalculationReportHTML({ defaultModelURN: getDefaultModelURN(facilityURN), report }),
+        // The page reloads through it (time range and tolerance changes)
+        globals: { loadCalculationReport: load }
+      };
+    }
+  });
+}
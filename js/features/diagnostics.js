@@ -1,6 +1,8 @@
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
 import { getSchemaCache } from '../state/schemaCache.js';
-import { getDataTypeName, isDefaultModel } from '../utils.js';
+import { getDataTypeName } from '../utils.js';
+import { runSchemaDiagnostics } from '../utils/schemaDiagnostics.js';
 
 /**
  * Toggle diagnostics detail view
@@ -13,88 +15,6 @@ const toggleDiagnosticsDetail = createToggleFunction({
   iconUpId: 'toggle-diagnostics-icon-up'
 });
 
-/**
- * Check if a property group has already been processed (to avoid duplicates in results)
- * @param {Array} duplicatePropsArray - Array of duplicate property groups
- * @param {string} categoryName - Category name
- * @param {string} propName - Property name
- * @returns {boolean}
- */
-function processedPropertyAlready(duplicatePropsArray, categoryName, propName) {
-  for (let j = 0; j < duplicatePropsArray.length; j++) {
-    const tmpArr = duplicatePropsArray[j];
-    if (tmpArr && tmpArr[0].category === categoryName && tmpArr[0].name === propName) {
-      return true;
-    }
-  }
-  return false;
-}
-
-/**
- * Check for duplicate properties in a single model's schema
- * Only checks user-defined properties (those with IDs starting with "z:")
- * @param {Array} attributes - Array of attribute objects from schema
- * @returns {Array} Array of duplicate property groups
- */
-function checkForDuplicatePropertiesPerModel(attributes) {
-  let duplicatePropsArray = [];
-  
-  // Filter to only user-defined properties (z: prefix)
-  const userDefinedProps = attributes.filter(attr => attr.id && attr.id.startsWith('z:'));
-
-  for (let i = 0; i < userDefinedProps.length; i++) {
-    const categoryName = userDefinedProps[i].category;
-    const propName = userDefinedProps[i].name;
-
-    // Make sure we haven't already processed this one
-    if (!processedPropertyAlready(duplicatePropsArray, categoryName, propName)) {
-      // Exhaustively search the schema for the same category + name
-      const duplicateProps = [];
-      for (let k = 0; k < userDefinedProps.length; k++) {
-        if (i !== k) { // Don't compare against ourselves
-          if (userDefinedProps[k].category === categoryName && userDefinedProps[k].name === propName) {
-            duplicateProps.push(userDefinedProps[k]);
-          }
-        }
-      }
-      if (duplicateProps.length) {
-        duplicateProps.push(userDefinedProps[i]); // Add the original we were searching for
-        duplicatePropsArray.push(duplicateProps);
-      }
-    }
-  }
-
-  return duplicatePropsArray;
-}
-
-/**
- * Check for properties with dots in category or name (TandemConnect issue)
- * Only checks user-defined properties (those with IDs starting with "z:")
- * @param {Array} attributes - Array of attribute objects from schema
- * @returns {Array} Array of properties with dots
- */
-function checkForPropertiesWithDots(attributes) {
-  const propsWithDots = [];
-  
-  // Filter to only user-defined properties (z: prefix)
-  const userDefinedProps = attributes.filter(attr => attr.id && attr.id.startsWith('z:'));
-
-  for (let i = 0; i < userDefinedProps.length; i++) {
-    const attr = userDefinedProps[i];
-    const hasDotInCategory = attr.category && attr.category.includes('.');
-    const hasDotInName = attr.name && attr.name.includes('.');
-
-    if (hasDotInCategory || hasDotInName) {
-      propsWithDots.push({
-        ...attr,
-        issueType: hasDotInCategory && hasDotInName ? 'both' : (hasDotInCategory ? 'category' : 'name')
-      });
-    }
-  }
-
-  return propsWithDots;
-}
-
 /**
  * Display diagnostics for the facility
  * @param {HTMLElement} container - DOM element to render into
@@ -111,50 +31,7 @@ export async function displayDiagnostics(container, facilityURN, models) {
   const schemaCache = getSchemaCache();
 
   // Run diagnostics across all models
-  let totalIssues = 0;
-  let allDuplicates = [];
-  let allDotsIssues = [];
-
-  for (const modelURN in schemaCache) {
-    const schema = schemaCache[modelURN];
-    if (!schema || !schema.attributes) continue;
-
-    const duplicates = checkForDuplicatePropertiesPerModel(schema.attributes);
-    const dotsIssues = checkForPropertiesWithDots(schema.attributes);
-    
-    // Determine model name - check if it's the default model first
-    let modelName;
-    if (isDefaultModel(facilityURN, modelURN)) {
-      // Default model - use special label
-      modelName = '** Default Model **';
-    } else {
-      // Try to find model in the models array
-      const foundModel = models.find(m => m.modelId === modelURN);
-      if (foundModel && foundModel.label) {
-        modelName = foundModel.label;
-      } else {
-        modelName = 'Untitled Model';
-      }
-    }
-
-    if (duplicates.length > 0) {
-      allDuplicates.push({
-        modelURN,
-        modelName,
-        duplicates
-      });
-      totalIssues += duplicates.length;
-    }
-
-    if (dotsIssues.length > 0) {
-      allDotsIssues.push({
-        modelURN,
-        modelName,
-        dotsIssues
-      });
-      totalIssues += dotsIssues.length;
-    }
-  }
+  const { totalIssues, allDuplicates, allDotsIssues } = runSchemaDiagnostics(schemaCache, models, facilityURN);
 
   // Build header with toggle button
   let headerHtml = `
@@ -325,3 +202,12 @@ export async function displayDiagnostics(container, facilityURN, models) {
   }
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'diagnostics',
+  title: 'Diagnostics',
+  placeholder: 'Running diagnostics...',
+  order: 110,
+  requires: ['models', 'schemas'],
+  render: (container, { facilityURN, models }) => displayDiagnostics(container, facilityURN, models)
+});
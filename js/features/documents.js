@@ -1,4 +1,6 @@
+import { getDocuments } from '../api.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
 
 /**
  * Toggle documents detail view
@@ -171,3 +173,15 @@ export async function displayDocuments(container, documents) {
   });
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'documents',
+  title: 'Documents',
+  placeholder: 'Loading documents...',
+  order: 80,
+  requires: [],
+  render: async (container, { facilityURN, region }) => {
+    const documents = await getDocuments(facilityURN, region);
+    await displayDocuments(container, documents);
+  }
+});
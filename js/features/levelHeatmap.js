@@ -0,0 +1,604 @@
+import {
+  getBoundingBoxes,
+  getDefaultModelURN,
+  getLastSeenStreamValues,
+  getModelMeta,
+  getModels,
+  getRowsForModels
+} from '../api.js';
+import { convertLongKeysToShortKeys, toScriptLiteral } from '../utils.js';
+import { mergeStreamValues, numericPoints, valueAt } from '../utils/timeseries.js';
+import {
+  HEATMAP_COLORS,
+  decodeBoundingBox,
+  legendStops,
+  planBounds,
+  replayTimes,
+  roomValueAt,
+  valueColor,
+  valueRange
+} from '../utils/floorPlan.js';
+import { indexRowsByKey, locateElement } from '../utils/scanShaping.js';
+import { RANGE_CONTROLS, generateReportPageHTML, openReportWindow } from '../components/reportPage.js';
+import { ElementFlags, QC } from '../../tandem/constants.js';
+import { fromShortKeyArray } from '../../tandem/keys.js';
+
+/**
+ * Range the heatmap opens with
+ */
+const DEFAULT_RANGE = { preset: '24h' };
+
+/**
+ * Number of slider steps when replaying a range
+ */
+const REPLAY_STEPS = 96;
+
+/**
+ * Find the room footprints of every level and the streams hosted in each room
+ * Rooms without a bounding box can't be drawn and are only counted.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {Array} streams - Stream element rows (default model)
+ * @returns {Promise<{levels: Array<Object>, missingBoxes: number, unplacedStreams: number}>} Levels (lowest first)
+ *   with { id, name, elevation, bounds, rooms: [{ id, name, box, streams: [{ key, name }] }] }
+ */
+async function loadHeatmapPlan(facilityURN, region, streams) {
+  const models = await getModels(facilityURN, region);
+  const rowsByModel = await getRowsForModels(models, region);
+  const rowIndex = indexRowsByKey(rowsByModel);
+
+  // Streams by the room they are in (directly or through their host)
+  const streamsByRoom = new Map();
+  let unplacedStreams = 0;
+  for (const stream of streams) {
+    const { room } = locateElement(stream, rowIndex);
+    if (!room) {
+      unplacedStreams++;
+      continue;
+    }
+    const roomId = `${room.modelURN}|${room.key}`;
+    if (!streamsByRoom.has(roomId)) {
+      streamsByRoom.set(roomId, []);
+    }
+    streamsByRoom.get(roomId).push({ key: stream[QC.Key], name: stream[QC.OName]?.[0] || stream[QC.Name]?.[0] || 'Unnamed Stream' });
+  }
+
+  const levels = new Map();
+  let missingBoxes = 0;
+  await Promise.all(models.map(async model => {
+    const rows = rowsByModel.get(model.modelId) || [];
+    const rooms = rows.filter(row => row[QC.ElementFlags]?.[0] === ElementFlags.Room);
+    if (rooms.length === 0) {
+      return;
+    }
+    const [meta, boxes] = await Promise.all([
+      getModelMeta(model.modelId, region),
+      getBoundingBoxes(model.modelId, region, rooms.map(row => row[QC.Key]))
+    ]);
+    const offset = meta?.fragmentTransformsOffset;
+
+    for (const row of rooms) {
+      const box = decodeBoundingBox(boxes.get(row[QC.Key]), offset);
+      if (!box) {
+        missingBoxes++;
+        continue;
+      }
+      const levelRef = row[QC.Level]?.[0];
+      const levelKey = levelRef ? fromShortKeyArray(levelRef, false)[0] : null;
+      const levelRow = levelKey ? rowIndex.get(model.modelId)?.get(levelKey) : null;
+      const levelId = levelRow ? `${model.modelId}|${levelKey}` : `${model.modelId}|`;
+
+      if (!levels.has(levelId)) {
+        levels.set(levelId, {
+          id: levelId,
+          name: levelRow ? levelRow[QC.OName]?.[0] || levelRow[QC.Name]?.[0] || 'Unnamed Level' : `No level (${model.label})`,
+          elevation: levelRow?.[QC.Elevation]?.[0] ?? null,
+          rooms: []
+        });
+      }
+      const roomId = `${model.modelId}|${row[QC.Key]}`;
+      levels.get(levelId).rooms.push({
+        id: roomId,
+        name: row[QC.OName]?.[0] || row[QC.Name]?.[0] || 'Unnamed Room',
+        box: { minx: box.minx, miny: box.miny, maxx: box.maxx, maxy: box.maxy },
+        streams: streamsByRoom.get(roomId) || []
+      });
+    }
+  }));
+
+  return {
+    levels: [...levels.values()]
+      .map(level => ({
+        ...level,
+        bounds: planBounds(level.rooms.map(room => room.box)),
+        rooms: level.rooms.sort((a, b) => a.name.localeCompare(b.name))
+      }))
+      .sort((a, b) => (a.elevation ?? Infinity) - (b.elevation ?? Infinity) || a.name.localeCompare(b.name)),
+    missingBoxes,
+    unplacedStreams
+  };
+}
+
+/**
+ * Generate the level heatmap page
+ * The page draws the rooms of one level from their bounding boxes and colors each by the value of one stream
+ * property at the slider time (the latest value of its streams at or before it; the mean when a room has several).
+ * It gets frames through window.getHeatmapFrame and reloads history through window.loadHeatmapHistory, which
+ * viewLevelHeatmap sets on the new window.
+ * @param {Object} heatmapPage - Page data
+ * @param {string} heatmapPage.defaultModelURN - Default model URN
+ * @param {Object} heatmapPage.plan - Result of loadHeatmapPlan
+ * @param {Object} heatmapPage.history - { range, times, properties } of the loaded range
+ * @returns {string} HTML page content
+ */
+function generateHeatmapHTML({ defaultModelURN, plan, history }) {
+  return generateReportPageHTML({
+    title: 'Level Heatmap',
+    defaultModelURN,
+    timeRange: true,
+    styles: `
+    .replay {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      font-size: 13px;
+    }
+    .replay input[type="range"] {
+      flex: 1;
+    }
+    .replay-time {
+      min-width: 190px;
+      font-family: monospace;
+      color: #a0a0a0;
+    }
+    .plan {
+      position: relative;
+      margin-top: 15px;
+    }
+    .plan svg {
+      width: 100%;
+      max-height: 70vh;
+      background: #1f1f1f;
+      border-radius: 4px;
+    }
+    .plan rect.room {
+      stroke: #1a1a1a;
+      cursor: pointer;
+    }
+    .plan rect.room:hover {
+      stroke: #ffffff;
+    }
+    .plan text {
+      fill: #111111;
+      pointer-events: none;
+      text-anchor: middle;
+      dominant-baseline: middle;
+    }
+    .plan text.no-data {
+      fill: #a0a0a0;
+    }
+    .legend {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      margin-top: 12px;
+      font-size: 12px;
+      color: #a0a0a0;
+    }
+    .legend-bar {
+      width: 240px;
+      height: 12px;
+      border-radius: 2px;
+      background: linear-gradient(to right, ${HEATMAP_COLORS.join(', ')});
+    }
+    .legend-swatch {
+      display: inline-block;
+      width: 12px;
+      height: 12px;
+      border-radius: 2px;
+      background: #404040;
+      vertical-align: middle;
+    }
+    .tooltip {
+      position: fixed;
+      z-index: 10;
+      background: #111111;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 8px 10px;
+      font-size: 12px;
+      pointer-events: none;
+      max-width: 320px;
+    }
+    .tooltip-title {
+      font-weight: 600;
+      margin-bottom: 4px;
+    }
+    .hidden {
+      display: none;
+    }`,
+    header: `
+      <div class="info" id="time-range"></div>
+      <div class="info" id="plan-notes"></div>
+      <div class="controls">
+        <select id="level-select" title="Level"></select>
+        <select id="property-select" title="Stream property"></select>
+        ${RANGE_CONTROLS}
+        <button id="apply-btn" class="export-btn">Apply</button>
+        <span id="status" class="status"></span>
+      </div>`,
+    body: `
+    <div class="section">
+      <div class="replay">
+        <button id="play-btn" class="secondary-btn" title="Replay the time range">▶ Play</button>
+        <input type="range" id="time-slider" min="0" step="1">
+        <span id="slider-time" class="replay-time"></span>
+      </div>
+      <div id="plan" class="plan"></div>
+      <div id="legend" class="legend"></div>
+    </div>
+    <div id="tooltip" class="tooltip hidden"></div>`,
+    script: `
+    const plan = ${toScriptLiteral(plan)};
+    let history = ${toScriptLiteral(history)};
+    let frame = null;
+    let playTimer = null;
+
+    const levelSelect = document.getElementById('level-select');
+    const propertySelect = document.getElementById('property-select');
+    const slider = document.getElementById('time-slider');
+    const playBtn = document.getElementById('play-btn');
+    const tooltip = document.getElementById('tooltip');
+
+    function formatNumber(value) {
+      return value === null || value === undefined ? '' : String(Math.round(value * 100) / 100);
+    }
+
+    function currentLevel() {
+      return plan.levels.find(level => level.id === levelSelect.value);
+    }
+
+    function currentTime() {
+      return history.times[Number(slider.value)];
+    }
+
+    /**
+     * Properties reported by the streams of the selected level
+     */
+    function levelProperties() {
+      const level = currentLevel();
+      const keys = new Set(level ? level.rooms.flatMap(room => room.streams.map(stream => stream.key)) : []);
+      return history.properties.filter(property => property.streamKeys.some(key => keys.has(key)));
+    }
+
+    function renderPropertyOptions() {
+      const selected = propertySelect.value;
+      const properties = levelProperties();
+      propertySelect.innerHTML = properties.length === 0
+        ? '<option value="">No stream values</option>'
+        : properties.map(p => '<option value="' + escapeHtml(p.id) + '">' + escapeHtml(p.name) + '</option>').join('');
+      if (properties.some(p => p.id === selected)) {
+        propertySelect.value = selected;
+      } else {
+        // Start with a temperature when there is one
+        const preferred = properties.find(p => /temp/i.test(p.name)) || properties[0];
+        propertySelect.value = preferred ? preferred.id : '';
+      }
+    }
+
+    function renderHeader() {
+      document.getElementById('time-range').textContent = 'Time Range: ' + history.range.label;
+      const notes = [];
+      if (plan.missingBoxes > 0) {
+        notes.push(plan.missingBoxes + ' room' + (plan.missingBoxes === 1 ? '' : 's') + ' without a bounding box not drawn');
+      }
+      if (plan.unplacedStreams > 0) {
+        notes.push(plan.unplacedStreams + ' stream' + (plan.unplacedStreams === 1 ? '' : 's') + ' not in a room');
+      }
+      document.getElementById('plan-notes').textContent = notes.join(' · ');
+
+      showRange(history.range);
+      slider.max = history.times.length - 1;
+    }
+
+    function renderLegend() {
+      const property = history.properties.find(p => p.id === propertySelect.value);
+      const legend = document.getElementById('legend');
+      if (!frame || !frame.scale) {
+        legend.innerHTML = '<span class="legend-swatch"></span> No data';
+        return;
+      }
+      legend.innerHTML = '<span>' + escapeHtml(property ? property.name : '') + '</span>' +
+        '<span>' + formatNumber(frame.scale.min) + '</span>' +
+        '<div class="legend-bar" title="' + frame.legend.map(stop => formatNumber(stop.value)).join(' · ') + '"></div>' +
+        '<span>' + formatNumber(frame.scale.max) + '</span>' +
+        '<span><span class="legend-swatch"></span> No data</span>';
+    }
+
+    function renderPlan() {
+      const level = currentLevel();
+      const container = document.getElementById('plan');
+      if (!level || !level.bounds) {
+        container.innerHTML = '<div class="empty">No rooms with a bounding box on this level.</div>';
+        return;
+      }
+      const bounds = level.bounds;
+      const width = bounds.maxx - bounds.minx;
+      const height = bounds.maxy - bounds.miny;
+      const pad = Math.max(width, height) * 0.02;
+      const fontSize = Math.max(width, height) / 60;
+      const roomsById = new Map(frame ? frame.rooms.map(room => [room.id, room]) : []);
+
+      // Plan y points up, SVG y points down
+      const rects = level.rooms.map(room => {
+        const x = room.box.minx - bounds.minx;
+        const y = bounds.maxy - room.box.maxy;
+        const w = room.box.maxx - room.box.minx;
+        const h = room.box.maxy - room.box.miny;
+        const value = roomsById.get(room.id);
+        const hasValue = value && value.value !== null;
+        return '<rect class="room" data-room-id="' + escapeHtml(room.id) + '" x="' + x + '" y="' + y + '" width="' + w + '" height="' + h + '"' +
+            ' fill="' + (hasValue ? value.color : '#404040') + '" stroke-width="' + (fontSize / 8) + '"></rect>' +
+          '<text x="' + (x + w / 2) + '" y="' + (y + h / 2 - fontSize * 0.6) + '" font-size="' + fontSize + '"' + (hasValue ? '' : ' class="no-data"') + '>' + escapeHtml(room.name) + '</text>' +
+          '<text x="' + (x + w / 2) + '" y="' + (y + h / 2 + fontSize * 0.6) + '" font-size="' + fontSize + '"' + (hasValue ? '' : ' class="no-data"') + '>' +
+            (hasValue ? formatNumber(value.value) : (room.streams.length > 0 ? 'No data' : '')) + '</text>';
+      }).join('');
+
+      container.innerHTML = '<svg viewBox="' + (-pad) + ' ' + (-pad) + ' ' + (width + 2 * pad) + ' ' + (height + 2 * pad) + '" preserveAspectRatio="xMidYMid meet">' + rects + '</svg>';
+      container.querySelectorAll('rect.room').forEach(rect => {
+        rect.addEventListener('mousemove', event => showTooltip(rect.dataset.roomId, event));
+        rect.addEventListener('mouseleave', () => tooltip.classList.add('hidden'));
+      });
+    }
+
+    function showTooltip(roomId, event) {
+      const room = currentLevel().rooms.find(r => r.id === roomId);
+      const value = frame ? frame.rooms.find(r => r.id === roomId) : null;
+      const streamLines = value ? value.streams.map(stream =>
+        '<div>' + escapeHtml(stream.name) + ': ' +
+          (stream.value === null ? '<span class="muted">no data</span>' : formatNumber(stream.value) + ' <span class="muted">' + formatTime(stream.timestamp) + '</span>') +
+        '</div>') : [];
+
+      tooltip.innerHTML = '<div class="tooltip-title">' + escapeHtml(room.name) + '</div>' +
+        (value && value.value !== null
+          ? '<div>' + formatNumber(value.value) + (value.count > 1 ? ' <span class="muted">(mean of ' + value.count + ')</span>' : '') + '</div>'
+          : '<div class="muted">' + (room.streams.length > 0 ? 'No data at this time' : 'No streams') + '</div>') +
+        streamLines.join('');
+      tooltip.style.left = (event.clientX + 14) + 'px';
+      tooltip.style.top = (event.clientY + 14) + 'px';
+      tooltip.classList.remove('hidden');
+    }
+
+    /**
+     * Fetch the values of the selected level and property at the slider time and redraw
+     */
+    function renderFrame() {
+      const time = currentTime();
+      document.getElementById('slider-time').textContent = formatTime(time) +
+        (Number(slider.value) === history.times.length - 1 ? ' (latest)' : '');
+      try {
+        if (typeof window.getHeatmapFrame !== 'function') {
+          throw new Error('The dashboard window was closed or reloaded');
+        }
+        frame = propertySelect.value ? window.getHeatmapFrame(levelSelect.value, propertySelect.value, time) : null;
+      } catch (error) {
+        console.error('Error building heatmap frame:', error);
+        frame = null;
+        setStatus('Heatmap unavailable: ' + (error.message || error), true);
+      }
+      renderPlan();
+      renderLegend();
+    }
+
+    function stopReplay() {
+      clearInterval(playTimer);
+      playTimer = null;
+      playBtn.textContent = '▶ Play';
+    }
+
+    function startReplay() {
+      if (Number(slider.value) >= history.times.length - 1) {
+        slider.value = 0;
+      }
+      playBtn.textContent = '❚❚ Pause';
+      playTimer = setInterval(() => {
+        if (Number(slider.value) >= history.times.length - 1) {
+          stopReplay();
+          return;
+        }
+        slider.value = Number(slider.value) + 1;
+        renderFrame();
+      }, 200);
+      renderFrame();
+    }
+
+    // Level, property and slider controls
+    levelSelect.innerHTML = plan.levels.map(level =>
+      '<option value="' + escapeHtml(level.id) + '">' + escapeHtml(level.name) + ' (' + level.rooms.length + ' rooms)</option>'
+    ).join('');
+    const firstWithStreams = plan.levels.find(level => level.rooms.some(room => room.streams.length > 0));
+    if (firstWithStreams) {
+      levelSelect.value = firstWithStreams.id;
+    }
+    levelSelect.addEventListener('change', () => {
+      renderPropertyOptions();
+      renderFrame();
+    });
+    propertySelect.addEventListener('change', renderFrame);
+    slider.addEventListener('input', () => {
+      stopReplay();
+      renderFrame();
+    });
+    playBtn.addEventListener('click', () => (playTimer ? stopReplay() : startReplay()));
+
+    async function applyRange() {
+      stopReplay();
+      const loaded = await loadFromDashboard('loadHeatmapHistory', [readRangeSelection()], 'heatmap history');
+      if (loaded) {
+        history = loaded;
+        renderHeader();
+        slider.value = history.times.length - 1;
+        renderPropertyOptions();
+        renderFrame();
+      }
+    }
+    document.getElementById('apply-btn').addEventListener('click', applyRange);
+
+    renderHeader();
+    slider.value = history.times.length - 1;
+    renderPropertyOptions();
+    renderFrame();
+
+    // Export the selected level and property at the slider time and over the replay
+    setupExport('level-heatmap', workbook => {
+      const level = currentLevel();
+      const property = history.properties.find(p => p.id === propertySelect.value);
+      const frames = property ? history.times.map(time => window.getHeatmapFrame(level.id, property.id, time)) : [];
+
+      // Rooms at the slider time
+      const roomHeader = ['Room', 'Value', 'Time', 'Streams With Values', 'Streams', 'Min X', 'Min Y', 'Max X', 'Max Y'];
+      const roomData = [
+        ['Model', ${toScriptLiteral(defaultModelURN)}],
+        ['Level', level ? level.name : ''],
+        ['Property', property ? property.name + ' (' + property.id + ')' : ''],
+        ['Time Range', history.range.label],
+        ['Values At', new Date(currentTime()).toLocaleString()],
+        ['Export Date', new Date().toLocaleString()],
+        [],
+        roomHeader
+      ];
+      (level ? level.rooms : []).forEach(room => {
+        const value = frame ? frame.rooms.find(r => r.id === room.id) : null;
+        const hasValue = value && value.value !== null;
+        roomData.push([
+          room.name,
+          hasValue ? Math.round(value.value * 1000) / 1000 : null,
+          hasValue ? new Date(value.timestamp).toLocaleString() : '',
+          hasValue ? value.count : 0,
+          room.streams.map(stream => stream.name).join(', '),
+          room.box.minx,
+          room.box.miny,
+          room.box.maxx,
+          room.box.maxy
+        ]);
+      });
+      const roomSheet = XLSX.utils.aoa_to_sheet(roomData);
+      roomSheet['!cols'] = [{ wch: 30 }, { wch: 12 }, { wch: 22 }, { wch: 10 }, { wch: 40 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }];
+      ExcelUtils.styleHeaderRow(roomSheet, 7, roomHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, roomSheet, 'Rooms');
+
+      // Room values at every replay step
+      const roomsWithStreams = (level ? level.rooms : []).filter(room => room.streams.length > 0);
+      const replayHeader = ['Time'].concat(roomsWithStreams.map(room => room.name));
+      const replayData = [replayHeader];
+      frames.forEach((stepFrame, i) => {
+        const byId = new Map(stepFrame.rooms.map(room => [room.id, room]));
+        replayData.push([new Date(history.times[i]).toLocaleString()].concat(roomsWithStreams.map(room => {
+          const value = byId.get(room.id);
+          return value && value.value !== null ? Math.round(value.value * 1000) / 1000 : null;
+        })));
+      });
+      const replaySheet = XLSX.utils.aoa_to_sheet(replayData);
+      replaySheet['!cols'] = [{ wch: 22 }].concat(roomsWithStreams.map(() => ({ wch: 14 })));
+      ExcelUtils.styleHeaderRow(replaySheet, 0, replayHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, replaySheet, 'Replay');
+    });`
+  });
+}
+
+/**
+ * View the level heatmap in a new tab
+ * Opens with the last 24 hours of the streams that are in a room with a bounding box; the last-seen values are
+ * merged in so rooms whose streams went quiet before the range still show their latest value.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {Array} streams - Stream element rows (default model)
+ * @param {Function} loadSeries - Loads the values of some streams: (streamKeys, rangeSelection, onProgress) =>
+ *   loadStreamSeries result
+ * @param {HTMLElement} button - Button element that triggered the action
+ */
+export function viewLevelHeatmap(facilityURN, region, streams, loadSeries, button = null) {
+  return openReportWindow({
+    name: 'level heatmap',
+    button,
+    build: async () => {
+      const plan = await loadHeatmapPlan(facilityURN, region, streams);
+      if (plan.levels.length === 0) {
+        alert('No rooms with a bounding box were found in this facility');
+        return null;
+      }
+      const levelsById = new Map(plan.levels.map(level => [level.id, level]));
+      const streamKeys = [...new Set(plan.levels.flatMap(level => level.rooms.flatMap(room => room.streams.map(s => s.key))))];
+
+      // Points of every stream property in the loaded range, and the color scale per level and property
+      let pointsByStream = new Map();
+      let scales = new Map();
+
+      const loadHistory = async (rangeSelection, onProgress) => {
+        const [loaded, lastSeenRaw] = await Promise.all([
+          loadSeries(streamKeys, rangeSelection, onProgress),
+          streamKeys.length > 0 ? getLastSeenStreamValues(facilityURN, region, streamKeys) : {}
+        ]);
+        const lastSeen = convertLongKeysToShortKeys(lastSeenRaw);
+
+        pointsByStream = new Map(loaded.series.map(series => {
+          const values = mergeStreamValues(series.values, lastSeen[series.key]);
+          return [series.key, Object.fromEntries(Object.entries(values).map(([propKey, propValues]) => [propKey, numericPoints(propValues)]))];
+        }));
+        scales = new Map();
+
+        const properties = new Map();
+        for (const [key, points] of pointsByStream) {
+          for (const propKey of Object.keys(points).filter(propKey => points[propKey].length > 0)) {
+            if (!properties.has(propKey)) {
+              properties.set(propKey, { id: propKey, name: loaded.propertyDisplayNames[propKey] || propKey, streamKeys: [] });
+            }
+            properties.get(propKey).streamKeys.push(key);
+          }
+        }
+        return {
+          range: loaded.range,
+          times: replayTimes(loaded.range.start, loaded.range.end, REPLAY_STEPS),
+          properties: [...properties.values()].sort((a, b) => a.name.localeCompare(b.name))
+        };
+      };
+
+      const getFrame = (levelId, propKey, time) => {
+        const level = levelsById.get(levelId);
+        const pointsOf = stream => pointsByStream.get(stream.key)?.[propKey] || [];
+        const scaleId = `${levelId}|${propKey}`;
+        if (!scales.has(scaleId)) {
+          scales.set(scaleId, valueRange(level.rooms.flatMap(room => room.streams.map(pointsOf))));
+        }
+        const scale = scales.get(scaleId);
+
+        return {
+          scale,
+          legend: scale ? legendStops(scale) : [],
+          rooms: level.rooms.map(room => {
+            const found = roomValueAt(room.streams.map(pointsOf), time);
+            return {
+              id: room.id,
+              value: found ? found.value : null,
+              timestamp: found ? found.timestamp : null,
+              count: found ? found.count : 0,
+              color: found ? valueColor(found.value, scale) : null,
+              streams: room.streams.map(stream => {
+                const value = valueAt(pointsOf(stream), time);
+                return { name: stream.name, value: value ? value.value : null, timestamp: value ? value.timestamp : null };
+              })
+            };
+          })
+        };
+      };
+
+      const history = await loadHistory(DEFAULT_RANGE);
+
+      return {
+        html: generateHeatmapHTML({ defaultModelURN: getDefaultModelURN(facilityURN), plan, history }),
+        // The page draws its first frame while loading, so the frame builder must be there before it is written
+        globals: { getHeatmapFrame: getFrame, loadHeatmapHistory: loadHistory }
+      };
+    }
+  });
+}
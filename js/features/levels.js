@@ -1,4 +1,7 @@
+import { getLevels } from '../api.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { cardProgress, registerCard } from '../components/cardRegistry.js';
+import { setRouteSort } from '../state/router.js';
 import { viewAssetDetails } from './assetDetails.js';
 
 /**
@@ -202,6 +205,7 @@ export async function displayLevels(container, levels, facilityURN, region, sort
     header.addEventListener('click', () => {
       const column = header.getAttribute('data-column');
       const direction = header.getAttribute('data-direction');
+      setRouteSort('levels', column, direction);
       displayLevels(container, levels, facilityURN, region, column, direction);
     });
   });
@@ -234,3 +238,15 @@ export async function displayLevels(container, levels, facilityURN, region, sort
   }
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'levels',
+  title: 'Levels',
+  placeholder: 'Loading levels...',
+  order: 50,
+  requires: [],
+  render: async (container, { facilityURN, region, sort }) => {
+    const levels = await getLevels(facilityURN, region, cardProgress(container, 'levels'));
+    await displayLevels(container, levels, facilityURN, region, sort.levels?.column, sort.levels?.direction);
+  }
+});
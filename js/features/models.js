@@ -1,6 +1,8 @@
 import { getElementCount, getElementCountByCategoryAndClassification, getElementsByCategory, getElementsByTandemCategory, getElementsByClassification, getElementsByNameOverride, getElementsByClassificationOverride, getHistory, getModelProperties } from '../api.js';
 import { isDefaultModel, getCategoryName } from '../utils.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
+import { getRoute, setRouteModel } from '../state/router.js';
 import { viewAssetDetails } from './assetDetails.js';
 
 /**
@@ -580,6 +582,7 @@ export async function displayModels(container, models, facilityURN, region) {
           // Show breakdown
           breakdownContainer.classList.remove('hidden');
           icon?.classList.add('rotate-180');
+          setRouteModel(model.modelId);
           
           // Check cache first to avoid redundant API calls
           if (!breakdownCache.has(model.modelId)) {
@@ -638,6 +641,9 @@ export async function displayModels(container, models, facilityURN, region) {
           // Hide breakdown
           breakdownContainer.classList.add('hidden');
           icon?.classList.remove('rotate-180');
+          if (getRoute().model === model.modelId) {
+            setRouteModel(null);
+          }
         }
       });
       
@@ -670,6 +676,12 @@ export async function displayModels(container, models, facilityURN, region) {
     }
   }
   
+  // Open the breakdown of the model selected in the URL (shared link or reload)
+  const selectedIndex = models.findIndex(m => m.modelId === getRoute().model);
+  if (selectedIndex >= 0) {
+    document.getElementById(`toggle-breakdown-${selectedIndex}`)?.click();
+  }
+  
   // Fetch model properties asynchronously for each model (skip default models)
   for (let i = 0; i < models.length; i++) {
     const model = models[i];
@@ -1699,3 +1711,13 @@ async function viewModelsHistory(facilityURN, region, models, button = null) {
     }
   }
 }
+
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'models',
+  title: 'Models',
+  placeholder: 'Loading models...',
+  order: 10,
+  requires: ['models'],
+  render: (container, { models, facilityURN, region }) => displayModels(container, models, facilityURN, region)
+});
@@ -1,5 +1,8 @@
 import { formatUnitName } from '../utils.js';
+import { getRooms } from '../api.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { cardProgress, registerCard } from '../components/cardRegistry.js';
+import { setRouteSort } from '../state/router.js';
 import { viewAssetDetails } from './assetDetails.js';
 import { viewRoomBarChart } from './roomBarChart.js';
 
@@ -271,6 +274,7 @@ export async function displayRooms(container, rooms, facilityURN, region, sortCo
     header.addEventListener('click', () => {
       const column = header.getAttribute('data-column');
       const direction = header.getAttribute('data-direction');
+      setRouteSort('rooms', column, direction);
       displayRooms(container, rooms, facilityURN, region, column, direction);
     });
   });
@@ -311,3 +315,15 @@ export async function displayRooms(container, rooms, facilityURN, region, sortCo
   }
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'rooms',
+  title: 'Rooms & Spaces',
+  placeholder: 'Loading rooms...',
+  order: 60,
+  requires: ['schemas'],
+  render: async (container, { facilityURN, region, schemaCache, sort }) => {
+    const rooms = await getRooms(facilityURN, region, schemaCache, cardProgress(container, 'rooms'));
+    await displayRooms(container, rooms, facilityURN, region, sort.rooms?.column, sort.rooms?.direction);
+  }
+});
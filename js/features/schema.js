@@ -1,6 +1,7 @@
 import { getDataTypeName, isDefaultModel, compareQualifiedColumnIds } from '../utils.js';
 import { getSchemaCache } from '../state/schemaCache.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
 import { 
   sanitizeSheetName, 
   makeUniqueSheetName,
@@ -657,3 +658,12 @@ async function exportSchemaToExcel(models, schemaCache, facilityURN) {
   }
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'schema',
+  title: 'Schema',
+  placeholder: 'Loading schema...',
+  order: 100,
+  requires: ['models', 'schemas'],
+  render: (container, { models, facilityURN }) => displaySchema(container, models, facilityURN)
+});
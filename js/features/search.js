@@ -1,9 +1,27 @@
-import { tandemBaseURL, makeRequestOptionsPOST } from '../api.js';
+import { scanModel } from '../api.js';
+import { describeError } from '../components/errorState.js';
 import { QC, AttributeType } from '../../tandem/constants.js';
 import { getSchemaCache } from '../state/schemaCache.js';
-import { getDataTypeName } from '../utils.js';
+import { formatRoute, getRoute, setRouteQuery, setRouteSearch } from '../state/router.js';
+import { deleteSavedQuery, loadSavedQueries, saveQuery } from '../state/savedQueries.js';
+import { escapeHtml, getDataTypeName } from '../utils.js';
+import {
+  QUERY_OPERATORS,
+  compileQuery,
+  createCondition,
+  createGroup,
+  createMatcher,
+  describeQuery,
+  matchesValue,
+  queryProperties,
+  resolveColumns,
+  validateQuery,
+  valueKind
+} from '../utils/searchQuery.js';
+import { compileQueryText, propertyCompletion, quoteQueryText } from '../utils/queryLanguage.js';
 import { viewAssetDetails } from './assetDetails.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
 
 /**
  * Toggle search detail view
@@ -16,6 +34,149 @@ const toggleSearchDetail = createToggleFunction({
   iconUpId: 'toggle-search-icon-up'
 });
 
+/**
+ * Find a node of the query tree
+ * @param {Object} root - Root group
+ * @param {string} path - Child indexes separated by '.' ('' is the root)
+ * @returns {Object} Group or condition
+ */
+function nodeAt(root, path) {
+  return path === '' ? root : path.split('.').reduce((node, index) => node.children[Number(index)], root);
+}
+
+/**
+ * Render a query builder group with its conditions and nested groups
+ * @param {Object} group - Group (see createGroup)
+ * @param {string} path - Path of the group (see nodeAt)
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {string} HTML string
+ */
+function renderQueryGroup(group, path, kindOf) {
+  const nested = path !== '';
+  const buttonClass = 'px-2 py-1 text-xs rounded border border-dark-border text-dark-text hover:border-tandem-blue hover:text-tandem-blue transition';
+  const childPath = (index) => (nested ? `${path}.${index}` : String(index));
+
+  return `
+    <div class="border border-dark-border rounded p-3 space-y-2 ${nested ? 'bg-dark-bg/30' : ''}">
+      <div class="flex flex-wrap items-center gap-2">
+        <select data-path="${path}" data-field="op"
+                class="rounded border-dark-border bg-dark-bg text-dark-text focus:border-tandem-blue focus:ring-tandem-blue text-xs py-1 px-2 border">
+          <option value="and" ${group.op === 'and' ? 'selected' : ''}>Match all (AND)</option>
+          <option value="or" ${group.op === 'or' ? 'selected' : ''}>Match any (OR)</option>
+        </select>
+        <button data-path="${path}" data-action="add-condition" class="${buttonClass}">+ Condition</button>
+        <button data-path="${path}" data-action="add-group" class="${buttonClass}">+ Group</button>
+        ${nested ? `<button data-path="${path}" data-action="remove" class="${buttonClass}" title="Remove group">✕</button>` : ''}
+      </div>
+      ${group.children.length === 0 ? '<p class="text-xs text-dark-text-secondary italic">No conditions</p>' : ''}
+      ${group.children.map((child, index) => (child.type === 'group'
+        ? renderQueryGroup(child, childPath(index), kindOf)
+        : renderQueryCondition(child, childPath(index), kindOf))).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render a query builder condition (property, operator, value, case sensitivity)
+ * @param {Object} condition - Condition (see createCondition)
+ * @param {string} path - Path of the condition (see nodeAt)
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {string} HTML string
+ */
+function renderQueryCondition(condition, path, kindOf) {
+  const kind = kindOf(condition.property.trim());
+  const operators = QUERY_OPERATORS[kind];
+  const operator = operators.some(o => o.id === condition.operator) ? condition.operator : operators[0].id;
+  const needsValue = operator !== 'any' && kind !== 'boolean';
+  const inputClass = 'px-2 py-1 bg-dark-bg border border-dark-border rounded text-xs text-dark-text placeholder-dark-text-secondary focus:outline-none focus:ring-2 focus:ring-tandem-blue focus:border-transparent';
+
+  return `
+    <div class="flex flex-wrap items-center gap-2">
+      <input type="text" data-path="${path}" data-field="property" list="property-suggestions" autocomplete="off"
+             placeholder="Category.PropertyName" value="${escapeHtml(condition.property)}" class="${inputClass} w-64" />
+      <select data-path="${path}" data-field="operator"
+              class="rounded border-dark-border bg-dark-bg text-dark-text focus:border-tandem-blue focus:ring-tandem-blue text-xs py-1 px-2 border">
+        ${operators.map(o => `<option value="${o.id}" ${o.id === operator ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select>
+      ${needsValue ? `
+        <input type="text" data-path="${path}" data-field="value" value="${escapeHtml(condition.value)}"
+               placeholder="${kind === 'numeric' ? 'e.g., 100 or 3.14' : operator === 'regex' ? 'e.g., *floor* or ^Concrete' : 'Value'}"
+               class="${inputClass} w-48" />
+      ` : ''}
+      ${needsValue && kind === 'string' ? `
+        <label class="flex items-center cursor-pointer text-xs text-dark-text" title="Case sensitive">
+          <input type="checkbox" data-path="${path}" data-field="caseSensitive" ${condition.caseSensitive ? 'checked' : ''}
+                 class="mr-1 text-tandem-blue focus:ring-tandem-blue rounded" />
+          Aa
+        </label>
+      ` : ''}
+      <button data-path="${path}" data-action="remove" title="Remove condition"
+              class="px-2 py-1 text-xs rounded border border-dark-border text-dark-text-secondary hover:border-red-500 hover:text-red-400 transition">✕</button>
+    </div>
+  `;
+}
+
+/**
+ * Render a text query error, marking where in the query it was found
+ * @param {string} text - Query text
+ * @param {{message: string, position: number}} error - Error (see compileQueryText)
+ * @returns {string} HTML string
+ */
+function renderQueryTextError(text, error) {
+  const position = Math.min(error.position, text.length);
+  const marked = text.slice(position, position + 1);
+
+  return `
+    <p class="text-xs text-red-400">❌ ${escapeHtml(error.message)}</p>
+    <pre class="mt-1 px-2 py-1 bg-dark-bg rounded text-xs text-dark-text-secondary whitespace-pre-wrap break-all">${escapeHtml(text.slice(0, position))}<span class="bg-red-900/60 text-red-300 underline">${marked.trim() ? escapeHtml(marked) : '&nbsp;'}</span>${escapeHtml(text.slice(position + 1))}</pre>
+  `;
+}
+
+/**
+ * Render the saved text queries of a facility
+ * @param {Array<{name: string, text: string}>} queries - Saved queries (see loadSavedQueries)
+ * @returns {string} HTML string
+ */
+function renderSavedQueries(queries) {
+  if (queries.length === 0) {
+    return '<p class="text-xs text-dark-text-secondary italic">No saved queries for this facility</p>';
+  }
+  const buttonClass = 'px-2 py-1 text-xs rounded border border-dark-border text-dark-text hover:border-tandem-blue hover:text-tandem-blue transition';
+
+  return `
+    <div class="space-y-1">
+      ${queries.map((q, index) => `
+        <div class="flex items-center gap-2 p-2 bg-dark-bg/30 rounded">
+          <div class="flex-1 min-w-0">
+            <div class="text-xs font-medium text-dark-text truncate">${escapeHtml(q.name)}</div>
+            <div class="text-xs font-mono text-dark-text-secondary truncate" title="${escapeHtml(q.text)}">${escapeHtml(q.text)}</div>
+          </div>
+          <button data-index="${index}" data-action="run" class="${buttonClass}" title="Run query">▶</button>
+          <button data-index="${index}" data-action="link" class="${buttonClass}" title="Copy link to this query">🔗</button>
+          <button data-index="${index}" data-action="delete" title="Delete saved query"
+                  class="px-2 py-1 text-xs rounded border border-dark-border text-dark-text-secondary hover:border-red-500 hover:text-red-400 transition">✕</button>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Link that opens the dashboard on this facility and runs a text query
+ * @param {string} text - Query text
+ * @returns {string} URL
+ */
+function queryLink(text) {
+  const route = getRoute();
+  const hash = formatRoute({
+    ...route,
+    cards: route.cards.includes('search') ? route.cards : [...route.cards, 'search'],
+    search: null,
+    query: text
+  });
+  return `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+}
+
 /**
  * Display search interface
  * @param {HTMLElement} container - Container element
@@ -283,6 +444,86 @@ export async function displaySearch(container, facilityURN, region, models) {
         </div>
       </div>
       
+      <!-- Text Query -->
+      <div class="border-t border-dark-border pt-4 space-y-3">
+        <div>
+          <h3 class="text-sm font-semibold text-dark-text">Text Query</h3>
+          <p class="mt-1 text-xs text-dark-text-secondary">
+            Example: <code class="px-1 py-0.5 bg-dark-bg rounded text-tandem-blue">Dimensions.Area &gt; 200 AND Identity Data.Mark ~ "AHU*" AND category = Rooms</code>
+            <br>
+            Operators: = != &gt; &gt;= &lt; &lt;= ~ (wildcards or regex), contains, exists. AND binds tighter than OR; use parentheses to group
+            and quotes for values with special characters.
+          </p>
+        </div>
+        <div class="relative">
+          <input 
+            type="text" 
+            id="search-text-query" 
+            placeholder="Type a property name to see suggestions..."
+            autocomplete="off"
+            spellcheck="false"
+            class="w-full px-3 py-2 bg-dark-bg border border-dark-border rounded text-xs font-mono text-dark-text placeholder-dark-text-secondary focus:outline-none focus:ring-2 focus:ring-tandem-blue focus:border-transparent"
+          />
+          <div id="search-text-query-suggestions" class="hidden absolute z-10 mt-1 w-full max-h-48 overflow-y-auto bg-dark-card border border-dark-border rounded shadow-lg"></div>
+        </div>
+        <div id="search-text-query-error" class="hidden"></div>
+        <div class="flex items-center space-x-2">
+          <button 
+            id="search-text-query-run-btn"
+            class="px-4 py-2 bg-tandem-blue hover:bg-blue-600 text-white text-xs font-medium rounded focus:outline-none focus:ring-2 focus:ring-tandem-blue focus:ring-offset-2 transition"
+          >
+            <svg class="w-4 h-4 inline-block mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+            </svg>
+            Run
+          </button>
+          <button 
+            id="search-text-query-save-btn"
+            class="px-4 py-2 bg-dark-border hover:bg-dark-bg text-dark-text text-xs font-medium rounded focus:outline-none focus:ring-2 focus:ring-dark-border transition"
+          >
+            Save
+          </button>
+          <button 
+            id="search-text-query-link-btn"
+            class="px-4 py-2 bg-dark-border hover:bg-dark-bg text-dark-text text-xs font-medium rounded focus:outline-none focus:ring-2 focus:ring-dark-border transition"
+          >
+            🔗 Copy Link
+          </button>
+        </div>
+        <div>
+          <h4 class="text-xs font-semibold text-dark-text mb-1">Saved Queries</h4>
+          <div id="search-saved-queries"></div>
+        </div>
+      </div>
+      
+      <!-- Query Builder -->
+      <div class="border-t border-dark-border pt-4 space-y-3">
+        <div>
+          <h3 class="text-sm font-semibold text-dark-text">Query Builder</h3>
+          <p class="mt-1 text-xs text-dark-text-secondary">
+            Combine conditions on several properties with AND/OR; groups can be nested. Each model is scanned once.
+          </p>
+        </div>
+        <div id="search-query-builder"></div>
+        <div class="flex items-center space-x-2">
+          <button 
+            id="search-query-run-btn"
+            class="px-4 py-2 bg-tandem-blue hover:bg-blue-600 text-white text-xs font-medium rounded focus:outline-none focus:ring-2 focus:ring-tandem-blue focus:ring-offset-2 transition"
+          >
+            <svg class="w-4 h-4 inline-block mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
+            </svg>
+            Run Query
+          </button>
+          <button 
+            id="search-query-reset-btn"
+            class="px-4 py-2 bg-dark-border hover:bg-dark-bg text-dark-text text-xs font-medium rounded focus:outline-none focus:ring-2 focus:ring-dark-border transition"
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+      
       <!-- Search Results -->
       <div id="search-results" class="hidden">
         <div class="border-t border-dark-border pt-4 mt-4">
@@ -445,6 +686,12 @@ export async function displaySearch(container, facilityURN, region, models) {
     }
   }
 
+  // Helper: the option panel (match type, numeric operator or boolean value) shown for the property
+  function visibleOptionsPanel() {
+    return [stringMatchOptions, numericOperatorOptions, booleanValueOptions]
+      .find(panel => !panel.classList.contains('hidden'));
+  }
+
   // Listen for any radio change across the options grid
   detailSection.querySelector('#search-options-container').addEventListener('change', () => {
     applyAnyValueState();
@@ -549,6 +796,14 @@ export async function displaySearch(container, facilityURN, region, models) {
       }
     }
 
+    // Keep the search in the URL so it can be shared or restored on reload
+    setRouteSearch({
+      property: propertyName,
+      value: searchOptions.dataType === 'any' ? '' : propertyValueInput.value.trim(),
+      match: visibleOptionsPanel()?.querySelector('input[type="radio"]:checked')?.value || null,
+      caseSensitive: !!searchOptions.caseSensitive
+    });
+
     await executeSearch(facilityURN, region, models, propertyName, searchOptions, resultsDiv, resultsContent);
   });
 
@@ -557,6 +812,7 @@ export async function displaySearch(container, facilityURN, region, models) {
     propertyValueInput.value = '';
     resultsDiv.classList.add('hidden');
     resultsContent.innerHTML = '';
+    setRouteSearch(null);
   });
 
   // Allow Enter key to trigger search
@@ -566,6 +822,263 @@ export async function displaySearch(container, facilityURN, region, models) {
   propertyValueInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') searchBtn.click();
   });
+
+  // Query builder: conditions on several properties combined with AND/OR in nested groups
+  const kindOf = (propertyName) => valueKind(propertyMap.get(propertyName)?.dataType ??
+    [...propertyMap.entries()].find(([name]) => name.toLowerCase() === propertyName.toLowerCase())?.[1].dataType);
+  const builderDiv = detailSection.querySelector('#search-query-builder');
+  let query = createGroup('and', [createCondition()]);
+  const renderBuilder = () => {
+    builderDiv.innerHTML = renderQueryGroup(query, '', kindOf);
+  };
+  renderBuilder();
+
+  builderDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const path = button.dataset.path;
+    const node = nodeAt(query, path);
+
+    if (button.dataset.action === 'add-condition') {
+      node.children.push(createCondition());
+    } else if (button.dataset.action === 'add-group') {
+      node.children.push(createGroup(node.op === 'and' ? 'or' : 'and', [createCondition()]));
+    } else if (button.dataset.action === 'remove') {
+      const parentPath = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+      nodeAt(query, parentPath).children.splice(Number(path.split('.').pop()), 1);
+    }
+    renderBuilder();
+  });
+
+  // Values are kept as typed; property and operator changes re-render the row (operators depend on the data type)
+  builderDiv.addEventListener('input', (e) => {
+    const field = e.target.dataset.field;
+    if (field === 'value' || field === 'property') {
+      nodeAt(query, e.target.dataset.path)[field] = e.target.value;
+    }
+  });
+  builderDiv.addEventListener('change', (e) => {
+    const { path, field } = e.target.dataset;
+    if (!field) return;
+    const node = nodeAt(query, path);
+    node[field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    if (field === 'property' || field === 'operator') {
+      renderBuilder();
+    }
+  });
+  builderDiv.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+      e.target.dispatchEvent(new Event('change', { bubbles: true }));
+      detailSection.querySelector('#search-query-run-btn').click();
+    }
+  });
+
+  detailSection.querySelector('#search-query-run-btn').addEventListener('click', async () => {
+    const error = validateQuery(query, kindOf);
+    if (error) {
+      resultsContent.innerHTML = `<p class="text-yellow-500 text-xs">⚠️ ${escapeHtml(error)}.</p>`;
+      resultsDiv.classList.remove('hidden');
+      return;
+    }
+    await executeQuery(facilityURN, region, models, query, kindOf, resultsDiv, resultsContent);
+  });
+
+  detailSection.querySelector('#search-query-reset-btn').addEventListener('click', () => {
+    query = createGroup('and', [createCondition()]);
+    renderBuilder();
+    resultsDiv.classList.add('hidden');
+    resultsContent.innerHTML = '';
+  });
+
+  // Text query: the same compound queries typed as text, with property suggestions and saved queries per facility
+  const textInput = detailSection.querySelector('#search-text-query');
+  const suggestionsDiv = detailSection.querySelector('#search-text-query-suggestions');
+  const textErrorDiv = detailSection.querySelector('#search-text-query-error');
+  const textRunBtn = detailSection.querySelector('#search-text-query-run-btn');
+  const savedDiv = detailSection.querySelector('#search-saved-queries');
+  let suggestions = [];
+  let activeSuggestion = 0;
+  let completion = null;
+  let savedQueries = loadSavedQueries(facilityURN);
+
+  const showTextError = (text, error) => {
+    textErrorDiv.innerHTML = error ? renderQueryTextError(text, error) : '';
+    textErrorDiv.classList.toggle('hidden', !error);
+  };
+  const compileText = () => {
+    const text = textInput.value.trim();
+    const result = compileQueryText(text, sortedProperties, kindOf);
+    showTextError(text, result.error);
+    return { text, ...result };
+  };
+
+  const hideSuggestions = () => {
+    suggestions = [];
+    suggestionsDiv.classList.add('hidden');
+  };
+  const renderSuggestions = () => {
+    suggestionsDiv.innerHTML = suggestions.map((name, index) => `
+      <div data-index="${index}" class="px-3 py-1.5 text-xs font-mono cursor-pointer ${index === activeSuggestion ? 'bg-tandem-blue text-white' : 'text-dark-text hover:bg-dark-bg'}">${escapeHtml(name)}</div>
+    `).join('');
+    suggestionsDiv.classList.toggle('hidden', suggestions.length === 0);
+  };
+  const updateSuggestions = () => {
+    completion = propertyCompletion(textInput.value, textInput.selectionStart ?? textInput.value.length);
+    if (!completion) {
+      hideSuggestions();
+      return;
+    }
+    const prefix = completion.prefix.trim().replace(/^"/, '').toLowerCase();
+    suggestions = sortedProperties.filter(name => name.toLowerCase().includes(prefix)).slice(0, 20);
+    activeSuggestion = 0;
+    renderSuggestions();
+  };
+  const acceptSuggestion = (index) => {
+    const cursor = textInput.selectionStart ?? textInput.value.length;
+    const insert = `${quoteQueryText(suggestions[index])} `;
+    const before = textInput.value.slice(0, completion.start);
+
+    textInput.value = before + insert + textInput.value.slice(cursor).trimStart();
+    textInput.setSelectionRange(before.length + insert.length, before.length + insert.length);
+    textInput.focus();
+    hideSuggestions();
+  };
+
+  textInput.addEventListener('input', () => {
+    updateSuggestions();
+    if (textInput.value.trim()) {
+      compileText();
+    } else {
+      showTextError('', null);
+    }
+  });
+  textInput.addEventListener('click', updateSuggestions);
+  textInput.addEventListener('blur', () => setTimeout(hideSuggestions, 150));
+  textInput.addEventListener('keydown', (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        activeSuggestion = (activeSuggestion + (e.key === 'ArrowDown' ? 1 : suggestions.length - 1)) % suggestions.length;
+        renderSuggestions();
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        acceptSuggestion(activeSuggestion);
+        return;
+      }
+      if (e.key === 'Escape') {
+        hideSuggestions();
+        return;
+      }
+    }
+    if (e.key === 'Enter') {
+      textRunBtn.click();
+    }
+  });
+  // mousedown keeps the focus in the input, so blur doesn't hide the list before the click
+  suggestionsDiv.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-index]');
+    if (item) {
+      e.preventDefault();
+      acceptSuggestion(Number(item.dataset.index));
+    }
+  });
+
+  textRunBtn.addEventListener('click', async () => {
+    hideSuggestions();
+    const { text, query: textQuery, error } = compileText();
+    if (error) {
+      return;
+    }
+    // Keep the query in the URL so it can be shared or restored on reload
+    setRouteQuery(text);
+    await executeQuery(facilityURN, region, models, textQuery, kindOf, resultsDiv, resultsContent);
+  });
+
+  const renderSaved = () => {
+    savedDiv.innerHTML = renderSavedQueries(savedQueries);
+  };
+  renderSaved();
+
+  detailSection.querySelector('#search-text-query-save-btn').addEventListener('click', () => {
+    const { text, error } = compileText();
+    if (error) {
+      return;
+    }
+    const current = savedQueries.find(q => q.text === text);
+    const name = window.prompt('Save query as:', current?.name || '')?.trim();
+    if (!name) {
+      return;
+    }
+    const existing = savedQueries.find(q => q.name.toLowerCase() === name.toLowerCase());
+    if (existing && existing.text !== text && !window.confirm(`Replace the saved query "${existing.name}"?`)) {
+      return;
+    }
+    savedQueries = saveQuery(facilityURN, name, text);
+    renderSaved();
+  });
+
+  /**
+   * Copy a link to a query and show the outcome on the button
+   * @param {HTMLElement} button - Button that was clicked
+   * @param {string} text - Query text
+   */
+  const copyQueryLink = async (button, text) => {
+    const originalContent = button.textContent;
+    try {
+      await navigator.clipboard.writeText(queryLink(text));
+      button.textContent = '✓';
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      button.textContent = '✗';
+    }
+    setTimeout(() => {
+      button.textContent = originalContent;
+    }, 2000);
+  };
+
+  detailSection.querySelector('#search-text-query-link-btn').addEventListener('click', (e) => {
+    const { text, error } = compileText();
+    if (!error) {
+      copyQueryLink(e.currentTarget, text);
+    }
+  });
+
+  savedDiv.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const saved = savedQueries[Number(button.dataset.index)];
+
+    if (button.dataset.action === 'run') {
+      textInput.value = saved.text;
+      textRunBtn.click();
+    } else if (button.dataset.action === 'link') {
+      copyQueryLink(button, saved.text);
+    } else if (button.dataset.action === 'delete' && window.confirm(`Delete the saved query "${saved.name}"?`)) {
+      savedQueries = deleteSavedQuery(facilityURN, saved.name);
+      renderSaved();
+    }
+  });
+
+  // Restore and run the search or text query from the URL (shared link or reload)
+  const { search, query: routeQuery } = getRoute();
+  if (search) {
+    propertyNameInput.value = search.property;
+    updateSearchOptionsForDataType();
+    propertyValueInput.value = search.value;
+    const matchRadio = [...(visibleOptionsPanel()?.querySelectorAll('input[type="radio"]') || [])]
+      .find(radio => radio.value === search.match);
+    if (matchRadio) {
+      matchRadio.checked = true;
+    }
+    detailSection.querySelector('#search-case-sensitive').checked = search.caseSensitive;
+    applyAnyValueState();
+    searchBtn.click();
+  } else if (routeQuery) {
+    textInput.value = routeQuery;
+    textRunBtn.click();
+  }
 }
 
 /**
@@ -656,7 +1169,94 @@ async function executeSearch(facilityURN, region, models, propertyName, searchOp
   } catch (error) {
     console.error('Error executing search:', error);
     resultsContent.innerHTML = `
-      <p class="text-red-500 text-xs">❌ Error executing search: ${error.message}</p>
+      <p class="text-red-500 text-xs">❌ Error executing search: ${describeError(error)}</p>
+    `;
+  }
+}
+
+/**
+ * Execute a compound query
+ * Every property of the query is resolved per model and fetched with a single scan of that model; the models are
+ * scanned in parallel and models that have none of the properties aren't scanned.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {Array} models - Array of model objects
+ * @param {Object} query - Root group (see utils/searchQuery.js)
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @param {HTMLElement} resultsDiv - Results container div
+ * @param {HTMLElement} resultsContent - Results content div
+ */
+async function executeQuery(facilityURN, region, models, query, kindOf, resultsDiv, resultsContent) {
+  resultsContent.innerHTML = `
+    <div class="flex items-center space-x-2 text-tandem-blue text-xs">
+      <svg class="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
+        <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+        <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+      </svg>
+      <span>Running query across ${models.length} model${models.length !== 1 ? 's' : ''}...</span>
+    </div>
+  `;
+  resultsDiv.classList.remove('hidden');
+
+  try {
+    const schemaCache = getSchemaCache();
+    const properties = queryProperties(query);
+    const missingByProperty = new Map(properties.map(property => [property, []]));
+    const scans = [];
+    for (const model of models) {
+      const modelName = model.label || model.modelId;
+      const columns = resolveColumns(properties, schemaCache[model.modelId]?.attributes || []);
+      properties.filter(property => !columns.has(property.toLowerCase()))
+        .forEach(property => missingByProperty.get(property).push(modelName));
+      if (columns.size > 0) {
+        scans.push({ model, modelName, columns });
+      }
+    }
+    const scanned = scans.length;
+
+    // Scan the models in parallel; results keep the model order
+    const modelResults = await Promise.all(scans.map(async ({ model, modelName, columns }) => {
+      const data = await scanModel(model.modelId, region, {
+        qualifiedColumns: [...new Set(columns.values())],
+        includeHistory: false
+      });
+      const predicate = compileQuery(query, columns, kindOf);
+      const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key] && predicate(item));
+      console.log(`Query matched ${elements.length} elements in model ${modelName}`);
+      return { modelURN: model.modelId, modelName: model.label || 'Untitled Model', elements };
+    }));
+    const allResults = modelResults.filter(result => result.elements.length > 0);
+
+    const description = describeQuery(query, kindOf);
+    const missing = [...missingByProperty.entries()].filter(([, modelNames]) => modelNames.length > 0);
+    let html = missing.length > 0 ? `
+      <div class="mb-4 p-3 bg-yellow-900/20 border border-yellow-700/50 rounded space-y-1">
+        ${missing.map(([property, modelNames]) => `
+          <div class="text-xs text-yellow-300">
+            ℹ️ Property <strong>${escapeHtml(property)}</strong> not found in ${modelNames.length === models.length ? 'any model' : `${modelNames.length} model${modelNames.length !== 1 ? 's' : ''}: ${modelNames.map(m => `<span class="italic">${escapeHtml(m)}</span>`).join(', ')}`}
+          </div>
+        `).join('')}
+      </div>
+    ` : '';
+
+    if (allResults.length === 0) {
+      resultsContent.innerHTML = html + `
+        <p class="text-dark-text-secondary text-xs">
+          No elements match <strong class="text-dark-text">${escapeHtml(description)}</strong>.
+          <br>
+          <span class="text-xs text-dark-text-secondary mt-1 inline-block">
+            Scanned ${scanned} model${scanned !== 1 ? 's' : ''} that have at least one of the properties.
+          </span>
+        </p>
+      `;
+      return;
+    }
+    html += `<p class="mb-2 text-xs text-dark-text-secondary">Query: <span class="text-dark-text">${escapeHtml(description)}</span></p>`;
+    showMatches(resultsContent, html, allResults, `Query Results: ${description}`, facilityURN, region);
+  } catch (error) {
+    console.error('Error executing query:', error);
+    resultsContent.innerHTML = `
+      <p class="text-red-500 text-xs">❌ Error executing query: ${describeError(error)}</p>
     `;
   }
 }
@@ -671,123 +1271,23 @@ async function executeSearch(facilityURN, region, models, propertyName, searchOp
  */
 async function searchElementsByProperty(modelURN, region, qualifiedColumn, searchOptions) {
   try {
-    const payload = JSON.stringify({
+    const data = await scanModel(modelURN, region, {
       qualifiedColumns: [qualifiedColumn],
       includeHistory: false
     });
-
-    const response = await fetch(`${tandemBaseURL}/modeldata/${modelURN}/scan`, makeRequestOptionsPOST(payload, region));
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch elements: ${response.statusText}`);
-    }
-
-    const data = await response.json();
     const elements = data.filter(item => typeof item === 'object' && item !== null && item[QC.Key]);
 
     console.log(`Found ${elements.length} elements in model ${modelURN}`);
     
-    // Create matcher function based on data type
-    let matcher;
-
-    if (searchOptions.dataType === 'any') {
-      // Any value: accept all elements that have the column set (non-null check handled below)
-      matcher = () => true;
-    } else if (searchOptions.dataType === 'boolean') {
-      // Boolean matching
-      matcher = (val) => {
-        if (typeof val === 'boolean') {
-          return val === searchOptions.value;
-        }
-        // Handle string representations
-        const valStr = String(val).toLowerCase();
-        const targetStr = searchOptions.value ? 'true' : 'false';
-        return valStr === targetStr || valStr === (searchOptions.value ? '1' : '0');
-      };
-    } else if (searchOptions.dataType === 'numeric') {
-      // Numeric matching with operators
-      const targetValue = searchOptions.value;
-      const operator = searchOptions.operator;
-      
-      matcher = (val) => {
-        const numVal = typeof val === 'number' ? val : parseFloat(val);
-        if (isNaN(numVal)) return false;
-        
-        switch (operator) {
-          case '=': return numVal === targetValue;
-          case '!=': return numVal !== targetValue;
-          case '>': return numVal > targetValue;
-          case '>=': return numVal >= targetValue;
-          case '<': return numVal < targetValue;
-          case '<=': return numVal <= targetValue;
-          default: return numVal === targetValue;
-        }
-      };
-    } else {
-      // String matching
-      const matchType = searchOptions.matchType || 'partial';
-      const caseSensitive = searchOptions.caseSensitive || false;
-      const searchValue = searchOptions.value;
-      
-      if (matchType === 'regex') {
-        // Convert wildcard patterns to regex, or use as-is if already a regex
-        let pattern = searchValue;
-        
-        // Simple wildcard conversion: * -> .*, ? -> .
-        if (!pattern.startsWith('^') && !pattern.includes('[') && !pattern.includes('(')) {
-          pattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.');
-        }
-        
-        try {
-          const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
-          matcher = (val) => regex.test(String(val));
-        } catch (e) {
-          console.error('Invalid regex pattern:', e);
-          // Fall back to partial match
-          matcher = (val) => {
-            const valStr = String(val);
-            return caseSensitive 
-              ? valStr.includes(searchValue)
-              : valStr.toLowerCase().includes(searchValue.toLowerCase());
-          };
-        }
-      } else if (matchType === 'exact') {
-        matcher = (val) => {
-          const valStr = String(val);
-          return caseSensitive 
-            ? valStr === searchValue
-            : valStr.toLowerCase() === searchValue.toLowerCase();
-        };
-      } else {
-        // Partial match (default)
-        matcher = (val) => {
-          const valStr = String(val);
-          return caseSensitive 
-            ? valStr.includes(searchValue)
-            : valStr.toLowerCase().includes(searchValue.toLowerCase());
-        };
-      }
-    }
-    
     // Filter elements that have the matching property value
-    const matchingElements = elements.filter(element => {
-      const value = element[qualifiedColumn];
-      if (!value) return false;
-      
-      // Handle array values
-      if (Array.isArray(value)) {
-        return value.some(v => matcher(v));
-      }
-      
-      // Handle single values
-      return matcher(value);
-    });
+    const matcher = createMatcher(searchOptions);
+    const matchingElements = elements.filter(element => matchesValue(element[qualifiedColumn], matcher));
 
     console.log(`Found ${matchingElements.length} matching elements`);
     return matchingElements;
   } catch (error) {
     console.error(`Error searching in model ${modelURN}:`, error);
-    return [];
+    throw error;
   }
 }
 
@@ -852,7 +1352,19 @@ function displaySearchResults(facilityURN, results, propertyName, searchOptions,
     return;
   }
 
-  // Calculate total matches
+  showMatches(container, html, results, `Search Results: ${propertyName} = ${searchCriteria}`, facilityURN, region);
+}
+
+/**
+ * Show the number of matching elements; clicking it opens their details
+ * @param {HTMLElement} container - Container element
+ * @param {string} html - HTML shown above the matches (e.g. notes about missing properties)
+ * @param {Array} results - Matching elements grouped by model ({ modelURN, modelName, elements })
+ * @param {string} title - Title of the details page
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ */
+function showMatches(container, html, results, title, facilityURN, region) {
   const totalMatches = results.reduce((sum, r) => sum + r.elements.length, 0);
 
   html += `
@@ -882,9 +1394,17 @@ function displaySearchResults(facilityURN, results, propertyName, searchOptions,
         keys: result.elements.map(el => el[QC.Key])
       }));
 
-      const title = `Search Results: ${propertyName} = ${searchCriteria}`;
       viewAssetDetails(elementsByModel, title, facilityURN, region);
     });
   }
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'search',
+  title: 'Search',
+  placeholder: 'Initializing search...',
+  order: 30,
+  requires: ['models', 'schemas'],
+  render: (container, { facilityURN, region, models }) => displaySearch(container, facilityURN, region, models)
+});
@@ -0,0 +1,384 @@
+import { getStreamConfigs, getStreams } from '../api.js';
+import { formatDuration } from '../utils.js';
+import {
+  DEFAULT_RETENTION_DAYS,
+  FREQUENCY_OPTIONS,
+  RETENTION_OPTIONS,
+  formatPointCount,
+  planCapacity
+} from '../utils/capacity.js';
+import {
+  createDateFilename,
+  createExportButtonManager,
+  downloadWorkbook,
+  getColumnLetters,
+  styleHeaderRow
+} from '../utils/excelUtils.js';
+import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
+import { QC } from '../../tandem/constants.js';
+import { toShortKey } from '../../tandem/keys.js';
+
+/**
+ * Toggle stream capacity detail view
+ */
+const toggleStreamCapacityDetail = createToggleFunction({
+  detailId: 'streamCapacity-detail',
+  summaryId: 'streamCapacity-summary',
+  toggleBtnId: 'toggle-streamCapacity-btn',
+  iconDownId: 'toggle-streamCapacity-icon-down',
+  iconUpId: 'toggle-streamCapacity-icon-up'
+});
+
+const selectClass = 'rounded border-dark-border bg-dark-bg text-dark-text focus:border-tandem-blue focus:ring-tandem-blue text-xs py-1 px-2 border';
+
+/**
+ * Format a retention period
+ * @param {number} days - Retention in days
+ * @returns {string} e.g. '30 days' or '2 years'
+ */
+function formatRetentionDays(days) {
+  if (days >= 365 && days % 365 === 0) {
+    return `${days / 365} year${days === 365 ? '' : 's'}`;
+  }
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Options for a frequency or retention select: the offered values plus the stream's current one
+ * @param {Array<number>} values - Offered values
+ * @param {number} current - Current value
+ * @param {number} selected - Selected value
+ * @param {Function} format - Value -> label
+ * @returns {string} HTML options
+ */
+function renderOptions(values, current, selected, format) {
+  return [...new Set([...values, current])].sort((a, b) => a - b).map(value => `
+    <option value="${value}" ${value === selected ? 'selected' : ''}>${format(value)}${value === current ? ' (current)' : ''}</option>
+  `).join('');
+}
+
+/**
+ * Format a planned change relative to the current value
+ * @param {number} current - Current value
+ * @param {number} planned - Planned value
+ * @returns {string} HTML ('' when unchanged)
+ */
+function renderDelta(current, planned) {
+  if (current === planned) return '';
+  const percent = current > 0 ? Math.round((planned - current) / current * 100) : 0;
+  const color = planned < current ? 'text-green-400' : 'text-amber-400';
+  return `<div class="text-xs ${color}">→ ${formatPointCount(planned)} (${percent > 0 ? '+' : ''}${percent}%)</div>`;
+}
+
+/**
+ * Render the totals (current, with the planned values when there are changes)
+ * @param {Object} plan - Result of planCapacity
+ * @returns {string} HTML string
+ */
+function renderTotals(plan) {
+  const { current, planned } = plan.totals;
+  const stat = (label, currentValue, plannedValue) => `
+    <div>
+      <div class="text-xs text-dark-text-secondary uppercase tracking-wide">${label}</div>
+      <div class="text-xl font-bold text-tandem-blue">${formatPointCount(currentValue)}</div>
+      ${renderDelta(currentValue, plannedValue)}
+    </div>
+  `;
+
+  return `
+    <div>
+      <div class="text-xs text-dark-text-secondary uppercase tracking-wide">Streams</div>
+      <div class="text-xl font-bold text-dark-text">${plan.streams.length}</div>
+      <div class="text-xs text-dark-text-secondary">${current.parameters} parameters</div>
+    </div>
+    ${stat('Points / Day', current.pointsPerDay, planned.pointsPerDay)}
+    ${stat('Points / Month', current.pointsPerMonth, planned.pointsPerMonth)}
+    ${stat('Retained Points', current.retainedPoints, planned.retainedPoints)}
+  `;
+}
+
+/**
+ * Render the per-stream table with a frequency and retention select per stream
+ * @param {Object} plan - Result of planCapacity
+ * @param {string} filter - Lowercase name filter
+ * @returns {string} HTML string
+ */
+function renderStreamTable(plan, filter) {
+  const rows = plan.streams.filter(item => !filter || item.name.toLowerCase().includes(filter));
+  if (rows.length === 0) {
+    return '<p class="text-xs text-dark-text-secondary p-3">No streams match the filter.</p>';
+  }
+
+  return `
+    <table class="min-w-full text-xs">
+      <thead class="bg-dark-bg/50 sticky top-0">
+        <tr>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Stream</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Parameters</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Frequency</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Retention</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Points / Day</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Retained Points</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text w-40">Share</th>
+        </tr>
+      </thead>
+      <tbody class="divide-y divide-dark-border">
+        ${rows.map(item => `
+          <tr class="hover:bg-dark-bg/30 ${item.changed ? 'bg-tandem-blue/10' : 'bg-dark-card'}">
+            <td class="px-3 py-2 text-dark-text">${item.name}${item.configured ? '' : ' <span class="text-dark-text-secondary">*</span>'}</td>
+            <td class="px-3 py-2 text-right text-dark-text">${item.current.parameters}</td>
+            <td class="px-3 py-2">
+              <select class="${selectClass}" data-capacity-key="${item.key}" data-capacity-field="frequency">
+                ${renderOptions(FREQUENCY_OPTIONS, item.current.frequency, item.planned.frequency, formatDuration)}
+              </select>
+            </td>
+            <td class="px-3 py-2">
+              <select class="${selectClass}" data-capacity-key="${item.key}" data-capacity-field="retentionPeriod">
+                ${renderOptions(RETENTION_OPTIONS, item.current.retentionDays, item.planned.retentionDays, formatRetentionDays)}
+              </select>
+            </td>
+            <td class="px-3 py-2 text-right text-dark-text">
+              ${formatPointCount(item.current.pointsPerDay)}
+              ${renderDelta(item.current.pointsPerDay, item.planned.pointsPerDay)}
+            </td>
+            <td class="px-3 py-2 text-right text-dark-text">
+              ${formatPointCount(item.current.retainedPoints)}
+              ${renderDelta(item.current.retainedPoints, item.planned.retainedPoints)}
+            </td>
+            <td class="px-3 py-2">
+              <div class="flex items-center gap-2">
+                <div class="flex-1 h-2 bg-dark-bg rounded overflow-hidden">
+                  <div class="h-2 bg-tandem-blue" style="width: ${(item.share * 100).toFixed(1)}%"></div>
+                </div>
+                <span class="text-dark-text-secondary w-10 text-right">${Math.round(item.share * 100)}%</span>
+              </div>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Export current and planned capacity per stream, and the changes to make in Tandem
+ * @param {Object} plan - Result of planCapacity
+ */
+function exportCapacityToExcel(plan) {
+  const exportBtn = document.getElementById('streamCapacity-export-btn');
+  const buttonManager = createExportButtonManager(exportBtn, exportBtn.innerHTML);
+
+  try {
+    buttonManager.setLoading();
+    const wb = XLSX.utils.book_new();
+    const round = value => Math.round(value);
+
+    const capacityData = [[
+      'Stream', 'Stream Key', 'Parameters', 'Frequency (s)', 'Retention (days)', 'Points / Day', 'Points / Month',
+      'Retained Points', 'Planned Frequency (s)', 'Planned Retention (days)', 'Planned Points / Day', 'Planned Retained Points', 'Share (%)'
+    ]];
+    plan.streams.forEach(item => {
+      capacityData.push([
+        item.name,
+        item.key,
+        item.current.parameters,
+        item.current.frequency / 1000,
+        item.current.retentionDays,
+        round(item.current.pointsPerDay),
+        round(item.current.pointsPerMonth),
+        round(item.current.retainedPoints),
+        item.planned.frequency / 1000,
+        item.planned.retentionDays,
+        round(item.planned.pointsPerDay),
+        round(item.planned.retainedPoints),
+        Math.round(item.share * 1000) / 10
+      ]);
+    });
+    const { current, planned } = plan.totals;
+    capacityData.push(['Total', '', current.parameters, '', '', round(current.pointsPerDay), round(current.pointsPerMonth),
+      round(current.retainedPoints), '', '', round(planned.pointsPerDay), round(planned.retainedPoints), 100]);
+
+    const capacitySheet = XLSX.utils.aoa_to_sheet(capacityData);
+    styleHeaderRow(capacitySheet, 1, getColumnLetters(capacityData[0].length));
+    capacitySheet['!cols'] = [{ wch: 30 }, { wch: 30 }].concat(capacityData[0].slice(2).map(() => ({ wch: 16 })));
+    XLSX.utils.book_append_sheet(wb, capacitySheet, 'Capacity');
+
+    const changeData = [['Stream', 'Stream Key', 'Frequency (s)', 'New Frequency (s)', 'Retention (days)', 'New Retention (days)', 'Retained Points', 'New Retained Points']];
+    plan.streams.filter(item => item.changed).forEach(item => {
+      changeData.push([
+        item.name,
+        item.key,
+        item.current.frequency / 1000,
+        item.planned.frequency / 1000,
+        item.current.retentionDays,
+        item.planned.retentionDays,
+        round(item.current.retainedPoints),
+        round(item.planned.retainedPoints)
+      ]);
+    });
+    const changeSheet = XLSX.utils.aoa_to_sheet(changeData);
+    styleHeaderRow(changeSheet, 1, getColumnLetters(changeData[0].length));
+    changeSheet['!cols'] = [{ wch: 30 }, { wch: 30 }].concat(changeData[0].slice(2).map(() => ({ wch: 18 })));
+    XLSX.utils.book_append_sheet(wb, changeSheet, 'Planned Changes');
+
+    downloadWorkbook(wb, createDateFilename('stream-capacity'));
+    buttonManager.setSuccess();
+  } catch (error) {
+    console.error('Error exporting stream capacity:', error);
+    buttonManager.setError();
+  }
+}
+
+/**
+ * Display the capacity planner: totals, the streams that keep the most points and what-if changes to
+ * frequency and retention (planned only; nothing is written to Tandem)
+ * @param {HTMLElement} container - DOM element to render into
+ * @param {Array<{key: string, name: string, settings: Object}>} streams - Streams with their streamSettings
+ */
+export function displayStreamCapacity(container, streams) {
+  if (!streams || streams.length === 0) {
+    container.innerHTML = '<p class="text-dark-text-secondary">No streams found in this facility.</p>';
+    return;
+  }
+  let changes = {};
+  let plan = planCapacity(streams, changes);
+  const top = plan.streams.filter(item => item.share > 0).slice(0, 3);
+
+  const headerHtml = `
+    <div class="flex items-center justify-between mb-3">
+      <div id="streamCapacity-totals" class="flex items-start space-x-6">${renderTotals(plan)}</div>
+      <button id="toggle-streamCapacity-btn"
+              class="p-2 hover:bg-dark-bg/50 rounded transition"
+              title="Show more">
+        <svg id="toggle-streamCapacity-icon-down" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+        </svg>
+        <svg id="toggle-streamCapacity-icon-up" class="w-5 h-5 hidden" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15l7-7 7 7"></path>
+        </svg>
+      </button>
+    </div>
+  `;
+
+  const summaryHtml = `
+    <div id="streamCapacity-summary" class="text-xs text-dark-text-secondary">
+      ${top.length > 0
+        ? `Largest: ${top.map(item => `${item.name} (${Math.round(item.share * 100)}%)`).join(', ')}`
+        : 'No stream stores any parameters.'}
+    </div>
+  `;
+
+  const detailHtml = `
+    <div id="streamCapacity-detail" class="hidden space-y-4">
+      <div class="border border-dark-border rounded p-3 space-y-2">
+        <div class="text-xs font-semibold text-dark-text">What if</div>
+        <div class="flex flex-wrap items-center gap-2 text-xs">
+          <input type="text" id="streamCapacity-filter" placeholder="Filter streams by name"
+                 class="${selectClass} w-56">
+          <select id="streamCapacity-bulk-frequency" class="${selectClass}" title="Frequency">
+            <option value="">Keep frequency</option>
+            ${FREQUENCY_OPTIONS.map(value => `<option value="${value}">Every ${formatDuration(value)}</option>`).join('')}
+          </select>
+          <select id="streamCapacity-bulk-retention" class="${selectClass}" title="Retention">
+            <option value="">Keep retention</option>
+            ${RETENTION_OPTIONS.map(value => `<option value="${value}">Keep ${formatRetentionDays(value)}</option>`).join('')}
+          </select>
+          <button id="streamCapacity-apply-btn"
+                  class="px-3 py-1 border border-tandem-blue text-xs font-medium rounded text-tandem-blue hover:bg-tandem-blue hover:text-white transition">
+            Apply to streams
+          </button>
+          <button id="streamCapacity-reset-btn"
+                  class="px-3 py-1 border border-dark-border text-xs font-medium rounded text-dark-text-secondary hover:text-dark-text transition">
+            Reset
+          </button>
+          <button id="streamCapacity-export-btn"
+                  class="inline-flex items-center gap-1 px-3 py-1 border border-green-600 text-xs font-medium rounded text-green-400 hover:bg-green-600 hover:text-white transition">
+            <span>📊</span><span>Export</span>
+          </button>
+          <span id="streamCapacity-change-count" class="text-dark-text-secondary"></span>
+        </div>
+      </div>
+      <div id="streamCapacity-table" class="border border-dark-border rounded overflow-auto max-h-96"></div>
+      <p class="text-xs text-dark-text-secondary">
+        Estimates assume one value per parameter (source mapping or calculated property) every sampling interval, kept
+        for the retention period (defaults: 1 min frequency, ${DEFAULT_RETENTION_DAYS} days retention; * = not configured).
+        Planned changes are not saved to Tandem; export them and update the stream settings there.
+      </p>
+    </div>
+  `;
+
+  container.innerHTML = headerHtml + summaryHtml + detailHtml;
+
+  const filterInput = document.getElementById('streamCapacity-filter');
+  const filterValue = () => filterInput.value.trim().toLowerCase();
+
+  const update = () => {
+    plan = planCapacity(streams, changes);
+    const changed = plan.streams.filter(item => item.changed).length;
+    document.getElementById('streamCapacity-totals').innerHTML = renderTotals(plan);
+    document.getElementById('streamCapacity-table').innerHTML = renderStreamTable(plan, filterValue());
+    document.getElementById('streamCapacity-change-count').textContent =
+      changed > 0 ? `${changed} stream${changed === 1 ? '' : 's'} changed` : '';
+  };
+
+  const setChange = (key, field, value) => {
+    changes = { ...changes, [key]: { ...changes[key], [field]: value } };
+  };
+
+  document.getElementById('toggle-streamCapacity-btn').addEventListener('click', toggleStreamCapacityDetail);
+  filterInput.addEventListener('input', update);
+
+  document.getElementById('streamCapacity-table').addEventListener('change', (e) => {
+    const { capacityKey, capacityField } = e.target.dataset;
+    if (capacityKey) {
+      setChange(capacityKey, capacityField, Number(e.target.value));
+      update();
+    }
+  });
+
+  document.getElementById('streamCapacity-apply-btn').addEventListener('click', () => {
+    const frequency = Number(document.getElementById('streamCapacity-bulk-frequency').value);
+    const retention = Number(document.getElementById('streamCapacity-bulk-retention').value);
+    const filter = filterValue();
+    streams.filter(stream => !filter || stream.name.toLowerCase().includes(filter)).forEach(stream => {
+      if (frequency) setChange(stream.key, 'frequency', frequency);
+      if (retention) setChange(stream.key, 'retentionPeriod', retention);
+    });
+    update();
+  });
+
+  document.getElementById('streamCapacity-reset-btn').addEventListener('click', () => {
+    changes = {};
+    update();
+  });
+
+  document.getElementById('streamCapacity-export-btn').addEventListener('click', () => exportCapacityToExcel(plan));
+
+  update();
+}
+
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'streamCapacity',
+  title: 'Stream Capacity',
+  placeholder: 'Loading stream capacity...',
+  order: 27,
+  requires: ['models'],
+  render: async (container, { facilityURN, region, hasDefaultModel }) => {
+    // Streams only exist in the default model
+    const streams = hasDefaultModel ? await getStreams(facilityURN, region) : [];
+    if (streams.length === 0) {
+      displayStreamCapacity(container, []);
+      return;
+    }
+    const streamConfigs = await getStreamConfigs(facilityURN, region);
+    const settingsByKey = new Map(streamConfigs.map(config => [toShortKey(config.elementId), config.streamSettings]));
+
+    displayStreamCapacity(container, streams.map(stream => ({
+      key: stream[QC.Key],
+      name: stream[QC.OName]?.[0] || stream[QC.Name]?.[0] || 'Unnamed Stream',
+      settings: settingsByKey.get(stream[QC.Key]) || null
+    })));
+  }
+});
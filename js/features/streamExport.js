@@ -0,0 +1,384 @@
+import { getDefaultModelURN, getModels, getRowsForModels, getSystems } from '../api.js';
+import { downloadTextFile, escapeHtml } from '../utils.js';
+import { TIME_RANGE_PRESETS, resolveTimeRange } from '../utils/timeseries.js';
+import { EXPORT_FORMATS, columnLabel, formatStreamValues, formatTimestamp, wideTable } from '../utils/exportFormats.js';
+import { indexRowsByKey, locateElement } from '../utils/scanShaping.js';
+import { createDateFilename, downloadWorkbook, getColumnLetters, styleHeaderRow } from '../utils/excelUtils.js';
+import { getPropertyUnit } from '../state/schemaCache.js';
+import { describeError } from '../components/errorState.js';
+import { QC } from '../../tandem/constants.js';
+
+/**
+ * Range the dialog opens with
+ */
+const DEFAULT_PRESET = '7d';
+
+/**
+ * Find the level, room, host and systems of every stream
+ * A stream is in a system when its host (or the stream itself) is a member of it.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {Array} streams - Stream element rows (default model)
+ * @returns {Promise<Array<{key: string, name: string, host: string|null, room: string|null, level: string|null,
+ *   systems: Array<string>}>>} Streams by name
+ */
+async function locateStreams(facilityURN, region, streams) {
+  const models = await getModels(facilityURN, region);
+  const [rowsByModel, systems] = await Promise.all([
+    getRowsForModels(models, region),
+    getSystems(facilityURN, region, models)
+  ]);
+  const rowIndex = indexRowsByKey(rowsByModel);
+  const defaultModelURN = getDefaultModelURN(facilityURN);
+
+  // modelURN|key -> names of the systems the element is in
+  const systemsByElement = new Map();
+  for (const system of systems) {
+    for (const group of system.elementsByModel) {
+      for (const key of group.keys) {
+        const id = `${group.modelURN}|${key}`;
+        if (!systemsByElement.has(id)) {
+          systemsByElement.set(id, new Set());
+        }
+        systemsByElement.get(id).add(system.name);
+      }
+    }
+  }
+
+  return streams
+    .map(stream => {
+      const { host, room, level } = locateElement(stream, rowIndex);
+      const memberOf = [
+        ...(host ? systemsByElement.get(`${host.modelURN}|${host.key}`) || [] : []),
+        ...(systemsByElement.get(`${defaultModelURN}|${stream[QC.Key]}`) || [])
+      ];
+      return {
+        key: stream[QC.Key],
+        name: stream[QC.OName]?.[0] || stream[QC.Name]?.[0] || 'Unnamed Stream',
+        host: host?.name || null,
+        room: room?.name || null,
+        level: level?.name || null,
+        systems: [...new Set(memberOf)].sort()
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Build the XLSX workbook: values (wide), the exported streams and the export settings
+ * @param {Object} loaded - loadStreamSeries result
+ * @param {Object} properties - { propertyId: { name, unit } }
+ * @param {Array<Object>} entries - Exported streams (see locateStreams)
+ * @returns {Object} XLSX workbook
+ */
+function buildWorkbook(loaded, properties, entries) {
+  const wb = XLSX.utils.book_new();
+  const { columns, rows } = wideTable(loaded.series, properties);
+
+  const valueData = [['Timestamp', ...columns.map(columnLabel)], ...rows.map(([timestamp, ...values]) => [formatTimestamp(timestamp), ...values])];
+  const valueSheet = XLSX.utils.aoa_to_sheet(valueData);
+  styleHeaderRow(valueSheet, 1, getColumnLetters(valueData[0].length));
+  valueSheet['!cols'] = [{ wch: 26 }, ...columns.map(() => ({ wch: 24 }))];
+  XLSX.utils.book_append_sheet(wb, valueSheet, 'Values');
+
+  const valueCounts = new Map(loaded.series.map(series => [series.key,
+    Object.values(series.values).reduce((sum, values) => sum + Object.keys(values).length, 0)]));
+  const streamData = [['Stream', 'Stream Key', 'Level', 'Room', 'Host', 'Systems', 'Values']];
+  entries.forEach(entry => {
+    streamData.push([entry.name, entry.key, entry.level || '', entry.room || '', entry.host || '', entry.systems.join(', '), valueCounts.get(entry.key) || 0]);
+  });
+  const streamSheet = XLSX.utils.aoa_to_sheet(streamData);
+  styleHeaderRow(streamSheet, 1, getColumnLetters(streamData[0].length));
+  streamSheet['!cols'] = [{ wch: 30 }, { wch: 30 }, { wch: 20 }, { wch: 25 }, { wch: 30 }, { wch: 30 }, { wch: 10 }];
+  XLSX.utils.book_append_sheet(wb, streamSheet, 'Streams');
+
+  const propertyData = [['Property', 'Property ID', 'Unit']];
+  Object.entries(properties).forEach(([propKey, property]) => propertyData.push([property.name, propKey, property.unit || '']));
+  propertyData.push([], ['Time Range', loaded.range.label], ['Start', formatTimestamp(loaded.range.start)],
+    ['End', formatTimestamp(loaded.range.end)], ['Export Date', new Date().toLocaleString()]);
+  const propertySheet = XLSX.utils.aoa_to_sheet(propertyData);
+  styleHeaderRow(propertySheet, 1, getColumnLetters(3));
+  propertySheet['!cols'] = [{ wch: 30 }, { wch: 26 }, { wch: 20 }];
+  XLSX.utils.book_append_sheet(wb, propertySheet, 'Properties');
+
+  return wb;
+}
+
+/**
+ * Options of a filter select
+ * @param {Array<string>} values - Distinct values
+ * @param {string} allLabel - Label of the "any" option
+ * @returns {string} HTML string
+ */
+function filterOptions(values, allLabel) {
+  return `<option value="">${allLabel}</option>` +
+    values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+}
+
+/**
+ * Show the bulk stream export dialog
+ * Streams are picked by level, room, system or a search on name, host and key; their values in the chosen range
+ * are written as wide CSV, long CSV, JSON Lines or XLSX with property display names and schema units.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {Array} streams - Stream element rows (default model)
+ * @param {Function} loadSeries - Loads the values of some streams: (streamKeys, rangeSelection, onProgress) =>
+ *   loadStreamSeries result
+ * @param {HTMLElement} button - Button element that triggered the action
+ */
+export async function showStreamExportModal(facilityURN, region, streams, loadSeries, button = null) {
+  let entries;
+  const originalText = button?.innerHTML;
+  try {
+    if (button) {
+      button.disabled = true;
+      button.innerHTML = `
+        <svg class="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
+          <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
+          <path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+      `;
+    }
+    entries = await locateStreams(facilityURN, region, streams);
+  } catch (error) {
+    console.error('Error locating streams for export:', error);
+    alert(`Failed to load streams for export: ${describeError(error)}`);
+    return;
+  } finally {
+    if (button) {
+      button.disabled = false;
+      button.innerHTML = originalText;
+    }
+  }
+
+  const distinct = field => [...new Set(entries.map(entry => entry[field]).filter(Boolean))].sort();
+  const systemNames = [...new Set(entries.flatMap(entry => entry.systems))].sort();
+  const selected = new Set(entries.map(entry => entry.key));
+
+  const modalHtml = `
+    <div id="stream-export-modal" class="fixed inset-0 bg-black/75 flex items-center justify-center z-50 p-4">
+      <div class="bg-dark-card border border-dark-border rounded shadow-2xl max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <!-- Header -->
+        <div class="flex items-center justify-between p-4 border-b border-dark-border">
+          <div>
+            <h2 class="text-base font-semibold text-dark-text">Export Stream Values</h2>
+            <div class="text-xs text-dark-text-secondary mt-0.5">Pick streams, a time range and a format</div>
+          </div>
+          <button id="close-stream-export-modal" class="p-1.5 hover:bg-dark-bg/50 rounded transition" title="Close">
+            <svg class="w-5 h-5 text-dark-text" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+            </svg>
+          </button>
+        </div>
+
+        <!-- Content -->
+        <div class="flex-1 overflow-y-auto p-4 space-y-4">
+          <section>
+            <h3 class="text-sm font-semibold text-dark-text mb-2">Streams</h3>
+            <div class="flex flex-wrap items-center gap-2 text-xs mb-2">
+              <select id="stream-export-level" class="bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text">${filterOptions(distinct('level'), 'Any level')}</select>
+              <select id="stream-export-room" class="bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text">${filterOptions(distinct('room'), 'Any room')}</select>
+              <select id="stream-export-system" class="bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text">${filterOptions(systemNames, 'Any system')}</select>
+              <input id="stream-export-search" type="text" placeholder="Search name, host or key"
+                     class="flex-1 min-w-[160px] bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text">
+            </div>
+            <div class="flex items-center gap-2 text-xs mb-2">
+              <button id="stream-export-select-matching" class="px-2 py-1 border border-dark-border rounded text-dark-text hover:bg-dark-bg/50 transition">Select matching</button>
+              <button id="stream-export-only-matching" class="px-2 py-1 border border-dark-border rounded text-dark-text hover:bg-dark-bg/50 transition">Only matching</button>
+              <button id="stream-export-clear" class="px-2 py-1 border border-dark-border rounded text-dark-text hover:bg-dark-bg/50 transition">Clear</button>
+              <span id="stream-export-count" class="text-dark-text-secondary"></span>
+            </div>
+            <div id="stream-export-list" class="bg-dark-bg/30 rounded max-h-64 overflow-y-auto divide-y divide-dark-border/50"></div>
+          </section>
+
+          <section class="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <h3 class="text-sm font-semibold text-dark-text mb-2">Time Range</h3>
+              <div class="space-y-2 text-xs">
+                <select id="stream-export-preset" class="w-full bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text">
+                  ${TIME_RANGE_PRESETS.map(preset => `<option value="${preset.id}"${preset.id === DEFAULT_PRESET ? ' selected' : ''}>${preset.label}</option>`).join('')}
+                  <option value="custom">Custom range</option>
+                </select>
+                <div id="stream-export-custom" class="hidden flex items-center gap-2">
+                  <input id="stream-export-start" type="datetime-local" class="flex-1 bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text [color-scheme:dark]">
+                  <span class="text-dark-text-secondary">–</span>
+                  <input id="stream-export-end" type="datetime-local" class="flex-1 bg-dark-bg border border-dark-border rounded px-2 py-1 text-dark-text [color-scheme:dark]">
+                </div>
+              </div>
+            </div>
+            <div>
+              <h3 class="text-sm font-semibold text-dark-text mb-2">Format</h3>
+              <div class="space-y-1 text-xs">
+                ${EXPORT_FORMATS.map((format, i) => `
+                  <label class="flex items-center gap-2 text-dark-text">
+                    <input type="radio" name="stream-export-format" value="${format.id}"${i === 0 ? ' checked' : ''}>
+                    ${format.label}
+                  </label>
+                `).join('')}
+              </div>
+            </div>
+          </section>
+        </div>
+
+        <!-- Footer -->
+        <div class="p-3 border-t border-dark-border flex items-center justify-between gap-3">
+          <span id="stream-export-status" class="text-xs text-dark-text-secondary"></span>
+          <div class="flex items-center gap-2">
+            <button id="stream-export-run" class="px-3 py-1.5 text-xs bg-tandem-blue text-white rounded hover:bg-tandem-blue/80 transition font-medium disabled:opacity-50">
+              Export
+            </button>
+            <button id="close-stream-export-modal-btn" class="px-3 py-1.5 text-xs border border-dark-border text-dark-text rounded hover:bg-dark-bg/50 transition font-medium">
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Add modal to DOM
+  document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+  const modal = document.getElementById('stream-export-modal');
+  const list = document.getElementById('stream-export-list');
+  const status = document.getElementById('stream-export-status');
+  const presetSelect = document.getElementById('stream-export-preset');
+  const filters = {
+    level: document.getElementById('stream-export-level'),
+    room: document.getElementById('stream-export-room'),
+    system: document.getElementById('stream-export-system'),
+    search: document.getElementById('stream-export-search')
+  };
+
+  const setStatus = (text, isError = false) => {
+    status.textContent = text;
+    status.className = `text-xs ${isError ? 'text-red-400' : 'text-dark-text-secondary'}`;
+  };
+
+  const matching = () => {
+    const search = filters.search.value.trim().toLowerCase();
+    return entries.filter(entry =>
+      (!filters.level.value || entry.level === filters.level.value) &&
+      (!filters.room.value || entry.room === filters.room.value) &&
+      (!filters.system.value || entry.systems.includes(filters.system.value)) &&
+      (!search || [entry.name, entry.host, entry.key].some(text => text?.toLowerCase().includes(search))));
+  };
+
+  const renderList = () => {
+    const shown = matching();
+    list.innerHTML = shown.length === 0
+      ? '<p class="text-dark-text-secondary text-xs p-3">No streams match these filters</p>'
+      : shown.map(entry => `
+        <label class="flex items-center gap-3 px-3 py-1.5 text-xs hover:bg-dark-bg/50 cursor-pointer">
+          <input type="checkbox" class="stream-export-option" data-stream-key="${escapeHtml(entry.key)}"${selected.has(entry.key) ? ' checked' : ''}>
+          <span class="flex-1 text-dark-text">${escapeHtml(entry.name)}</span>
+          <span class="text-dark-text-secondary">${escapeHtml([entry.level, entry.room, entry.host].filter(Boolean).join(' · '))}</span>
+        </label>
+      `).join('');
+    document.getElementById('stream-export-count').textContent =
+      `${selected.size} of ${entries.length} selected · ${shown.length} matching`;
+    document.getElementById('stream-export-run').disabled = selected.size === 0;
+  };
+
+  list.addEventListener('change', (e) => {
+    const key = e.target.dataset.streamKey;
+    if (key) {
+      e.target.checked ? selected.add(key) : selected.delete(key);
+      renderList();
+    }
+  });
+  Object.values(filters).forEach(input => input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', renderList));
+  document.getElementById('stream-export-select-matching').addEventListener('click', () => {
+    matching().forEach(entry => selected.add(entry.key));
+    renderList();
+  });
+  document.getElementById('stream-export-only-matching').addEventListener('click', () => {
+    selected.clear();
+    matching().forEach(entry => selected.add(entry.key));
+    renderList();
+  });
+  document.getElementById('stream-export-clear').addEventListener('click', () => {
+    selected.clear();
+    renderList();
+  });
+  presetSelect.addEventListener('change', () => {
+    document.getElementById('stream-export-custom').classList.toggle('hidden', presetSelect.value !== 'custom');
+  });
+
+  const runExport = async () => {
+    const runBtn = document.getElementById('stream-export-run');
+    const format = EXPORT_FORMATS.find(f => f.id === modal.querySelector('input[name="stream-export-format"]:checked').value);
+    const rangeSelection = presetSelect.value === 'custom'
+      ? { start: new Date(document.getElementById('stream-export-start').value).getTime(), end: new Date(document.getElementById('stream-export-end').value).getTime() }
+      : { preset: presetSelect.value };
+
+    try {
+      resolveTimeRange(rangeSelection);
+    } catch (error) {
+      setStatus(`Invalid time range: ${error.message}`, true);
+      return;
+    }
+
+    runBtn.disabled = true;
+    setStatus('Loading...');
+    try {
+      const keys = entries.filter(entry => selected.has(entry.key)).map(entry => entry.key);
+      const loaded = await loadSeries(keys, rangeSelection, (done, total) => {
+        setStatus(`Loading... (${done}/${total} requests)`);
+      });
+
+      const defaultModelURN = getDefaultModelURN(facilityURN);
+      const properties = {};
+      for (const [propKey, name] of Object.entries(loaded.propertyDisplayNames)) {
+        properties[propKey] = { name, unit: await getPropertyUnit(defaultModelURN, propKey) };
+      }
+
+      const valueCount = loaded.series.reduce((sum, series) =>
+        sum + Object.values(series.values).reduce((count, values) => count + Object.keys(values).length, 0), 0);
+      if (format.id === 'xlsx') {
+        const exported = entries.filter(entry => selected.has(entry.key));
+        downloadWorkbook(buildWorkbook(loaded, properties, exported), createDateFilename('stream-values'));
+      } else {
+        downloadTextFile(formatStreamValues(format.id, loaded.series, properties),
+          `stream-values-${new Date().toISOString().slice(0, 10)}.${format.extension}`, format.mimeType);
+      }
+      setStatus(`Exported ${valueCount.toLocaleString()} values from ${keys.length} stream${keys.length !== 1 ? 's' : ''} (${loaded.range.label})`);
+    } catch (error) {
+      console.error('Error exporting stream values:', error);
+      setStatus(`Export failed: ${describeError(error)}`, true);
+    } finally {
+      runBtn.disabled = selected.size === 0;
+    }
+  };
+  document.getElementById('stream-export-run').addEventListener('click', runExport);
+
+  const closeModal = () => {
+    modal.remove();
+    document.removeEventListener('keydown', handleEscape);
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {
+      closeModal();
+    }
+  };
+  document.getElementById('close-stream-export-modal').addEventListener('click', closeModal);
+  document.getElementById('close-stream-export-modal-btn').addEventListener('click', closeModal);
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeModal();
+    }
+  });
+  document.addEventListener('keydown', handleEscape);
+
+  // Default custom range matches the default preset
+  const { start, end } = resolveTimeRange({ preset: DEFAULT_PRESET });
+  const toInputValue = (ts) => {
+    const date = new Date(ts);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  };
+  document.getElementById('stream-export-start').value = toInputValue(start);
+  document.getElementById('stream-export-end').value = toInputValue(end);
+
+  renderList();
+}
@@ -0,0 +1,260 @@
+import { getLastSeenStreamValues, getRowsForModels, getStreamConfigs, getStreams } from '../api.js';
+import { convertLongKeysToShortKeys, formatDuration } from '../utils.js';
+import { indexRowsByKey, locateElement } from '../utils/scanShaping.js';
+import {
+  StreamStatus,
+  classifyStream,
+  countStatuses,
+  lastSeenTimestamp,
+  summarizeByGroup,
+  worstOffenders
+} from '../utils/streamHealth.js';
+import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
+import { QC } from '../../tandem/constants.js';
+import { toShortKey } from '../../tandem/keys.js';
+
+/**
+ * Label and badge colors per status
+ */
+const STATUS_STYLES = {
+  [StreamStatus.Online]: { label: 'Online', text: 'text-green-400', badge: 'bg-green-500/20 text-green-300' },
+  [StreamStatus.Late]: { label: 'Late', text: 'text-amber-400', badge: 'bg-amber-500/20 text-amber-300' },
+  [StreamStatus.Offline]: { label: 'Offline', text: 'text-red-400', badge: 'bg-red-500/20 text-red-300' },
+  [StreamStatus.Never]: { label: 'Never reported', text: 'text-dark-text-secondary', badge: 'bg-dark-bg text-dark-text-secondary' }
+};
+
+/**
+ * Groupings offered by the summary table
+ */
+const GROUPINGS = [
+  { id: 'level', label: 'Level' },
+  { id: 'room', label: 'Room' },
+  { id: 'host', label: 'Host' }
+];
+
+/**
+ * Toggle stream health detail view
+ */
+const toggleStreamHealthDetail = createToggleFunction({
+  detailId: 'streamHealth-detail',
+  summaryId: 'streamHealth-summary',
+  toggleBtnId: 'toggle-streamHealth-btn',
+  iconDownId: 'toggle-streamHealth-icon-down',
+  iconUpId: 'toggle-streamHealth-icon-up'
+});
+
+/**
+ * Classify every stream and find where it is
+ * @param {Array} streams - Stream element rows (default model)
+ * @param {Object} lastSeenValues - Last-seen values by short stream key
+ * @param {Array} streamConfigs - Stream configurations (elementId is a long key)
+ * @param {Map<string, Array>} rowsByModel - Element rows of every model (to resolve hosts, rooms and levels)
+ * @returns {Array<Object>} { key, name, status, age, lastSeen, frequency, offlineAfter, host, room, level }
+ */
+function buildStreamHealth(streams, lastSeenValues, streamConfigs, rowsByModel) {
+  const settingsByKey = new Map(streamConfigs.map(config => [toShortKey(config.elementId), config.streamSettings]));
+  const rowIndex = indexRowsByKey(rowsByModel);
+  const now = Date.now();
+
+  return streams.map(stream => {
+    const key = stream[QC.Key];
+    const settings = settingsByKey.get(key);
+    const lastSeen = lastSeenTimestamp(lastSeenValues[key]);
+    const { host, room, level } = locateElement(stream, rowIndex);
+
+    return {
+      key,
+      name: stream[QC.OName]?.[0] || stream[QC.Name]?.[0] || 'Unnamed Stream',
+      ...classifyStream(lastSeen, settings, now),
+      lastSeen,
+      frequency: settings?.frequency || null,
+      host: host?.name || null,
+      room: room?.name || null,
+      level: level?.name || null
+    };
+  });
+}
+
+/**
+ * Render the per-group summary table
+ * @param {Array<Object>} items - Classified streams
+ * @param {string} grouping - 'level', 'room' or 'host'
+ * @returns {string} HTML string
+ */
+function renderGroupTable(items, grouping) {
+  const groups = summarizeByGroup(items, item => item[grouping]);
+  const label = GROUPINGS.find(g => g.id === grouping).label;
+  const count = (value, status) => (value > 0
+    ? `<span class="${STATUS_STYLES[status].text} font-semibold">${value}</span>`
+    : '<span class="text-dark-text-secondary">0</span>');
+
+  return `
+    <table class="min-w-full text-xs">
+      <thead class="bg-dark-bg/50">
+        <tr>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">${label}</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Streams</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Online</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Late</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Offline</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Never</th>
+        </tr>
+      </thead>
+      <tbody class="divide-y divide-dark-border">
+        ${groups.map(group => `
+          <tr class="hover:bg-dark-bg/30 bg-dark-card">
+            <td class="px-3 py-2 ${group.name === null ? 'text-dark-text-secondary italic' : 'text-dark-text'}">${group.name ?? `No ${label.toLowerCase()}`}</td>
+            <td class="px-3 py-2 text-right text-dark-text">${group.total}</td>
+            <td class="px-3 py-2 text-right">${count(group.online, StreamStatus.Online)}</td>
+            <td class="px-3 py-2 text-right">${count(group.late, StreamStatus.Late)}</td>
+            <td class="px-3 py-2 text-right">${count(group.offline, StreamStatus.Offline)}</td>
+            <td class="px-3 py-2 text-right">${count(group.never, StreamStatus.Never)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render the worst offenders table
+ * @param {Array<Object>} offenders - Streams that aren't online, worst first
+ * @returns {string} HTML string
+ */
+function renderOffenders(offenders) {
+  if (offenders.length === 0) {
+    return '<p class="text-xs text-green-400">All streams are reporting on time.</p>';
+  }
+  return `
+    <table class="min-w-full text-xs">
+      <thead class="bg-dark-bg/50">
+        <tr>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Stream</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Status</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Last Seen</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Expected Every</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Offline After</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Host</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Level</th>
+        </tr>
+      </thead>
+      <tbody class="divide-y divide-dark-border">
+        ${offenders.map(item => `
+          <tr class="hover:bg-dark-bg/30 bg-dark-card">
+            <td class="px-3 py-2 text-dark-text">${item.name}</td>
+            <td class="px-3 py-2"><span class="px-2 py-0.5 rounded font-medium ${STATUS_STYLES[item.status].badge}">${STATUS_STYLES[item.status].label}</span></td>
+            <td class="px-3 py-2 text-dark-text" title="${item.lastSeen ? new Date(item.lastSeen).toLocaleString() : ''}">${item.lastSeen ? `${formatDuration(item.age)} ago` : '-'}</td>
+            <td class="px-3 py-2 text-dark-text-secondary">${item.frequency ? formatDuration(item.frequency) : '1 min*'}</td>
+            <td class="px-3 py-2 text-dark-text-secondary">${formatDuration(item.offlineAfter)}</td>
+            <td class="px-3 py-2 text-dark-text-secondary">${item.host || '-'}</td>
+            <td class="px-3 py-2 text-dark-text-secondary">${item.level || '-'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Display stream health: status counts, counts per level/room/host and the worst offenders
+ * @param {HTMLElement} container - DOM element to render into
+ * @param {Array<Object>} items - Classified streams (see buildStreamHealth)
+ */
+export function displayStreamHealth(container, items) {
+  if (!items || items.length === 0) {
+    container.innerHTML = '<p class="text-dark-text-secondary">No streams found in this facility.</p>';
+    return;
+  }
+  const counts = countStatuses(items);
+  const offenders = worstOffenders(items);
+
+  const headerHtml = `
+    <div class="flex items-center justify-between mb-3">
+      <div class="flex items-center space-x-6">
+        ${[StreamStatus.Online, StreamStatus.Late, StreamStatus.Offline, StreamStatus.Never].map(status => `
+          <div>
+            <div class="text-xs text-dark-text-secondary uppercase tracking-wide">${STATUS_STYLES[status].label}</div>
+            <div class="text-xl font-bold ${counts[status] > 0 ? STATUS_STYLES[status].text : 'text-dark-text-secondary'}">${counts[status]}</div>
+          </div>
+        `).join('')}
+      </div>
+      <button id="toggle-streamHealth-btn"
+              class="p-2 hover:bg-dark-bg/50 rounded transition"
+              title="Show more">
+        <svg id="toggle-streamHealth-icon-down" class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+        </svg>
+        <svg id="toggle-streamHealth-icon-up" class="w-5 h-5 hidden" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15l7-7 7 7"></path>
+        </svg>
+      </button>
+    </div>
+  `;
+
+  const summaryHtml = `
+    <div id="streamHealth-summary" class="text-xs text-dark-text-secondary">
+      ${offenders.length > 0
+        ? `Needs attention: ${offenders.slice(0, 3).map(item => item.name).join(', ')}${offenders.length > 3 ? ', ...' : ''}`
+        : 'All streams are reporting on time.'}
+    </div>
+  `;
+
+  const detailHtml = `
+    <div id="streamHealth-detail" class="hidden space-y-4">
+      <div class="border border-dark-border rounded overflow-hidden">
+        <div class="flex items-center justify-between bg-dark-bg/50 px-4 py-2 border-b border-dark-border">
+          <div class="text-xs font-semibold text-dark-text">Streams per</div>
+          <select id="streamHealth-group-select"
+                  class="rounded border-dark-border bg-dark-bg text-dark-text focus:border-tandem-blue focus:ring-tandem-blue text-xs py-1 px-2 border">
+            ${GROUPINGS.map(g => `<option value="${g.id}">${g.label}</option>`).join('')}
+          </select>
+        </div>
+        <div id="streamHealth-groups">${renderGroupTable(items, GROUPINGS[0].id)}</div>
+      </div>
+      <div class="border border-dark-border rounded overflow-hidden">
+        <div class="bg-dark-bg/50 px-4 py-2 border-b border-dark-border text-xs font-semibold text-dark-text">
+          Worst offenders
+        </div>
+        ${renderOffenders(offenders)}
+      </div>
+      <p class="text-xs text-dark-text-secondary">
+        Late: no value for 1.5 × the sampling frequency. Offline: no value for longer than the offline timeout
+        (defaults: 1 min frequency, 5 min timeout; * = not configured).
+      </p>
+    </div>
+  `;
+
+  container.innerHTML = headerHtml + summaryHtml + detailHtml;
+
+  document.getElementById('toggle-streamHealth-btn').addEventListener('click', toggleStreamHealthDetail);
+
+  const groupSelect = document.getElementById('streamHealth-group-select');
+  groupSelect.addEventListener('change', () => {
+    document.getElementById('streamHealth-groups').innerHTML = renderGroupTable(items, groupSelect.value);
+  });
+}
+
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'streamHealth',
+  title: 'Stream Health',
+  placeholder: 'Loading stream health...',
+  order: 25,
+  requires: ['models'],
+  render: async (container, { facilityURN, region, models, hasDefaultModel }) => {
+    // Streams only exist in the default model
+    const streams = hasDefaultModel ? await getStreams(facilityURN, region) : [];
+    if (streams.length === 0) {
+      displayStreamHealth(container, []);
+      return;
+    }
+    const [lastSeenValuesRaw, streamConfigs, rowsByModel] = await Promise.all([
+      getLastSeenStreamValues(facilityURN, region, streams.map(s => s[QC.Key])),
+      getStreamConfigs(facilityURN, region),
+      getRowsForModels(models, region)
+    ]);
+    const items = buildStreamHealth(streams, convertLongKeysToShortKeys(lastSeenValuesRaw), streamConfigs, rowsByModel);
+    displayStreamHealth(container, items);
+  }
+});
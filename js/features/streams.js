@@ -1,9 +1,22 @@
-import { getLastSeenStreamValues, getStreamValues, getElementsByKeys, getStreamConfigs } from '../api.js';
-import { convertLongKeysToShortKeys } from '../utils.js';
+import { getLastSeenStreamValues, getStreamValuesInRange, getElementsByKeys, getStreamConfigs, getStreams, getDefaultModelURN } from '../api.js';
+import { convertLongKeysToShortKeys, formatDuration, toScriptLiteral } from '../utils.js';
+import { TIME_RANGE_PRESETS, describeTimeRange, resolveTimeRange } from '../utils/timeseries.js';
+import { AGGREGATION_INTERVALS, aggregateValues, chooseInterval } from '../utils/aggregation.js';
+import { GAP_TOLERANCE, analyzeSampling } from '../utils/gaps.js';
+import { ANOMALY_METHODS, detectAnomalies } from '../utils/anomalies.js';
 import { loadSchemaForModel, getPropertyDisplayName } from '../state/schemaCache.js';
+import { setRouteSort } from '../state/router.js';
+import { loadAnomalySettings, saveAnomalySettings } from '../state/anomalySettings.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
 import { showStreamConfigModal } from '../components/streamConfigModal.js';
+import { describeError } from '../components/errorState.js';
 import { viewAssetDetails } from './assetDetails.js';
+import { viewThresholdReport } from './thresholdReport.js';
+import { viewAnomalyReport } from './anomalyReport.js';
+import { viewLevelHeatmap } from './levelHeatmap.js';
+import { viewCalculationReport } from './calculationReport.js';
+import { showStreamExportModal } from './streamExport.js';
 import { QC } from '../../tandem/constants.js';
 import { decodeXref, toShortKey } from '../../tandem/keys.js';
 
@@ -96,95 +109,142 @@ const toggleStreamsDetail = createToggleFunction({
 });
 
 /**
- * Generate chart HTML page for stream data
- * @param {string} streamName - Name of the stream
- * @param {string} streamKey - Stream key
- * @param {Object} streamData - Stream data with timestamps and values
- * @param {Object} defaultModelURN - Default model URN
- * @param {Object} propertyDisplayNames - Map of property keys to display names
- * @returns {string} HTML page content
+ * Reorder the rendered streams in the detail section
+ * Items keep their original position in data-index, so a null column restores the default order.
+ * @param {HTMLElement} detailSection - Streams detail section
+ * @param {string|null} sortColumn - 'name', 'lastSeen' or null for the default order
+ * @param {string} sortDirection - 'asc' or 'desc'
  */
-function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, propertyDisplayNames) {
-  // Process the data to extract chart data - one chart per property
-  const propertyCharts = [];
-  const allTimestamps = new Set();
-  
-  // Tandem blue color
-  const tandemBlue = '#0696D7';
-  
-  // Stream data format: { "propertyKey": { "timestamp": value, ... }, ... }
-  for (const [propKey, propData] of Object.entries(streamData)) {
-    if (propKey === 'k') continue; // Skip the key field
-    
-    const data = [];
-    const timestamps = Object.keys(propData).map(Number).sort((a, b) => a - b);
-    
-    timestamps.forEach(ts => {
-      allTimestamps.add(ts);
-      data.push({
-        x: new Date(ts),
-        y: propData[ts]
-      });
-    });
-    
-    // Store last seen value (last timestamp)
-    let lastSeenValue = null;
-    let lastSeenTimestamp = null;
-    if (timestamps.length > 0) {
-      const lastTimestamp = timestamps[timestamps.length - 1];
-      lastSeenValue = propData[lastTimestamp];
-      lastSeenTimestamp = lastTimestamp;
+function sortStreamItems(detailSection, sortColumn, sortDirection) {
+  const items = [...detailSection.querySelectorAll(':scope > .stream-item')];
+
+  items.sort((a, b) => {
+    let aVal, bVal;
+
+    if (sortColumn === 'name') {
+      aVal = a.dataset.name.toLowerCase();
+      bVal = b.dataset.name.toLowerCase();
+    } else if (sortColumn === 'lastSeen') {
+      // Streams that never reported sort as -Infinity (bottom when newest first)
+      aVal = a.dataset.lastSeen ? Number(a.dataset.lastSeen) : -Infinity;
+      bVal = b.dataset.lastSeen ? Number(b.dataset.lastSeen) : -Infinity;
+    } else {
+      return Number(a.dataset.index) - Number(b.dataset.index);
     }
-    
-    // Get display name
-    const displayName = propertyDisplayNames[propKey] || propKey;
-    
-    propertyCharts.push({
-      propKey: propKey,
-      displayName: displayName,
-      data: data,
-      lastSeenValue: lastSeenValue,
-      lastSeenTimestamp: lastSeenTimestamp,
-      dataPointCount: data.length
-    });
-  }
 
-  // Build HTML for each property chart
-  let chartsHtml = '';
-  propertyCharts.forEach((chart, index) => {
-    const date = new Date(chart.lastSeenTimestamp);
-    const timeStr = date.toLocaleString('en-US', { 
-      month: 'short', 
-      day: 'numeric', 
-      year: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-    
-    chartsHtml += `
-    <div class="chart-section">
-      <div class="chart-header">
-        <div class="chart-title">${chart.displayName} <span class="prop-key">(${chart.propKey})</span></div>
-        <div class="chart-stats">
-          <div class="last-seen-value">${chart.lastSeenValue}</div>
-          <div class="last-seen-time">Last seen: ${timeStr}</div>
-          <div class="data-points">${chart.dataPointCount} data points</div>
-        </div>
-      </div>
-      <div class="chart-container">
-        <canvas id="chart${index}"></canvas>
-      </div>
-    </div>
-    `;
+    if (aVal < bVal) return sortDirection === 'asc' ? -1 : 1;
+    if (aVal > bVal) return sortDirection === 'asc' ? 1 : -1;
+    return 0;
   });
+  items.forEach(item => detailSection.appendChild(item));
+}
+
+/**
+ * Most streams the chart overlays at once (each one is fetched separately)
+ */
+const MAX_OVERLAY_STREAMS = 10;
+
+/**
+ * Choices for the shortest gap listed on the chart page (the charts shade every gap)
+ */
+const GAP_LIST_THRESHOLDS = [
+  { id: 'all', label: 'All gaps', duration: 0 },
+  { id: '1h', label: 'Gaps over 1 hour', duration: 60 * 60 * 1000 },
+  { id: '6h', label: 'Gaps over 6 hours', duration: 6 * 60 * 60 * 1000 },
+  { id: '24h', label: 'Gaps over 1 day', duration: 24 * 60 * 60 * 1000 }
+];
+
+/**
+ * Gap detection for the chart page, with durations formatted for display
+ * @param {Object} values - { propertyId: { timestamp: value } }
+ * @param {number} [frequency] - Sampling frequency (ms)
+ * @param {number} start - Range start (ms)
+ * @param {number} end - Range end (ms)
+ * @returns {Object} Result of analyzeSampling with frequencyLabel, medianIntervalLabel, longestGapLabel
+ *   and a durationLabel per gap
+ */
+function analyzeStreamSampling(values, frequency, start, end) {
+  const analysis = analyzeSampling(values, frequency, start, end);
+  return {
+    ...analysis,
+    frequencyLabel: formatDuration(analysis.frequency),
+    medianIntervalLabel: analysis.medianInterval === null ? '-' : formatDuration(analysis.medianInterval),
+    longestGapLabel: analysis.gaps.length > 0 ? formatDuration(analysis.longestGap) : '-',
+    gaps: analysis.gaps.map(gap => ({ ...gap, durationLabel: formatDuration(gap.duration) }))
+  };
+}
+
+/**
+ * Load the values of several streams for the chart
+ * Streams are fetched in parallel (limited per region by api.js); the windows of one stream
+ * are fetched one after the other.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @param {Array<Object>} streams - Streams to load ({ key, name, frequency })
+ * @param {Object} rangeSelection - { preset } or { start, end } (see resolveTimeRange)
+ * @param {Function} [onProgress] - Called with (doneCount, totalCount) as windows arrive
+ * @returns {Promise<{series: Array<{key: string, name: string, frequency: number|null, values: Object}>, propertyDisplayNames: Object, range: Object}>}
+ */
+async function loadStreamSeries(facilityURN, region, streams, rangeSelection, onProgress) {
+  const { start, end } = resolveTimeRange(rangeSelection);
+  const progress = new Map();
+
+  const reportProgress = (key, done, total) => {
+    progress.set(key, { done, total });
+    const totals = [...progress.values()];
+    onProgress?.(totals.reduce((sum, p) => sum + p.done, 0), totals.reduce((sum, p) => sum + p.total, 0));
+  };
+
+  const series = await Promise.all(streams.map(async (stream) => ({
+    key: stream.key,
+    name: stream.name,
+    frequency: stream.frequency || null,
+    values: await getStreamValuesInRange(facilityURN, region, stream.key, start, end, {
+      frequency: stream.frequency,
+      onProgress: (done, total) => reportProgress(stream.key, done, total)
+    })
+  })));
+
+  // Get display names for all properties
+  const defaultModelURN = getDefaultModelURN(facilityURN);
+  await loadSchemaForModel(defaultModelURN, region);
+
+  const propertyDisplayNames = {};
+  for (const propKey of new Set(series.flatMap(s => Object.keys(s.values)))) {
+    propertyDisplayNames[propKey] = await getPropertyDisplayName(defaultModelURN, propKey);
+  }
+
+  const range = { preset: rangeSelection.preset || null, start, end };
+  return { series, propertyDisplayNames, range: { ...range, label: describeTimeRange(range) } };
+}
+
+/**
+ * Generate chart HTML page for stream data
+ * The page charts one property per section with a line per stream, and lets the user change the
+ * time range, overlay other streams and bucket values by hour/day/week (min-max band, p95 and
+ * mean). Gaps in the data are shaded and listed with the uptime of each stream, and anomalies are
+ * marked and listed with their severity. It reloads through window.loadStreamSeries, buckets through
+ * window.aggregateStreamValues, finds gaps through window.analyzeStreamSampling and anomalies through
+ * window.detectStreamAnomalies (settings are kept with window.saveAnomalySettings), which
+ * viewStreamChart sets on the new window.
+ * @param {Object} chartPage - Page data
+ * @param {string} chartPage.defaultModelURN - Default model URN
+ * @param {Array<Object>} chartPage.streams - Streams that can be overlaid ({ key, name, host, classification })
+ * @param {Array<string>} chartPage.streamKeys - Streams shown initially
+ * @param {Object} chartPage.loaded - Result of loadStreamSeries for the initial streams and range
+ * @param {Object} chartPage.anomalySettings - Anomaly detection settings (see utils/anomalies.js)
+ * @returns {string} HTML page content
+ */
+function generateChartHTML({ defaultModelURN, streams, streamKeys, loaded, anomalySettings }) {
+  const title = streams.find(s => s.key === streamKeys[0])?.name || streamKeys[0];
+  const presets = TIME_RANGE_PRESETS.map(({ id, label, duration }) => ({ id, label, duration }));
 
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Stream Chart: ${streamName}</title>
+  <title>Stream Chart: ${title}</title>
   <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js"></script>
   <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
   <script src="https://unpkg.com/xlsx-js-style@1.2.0/dist/xlsx.bundle.js"></script>
@@ -225,6 +285,89 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
       font-family: monospace;
       margin-bottom: 5px;
     }
+    .controls {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px;
+      margin-top: 15px;
+      padding-top: 15px;
+      border-top: 1px solid #404040;
+      font-size: 13px;
+    }
+    .controls select, .controls input, .stream-picker input[type="text"] {
+      background: #1a1a1a;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 6px 8px;
+      font-size: 13px;
+      color-scheme: dark;
+    }
+    .secondary-btn {
+      background: transparent;
+      color: #0696D7;
+      border: 1px solid #0696D7;
+      padding: 6px 12px;
+      border-radius: 4px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    .secondary-btn:hover {
+      background: #0696D7;
+      color: white;
+    }
+    .status {
+      font-size: 12px;
+      color: #a0a0a0;
+    }
+    .status.error {
+      color: #f87171;
+    }
+    .stream-picker {
+      margin-top: 12px;
+      padding: 12px;
+      background: #1a1a1a;
+      border: 1px solid #404040;
+      border-radius: 6px;
+    }
+    .stream-picker.hidden {
+      display: none;
+    }
+    .picker-actions {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 8px;
+      font-size: 12px;
+    }
+    .picker-actions a {
+      color: #0696D7;
+      cursor: pointer;
+    }
+    .stream-list {
+      max-height: 260px;
+      overflow-y: auto;
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+      gap: 4px;
+    }
+    .stream-option {
+      display: flex;
+      align-items: flex-start;
+      gap: 8px;
+      padding: 4px 6px;
+      border-radius: 4px;
+      font-size: 13px;
+      cursor: pointer;
+    }
+    .stream-option:hover {
+      background: #2a2a2a;
+    }
+    .stream-option .meta {
+      font-size: 11px;
+      color: #808080;
+    }
     .chart-section {
       background: #2a2a2a;
       padding: 20px;
@@ -274,6 +417,96 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
       position: relative;
       height: 400px;
     }
+    .empty {
+      color: #808080;
+      font-size: 14px;
+      padding: 40px;
+      text-align: center;
+    }
+    .chart-header select {
+      background: #1a1a1a;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 6px 8px;
+      font-size: 13px;
+    }
+    .quality-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      margin-bottom: 20px;
+    }
+    .quality-table th {
+      text-align: left;
+      font-weight: 600;
+      padding: 8px;
+      background: #1f1f1f;
+      border-bottom: 1px solid #404040;
+    }
+    .quality-table td {
+      padding: 8px;
+      border-bottom: 1px solid #353535;
+    }
+    .quality-table .num {
+      text-align: right;
+    }
+    .quality-table .muted {
+      color: #808080;
+    }
+    .gap-list {
+      max-height: 400px;
+      overflow-y: auto;
+    }
+    .anomaly-settings {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+      gap: 12px;
+      margin-bottom: 12px;
+      font-size: 13px;
+    }
+    .anomaly-method label {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      margin-top: 6px;
+      color: #a0a0a0;
+    }
+    .anomaly-method .method-name {
+      justify-content: flex-start;
+      margin-top: 0;
+      color: #e0e0e0;
+      font-weight: 600;
+    }
+    .anomaly-method input[type="number"] {
+      width: 80px;
+      background: #2a2a2a;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 4px 6px;
+    }
+    .severity {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+    }
+    .severity.high {
+      background: rgba(239, 68, 68, 0.2);
+      color: #f87171;
+    }
+    .severity.medium {
+      background: rgba(249, 115, 22, 0.2);
+      color: #fb923c;
+    }
+    .severity.low {
+      background: rgba(234, 179, 8, 0.2);
+      color: #facc15;
+    }
     .export-btn {
       background: #0696D7;
       color: white;
@@ -301,143 +534,774 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
   <div class="container">
     <div class="main-header">
       <div class="header-top">
-        <h1>${streamName}</h1>
+        <h1 id="page-title"></h1>
         <button id="export-btn" class="export-btn">
           <span>📊</span>
           <span>Export to Excel</span>
         </button>
       </div>
-      <div class="info">Stream Key: ${streamKey}</div>
+      <div class="info" id="stream-keys"></div>
       <div class="info">Model: ${defaultModelURN}</div>
-      <div class="info">Time Range: Last 30 days</div>
+      <div class="info" id="time-range"></div>
+      <div class="controls">
+        <select id="range-preset" title="Time range"></select>
+        <input type="datetime-local" id="range-start" title="Start">
+        <span>–</span>
+        <input type="datetime-local" id="range-end" title="End">
+        <select id="resolution" title="Resolution (values are bucketed with min, max, mean and p95)"></select>
+        <button id="compare-btn" class="secondary-btn">Compare streams</button>
+        <button id="anomaly-btn" class="secondary-btn">Anomalies</button>
+        <button id="apply-btn" class="export-btn">Apply</button>
+        <span id="status" class="status"></span>
+      </div>
+      <div id="stream-picker" class="stream-picker hidden">
+        <div class="picker-actions">
+          <input type="text" id="stream-filter" placeholder="Filter by name, host or classification">
+          <a id="select-matching">Select matching</a>
+          <a id="clear-selection">Clear</a>
+          <span id="selection-count" class="status"></span>
+        </div>
+        <div id="stream-list" class="stream-list"></div>
+      </div>
+      <div id="anomaly-panel" class="stream-picker hidden">
+        <div id="anomaly-settings" class="anomaly-settings"></div>
+        <div class="picker-actions">
+          <button id="detect-btn" class="export-btn">Detect</button>
+          <span class="status">Settings are saved for the next chart and the anomaly report.</span>
+        </div>
+      </div>
     </div>
-    ${chartsHtml}
+    <div id="charts"></div>
+    <div id="gaps"></div>
+    <div id="anomalies"></div>
   </div>
-  
+
   <script>
-    const tandemBlue = '#0696D7';
-    const chartData = ${JSON.stringify(propertyCharts)};
-    
-    // Create a chart for each property
-    chartData.forEach((chartInfo, index) => {
-      const ctx = document.getElementById('chart' + index).getContext('2d');
-      
-      const chart = new Chart(ctx, {
-        type: 'line',
-        data: {
-          datasets: [{
-            data: chartInfo.data,
-            borderColor: tandemBlue,
-            backgroundColor: 'transparent',
-            borderWidth: 2,
-            pointRadius: 0,
-            pointHoverRadius: 4,
-            pointHoverBackgroundColor: tandemBlue,
-            tension: 0.1
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: {
-              display: false
-            },
-            title: {
-              display: false
-            },
-            tooltip: {
-              mode: 'index',
-              intersect: false,
-              backgroundColor: 'rgba(42, 42, 42, 0.95)',
-              titleColor: '#e0e0e0',
-              bodyColor: '#a0a0a0',
-              borderColor: '#404040',
-              borderWidth: 1,
-              padding: 12,
-              displayColors: false,
-              callbacks: {
-                title: function(context) {
-                  // Show date
-                  return new Date(context[0].parsed.x).toLocaleString('en-US', {
-                    month: 'short',
-                    day: 'numeric',
-                    year: 'numeric',
-                    hour: 'numeric',
-                    minute: '2-digit',
-                    hour12: true
-                  });
-                },
-                label: function(context) {
-                  // Show only the value
-                  return context.parsed.y.toFixed(2);
-                }
-              }
+    const colors = ['#0696D7', '#F59E0B', '#10B981', '#EF4444', '#A855F7', '#EC4899', '#14B8A6', '#F97316', '#84CC16', '#6366F1'];
+    const maxStreams = ${MAX_OVERLAY_STREAMS};
+    const presets = ${toScriptLiteral(presets)};
+    const intervals = ${toScriptLiteral(AGGREGATION_INTERVALS)};
+    const streams = ${toScriptLiteral(streams)};
+    let selectedKeys = ${toScriptLiteral(streamKeys)};
+    let loaded = ${toScriptLiteral(loaded)};
+    let charts = [];
+    let chartData = [];
+    let interval = 'raw';
+    const gapTolerance = ${GAP_TOLERANCE};
+    const gapThresholds = ${toScriptLiteral(GAP_LIST_THRESHOLDS)};
+    let gapFilter = '1h';
+    let sampling = new Map();
+    const anomalyMethods = ${toScriptLiteral(ANOMALY_METHODS)};
+    const severityColors = { high: '#EF4444', medium: '#F97316', low: '#EAB308' };
+    let anomalySettings = ${toScriptLiteral(anomalySettings)};
+    const maxAnomalyRows = 500;
+
+    const rangePreset = document.getElementById('range-preset');
+    const rangeStart = document.getElementById('range-start');
+    const rangeEnd = document.getElementById('range-end');
+    const resolution = document.getElementById('resolution');
+    const status = document.getElementById('status');
+
+    /**
+     * Format a timestamp for a datetime-local input (local time)
+     */
+    function toInputValue(ts) {
+      const date = new Date(ts);
+      const pad = n => String(n).padStart(2, '0');
+      return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+        'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+    }
+
+    function formatTime(ts) {
+      return new Date(ts).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+    }
+
+    function escapeHtml(str) {
+      const div = document.createElement('div');
+      div.textContent = str == null ? '' : String(str);
+      return div.innerHTML;
+    }
+
+    function setStatus(text, isError) {
+      status.textContent = text;
+      status.className = isError ? 'status error' : 'status';
+    }
+
+    /**
+     * Group the loaded series by property: one chart per property, one line per stream
+     */
+    function buildChartData() {
+      const byProperty = new Map();
+
+      loaded.series.forEach((s, streamIndex) => {
+        Object.entries(s.values).forEach(([propKey, propData]) => {
+          const timestamps = Object.keys(propData).map(Number).sort((a, b) => a - b);
+          if (timestamps.length === 0) return;
+
+          if (!byProperty.has(propKey)) {
+            byProperty.set(propKey, {
+              propKey: propKey,
+              displayName: loaded.propertyDisplayNames[propKey] || propKey,
+              lines: []
+            });
+          }
+          const last = timestamps[timestamps.length - 1];
+          byProperty.get(propKey).lines.push({
+            streamKey: s.key,
+            streamName: s.name,
+            color: colors[streamIndex % colors.length],
+            frequency: s.frequency,
+            gaps: sampling.has(s.key) ? sampling.get(s.key).gaps : [],
+            anomalies: [],
+            values: propData,
+            data: timestamps.map(ts => ({ x: ts, y: propData[ts] })),
+            lastSeenValue: propData[last],
+            lastSeenTimestamp: last
+          });
+        });
+      });
+      return [...byProperty.values()];
+    }
+
+    function timeUnit() {
+      const days = (loaded.range.end - loaded.range.start) / 86400000;
+      if (days <= 2) return 'hour';
+      if (days <= 180) return 'day';
+      return 'month';
+    }
+
+    function renderHeader() {
+      const names = loaded.series.map(s => s.name);
+      document.getElementById('page-title').textContent = names.length === 1 ? names[0] : names.length + ' streams';
+      document.title = 'Stream Chart: ' + (names.length === 1 ? names[0] : names.join(', '));
+      document.getElementById('stream-keys').textContent = 'Stream Key' + (names.length === 1 ? '' : 's') + ': ' +
+        loaded.series.map(s => s.key).join(', ');
+      document.getElementById('time-range').textContent = 'Time Range: ' + loaded.range.label;
+      document.getElementById('compare-btn').textContent = 'Compare streams (' + selectedKeys.length + ')';
+
+      rangePreset.value = loaded.range.preset || 'custom';
+      rangeStart.value = toInputValue(loaded.range.start);
+      rangeEnd.value = toInputValue(loaded.range.end);
+    }
+
+    function intervalInfo(id) {
+      return intervals.find(i => i.id === id);
+    }
+
+    /**
+     * Bucket every line at the selected resolution (aggregation runs in the opener, see utils/aggregation.js)
+     */
+    function aggregateLines() {
+      const maxPoints = Math.max(0, ...chartData.flatMap(chart => chart.lines.map(line => line.data.length)));
+      interval = 'raw';
+      try {
+        interval = resolution.value === 'auto'
+          ? window.chooseAggregationInterval(loaded.range.end - loaded.range.start, maxPoints)
+          : resolution.value;
+        if (interval !== 'raw') {
+          chartData.forEach(chart => chart.lines.forEach(line => {
+            line.buckets = window.aggregateStreamValues(line.values, interval);
+          }));
+        }
+      } catch (error) {
+        console.error('Error aggregating stream values:', error);
+        interval = 'raw';
+        setStatus('Aggregation unavailable: the dashboard window was closed or reloaded', true);
+      }
+      resolution.options[0].textContent = 'Auto (' + intervalInfo(interval).adjective + ')';
+    }
+
+    /**
+     * Find gaps and uptime per stream (the detection runs in the opener, see utils/gaps.js)
+     */
+    function analyzeStreams() {
+      sampling = new Map();
+      try {
+        loaded.series.forEach(s => {
+          sampling.set(s.key, window.analyzeStreamSampling(s.values, s.frequency, loaded.range.start, loaded.range.end));
+        });
+      } catch (error) {
+        console.error('Error detecting stream gaps:', error);
+        sampling = new Map();
+        setStatus('Gap detection unavailable: the dashboard window was closed or reloaded', true);
+      }
+    }
+
+    /**
+     * Find anomalies in every line with the current settings (the detection runs in the opener, see utils/anomalies.js)
+     */
+    function detectLineAnomalies() {
+      try {
+        chartData.forEach(chart => chart.lines.forEach(line => {
+          line.anomalies = window.detectStreamAnomalies(line.values, anomalySettings);
+        }));
+      } catch (error) {
+        console.error('Error detecting anomalies:', error);
+        chartData.forEach(chart => chart.lines.forEach(line => {
+          line.anomalies = [];
+        }));
+        setStatus('Anomaly detection unavailable: the dashboard window was closed or reloaded', true);
+      }
+    }
+
+    function methodLabel(id) {
+      const method = anomalyMethods.find(m => m.id === id);
+      return method ? method.label : id;
+    }
+
+    function uptimeLabel(streamKey) {
+      const analysis = sampling.get(streamKey);
+      return analysis ? Math.floor(analysis.uptime * 1000) / 10 + '% uptime' : '';
+    }
+
+    /**
+     * Longest interval a line is drawn across; longer intervals are gaps
+     */
+    function maxLineSpan(line) {
+      const step = interval === 'raw'
+        ? (sampling.has(line.streamKey) ? sampling.get(line.streamKey).frequency : line.frequency || 60000)
+        : intervalInfo(interval).duration;
+      return step * gapTolerance;
+    }
+
+    /**
+     * Chart plugin that shades the gaps and flat lines of each line behind the datasets
+     */
+    function rangeShading(chartInfo) {
+      return {
+        id: 'rangeShading',
+        beforeDatasetsDraw: function(chart) {
+          const area = chart.chartArea;
+          const x = chart.scales.x;
+          const shade = (start, end) => {
+            const left = Math.max(area.left, x.getPixelForValue(start));
+            const right = Math.min(area.right, x.getPixelForValue(end));
+            if (right > left) {
+              chart.ctx.fillRect(left, area.top, right - left, area.bottom - area.top);
             }
+          };
+          chart.ctx.save();
+          chartInfo.lines.forEach(line => {
+            chart.ctx.fillStyle = (chartInfo.lines.length === 1 ? '#EF4444' : line.color) + '26';
+            line.gaps.forEach(gap => shade(gap.start, gap.end));
+            chart.ctx.fillStyle = severityColors.low + '26';
+            line.anomalies.filter(a => a.end > a.start).forEach(a => shade(a.start, a.end));
+          });
+          chart.ctx.restore();
+        }
+      };
+    }
+
+    /**
+     * Markers for the anomalies at single values of one line (flat lines are shaded instead)
+     */
+    function anomalyDatasets(line) {
+      const points = line.anomalies.filter(a => a.end === a.start);
+      if (points.length === 0) {
+        return [];
+      }
+      const pointColors = points.map(a => severityColors[a.severity]);
+      return [{
+        label: line.streamName + ' anomalies',
+        anomaly: true,
+        data: points.map(a => ({ x: a.start, y: a.value })),
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 6,
+        pointHoverRadius: 8,
+        pointBackgroundColor: pointColors,
+        pointBorderColor: pointColors,
+        borderColor: severityColors.high,
+        backgroundColor: severityColors.high
+      }];
+    }
+
+    /**
+     * Chart datasets for one line: the values, or a min-max band with p95 and mean lines
+     */
+    function lineDatasets(line) {
+      const common = {
+        borderColor: line.color,
+        backgroundColor: line.color,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        pointHoverBackgroundColor: line.color,
+        tension: 0.1,
+        spanGaps: maxLineSpan(line)
+      };
+      if (interval === 'raw') {
+        return [Object.assign({}, common, { label: line.streamName, data: line.data, borderWidth: 2 })].concat(anomalyDatasets(line));
+      }
+      const series = stat => line.buckets.map(b => ({ x: b.start, y: b[stat] }));
+      return [
+        Object.assign({}, common, { label: line.streamName + ' max', band: true, data: series('max'), borderWidth: 0, backgroundColor: line.color + '33', fill: '+1' }),
+        Object.assign({}, common, { label: line.streamName + ' min', band: true, data: series('min'), borderWidth: 0, fill: false }),
+        Object.assign({}, common, { label: line.streamName + ' p95', band: true, data: series('p95'), borderWidth: 1, borderDash: [4, 4], fill: false }),
+        Object.assign({}, common, { label: line.streamName, buckets: line.buckets, data: series('mean'), borderWidth: 2, fill: false })
+      ].concat(anomalyDatasets(line));
+    }
+
+    function renderCharts() {
+      charts.forEach(chart => chart.destroy());
+      charts = [];
+      chartData = buildChartData();
+      aggregateLines();
+      detectLineAnomalies();
+
+      const container = document.getElementById('charts');
+      if (chartData.length === 0) {
+        container.innerHTML = '<div class="chart-section empty">No data in this time range.</div>';
+        return;
+      }
+
+      container.innerHTML = chartData.map((chart, index) => {
+        const pointCount = chart.lines.reduce((sum, line) => sum + line.data.length, 0);
+        let stats;
+        if (chart.lines.length === 1) {
+          const line = chart.lines[0];
+          stats =
+            '<div class="last-seen-value">' + escapeHtml(line.lastSeenValue) + '</div>' +
+            '<div class="last-seen-time">Last seen: ' + formatTime(line.lastSeenTimestamp) + '</div>' +
+            (sampling.has(line.streamKey) ? '<div class="last-seen-time">' + uptimeLabel(line.streamKey) + ' · ' + line.gaps.length + ' gap' + (line.gaps.length === 1 ? '' : 's') + '</div>' : '') +
+            '<div class="last-seen-time">' + line.anomalies.length + ' anomal' + (line.anomalies.length === 1 ? 'y' : 'ies') + '</div>';
+        } else {
+          stats = '<div class="last-seen-time">' + chart.lines.length + ' streams</div>';
+        }
+        return '<div class="chart-section">' +
+          '<div class="chart-header">' +
+            '<div class="chart-title">' + escapeHtml(chart.displayName) + ' <span class="prop-key">(' + escapeHtml(chart.propKey) + ')</span></div>' +
+            '<div class="chart-stats">' + stats + '<div class="data-points">' + pointCount + ' data points' +
+              (interval === 'raw' ? '' : ' · ' + Math.max(...chart.lines.map(line => line.buckets.length)) + ' ' + intervalInfo(interval).adjective + ' buckets') + '</div></div>' +
+          '</div>' +
+          '<div class="chart-container"><canvas id="chart' + index + '"></canvas></div>' +
+        '</div>';
+      }).join('');
+
+      const unit = timeUnit();
+      chartData.forEach((chartInfo, index) => {
+        const ctx = document.getElementById('chart' + index).getContext('2d');
+        const overlay = chartInfo.lines.length > 1;
+        const aggregated = interval !== 'raw';
+
+        charts.push(new Chart(ctx, {
+          type: 'line',
+          plugins: [rangeShading(chartInfo)],
+          data: {
+            datasets: chartInfo.lines.flatMap(lineDatasets)
           },
-          scales: {
-            x: {
-              type: 'time',
-              time: {
-                unit: 'day',
-                displayFormats: {
-                  day: 'MMM d',
-                  hour: 'MMM d ha'
-                }
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            animation: false,
+            plugins: {
+              // Long ranges have far more points than pixels
+              decimation: {
+                enabled: true,
+                algorithm: 'lttb',
+                samples: 1000
               },
-              ticks: {
-                color: '#808080',
-                font: {
-                  size: 11
-                },
-                maxRotation: 0,
-                autoSkip: true,
-                maxTicksLimit: 12
-              },
-              grid: {
-                color: '#353535',
-                drawBorder: false
+              legend: {
+                display: overlay,
+                labels: {
+                  color: '#a0a0a0',
+                  boxWidth: 12,
+                  filter: (item, data) => !data.datasets[item.datasetIndex].band && !data.datasets[item.datasetIndex].anomaly
+                }
               },
-              border: {
+              title: {
                 display: false
+              },
+              tooltip: {
+                mode: overlay || aggregated ? 'nearest' : 'index',
+                axis: 'x',
+                intersect: false,
+                filter: item => !item.dataset.band && !item.dataset.anomaly,
+                backgroundColor: 'rgba(42, 42, 42, 0.95)',
+                titleColor: '#e0e0e0',
+                bodyColor: '#a0a0a0',
+                borderColor: '#404040',
+                borderWidth: 1,
+                padding: 12,
+                displayColors: overlay,
+                callbacks: {
+                  title: function(context) {
+                    const time = formatTime(context[0].parsed.x);
+                    return aggregated ? time + ' (' + intervalInfo(interval).adjective + ')' : time;
+                  },
+                  label: function(context) {
+                    let value = context.parsed.y.toFixed(2);
+                    if (aggregated) {
+                      const bucket = context.dataset.buckets[context.dataIndex];
+                      value = 'mean ' + value + ' (min ' + bucket.min.toFixed(2) + ', max ' + bucket.max.toFixed(2) +
+                        ', p95 ' + bucket.p95.toFixed(2) + ', n=' + bucket.count + ')';
+                    }
+                    return overlay ? context.dataset.label + ': ' + value : value;
+                  }
+                }
               }
             },
-            y: {
-              ticks: {
-                color: '#808080',
-                font: {
-                  size: 11
+            scales: {
+              x: {
+                type: 'time',
+                min: loaded.range.start,
+                max: loaded.range.end,
+                time: {
+                  unit: unit,
+                  displayFormats: {
+                    hour: 'MMM d ha',
+                    day: 'MMM d',
+                    month: 'MMM yyyy'
+                  }
                 },
-                padding: 10
-              },
-              grid: {
-                color: '#353535',
-                drawBorder: false
+                ticks: {
+                  color: '#808080',
+                  font: {
+                    size: 11
+                  },
+                  maxRotation: 0,
+                  autoSkip: true,
+                  maxTicksLimit: 12
+                },
+                grid: {
+                  color: '#353535',
+                  drawBorder: false
+                },
+                border: {
+                  display: false
+                }
               },
-              border: {
-                display: false
+              y: {
+                ticks: {
+                  color: '#808080',
+                  font: {
+                    size: 11
+                  },
+                  padding: 10
+                },
+                grid: {
+                  color: '#353535',
+                  drawBorder: false
+                },
+                border: {
+                  display: false
+                }
               }
-            }
-          },
-          interaction: {
-            mode: 'index',
-            axis: 'x',
-            intersect: false
-          },
-          elements: {
-            line: {
-              borderWidth: 2
             },
-            point: {
-              radius: 0,
-              hitRadius: 8,
-              hoverRadius: 4
+            interaction: {
+              mode: overlay || aggregated ? 'nearest' : 'index',
+              axis: 'x',
+              intersect: false
+            },
+            elements: {
+              line: {
+                borderWidth: 2
+              },
+              point: {
+                radius: 0,
+                hitRadius: 8,
+                hoverRadius: 4
+              }
             }
           }
+        }));
+      });
+    }
+
+    function gapEdgeNote(gap, side) {
+      if (gap.edge === 'both') return ' <span class="muted">(no data)</span>';
+      return gap.edge === side ? ' <span class="muted">(range ' + side + ')</span>' : '';
+    }
+
+    /**
+     * Uptime per stream and the gaps longer than the selected threshold
+     */
+    function renderGaps() {
+      const container = document.getElementById('gaps');
+      const analyzed = loaded.series.filter(s => sampling.has(s.key));
+      if (analyzed.length === 0) {
+        container.innerHTML = '';
+        return;
+      }
+      const minGap = gapThresholds.find(t => t.id === gapFilter).duration;
+      const listed = analyzed
+        .flatMap(s => sampling.get(s.key).gaps.filter(gap => gap.duration >= minGap).map(gap => ({ stream: s, gap: gap })))
+        .sort((a, b) => a.gap.start - b.gap.start);
+
+      const uptimeRows = analyzed.map(s => {
+        const analysis = sampling.get(s.key);
+        return '<tr>' +
+          '<td>' + escapeHtml(s.name) + '</td>' +
+          '<td class="num">' + analysis.frequencyLabel + (s.frequency ? '' : '*') + '</td>' +
+          '<td class="num">' + analysis.medianIntervalLabel + '</td>' +
+          '<td class="num">' + uptimeLabel(s.key).replace(' uptime', '') + '</td>' +
+          '<td class="num">' + analysis.received + ' / ' + analysis.expected + '</td>' +
+          '<td class="num">' + analysis.gaps.length + '</td>' +
+          '<td class="num">' + analysis.longestGapLabel + '</td>' +
+          '<td class="num">' + analysis.irregular + '</td>' +
+        '</tr>';
+      }).join('');
+
+      const gapRows = listed.map(item =>
+        '<tr>' +
+          '<td>' + escapeHtml(item.stream.name) + '</td>' +
+          '<td>' + formatTime(item.gap.start) + gapEdgeNote(item.gap, 'start') + '</td>' +
+          '<td>' + formatTime(item.gap.end) + gapEdgeNote(item.gap, 'end') + '</td>' +
+          '<td class="num">' + item.gap.durationLabel + '</td>' +
+          '<td class="num">' + item.gap.missing + '</td>' +
+        '</tr>'
+      ).join('');
+
+      container.innerHTML = '<div class="chart-section">' +
+        '<div class="chart-header">' +
+          '<div class="chart-title">Data Gaps</div>' +
+          '<select id="gap-filter" title="Gaps listed">' +
+            gapThresholds.map(t => '<option value="' + t.id + '"' + (t.id === gapFilter ? ' selected' : '') + '>' + t.label + '</option>').join('') +
+          '</select>' +
+        '</div>' +
+        '<table class="quality-table"><thead><tr>' +
+          '<th>Stream</th><th class="num">Frequency</th><th class="num">Median Interval</th><th class="num">Uptime</th>' +
+          '<th class="num">Samples</th><th class="num">Gaps</th><th class="num">Longest Gap</th>' +
+          '<th class="num" title="Intervals shorter than the frequency / ' + gapTolerance + '">Irregular</th>' +
+        '</tr></thead><tbody>' + uptimeRows + '</tbody></table>' +
+        (listed.length === 0
+          ? '<div class="empty">No gaps in this time range.</div>'
+          : '<div class="gap-list"><table class="quality-table"><thead><tr>' +
+              '<th>Stream</th><th>From</th><th>To</th><th class="num">Duration</th><th class="num">Missing Samples</th>' +
+            '</tr></thead><tbody>' + gapRows + '</tbody></table></div>') +
+      '</div>';
+    }
+
+    function formatNumber(value) {
+      return value === null || value === undefined ? '' : String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Anomalies of every line with their chart and line, oldest first
+     */
+    function listAnomalies() {
+      return chartData
+        .flatMap(chart => chart.lines.flatMap(line => line.anomalies.map(anomaly => ({ chart: chart, line: line, anomaly: anomaly }))))
+        .sort((a, b) => a.anomaly.start - b.anomaly.start);
+    }
+
+    /**
+     * Anomaly list (at most maxAnomalyRows are listed, the export has all)
+     */
+    function renderAnomalies() {
+      const container = document.getElementById('anomalies');
+      if (chartData.length === 0) {
+        container.innerHTML = '';
+        return;
+      }
+      const listed = listAnomalies();
+
+      const rows = listed.slice(0, maxAnomalyRows).map(item => {
+        const anomaly = item.anomaly;
+        return '<tr>' +
+          '<td>' + escapeHtml(item.line.streamName) + '</td>' +
+          '<td>' + escapeHtml(item.chart.displayName) + '</td>' +
+          '<td>' + methodLabel(anomaly.method) + '</td>' +
+          '<td>' + formatTime(anomaly.start) + (anomaly.end > anomaly.start ? ' – ' + formatTime(anomaly.end) : '') + '</td>' +
+          '<td class="num">' + escapeHtml(formatNumber(anomaly.value)) + '</td>' +
+          '<td class="num">' + escapeHtml(formatNumber(anomaly.expected)) + '</td>' +
+          '<td><span class="severity ' + anomaly.severity + '">' + anomaly.severity + '</span></td>' +
+        '</tr>';
+      }).join('');
+      const bySeverity = severity => listed.filter(item => item.anomaly.severity === severity).length;
+
+      container.innerHTML = '<div class="chart-section">' +
+        '<div class="chart-header">' +
+          '<div class="chart-title">Anomalies</div>' +
+          '<div class="last-seen-time">' + listed.length + ' total · ' + bySeverity('high') + ' high · ' + bySeverity('medium') + ' medium · ' + bySeverity('low') + ' low</div>' +
+        '</div>' +
+        (listed.length === 0
+          ? '<div class="empty">No anomalies in this time range.</div>'
+          : '<div class="gap-list"><table class="quality-table"><thead><tr>' +
+              '<th>Stream</th><th>Property</th><th>Method</th><th>Time</th><th class="num">Value</th><th class="num">Expected</th><th>Severity</th>' +
+            '</tr></thead><tbody>' + rows + '</tbody></table></div>' +
+            (listed.length > maxAnomalyRows ? '<div class="last-seen-time">Showing the first ' + maxAnomalyRows + ' of ' + listed.length + ' anomalies; export to Excel for all.</div>' : '')) +
+      '</div>';
+    }
+
+    // Anomaly settings
+    function renderAnomalySettings() {
+      document.getElementById('anomaly-settings').innerHTML = anomalyMethods.map(method => {
+        const settings = anomalySettings[method.id];
+        return '<div class="anomaly-method">' +
+          '<label class="method-name"><input type="checkbox" data-method="' + method.id + '"' + (settings.enabled ? ' checked' : '') + '> ' + method.label + '</label>' +
+          method.params.map(param =>
+            '<label>' + param.label +
+              '<input type="number" data-method="' + method.id + '" data-param="' + param.id + '" min="' + param.min + '" step="any" value="' + settings[param.id] + '">' +
+            '</label>'
+          ).join('') +
+        '</div>';
+      }).join('');
+    }
+
+    function readAnomalySettings() {
+      const settings = {};
+      anomalyMethods.forEach(method => {
+        settings[method.id] = {};
+      });
+      document.querySelectorAll('#anomaly-settings input').forEach(input => {
+        const target = settings[input.dataset.method];
+        if (input.dataset.param) {
+          target[input.dataset.param] = input.value;
+        } else {
+          target.enabled = input.checked;
         }
       });
+      return settings;
+    }
+
+    document.getElementById('anomaly-btn').addEventListener('click', () => {
+      document.getElementById('anomaly-panel').classList.toggle('hidden');
+      renderAnomalySettings();
     });
-    
+    document.getElementById('detect-btn').addEventListener('click', () => {
+      try {
+        anomalySettings = window.saveAnomalySettings(readAnomalySettings());
+      } catch (error) {
+        console.error('Error saving anomaly settings:', error);
+        setStatus('Anomaly settings unavailable: the dashboard window was closed or reloaded', true);
+        return;
+      }
+      renderAnomalySettings();
+      renderCharts();
+      renderAnomalies();
+    });
+
+    document.getElementById('gaps').addEventListener('change', (e) => {
+      if (e.target.id === 'gap-filter') {
+        gapFilter = e.target.value;
+        renderGaps();
+      }
+    });
+
+    // Time range controls
+    rangePreset.innerHTML = presets.map(p => '<option value="' + p.id + '">' + p.label + '</option>').join('') +
+      '<option value="custom">Custom range</option>';
+
+    rangePreset.addEventListener('change', () => {
+      const preset = presets.find(p => p.id === rangePreset.value);
+      if (preset) {
+        const now = Date.now();
+        rangeStart.value = toInputValue(now - preset.duration);
+        rangeEnd.value = toInputValue(now);
+      }
+    });
+    [rangeStart, rangeEnd].forEach(input => input.addEventListener('change', () => {
+      rangePreset.value = 'custom';
+    }));
+
+    // Resolution (re-buckets the loaded values, no reload)
+    resolution.innerHTML = '<option value="auto">Auto</option>' +
+      intervals.map(i => '<option value="' + i.id + '">' + i.label + '</option>').join('');
+    resolution.addEventListener('change', () => {
+      renderCharts();
+      renderAnomalies();
+    });
+
+    // Stream picker
+    function streamMatches(stream, filter) {
+      return !filter || [stream.name, stream.host, stream.classification]
+        .some(text => text && text.toLowerCase().includes(filter));
+    }
+
+    function renderStreamList() {
+      const filter = document.getElementById('stream-filter').value.trim().toLowerCase();
+      document.getElementById('stream-list').innerHTML = streams
+        .filter(stream => streamMatches(stream, filter))
+        .map(stream =>
+          '<label class="stream-option">' +
+            '<input type="checkbox" value="' + escapeHtml(stream.key) + '"' + (selectedKeys.includes(stream.key) ? ' checked' : '') + '>' +
+            '<span>' + escapeHtml(stream.name) +
+              '<div class="meta">' + escapeHtml([stream.host, stream.classification].filter(Boolean).join(' · ')) + '</div>' +
+            '</span>' +
+          '</label>'
+        ).join('');
+      document.getElementById('selection-count').textContent = selectedKeys.length + ' of max ' + maxStreams + ' selected';
+    }
+
+    document.getElementById('compare-btn').addEventListener('click', () => {
+      document.getElementById('stream-picker').classList.toggle('hidden');
+      renderStreamList();
+    });
+    document.getElementById('stream-filter').addEventListener('input', renderStreamList);
+    document.getElementById('stream-list').addEventListener('change', (e) => {
+      const key = e.target.value;
+      selectedKeys = selectedKeys.filter(k => k !== key);
+      if (e.target.checked) {
+        selectedKeys.push(key);
+      }
+      renderStreamList();
+    });
+    document.getElementById('select-matching').addEventListener('click', () => {
+      const filter = document.getElementById('stream-filter').value.trim().toLowerCase();
+      streams.filter(stream => streamMatches(stream, filter)).forEach(stream => {
+        if (!selectedKeys.includes(stream.key)) {
+          selectedKeys.push(stream.key);
+        }
+      });
+      renderStreamList();
+    });
+    document.getElementById('clear-selection').addEventListener('click', () => {
+      selectedKeys = [];
+      renderStreamList();
+    });
+
+    async function applySelection() {
+      if (selectedKeys.length === 0) {
+        setStatus('Select at least one stream.', true);
+        return;
+      }
+      if (selectedKeys.length > maxStreams) {
+        setStatus('Select at most ' + maxStreams + ' streams.', true);
+        return;
+      }
+      const rangeSelection = rangePreset.value === 'custom'
+        ? { start: new Date(rangeStart.value).getTime(), end: new Date(rangeEnd.value).getTime() }
+        : { preset: rangePreset.value };
+
+      const applyBtn = document.getElementById('apply-btn');
+      applyBtn.disabled = true;
+      setStatus('Loading...');
+      try {
+        if (typeof window.loadStreamSeries !== 'function') {
+          throw new Error('The dashboard window was closed or reloaded');
+        }
+        loaded = await window.loadStreamSeries(selectedKeys, rangeSelection, (done, total) => {
+          setStatus('Loading... (' + done + '/' + total + ' requests)');
+        });
+        setStatus('');
+        renderHeader();
+        analyzeStreams();
+        renderCharts();
+        renderGaps();
+        renderAnomalies();
+      } catch (error) {
+        console.error('Error loading stream values:', error);
+        setStatus('Failed to load: ' + (error.message || error), true);
+      } finally {
+        applyBtn.disabled = false;
+      }
+    }
+    document.getElementById('apply-btn').addEventListener('click', applySelection);
+
+    renderHeader();
+    analyzeStreams();
+    renderCharts();
+    renderGaps();
+    renderAnomalies();
+
     // Excel Export Utilities
     const ExcelUtils = {
       headerStyle: {
@@ -445,7 +1309,7 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
         fill: { fgColor: { rgb: "D3D3D3" } },
         alignment: { vertical: "center", horizontal: "left" }
       },
-      
+
       sanitizeSheetName: function(name, fallback = 'Sheet') {
         if (!name) return fallback;
         let sanitized = name
@@ -460,7 +1324,18 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
           .substring(0, 31);
         return sanitized || fallback;
       },
-      
+
+      makeUnique: function(baseName, usedNames) {
+        let uniqueName = baseName;
+        let counter = 1;
+        while (usedNames.has(uniqueName)) {
+          const suffix = '_' + counter;
+          uniqueName = baseName.substring(0, 31 - suffix.length) + suffix;
+          counter++;
+        }
+        return uniqueName;
+      },
+
       styleHeaderRow: function(sheet, columns, style) {
         columns.forEach(cell => {
           if (sheet[cell]) {
@@ -469,81 +1344,213 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
         });
       }
     };
-    
+
     // Export to Excel functionality
     function exportToExcel() {
       const exportBtn = document.getElementById('export-btn');
       const originalText = exportBtn.innerHTML;
-      
+
       try {
         exportBtn.disabled = true;
         exportBtn.innerHTML = '<span>⏳</span><span>Exporting...</span>';
-        
+
         const workbook = XLSX.utils.book_new();
-        
+
         // Summary sheet
         const summaryData = [
-          ['Stream Name', '${streamName}'],
-          ['Stream Key', '${streamKey}'],
-          ['Model', '${defaultModelURN}'],
-          ['Time Range', 'Last 30 days'],
+          ['Streams', loaded.series.map(s => s.name).join(', ')],
+          ['Stream Keys', loaded.series.map(s => s.key).join(', ')],
+          ['Model', ${toScriptLiteral(defaultModelURN)}],
+          ['Time Range', loaded.range.label],
+          ['Resolution', intervalInfo(interval).label],
           ['Export Date', new Date().toLocaleString()],
           [],
-          ['Property', 'Data Points', 'Last Value', 'Last Seen']
+          ['Stream', 'Property', 'Data Points', 'Last Value', 'Last Seen']
         ];
-        
+
         chartData.forEach(chart => {
-          const lastSeenDate = new Date(chart.lastSeenTimestamp).toLocaleString();
-          summaryData.push([
-            chart.displayName,
-            chart.dataPointCount,
-            chart.lastSeenValue,
-            lastSeenDate
-          ]);
+          chart.lines.forEach(line => {
+            summaryData.push([
+              line.streamName,
+              chart.displayName,
+              line.data.length,
+              line.lastSeenValue,
+              new Date(line.lastSeenTimestamp).toLocaleString()
+            ]);
+          });
         });
-        
+
         const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
-        summarySheet['!cols'] = [{ wch: 25 }, { wch: 50 }];
-        ExcelUtils.styleHeaderRow(summarySheet, ['A7', 'B7', 'C7', 'D7'], ExcelUtils.headerStyle);
+        summarySheet['!cols'] = [{ wch: 25 }, { wch: 50 }, { wch: 12 }, { wch: 12 }, { wch: 22 }];
+        ExcelUtils.styleHeaderRow(summarySheet, ['A8', 'B8', 'C8', 'D8', 'E8'], ExcelUtils.headerStyle);
         XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
-        
-        // Property sheets
-        chartData.forEach(chart => {
-          const sheetData = [['Timestamp', 'Date', 'Time', chart.displayName]];
-          
-          chart.data.forEach(point => {
-            const date = new Date(point.x);
+        const usedSheetNames = new Set(['Summary']);
+
+        // Property sheets: one row per timestamp, one value column per stream
+        chartData.forEach((chart, index) => {
+          const rows = new Map();
+          chart.lines.forEach((line, lineIndex) => {
+            line.data.forEach(point => {
+              if (!rows.has(point.x)) {
+                rows.set(point.x, new Array(chart.lines.length).fill(null));
+              }
+              rows.get(point.x)[lineIndex] = point.y;
+            });
+          });
+
+          const header = ['Timestamp', 'Date', 'Time'].concat(chart.lines.length === 1
+            ? [chart.displayName]
+            : chart.lines.map(line => line.streamName));
+          const sheetData = [header];
+
+          [...rows.keys()].sort((a, b) => a - b).forEach(ts => {
+            const date = new Date(ts);
             sheetData.push([
               date.toISOString(),
               date.toLocaleDateString(),
-              date.toLocaleTimeString(),
-              point.y
-            ]);
+              date.toLocaleTimeString()
+            ].concat(rows.get(ts)));
           });
-          
+
           const sheet = XLSX.utils.aoa_to_sheet(sheetData);
-          sheet['!cols'] = [{ wch: 25 }, { wch: 12 }, { wch: 12 }, { wch: 15 }];
-          ExcelUtils.styleHeaderRow(sheet, ['A1', 'B1', 'C1', 'D1'], ExcelUtils.headerStyle);
-          
-          const sheetName = ExcelUtils.sanitizeSheetName(
-            chart.displayName, 
-            'Property_' + chartData.indexOf(chart)
-          );
+          sheet['!cols'] = [{ wch: 25 }, { wch: 12 }, { wch: 12 }].concat(header.slice(3).map(() => ({ wch: 15 })));
+          ExcelUtils.styleHeaderRow(sheet, header.map((h, i) => XLSX.utils.encode_cell({ r: 0, c: i })), ExcelUtils.headerStyle);
+
+          const sheetName = ExcelUtils.makeUnique(ExcelUtils.sanitizeSheetName(chart.displayName, 'Property_' + index), usedSheetNames);
+          usedSheetNames.add(sheetName);
           XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+
+          // Aggregated values next to the raw sheet: one row per stream and bucket
+          if (interval !== 'raw') {
+            const aggregatedHeader = ['Bucket Start', 'Date', 'Time', 'Stream', 'Count', 'Min', 'Max', 'Mean', 'P95'];
+            const aggregatedData = [aggregatedHeader];
+
+            chart.lines.forEach(line => {
+              line.buckets.forEach(bucket => {
+                const date = new Date(bucket.start);
+                aggregatedData.push([
+                  date.toISOString(),
+                  date.toLocaleDateString(),
+                  date.toLocaleTimeString(),
+                  line.streamName,
+                  bucket.count,
+                  bucket.min,
+                  bucket.max,
+                  Math.round(bucket.mean * 1000) / 1000,
+                  Math.round(bucket.p95 * 1000) / 1000
+                ]);
+              });
+            });
+
+            const aggregatedSheet = XLSX.utils.aoa_to_sheet(aggregatedData);
+            aggregatedSheet['!cols'] = [{ wch: 25 }, { wch: 12 }, { wch: 12 }, { wch: 25 }, { wch: 8 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }];
+            ExcelUtils.styleHeaderRow(aggregatedSheet, aggregatedHeader.map((h, i) => XLSX.utils.encode_cell({ r: 0, c: i })), ExcelUtils.headerStyle);
+
+            const suffix = ' (' + intervalInfo(interval).adjective + ')';
+            const aggregatedName = ExcelUtils.makeUnique(
+              ExcelUtils.sanitizeSheetName(chart.displayName.substring(0, 31 - suffix.length) + suffix, 'Property_' + index + suffix),
+              usedSheetNames
+            );
+            usedSheetNames.add(aggregatedName);
+            XLSX.utils.book_append_sheet(workbook, aggregatedSheet, aggregatedName);
+          }
         });
-        
+
+        // Data gaps: uptime per stream and the listed gaps
+        if (sampling.size > 0) {
+          const minutes = ms => Math.round(ms / 60000);
+          const uptimeHeader = ['Stream', 'Stream Key', 'Frequency (min)', 'Median Interval (min)', 'Uptime (%)', 'Samples', 'Expected Samples', 'Gaps', 'Longest Gap (min)', 'Irregular Intervals'];
+          const uptimeData = [uptimeHeader];
+          loaded.series.filter(s => sampling.has(s.key)).forEach(s => {
+            const analysis = sampling.get(s.key);
+            uptimeData.push([
+              s.name,
+              s.key,
+              analysis.frequency / 60000,
+              analysis.medianInterval === null ? null : analysis.medianInterval / 60000,
+              Math.floor(analysis.uptime * 1000) / 10,
+              analysis.received,
+              analysis.expected,
+              analysis.gaps.length,
+              minutes(analysis.longestGap),
+              analysis.irregular
+            ]);
+          });
+          const uptimeSheet = XLSX.utils.aoa_to_sheet(uptimeData);
+          uptimeSheet['!cols'] = [{ wch: 25 }, { wch: 30 }].concat(uptimeHeader.slice(2).map(() => ({ wch: 16 })));
+          ExcelUtils.styleHeaderRow(uptimeSheet, uptimeHeader.map((h, i) => XLSX.utils.encode_cell({ r: 0, c: i })), ExcelUtils.headerStyle);
+          const uptimeName = ExcelUtils.makeUnique('Uptime', usedSheetNames);
+          usedSheetNames.add(uptimeName);
+          XLSX.utils.book_append_sheet(workbook, uptimeSheet, uptimeName);
+
+          const minGap = gapThresholds.find(t => t.id === gapFilter).duration;
+          const gapHeader = ['Stream', 'Stream Key', 'From', 'To', 'Duration (min)', 'Missing Samples', 'Edge'];
+          const gapData = [gapHeader];
+          loaded.series.filter(s => sampling.has(s.key)).forEach(s => {
+            sampling.get(s.key).gaps.filter(gap => gap.duration >= minGap).forEach(gap => {
+              gapData.push([
+                s.name,
+                s.key,
+                new Date(gap.start).toLocaleString(),
+                new Date(gap.end).toLocaleString(),
+                minutes(gap.duration),
+                gap.missing,
+                gap.edge || ''
+              ]);
+            });
+          });
+          const gapSheet = XLSX.utils.aoa_to_sheet(gapData);
+          gapSheet['!cols'] = [{ wch: 25 }, { wch: 30 }, { wch: 22 }, { wch: 22 }, { wch: 14 }, { wch: 16 }, { wch: 8 }];
+          ExcelUtils.styleHeaderRow(gapSheet, gapHeader.map((h, i) => XLSX.utils.encode_cell({ r: 0, c: i })), ExcelUtils.headerStyle);
+          const gapName = ExcelUtils.makeUnique('Gaps', usedSheetNames);
+          usedSheetNames.add(gapName);
+          XLSX.utils.book_append_sheet(workbook, gapSheet, gapName);
+        }
+
+        // Anomalies with the settings they were detected with
+        const anomalyHeader = ['Stream', 'Stream Key', 'Property', 'Method', 'Start', 'End', 'Value', 'Expected', 'Score', 'Severity'];
+        const anomalyData = [anomalyHeader];
+        listAnomalies().forEach(item => {
+          const anomaly = item.anomaly;
+          anomalyData.push([
+            item.line.streamName,
+            item.line.streamKey,
+            item.chart.displayName,
+            methodLabel(anomaly.method),
+            new Date(anomaly.start).toLocaleString(),
+            new Date(anomaly.end).toLocaleString(),
+            anomaly.value,
+            anomaly.expected === null ? null : Math.round(anomaly.expected * 1000) / 1000,
+            Math.round(anomaly.score * 100) / 100,
+            anomaly.severity
+          ]);
+        });
+        anomalyData.push([]);
+        anomalyMethods.forEach(method => {
+          const settings = anomalySettings[method.id];
+          anomalyData.push([method.label, settings.enabled ? 'enabled' : 'disabled'].concat(
+            method.params.map(param => param.label + ': ' + settings[param.id])));
+        });
+        const anomalySheet = XLSX.utils.aoa_to_sheet(anomalyData);
+        anomalySheet['!cols'] = [{ wch: 25 }, { wch: 30 }, { wch: 30 }, { wch: 18 }, { wch: 22 }, { wch: 22 }, { wch: 10 }, { wch: 10 }, { wch: 8 }, { wch: 10 }];
+        ExcelUtils.styleHeaderRow(anomalySheet, anomalyHeader.map((h, i) => XLSX.utils.encode_cell({ r: 0, c: i })), ExcelUtils.headerStyle);
+        const anomalyName = ExcelUtils.makeUnique('Anomalies', usedSheetNames);
+        usedSheetNames.add(anomalyName);
+        XLSX.utils.book_append_sheet(workbook, anomalySheet, anomalyName);
+
         // Download
-        const filename = 'stream-chart-${streamName.replace(/[^a-zA-Z0-9]/g, '_')}-' + 
+        const baseName = loaded.series.length === 1 ? loaded.series[0].name : loaded.series.length + '-streams';
+        const filename = 'stream-chart-' + baseName.replace(/[^a-zA-Z0-9]/g, '_') + '-' +
                         new Date().toISOString().slice(0, 10) + '.xlsx';
         XLSX.writeFile(workbook, filename);
-        
+
         // Success feedback
         exportBtn.innerHTML = '<span>✓</span><span>Exported!</span>';
         setTimeout(() => {
           exportBtn.innerHTML = originalText;
           exportBtn.disabled = false;
         }, 2000);
-        
+
       } catch (error) {
         console.error('Export error:', error);
         exportBtn.innerHTML = '<span>✗</span><span>Export Failed</span>';
@@ -553,7 +1560,7 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
         }, 2000);
       }
     }
-    
+
     // Set up export button
     document.getElementById('export-btn').addEventListener('click', exportToExcel);
   </script>
@@ -563,16 +1570,17 @@ function generateChartHTML(streamName, streamKey, streamData, defaultModelURN, p
 
 /**
  * View stream chart in a new tab
+ * Opens with the last 30 days of one stream; the page can change the range and overlay other streams.
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
  * @param {string} streamKey - Stream key
- * @param {string} streamName - Stream name
+ * @param {Array<Object>} streamOptions - Facility streams that can be overlaid ({ key, name, host, classification, frequency })
  * @param {HTMLElement} button - Button element that triggered the action
  */
-async function viewStreamChart(facilityURN, region, streamKey, streamName, button = null) {
+async function viewStreamChart(facilityURN, region, streamKey, streamOptions, button = null) {
+  let originalText = null;
   try {
     // Show loading state on button if provided
-    let originalText = null;
     if (button) {
       originalText = button.innerHTML;
       button.disabled = true;
@@ -583,45 +1591,61 @@ async function viewStreamChart(facilityURN, region, streamKey, streamName, butto
         </svg>
       `;
     }
-    
+
     // Fetch stream data
-    const streamData = await getStreamValues(facilityURN, region,streamKey, 30);
-    
+    const streamsByKey = new Map(streamOptions.map(stream => [stream.key, stream]));
+    const load = (streamKeys, rangeSelection, onProgress) => loadStreamSeries(
+      facilityURN, region, streamKeys.map(key => streamsByKey.get(key)).filter(Boolean), rangeSelection, onProgress);
+    const loaded = await load([streamKey], { preset: '30d' });
+
     // Reset button if provided
     if (button && originalText) {
       button.disabled = false;
       button.innerHTML = originalText;
     }
-    
-    if (!streamData || Object.keys(streamData).length === 0) {
+
+    if (Object.keys(loaded.series[0]?.values || {}).length === 0) {
       alert('No data available for this stream in the last 30 days.');
       return;
     }
-    
-    // Get default model URN
-    const defaultModelURN = facilityURN.replace('urn:adsk.dtt:', 'urn:adsk.dtm:');
-    
-    // Load schema to get display names
-    await loadSchemaForModel(defaultModelURN);
-    
-    // Get display names for all properties
-    const propertyDisplayNames = {};
-    for (const propKey of Object.keys(streamData)) {
-      if (propKey !== 'k') {
-        propertyDisplayNames[propKey] = await getPropertyDisplayName(defaultModelURN, propKey);
-      }
-    }
-    
+
     // Generate HTML
-    const htmlContent = generateChartHTML(streamName, streamKey, streamData, defaultModelURN, propertyDisplayNames);
-    
+    const htmlContent = generateChartHTML({
+      defaultModelURN: getDefaultModelURN(facilityURN),
+      streams: streamOptions.map(({ key, name, host, classification }) => ({ key, name, host, classification })),
+      streamKeys: [streamKey],
+      loaded,
+      anomalySettings: loadAnomalySettings()
+    });
+
     // Open in new tab
     const newWindow = window.open('', '_blank');
+    if (!newWindow) {
+      alert('Please allow pop-ups to view the stream chart');
+      return;
+    }
+
+    // Expose the loader, aggregation, gap and anomaly detection to the chart page (time range, overlay,
+    // resolution and anomaly settings changes). Set before writing the page: its script buckets and
+    // analyzes the values on first render.
+    newWindow.loadStreamSeries = load;
+    newWindow.aggregateStreamValues = aggregateValues;
+    newWindow.chooseAggregationInterval = chooseInterval;
+    newWindow.analyzeStreamSampling = analyzeStreamSampling;
+    newWindow.detectStreamAnomalies = detectAnomalies;
+    newWindow.saveAnomalySettings = saveAnomalySettings;
+
     newWindow.document.write(htmlContent);
     newWindow.document.close();
   } catch (error) {
     console.error('Error viewing stream chart:', error);
-    alert('Failed to load stream chart. See console for details.');
+    alert(`Failed to load stream chart: ${describeError(error)}`);
+
+    // Reset button on error
+    if (button && originalText) {
+      button.disabled = false;
+      button.innerHTML = originalText;
+    }
   }
 }
 
@@ -631,8 +1655,10 @@ async function viewStreamChart(facilityURN, region, streamKey, streamName, butto
  * @param {Array} streams - Array of stream objects
  * @param {string} facilityURN - Facility URN to fetch last seen values
  * @param {string} region - Region identifier
+ * @param {string} sortColumn - Sort by 'name' or 'lastSeen' (default: null for API order)
+ * @param {string} sortDirection - 'asc' or 'desc' (default: 'asc')
  */
-export async function displayStreams(container, streams, facilityURN, region) {
+export async function displayStreams(container, streams, facilityURN, region, sortColumn = null, sortDirection = 'asc') {
   if (!streams || streams.length === 0) {
     container.innerHTML = '<p class="text-dark-text-secondary">No streams found in this facility.</p>';
     return;
@@ -648,6 +1674,54 @@ export async function displayStreams(container, streams, facilityURN, region) {
         </div>
       </div>
       <div class="flex items-center space-x-3">
+        <select id="streams-sort-select"
+                class="rounded border-dark-border bg-dark-bg text-dark-text focus:border-tandem-blue focus:ring-tandem-blue text-xs py-1.5 px-2 border"
+                title="Sort streams">
+          <option value="">Default order</option>
+          <option value="name:asc">Name</option>
+          <option value="lastSeen:desc">Last seen (newest)</option>
+          <option value="lastSeen:asc">Last seen (oldest)</option>
+        </select>
+        <button id="streams-thresholds-btn"
+                class="hidden inline-flex items-center px-3 py-2 border border-amber-400 text-xs font-medium rounded text-amber-300 hover:bg-amber-500 hover:text-white transition"
+                title="Threshold breach report">
+          <svg class="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
+            <path fill-rule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clip-rule="evenodd"/>
+          </svg>
+          Thresholds
+        </button>
+        <button id="streams-formulas-btn"
+                class="hidden inline-flex items-center px-3 py-2 border border-violet-400 text-xs font-medium rounded text-violet-300 hover:bg-violet-500 hover:text-white transition"
+                title="Check calculated stream formulas against their inputs">
+          <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 7h6m0 10v-3m-3 3h.01M9 17h.01M9 14h.01M12 14h.01M15 11h.01M12 11h.01M9 11h.01M7 21h10a2 2 0 002-2V5a2 2 0 00-2-2H7a2 2 0 00-2 2v14a2 2 0 002 2z"></path>
+          </svg>
+          Formulas
+        </button>
+        <button id="streams-anomalies-btn"
+                class="inline-flex items-center px-3 py-2 border border-orange-400 text-xs font-medium rounded text-orange-300 hover:bg-orange-500 hover:text-white transition"
+                title="Anomaly report">
+          <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6"></path>
+          </svg>
+          Anomalies
+        </button>
+        <button id="streams-heatmap-btn"
+                class="inline-flex items-center px-3 py-2 border border-rose-400 text-xs font-medium rounded text-rose-300 hover:bg-rose-500 hover:text-white transition"
+                title="Heatmap of room values by level">
+          <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 5a1 1 0 011-1h14a1 1 0 011 1v14a1 1 0 01-1 1H5a1 1 0 01-1-1V5zm0 7h16M12 4v16"></path>
+          </svg>
+          Heatmap
+        </button>
+        <button id="streams-export-btn"
+                class="inline-flex items-center px-3 py-2 border border-emerald-400 text-xs font-medium rounded text-emerald-300 hover:bg-emerald-500 hover:text-white transition"
+                title="Export the values of many streams (CSV, JSON Lines, Excel)">
+          <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+          </svg>
+          Export
+        </button>
         <button id="streams-asset-details-btn"
                 class="inline-flex items-center px-3 py-2 border border-tandem-blue text-xs font-medium rounded text-tandem-blue hover:bg-tandem-blue hover:text-white transition"
                 title="View detailed information">
@@ -753,6 +1827,18 @@ export async function displayStreams(container, streams, facilityURN, region) {
     }
   }
 
+  // Streams the chart can overlay
+  const streamOptions = streams.map(stream => {
+    const hostRef = stream[QC.XParent]?.[0] || stream[QC.XRooms]?.[0];
+    return {
+      key: stream[QC.Key],
+      name: stream[QC.OName]?.[0] || stream[QC.Name]?.[0] || 'Unnamed Stream',
+      host: hostRef ? hostInfoMap.get(hostRef)?.name || null : null,
+      classification: stream[QC.OClassification]?.[0] || stream[QC.Classification]?.[0] || null,
+      frequency: configMap.get(stream[QC.Key])?.streamSettings?.frequency
+    };
+  });
+
   // Build detailed view (initially hidden)
   let detailHtml = '<div id="streams-detail" class="hidden space-y-2">';
   
@@ -777,6 +1863,10 @@ export async function displayStreams(container, streams, facilityURN, region) {
     // Get last seen values for this stream
     const streamValues = lastSeenValues[streamKey];
     let valuesHtml = '';
+
+    // Most recent timestamp across all properties (for sorting by last seen)
+    const timestamps = Object.values(streamValues || {}).flatMap(values => Object.keys(values).map(Number));
+    const lastSeen = timestamps.length > 0 ? Math.max(...timestamps) : '';
     
     if (streamValues && Object.keys(streamValues).length > 0) {
       valuesHtml = '<div class="mt-3 pt-3 border-t border-dark-border"><div class="text-xs font-semibold text-dark-text mb-2">Last Seen Values:</div><div class="space-y-2">';
@@ -807,7 +1897,8 @@ export async function displayStreams(container, streams, facilityURN, region) {
     }
     
     detailHtml += `
-      <div class="border border-dark-border rounded p-4 hover:border-tandem-blue transition">
+      <div class="stream-item border border-dark-border rounded p-4 hover:border-tandem-blue transition"
+           data-index="${i}" data-name="${streamName}" data-last-seen="${lastSeen}">
         <div class="flex items-center justify-between">
           <div class="flex-grow">
             <div class="flex items-center gap-2 mb-1 flex-wrap">
@@ -835,8 +1926,7 @@ export async function displayStreams(container, streams, facilityURN, region) {
             <button 
               class="view-stream-chart-btn inline-flex items-center px-3 py-2 border border-tandem-blue text-xs font-medium rounded text-tandem-blue hover:bg-tandem-blue hover:text-white transition"
               data-stream-key="${streamKey}"
-              data-stream-name="${streamName}"
-              title="View 30-day chart">
+              title="View chart (time range and stream comparison)">
               <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path>
               </svg>
@@ -860,6 +1950,19 @@ export async function displayStreams(container, streams, facilityURN, region) {
     toggleBtn.addEventListener('click', toggleStreamsDetail);
   }
   
+  // Apply the initial sort and re-sort when the selection changes
+  const detailSection = document.getElementById('streams-detail');
+  const sortSelect = document.getElementById('streams-sort-select');
+  if (sortColumn) {
+    sortSelect.value = `${sortColumn}:${sortDirection}`;
+    sortStreamItems(detailSection, sortColumn, sortDirection);
+  }
+  sortSelect.addEventListener('change', () => {
+    const [column, direction] = sortSelect.value ? sortSelect.value.split(':') : [null, 'asc'];
+    setRouteSort('streams', column, direction);
+    sortStreamItems(detailSection, column, direction);
+  });
+  
   // Add Asset Details button event listener
   const assetDetailsBtn = document.getElementById('streams-asset-details-btn');
   if (assetDetailsBtn) {
@@ -883,13 +1986,72 @@ export async function displayStreams(container, streams, facilityURN, region) {
     });
   }
   
+  // Threshold report for the streams that have thresholds
+  const thresholdsByStream = new Map([...configMap]
+    .filter(([, config]) => Object.keys(config.streamSettings?.thresholds || {}).length > 0)
+    .map(([streamKey, config]) => [streamKey, config.streamSettings.thresholds]));
+  const thresholdsBtn = document.getElementById('streams-thresholds-btn');
+  if (thresholdsBtn && thresholdsByStream.size > 0) {
+    const thresholdStreams = streamOptions.filter(stream => thresholdsByStream.has(stream.key));
+    thresholdsBtn.classList.remove('hidden');
+    thresholdsBtn.addEventListener('click', () => {
+      viewThresholdReport(facilityURN, thresholdsByStream,
+        (rangeSelection, onProgress) => loadStreamSeries(facilityURN, region, thresholdStreams, rangeSelection, onProgress),
+        thresholdsBtn);
+    });
+  }
+
+  // Formula check for the calculated streams, against the streams they use as inputs
+  const formulasBtn = document.getElementById('streams-formulas-btn');
+  const hasCalculations = streamConfigs.some(config =>
+    Object.keys(config.streamSettings?.calculationSettings || {}).length > 0);
+  if (formulasBtn && hasCalculations) {
+    formulasBtn.classList.remove('hidden');
+    formulasBtn.addEventListener('click', () => {
+      viewCalculationReport(facilityURN, streamConfigs, streamOptions,
+        (streamKeys, rangeSelection, onProgress) => loadStreamSeries(facilityURN, region,
+          streamOptions.filter(stream => streamKeys.includes(stream.key)), rangeSelection, onProgress),
+        formulasBtn);
+    });
+  }
+
+  // Anomaly report for every stream
+  const anomaliesBtn = document.getElementById('streams-anomalies-btn');
+  if (anomaliesBtn) {
+    anomaliesBtn.addEventListener('click', () => {
+      viewAnomalyReport(facilityURN,
+        (rangeSelection, onProgress) => loadStreamSeries(facilityURN, region, streamOptions, rangeSelection, onProgress),
+        anomaliesBtn);
+    });
+  }
+
+  // Room heatmap per level for the streams that are in a room
+  const heatmapBtn = document.getElementById('streams-heatmap-btn');
+  if (heatmapBtn) {
+    heatmapBtn.addEventListener('click', () => {
+      viewLevelHeatmap(facilityURN, region, streams,
+        (streamKeys, rangeSelection, onProgress) => loadStreamSeries(facilityURN, region,
+          streamOptions.filter(stream => streamKeys.includes(stream.key)), rangeSelection, onProgress),
+        heatmapBtn);
+    });
+  }
+
+  // Bulk export of the values of many streams
+  const exportBtn = document.getElementById('streams-export-btn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      showStreamExportModal(facilityURN, region, streams,
+        (streamKeys, rangeSelection, onProgress) => loadStreamSeries(facilityURN, region,
+          streamOptions.filter(stream => streamKeys.includes(stream.key)), rangeSelection, onProgress),
+        exportBtn);
+    });
+  }
+
   // Bind view chart button event listeners
   const chartButtons = container.querySelectorAll('.view-stream-chart-btn');
   chartButtons.forEach(button => {
     button.addEventListener('click', () => {
-      const streamKey = button.dataset.streamKey;
-      const streamName = button.dataset.streamName;
-      viewStreamChart(facilityURN, region, streamKey, streamName, button);
+      viewStreamChart(facilityURN, region, button.dataset.streamKey, streamOptions, button);
     });
   });
   
@@ -907,3 +2069,16 @@ export async function displayStreams(container, streams, facilityURN, region) {
   });
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'streams',
+  title: 'Streams',
+  placeholder: 'Loading streams...',
+  order: 20,
+  requires: ['models'],
+  render: async (container, { facilityURN, region, hasDefaultModel, sort }) => {
+    // Streams only exist in the default model
+    const streams = hasDefaultModel ? await getStreams(facilityURN, region) : [];
+    await displayStreams(container, streams, facilityURN, region, sort.streams?.column, sort.streams?.direction);
+  }
+});
@@ -3,7 +3,9 @@
  * Displays systems and their subsystems from the default model
  */
 
+import { getSystems } from '../api.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { cardProgress, registerCard } from '../components/cardRegistry.js';
 import { viewAssetDetails } from './assetDetails.js';
 
 /**
@@ -205,3 +207,19 @@ function escapeHtml(text) {
   div.textContent = text;
   return div.innerHTML;
 }
+
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'systems',
+  title: 'Systems',
+  placeholder: 'Loading systems...',
+  order: 90,
+  requires: ['models'],
+  render: async (container, { facilityURN, region, models, hasDefaultModel }) => {
+    // Systems only exist in the default model
+    const systems = hasDefaultModel
+      ? await getSystems(facilityURN, region, models, cardProgress(container, 'systems'))
+      : [];
+    await displaySystems(container, systems, facilityURN, region);
+  }
+});
@@ -1,4 +1,6 @@
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
+import { setRouteSort } from '../state/router.js';
 import { getTaggedAssetsDetails, getElementsByProperty } from '../api.js';
 import { getSchemaCache } from '../state/schemaCache.js';
 import { compareQualifiedColumnIds, isDefaultModel } from '../utils.js';
@@ -165,6 +167,7 @@ function renderTaggedAssetsTable(propertyDetails, sortColumn = 'count', sortDire
     header.addEventListener('click', () => {
       const column = header.getAttribute('data-column');
       const direction = header.getAttribute('data-direction');
+      setRouteSort('taggedAssets', column, direction);
       renderTaggedAssetsTable(propertyDetails, column, direction, facilityURN, region);
     });
   });
@@ -215,8 +218,10 @@ function renderTaggedAssetsTable(propertyDetails, sortColumn = 'count', sortDire
  * @param {string} facilityURN - Facility URN
  * @param {Array} models - Array of model objects
  * @param {string} region - Region identifier
+ * @param {string} sortColumn - Initial sort column (default: 'count')
+ * @param {string} sortDirection - 'asc' or 'desc' (default: 'desc')
  */
-export async function displayTaggedAssets(container, facilityURN, models, region) {
+export async function displayTaggedAssets(container, facilityURN, models, region, sortColumn = 'count', sortDirection = 'desc') {
   if (!models || models.length === 0) {
     container.innerHTML = '<p class="text-dark-text-secondary">No models found in this facility.</p>';
     return;
@@ -229,14 +234,19 @@ export async function displayTaggedAssets(container, facilityURN, models, region
         <span class="inline-block animate-pulse">...</span>
       </div>
       <div class="text-sm text-dark-text-secondary">
-        <div>Calculating tagged assets...</div>
+        <div id="tagged-assets-progress">Calculating tagged assets...</div>
       </div>
     </div>
   `;
 
   try {
     // Fetch tagged assets details AND collect element keys in one pass
-    const details = await getTaggedAssetsDetails(facilityURN, region, true);
+    const details = await getTaggedAssetsDetails(facilityURN, region, true, (done, total) => {
+      const progress = document.getElementById('tagged-assets-progress');
+      if (progress) {
+        progress.textContent = `Calculating tagged assets... (${done}/${total} models)`;
+      }
+    });
     const schemaCache = getSchemaCache();
     
     // Build header with Asset Details button and toggle button
@@ -330,7 +340,7 @@ export async function displayTaggedAssets(container, facilityURN, models, region
     
     // Render the sortable table (default sort by count descending)
     if (propertyDetails.length > 0) {
-      renderTaggedAssetsTable(propertyDetails, 'count', 'desc', facilityURN, region);
+      renderTaggedAssetsTable(propertyDetails, sortColumn, sortDirection, facilityURN, region);
     }
     
     // Attach toggle event listener
@@ -355,7 +365,18 @@ export async function displayTaggedAssets(container, facilityURN, models, region
     }
   } catch (error) {
     console.error('Error fetching tagged assets:', error);
-    container.innerHTML = '<p class="text-dark-text-secondary">Error loading tagged assets.</p>';
+    // Shown by the card loader with a retry button (see renderErrorState)
+    throw error;
   }
 }
 
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'taggedAssets',
+  title: 'Tagged Assets',
+  placeholder: 'Loading tagged assets...',
+  order: 40,
+  requires: ['models', 'schemas'],
+  render: (container, { facilityURN, region, models, sort }) =>
+    displayTaggedAssets(container, facilityURN, models, region, sort.taggedAssets?.column, sort.taggedAssets?.direction)
+});
@@ -0,0 +1,450 @@
+import { getDefaultModelURN } from '../api.js';
+import { formatDuration, toScriptLiteral } from '../utils.js';
+import { findStreamBreaches, summarizeBreaches, thresholdBounds } from '../utils/thresholds.js';
+import { CHART_SCRIPTS, RANGE_CONTROLS, generateReportPageHTML, openReportWindow } from '../components/reportPage.js';
+
+/**
+ * Range the report opens with
+ */
+const DEFAULT_RANGE = { preset: '7d' };
+
+/**
+ * Evaluate loaded stream values against the stream thresholds
+ * @param {Object} loaded - Result of loadStreamSeries ({ series, propertyDisplayNames, range })
+ * @param {Map<string, Object>} thresholdsByStream - Stream key -> streamSettings.thresholds
+ * @returns {Object} { range, streams, charts, breaches, totals } for the report page
+ */
+function buildThresholdReport(loaded, thresholdsByStream) {
+  const displayName = propKey => loaded.propertyDisplayNames[propKey] || propKey;
+  const breaches = findStreamBreaches(loaded.series, thresholdsByStream).map(breach => ({
+    ...breach,
+    displayName: displayName(breach.propKey),
+    durationLabel: formatDuration(breach.duration)
+  }));
+  const totals = summarizeBreaches(loaded.series, breaches).map(total => ({
+    ...total,
+    totalDurationLabel: formatDuration(total.totalDuration),
+    longestLabel: formatDuration(total.longest)
+  }));
+
+  // One chart per stream property with a threshold
+  const charts = loaded.series.flatMap(stream => Object.entries(thresholdsByStream.get(stream.key) || {})
+    .map(([propKey, threshold]) => ({
+      streamKey: stream.key,
+      streamName: stream.name,
+      propKey,
+      displayName: displayName(propKey),
+      thresholdName: threshold.name || null,
+      bounds: thresholdBounds(threshold),
+      values: stream.values[propKey] || {}
+    })));
+
+  return {
+    range: loaded.range,
+    streams: loaded.series.map(({ key, name }) => ({ key, name })),
+    charts,
+    breaches,
+    totals
+  };
+}
+
+/**
+ * Generate the threshold report page
+ * The page lists breaches (stream, property, start, end, duration, peak), totals per stream and a chart
+ * per property with its threshold lines. It reloads through window.loadThresholdReport, which
+ * viewThresholdReport sets on the new window.
+ * @param {Object} reportPage - Page data
+ * @param {string} reportPage.defaultModelURN - Default model URN
+ * @param {Object} reportPage.report - Result of buildThresholdReport
+ * @returns {string} HTML page content
+ */
+function generateThresholdReportHTML({ defaultModelURN, report }) {
+  return generateReportPageHTML({
+    title: 'Threshold Breaches',
+    defaultModelURN,
+    scripts: CHART_SCRIPTS,
+    timeRange: true,
+    styles: `
+    .badge {
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      font-weight: 500;
+    }
+    .badge.alert {
+      background: rgba(239, 68, 68, 0.2);
+      color: #fca5a5;
+    }
+    .badge.warn {
+      background: rgba(245, 158, 11, 0.2);
+      color: #fcd34d;
+    }
+    .chart-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: baseline;
+      margin-bottom: 15px;
+    }
+    .prop-key {
+      font-size: 14px;
+      font-weight: 400;
+      color: #808080;
+      font-family: monospace;
+    }
+    .chart-container {
+      position: relative;
+      height: 320px;
+    }`,
+    header: `
+      <div class="info" id="time-range"></div>
+      <div class="stats" id="stats"></div>
+      <div class="controls">
+        ${RANGE_CONTROLS}
+        <button id="apply-btn" class="export-btn">Apply</button>
+        <span id="status" class="status"></span>
+      </div>`,
+    body: `
+    <div class="section">
+      <h2>Per Stream</h2>
+      <div id="totals"></div>
+    </div>
+    <div class="section">
+      <h2>Breach Log</h2>
+      <div id="breaches" class="table-scroll"></div>
+    </div>
+    <div id="charts"></div>`,
+    script: `
+    const boundColors = { alert: '#EF4444', warn: '#F59E0B' };
+    let report = ${toScriptLiteral(report)};
+    let charts = [];
+
+    function levelBadge(level) {
+      return '<span class="badge ' + level + '">' + (level === 'alert' ? 'Alert' : 'Warning') + '</span>';
+    }
+
+    function sideLabel(side) {
+      return side === 'upper' ? 'High' : 'Low';
+    }
+
+    function renderHeader() {
+      document.getElementById('time-range').textContent = 'Time Range: ' + report.range.label;
+      const alerts = report.breaches.filter(b => b.level === 'alert').length;
+      const ongoing = report.breaches.filter(b => b.ongoing).length;
+      const stat = (label, value, color) =>
+        '<div><div class="stat-label">' + label + '</div><div class="stat-value" style="color: ' + (value > 0 ? color : '#808080') + '">' + value + '</div></div>';
+
+      document.getElementById('stats').innerHTML =
+        stat('Streams', report.streams.length, '#0696D7') +
+        stat('Breaches', report.breaches.length, '#e0e0e0') +
+        stat('Alerts', alerts, boundColors.alert) +
+        stat('Warnings', report.breaches.length - alerts, boundColors.warn) +
+        stat('Ongoing', ongoing, boundColors.alert);
+
+      showRange(report.range);
+    }
+
+    function renderTotals() {
+      document.getElementById('totals').innerHTML = '<table><thead><tr>' +
+        '<th>Stream</th><th class="num">Breaches</th><th class="num">Alerts</th><th class="num">Warnings</th>' +
+        '<th class="num">Time in Breach</th><th class="num">Longest</th><th class="num">Ongoing</th>' +
+        '</tr></thead><tbody>' +
+        report.totals.map(total =>
+          '<tr>' +
+            '<td>' + escapeHtml(total.streamName) + '</td>' +
+            '<td class="num">' + total.count + '</td>' +
+            '<td class="num">' + total.alerts + '</td>' +
+            '<td class="num">' + total.warnings + '</td>' +
+            '<td class="num">' + (total.count > 0 ? total.totalDurationLabel : '-') + '</td>' +
+            '<td class="num">' + (total.count > 0 ? total.longestLabel : '-') + '</td>' +
+            '<td class="num">' + total.ongoing + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    function renderBreaches() {
+      const container = document.getElementById('breaches');
+      if (report.breaches.length === 0) {
+        container.innerHTML = '<div class="empty">No breaches in this time range.</div>';
+        return;
+      }
+      container.innerHTML = '<table><thead><tr>' +
+        '<th>Stream</th><th>Property</th><th>Level</th><th>Start</th><th>End</th><th class="num">Duration</th><th class="num">Peak</th>' +
+        '</tr></thead><tbody>' +
+        report.breaches.map(breach =>
+          '<tr>' +
+            '<td>' + escapeHtml(breach.streamName) + '</td>' +
+            '<td>' + escapeHtml(breach.displayName) + ' <span class="muted">(' + escapeHtml(breach.propKey) + ')</span></td>' +
+            '<td>' + levelBadge(breach.level) + ' <span class="muted">' + sideLabel(breach.side) + '</span></td>' +
+            '<td>' + formatTime(breach.start) + '</td>' +
+            '<td>' + (breach.ongoing ? '<span class="muted">ongoing</span>' : formatTime(breach.end)) + '</td>' +
+            '<td class="num">' + breach.durationLabel + '</td>' +
+            '<td class="num" title="' + formatTime(breach.peakAt) + '">' + breach.peak + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    function timeUnit() {
+      const days = (report.range.end - report.range.start) / 86400000;
+      if (days <= 2) return 'hour';
+      if (days <= 180) return 'day';
+      return 'month';
+    }
+
+    /**
+     * One chart per stream property: the values and a dashed line per threshold bound
+     */
+    function renderCharts() {
+      charts.forEach(chart => chart.destroy());
+      charts = [];
+
+      const container = document.getElementById('charts');
+      container.innerHTML = report.charts.map((chart, index) => {
+        const count = report.breaches.filter(b => b.streamKey === chart.streamKey && b.propKey === chart.propKey).length;
+        return '<div class="section">' +
+          '<div class="chart-header">' +
+            '<h2>' + escapeHtml(chart.streamName) + ' · ' + escapeHtml(chart.thresholdName || chart.displayName) +
+              ' <span class="prop-key">(' + escapeHtml(chart.propKey) + ')</span></h2>' +
+            '<div class="status">' + count + ' breach' + (count === 1 ? '' : 'es') + '</div>' +
+          '</div>' +
+          (Object.keys(chart.values).length === 0
+            ? '<div class="empty">No data in this time range.</div>'
+            : '<div class="chart-container"><canvas id="chart' + index + '"></canvas></div>') +
+        '</div>';
+      }).join('');
+
+      const unit = timeUnit();
+      report.charts.forEach((chartInfo, index) => {
+        const canvas = document.getElementById('chart' + index);
+        if (!canvas) return;
+
+        const data = Object.keys(chartInfo.values).map(Number).sort((a, b) => a - b)
+          .map(ts => ({ x: ts, y: chartInfo.values[ts] }));
+        const boundDatasets = chartInfo.bounds.map(bound => ({
+          label: (bound.level === 'alert' ? 'Alert' : 'Warning') + ' (' + sideLabel(bound.side) + ') ' + bound.value,
+          data: [{ x: report.range.start, y: bound.value }, { x: report.range.end, y: bound.value }],
+          borderColor: boundColors[bound.level],
+          backgroundColor: boundColors[bound.level],
+          borderWidth: 1,
+          borderDash: bound.level === 'alert' ? [] : [6, 4],
+          pointRadius: 0,
+          bound: true
+        }));
+
+        charts.push(new Chart(canvas.getContext('2d'), {
+          type: 'line',
+          data: {
+            datasets: [{
+              label: chartInfo.displayName,
+              data: data,
+              borderColor: '#0696D7',
+              backgroundColor: '#0696D7',
+              borderWidth: 2,
+              pointRadius: 0,
+              pointHoverRadius: 4,
+              tension: 0.1
+            }].concat(boundDatasets)
+          },
+          options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            animation: false,
+            plugins: {
+              decimation: {
+                enabled: true,
+                algorithm: 'lttb',
+                samples: 1000
+              },
+              legend: {
+                labels: {
+                  color: '#a0a0a0',
+                  boxWidth: 12
+                }
+              },
+              tooltip: {
+                mode: 'index',
+                axis: 'x',
+                intersect: false,
+                filter: item => !item.dataset.bound,
+                backgroundColor: 'rgba(42, 42, 42, 0.95)',
+                titleColor: '#e0e0e0',
+                bodyColor: '#a0a0a0',
+                borderColor: '#404040',
+                borderWidth: 1,
+                padding: 12,
+                callbacks: {
+                  title: context => formatTime(context[0].parsed.x)
+                }
+              }
+            },
+            scales: {
+              x: {
+                type: 'time',
+                min: report.range.start,
+                max: report.range.end,
+                time: {
+                  unit: unit,
+                  displayFormats: {
+                    hour: 'MMM d ha',
+                    day: 'MMM d',
+                    month: 'MMM yyyy'
+                  }
+                },
+                ticks: {
+                  color: '#808080',
+                  font: {
+                    size: 11
+                  },
+                  maxRotation: 0,
+                  autoSkip: true,
+                  maxTicksLimit: 12
+                },
+                grid: {
+                  color: '#353535'
+                }
+              },
+              y: {
+                ticks: {
+                  color: '#808080',
+                  font: {
+                    size: 11
+                  }
+                },
+                grid: {
+                  color: '#353535'
+                }
+              }
+            },
+            interaction: {
+              mode: 'index',
+              axis: 'x',
+              intersect: false
+            }
+          }
+        }));
+      });
+    }
+
+    function renderReport() {
+      renderHeader();
+      renderTotals();
+      renderBreaches();
+      renderCharts();
+    }
+
+    async function applyRange() {
+      const loaded = await loadFromDashboard('loadThresholdReport', [readRangeSelection()], 'threshold report');
+      if (loaded) {
+        report = loaded;
+        renderReport();
+      }
+    }
+    document.getElementById('apply-btn').addEventListener('click', applyRange);
+
+    renderReport();
+
+    setupExport('threshold-breaches', workbook => {
+      const minutes = ms => Math.round(ms / 60000);
+
+      // Summary sheet: report info and totals per stream
+      const totalsHeader = ['Stream', 'Stream Key', 'Breaches', 'Alerts', 'Warnings', 'Time in Breach (min)', 'Longest (min)', 'Ongoing'];
+      const summaryData = [
+        ['Model', ${toScriptLiteral(defaultModelURN)}],
+        ['Time Range', report.range.label],
+        ['Breaches', report.breaches.length],
+        ['Export Date', new Date().toLocaleString()],
+        [],
+        totalsHeader
+      ];
+      report.totals.forEach(total => {
+        summaryData.push([
+          total.streamName,
+          total.streamKey,
+          total.count,
+          total.alerts,
+          total.warnings,
+          minutes(total.totalDuration),
+          minutes(total.longest),
+          total.ongoing
+        ]);
+      });
+      const summarySheet = XLSX.utils.aoa_to_sheet(summaryData);
+      summarySheet['!cols'] = [{ wch: 30 }, { wch: 30 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 20 }, { wch: 14 }, { wch: 10 }];
+      ExcelUtils.styleHeaderRow(summarySheet, 5, totalsHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+      // Breach log
+      const breachHeader = ['Stream', 'Stream Key', 'Property', 'Property ID', 'Level', 'Bound', 'Start', 'End', 'Duration (min)', 'Peak', 'Peak At', 'Ongoing'];
+      const breachData = [breachHeader];
+      report.breaches.forEach(breach => {
+        breachData.push([
+          breach.streamName,
+          breach.streamKey,
+          breach.displayName,
+          breach.propKey,
+          breach.level === 'alert' ? 'Alert' : 'Warning',
+          sideLabel(breach.side),
+          new Date(breach.start).toLocaleString(),
+          new Date(breach.end).toLocaleString(),
+          minutes(breach.duration),
+          breach.peak,
+          new Date(breach.peakAt).toLocaleString(),
+          breach.ongoing ? 'Yes' : 'No'
+        ]);
+      });
+      const breachSheet = XLSX.utils.aoa_to_sheet(breachData);
+      breachSheet['!cols'] = [{ wch: 30 }, { wch: 30 }, { wch: 25 }, { wch: 12 }, { wch: 10 }, { wch: 8 }, { wch: 22 }, { wch: 22 }, { wch: 14 }, { wch: 10 }, { wch: 22 }, { wch: 10 }];
+      ExcelUtils.styleHeaderRow(breachSheet, 0, breachHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, breachSheet, 'Breaches');
+
+      // Configured thresholds
+      const thresholdHeader = ['Stream', 'Property', 'Property ID', 'Threshold', 'Level', 'Bound', 'Value'];
+      const thresholdData = [thresholdHeader];
+      report.charts.forEach(chart => {
+        chart.bounds.forEach(bound => {
+          thresholdData.push([
+            chart.streamName,
+            chart.displayName,
+            chart.propKey,
+            chart.thresholdName || '',
+            bound.level === 'alert' ? 'Alert' : 'Warning',
+            sideLabel(bound.side),
+            bound.value
+          ]);
+        });
+      });
+      const thresholdSheet = XLSX.utils.aoa_to_sheet(thresholdData);
+      thresholdSheet['!cols'] = [{ wch: 30 }, { wch: 25 }, { wch: 12 }, { wch: 25 }, { wch: 10 }, { wch: 8 }, { wch: 10 }];
+      ExcelUtils.styleHeaderRow(thresholdSheet, 0, thresholdHeader.length, ExcelUtils.headerStyle);
+      XLSX.utils.book_append_sheet(workbook, thresholdSheet, 'Thresholds');
+    });`
+  });
+}
+
+/**
+ * View the threshold breach report in a new tab
+ * Opens with the last 7 days of every stream that has thresholds; the page can change the range.
+ * @param {string} facilityURN - Facility URN
+ * @param {Map<string, Object>} thresholdsByStream - Stream key -> streamSettings.thresholds
+ * @param {Function} loadSeries - Loads the values of those streams: (rangeSelection, onProgress) => loadStreamSeries result
+ * @param {HTMLElement} button - Button element that triggered the action
+ */
+export function viewThresholdReport(facilityURN, thresholdsByStream, loadSeries, button = null) {
+  return openReportWindow({
+    name: 'threshold report',
+    button,
+    build: async () => {
+      const load = async (rangeSelection, onProgress) =>
+        buildThresholdReport(await loadSeries(rangeSelection, onProgress), thresholdsByStream);
+      const report = await load(DEFAULT_RANGE);
+
+      return {
+        html: generateThresholdReportHTML({ defaultModelURN: getDefaultModelURN(facilityURN), report }),
+        // The page reloads through it (time range changes)
+        globals: { loadThresholdReport: load }
+      };
+    }
+  });
+}
@@ -0,0 +1,468 @@
+import { getDefaultModelURN } from '../api.js';
+import { toScriptLiteral } from '../utils.js';
+import {
+  TICKET_PRIORITIES,
+  agingBuckets,
+  recordPriorities,
+  slaBreaches,
+  ticketRecords,
+  timeToClose,
+  weeklyBurndown
+} from '../utils/ticketAnalytics.js';
+import { loadSlaTargets, saveSlaTargets } from '../state/slaTargets.js';
+import { CHART_SCRIPT, generateReportPageHTML, openReportWindow } from '../components/reportPage.js';
+
+/**
+ * Compute the ticket analytics
+ * @param {Array<Object>} tickets - Ticket rows (see getTickets)
+ * @param {Object} targets - SLA targets ({ priority: days })
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { generatedAt, targets, priorities, counts, timeToClose, aging, sla, burndown, tickets }
+ *   for the analytics page
+ */
+function buildTicketAnalytics(tickets, targets, now) {
+  const records = ticketRecords(tickets, now);
+  const open = records.filter(record => record.open).length;
+
+  return {
+    generatedAt: now,
+    targets,
+    priorities: recordPriorities(records),
+    counts: { total: tickets.length, open, closed: records.length - open, undated: tickets.length - records.length },
+    timeToClose: timeToClose(records),
+    aging: agingBuckets(records),
+    sla: slaBreaches(records, targets),
+    burndown: weeklyBurndown(records, now),
+    tickets: records
+  };
+}
+
+/**
+ * Generate the ticket analytics page
+ * The page shows the time to close per priority, the age of open tickets, SLA compliance per priority with
+ * editable targets and the breaching tickets, and a weekly opened-vs-closed chart with the open backlog.
+ * Target changes are applied through window.loadTicketAnalytics, which viewTicketAnalytics sets on the new window.
+ * @param {Object} analyticsPage - Page data
+ * @param {string} analyticsPage.defaultModelURN - Default model URN
+ * @param {Object} analyticsPage.analytics - Result of buildTicketAnalytics
+ * @returns {string} HTML page content
+ */
+function generateTicketAnalyticsHTML({ defaultModelURN, analytics }) {
+  return generateReportPageHTML({
+    title: 'Ticket Analytics',
+    defaultModelURN,
+    scripts: [CHART_SCRIPT],
+    styles: `
+    .grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(520px, 1fr));
+      gap: 20px;
+      margin-bottom: 20px;
+    }
+    .grid .section {
+      margin-bottom: 0;
+    }
+    td input {
+      width: 70px;
+      background: #1a1a1a;
+      color: #e0e0e0;
+      border: 1px solid #404040;
+      border-radius: 4px;
+      padding: 4px 6px;
+      font-size: 13px;
+      text-align: right;
+      color-scheme: dark;
+    }
+    .bar {
+      height: 10px;
+      border-radius: 2px;
+      background: #0696D7;
+      min-width: 1px;
+    }
+    .bar.late {
+      background: #F59E0B;
+    }
+    .bar.old {
+      background: #EF4444;
+    }
+    .compliance.good {
+      color: #86efac;
+    }
+    .compliance.poor {
+      color: #fca5a5;
+    }
+    .chart-container {
+      position: relative;
+      height: 320px;
+    }
+    .section-actions {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 12px;
+    }`,
+    header: `
+      <div class="info" id="generated"></div>
+      <div class="stats" id="stats"></div>`,
+    body: `
+    <div class="grid">
+      <div class="section">
+        <h2>Time to Close</h2>
+        <div id="time-to-close"></div>
+      </div>
+      <div class="section">
+        <h2>Open Ticket Aging</h2>
+        <div id="aging"></div>
+      </div>
+    </div>
+    <div class="section">
+      <h2>SLA by Priority</h2>
+      <div id="sla"></div>
+      <div class="section-actions">
+        <button id="apply-btn" class="export-btn">Apply Targets</button>
+        <span id="status" class="status"></span>
+      </div>
+    </div>
+    <div class="section">
+      <h2>SLA Breaches</h2>
+      <div id="breaches" class="table-scroll"></div>
+    </div>
+    <div class="section">
+      <h2>Weekly Opened vs Closed</h2>
+      <div id="burndown"></div>
+    </div>`,
+    script: `
+    const allPriorities = ${toScriptLiteral(TICKET_PRIORITIES)};
+    const colors = { opened: '#F59E0B', closed: '#22C55E', backlog: '#0696D7' };
+    let analytics = ${toScriptLiteral(analytics)};
+    let chart = null;
+
+    function formatDate(ts) {
+      return ts === null ? '' : new Date(ts).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC'
+      });
+    }
+
+    function formatDays(days) {
+      return days === null ? '-' : (Math.round(days * 10) / 10) + ' d';
+    }
+
+    function formatPercent(share) {
+      return share === null ? '-' : Math.round(share * 100) + '%';
+    }
+
+    function renderHeader() {
+      const all = analytics.timeToClose[analytics.timeToClose.length - 1];
+      const breached = analytics.sla.rows.reduce((sum, row) => sum + row.breached, 0);
+      const openBreached = analytics.sla.rows.reduce((sum, row) => sum + row.openBreached, 0);
+      const stat = (label, value, color) =>
+        '<div><div class="stat-label">' + label + '</div><div class="stat-value" style="color: ' + color + '">' + value + '</div></div>';
+
+      document.getElementById('generated').textContent = 'As of ' + new Date(analytics.generatedAt).toLocaleString() +
+        (analytics.counts.undated > 0 ? ' · ' + analytics.counts.undated + ' ticket(s) without an open date are left out' : '');
+      document.getElementById('stats').innerHTML =
+        stat('Tickets', analytics.counts.total, '#0696D7') +
+        stat('Open', analytics.counts.open, '#e0e0e0') +
+        stat('Closed', analytics.counts.closed, '#e0e0e0') +
+        stat('Median Time to Close', formatDays(all.median), '#e0e0e0') +
+        stat('SLA Breaches', breached, breached > 0 ? '#F59E0B' : '#808080') +
+        stat('Open and Overdue', openBreached, openBreached > 0 ? '#EF4444' : '#808080');
+    }
+
+    function renderTimeToClose() {
+      document.getElementById('time-to-close').innerHTML = '<table><thead><tr>' +
+        '<th>Priority</th><th class="num">Closed</th><th class="num">Mean</th><th class="num">Median</th><th class="num">Longest</th>' +
+        '</tr></thead><tbody>' +
+        analytics.timeToClose.map(row =>
+          '<tr' + (row.priority === 'All' ? ' style="font-weight: 600"' : '') + '>' +
+            '<td>' + escapeHtml(row.priority) + '</td>' +
+            '<td class="num">' + row.closed + '</td>' +
+            '<td class="num">' + formatDays(row.mean) + '</td>' +
+            '<td class="num">' + formatDays(row.median) + '</td>' +
+            '<td class="num">' + formatDays(row.max) + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    function renderAging() {
+      const max = Math.max(1, ...analytics.aging.map(bucket => bucket.count));
+      const barClass = index => index >= 3 ? 'bar old' : index === 2 ? 'bar late' : 'bar';
+      document.getElementById('aging').innerHTML = '<table><thead><tr>' +
+        '<th>Age</th><th class="num">Open</th>' +
+        analytics.priorities.map(priority => '<th class="num">' + escapeHtml(priority) + '</th>').join('') +
+        '<th style="width: 30%"></th></tr></thead><tbody>' +
+        analytics.aging.map((bucket, index) =>
+          '<tr>' +
+            '<td>' + escapeHtml(bucket.label) + '</td>' +
+            '<td class="num">' + bucket.count + '</td>' +
+            analytics.priorities.map(priority => '<td class="num">' + (bucket.byPriority[priority] || '<span class="muted">0</span>') + '</td>').join('') +
+            '<td><div class="' + barClass(index) + '" style="width: ' + (bucket.count / max * 100) + '%"></div></td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    function renderSla() {
+      const rows = new Map(analytics.sla.rows.map(row => [row.priority, row]));
+      document.getElementById('sla').innerHTML = '<table><thead><tr>' +
+        '<th>Priority</th><th class="num">Target (days)</th><th class="num">Tickets</th><th class="num">Breached</th>' +
+        '<th class="num">Closed Late</th><th class="num">Open and Overdue</th><th class="num">Within SLA</th>' +
+        '</tr></thead><tbody>' +
+        allPriorities.map(priority => {
+          const row = rows.get(priority);
+          return '<tr>' +
+            '<td>' + escapeHtml(priority) + '</td>' +
+            '<td class="num"><input type="number" min="0" step="any" data-priority="' + priority + '" value="' + analytics.targets[priority] + '"></td>' +
+            (row
+              ? '<td class="num">' + row.total + '</td>' +
+                '<td class="num">' + row.breached + '</td>' +
+                '<td class="num">' + row.closedLate + '</td>' +
+                '<td class="num">' + row.openBreached + '</td>' +
+                '<td class="num compliance ' + (row.compliance >= 0.9 ? 'good' : 'poor') + '">' + formatPercent(row.compliance) + '</td>'
+              : '<td class="num muted">0</td><td></td><td></td><td></td><td></td>') +
+          '</tr>';
+        }).join('') +
+        '</tbody></table>';
+    }
+
+    function renderBreaches() {
+      const container = document.getElementById('breaches');
+      if (analytics.sla.breaches.length === 0) {
+        container.innerHTML = '<div class="empty">No tickets beyond their SLA target.</div>';
+        return;
+      }
+      container.innerHTML = '<table><thead><tr>' +
+        '<th>Ticket</th><th>Priority</th><th>Status</th><th>Opened</th><th>Closed</th><th class="num">Days</th><th class="num">Target</th><th class="num">Overdue</th>' +
+        '</tr></thead><tbody>' +
+        analytics.sla.breaches.map(breach =>
+          '<tr>' +
+            '<td>' + escapeHtml(breach.name) + '</td>' +
+            '<td>' + escapeHtml(breach.priority) + '</td>' +
+            '<td>' + (breach.open ? 'Open' : 'Closed') + '</td>' +
+            '<td>' + formatDate(breach.opened) + '</td>' +
+            '<td>' + (breach.open ? '<span class="muted">-</span>' : formatDate(breach.closed)) + '</td>' +
+            '<td class="num">' + breach.days + '</td>' +
+            '<td class="num">' + breach.target + '</td>' +
+            '<td class="num">' + breach.overdue + '</td>' +
+          '</tr>'
+        ).join('') +
+        '</tbody></table>';
+    }
+
+    /**
+     * Bars for the tickets opened and closed each week, a line for the open backlog at the end of the week
+     */
+    function renderBurndown() {
+      if (chart) {
+        chart.destroy();
+        chart = null;
+      }
+      const container = document.getElementById('burndown');
+      if (analytics.burndown.length === 0) {
+        container.innerHTML = '<div class="empty">No tickets with an open date.</div>';
+        return;
+      }
+      container.innerHTML = '<div class="chart-container"><canvas id="burndown-chart"></canvas></div>';
+      const labels = analytics.burndown.map(week => formatDate(week.weekStart));
+
+      chart = new Chart(document.getElementById('burndown-chart').getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: labels,
+          datasets: [{
+            label: 'Opened',
+            data: analytics.burndown.map(week => week.opened),
+            backgroundColor: colors.opened,
+            yAxisID: 'y'
+          }, {
+            label: 'Closed',
+            data: analytics.burndown.map(week => week.closed),
+            backgroundColor: colors.closed,
+            yAxisID: 'y'
+          }, {
+            type: 'line',
+            label: 'Open backlog',
+            data: analytics.burndown.map(week => week.backlog),
+            borderColor: colors.backlog,
+            backgroundColor: colors.backlog,
+            borderWidth: 2,
+            pointRadius: 2,
+            tension: 0.1,
+            yAxisID: 'y'
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          plugins: {
+            legend: {
+              labels: {
+                color: '#a0a0a0',
+                boxWidth: 12
+              }
+            },
+            tooltip: {
+              mode: 'index',
+              intersect: false,
+              backgroundColor: 'rgba(42, 42, 42, 0.95)',
+              titleColor: '#e0e0e0',
+              bodyColor: '#a0a0a0',
+              borderColor: '#404040',
+              borderWidth: 1,
+              padding: 12,
+              callbacks: {
+                title: context => 'Week of ' + context[0].label
+              }
+            }
+          },
+          scales: {
+            x: {
+              ticks: {
+                color: '#808080',
+                font: {
+                  size: 11
+                },
+                maxRotation: 0,
+                autoSkip: true,
+                maxTicksLimit: 16
+              },
+              grid: {
+                color: '#353535'
+              }
+            },
+            y: {
+              beginAtZero: true,
+              ticks: {
+                color: '#808080',
+                precision: 0,
+                font: {
+                  size: 11
+                }
+              },
+              grid: {
+                color: '#353535'
+              }
+            }
+          }
+        }
+      });
+    }
+
+    function renderAnalytics() {
+      renderHeader();
+      renderTimeToClose();
+      renderAging();
+      renderSla();
+      renderBreaches();
+      renderBurndown();
+    }
+
+    function readTargets() {
+      const targets = {};
+      document.querySelectorAll('#sla input[data-priority]').forEach(input => {
+        targets[input.dataset.priority] = input.value;
+      });
+      return targets;
+    }
+
+    // Recompute through the opener (it keeps the tickets and saves the targets)
+    function applyTargets() {
+      try {
+        if (typeof window.loadTicketAnalytics !== 'function') {
+          throw new Error('The dashboard window was closed or reloaded');
+        }
+        analytics = window.loadTicketAnalytics(readTargets());
+        renderAnalytics();
+        setStatus('Targets saved');
+      } catch (error) {
+        console.error('Error applying SLA targets:', error);
+        setStatus('Failed to apply: ' + (error.message || error), true);
+      }
+    }
+    document.getElementById('apply-btn').addEventListener('click', applyTargets);
+
+    renderAnalytics();
+
+    setupExport('ticket-analytics', workbook => {
+      const days = value => value === null ? '' : Math.round(value * 10) / 10;
+      const addSheet = (name, header, rows, widths, headerRow) => {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        sheet['!cols'] = widths.map(wch => ({ wch: wch }));
+        ExcelUtils.styleHeaderRow(sheet, headerRow || 0, header.length, ExcelUtils.headerStyle);
+        XLSX.utils.book_append_sheet(workbook, sheet, name);
+      };
+
+      // Summary: counts and time to close per priority
+      const closeHeader = ['Priority', 'Closed', 'Mean Days to Close', 'Median Days to Close', 'Longest (days)'];
+      addSheet('Summary', closeHeader, [
+        ['Model', ${toScriptLiteral(defaultModelURN)}],
+        ['As Of', new Date(analytics.generatedAt).toLocaleString()],
+        ['Tickets', analytics.counts.total],
+        ['Open', analytics.counts.open],
+        ['Closed', analytics.counts.closed],
+        [],
+        closeHeader
+      ].concat(analytics.timeToClose.map(row => [row.priority, row.closed, days(row.mean), days(row.median), days(row.max)])),
+      [20, 12, 20, 20, 16], 6);
+
+      // Aging of open tickets
+      const agingHeader = ['Age', 'Open'].concat(analytics.priorities);
+      addSheet('Aging', agingHeader, [agingHeader].concat(analytics.aging.map(bucket =>
+        [bucket.label, bucket.count].concat(analytics.priorities.map(priority => bucket.byPriority[priority] || 0)))),
+      [14, 8].concat(analytics.priorities.map(() => 10)));
+
+      // SLA per priority
+      const slaHeader = ['Priority', 'Target (days)', 'Tickets', 'Breached', 'Closed Late', 'Open and Overdue', 'Within SLA (%)'];
+      addSheet('SLA', slaHeader, [slaHeader].concat(analytics.sla.rows.map(row => [
+        row.priority, row.target, row.total, row.breached, row.closedLate, row.openBreached,
+        row.compliance === null ? '' : Math.round(row.compliance * 1000) / 10
+      ])), [14, 14, 10, 10, 12, 16, 14]);
+
+      // Breaching tickets
+      const breachHeader = ['Ticket', 'Ticket Key', 'Priority', 'Status', 'Opened', 'Closed', 'Days', 'Target (days)', 'Overdue (days)'];
+      addSheet('Breaches', breachHeader, [breachHeader].concat(analytics.sla.breaches.map(breach => [
+        breach.name, breach.key, breach.priority, breach.open ? 'Open' : 'Closed', formatDate(breach.opened),
+        breach.open ? '' : formatDate(breach.closed), breach.days, breach.target, breach.overdue
+      ])), [35, 30, 12, 10, 14, 14, 8, 14, 14]);
+
+      // Weekly opened vs closed
+      const weekHeader = ['Week Of', 'Opened', 'Closed', 'Open Backlog'];
+      addSheet('Weekly', weekHeader, [weekHeader].concat(analytics.burndown.map(week =>
+        [formatDate(week.weekStart), week.opened, week.closed, week.backlog])), [14, 10, 10, 14]);
+
+      // Every ticket
+      const ticketHeader = ['Ticket', 'Ticket Key', 'Priority', 'Status', 'Opened', 'Closed', 'Days'];
+      addSheet('Tickets', ticketHeader, [ticketHeader].concat(analytics.tickets.map(ticket => [
+        ticket.name, ticket.key, ticket.priority, ticket.open ? 'Open' : 'Closed', formatDate(ticket.opened),
+        ticket.open ? '' : formatDate(ticket.closed), ticket.days
+      ])), [35, 30, 12, 10, 14, 14, 8]);
+    });`
+  });
+}
+
+/**
+ * View the ticket analytics in a new tab
+ * Uses the saved SLA targets; targets changed on the page are saved for next time.
+ * @param {string} facilityURN - Facility URN
+ * @param {Array<Object>} tickets - Ticket rows (see getTickets)
+ */
+export function viewTicketAnalytics(facilityURN, tickets) {
+  return openReportWindow({
+    name: 'ticket analytics',
+    build: async () => {
+      const load = (targets) => buildTicketAnalytics(tickets, saveSlaTargets(targets), Date.now());
+      const analytics = buildTicketAnalytics(tickets, loadSlaTargets(), Date.now());
+
+      return {
+        html: generateTicketAnalyticsHTML({ defaultModelURN: getDefaultModelURN(facilityURN), analytics }),
+        // The page recomputes through it (SLA target changes)
+        globals: { loadTicketAnalytics: load }
+      };
+    }
+  });
+}
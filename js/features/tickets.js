@@ -1,8 +1,26 @@
-import { getElementsByKeys } from '../api.js';
+import { getDefaultModelURN, getElementsByKeys, getRowsForModels, getTickets } from '../api.js';
 import { createToggleFunction } from '../components/toggleHeader.js';
+import { registerCard } from '../components/cardRegistry.js';
 import { viewAssetDetails } from './assetDetails.js';
+import { viewTicketAnalytics } from './ticketAnalytics.js';
 import { QC } from '../../tandem/constants.js';
 import { decodeXref, toShortKey } from '../../tandem/keys.js';
+import { indexRowsByKey, locateElement, summarizeTickets } from '../utils/scanShaping.js';
+import {
+  daysBetween,
+  parseTicketDate,
+  rollupTickets,
+  ticketStatusSummary,
+  userPropertyColumns
+} from '../utils/ticketAnalytics.js';
+import {
+  createDateFilename,
+  createExportButtonManager,
+  downloadWorkbook,
+  getColumnLetters,
+  styleHeaderRow
+} from '../utils/excelUtils.js';
+import { loadSchemaForModel } from '../state/schemaCache.js';
 
 /**
  * Category ID to type name mapping
@@ -24,6 +42,15 @@ const PRIORITY_CONFIG = {
   'Trivial': { color: 'bg-gray-500/20 text-gray-300', icon: '⚪' }
 };
 
+/**
+ * Groupings offered by the per-location table (the asset is the ticket's parent element)
+ */
+const GROUPINGS = [
+  { id: 'level', label: 'Level' },
+  { id: 'room', label: 'Room' },
+  { id: 'host', label: 'Asset' }
+];
+
 /**
  * Toggle tickets detail view
  */
@@ -66,29 +93,243 @@ function getDaysOpen(openDate, closeDate) {
   return `${days} day${days !== 1 ? 's' : ''}`;
 }
 
+/**
+ * Render one ticket
+ * @param {Object} ticket - Ticket row
+ * @param {Map<string, Object>} parentInfoMap - Parent xref -> { name, type }
+ * @returns {string} HTML string
+ */
+function renderTicketItem(ticket, parentInfoMap) {
+  const ticketName = ticket[QC.OName]?.[0] || ticket[QC.Name]?.[0] || 'Unnamed Ticket';
+  const ticketKey = ticket[QC.Key];
+  const priority = ticket[QC.Priority]?.[0] || 'Unknown';
+  const openDate = ticket[QC.OpenDate]?.[0];
+  const closeDate = ticket[QC.CloseDate]?.[0];
+  const isOpen = !closeDate;
+  
+  const priorityConfig = PRIORITY_CONFIG[priority] || { color: 'bg-gray-500/20 text-gray-300', icon: '⚪' };
+  
+  // Parent asset information
+  const parentRef = ticket[QC.XParent]?.[0];
+  const parentInfo = parentRef ? parentInfoMap.get(parentRef) : null;
+  
+  return `
+    <div class="border border-dark-border rounded p-4 hover:border-tandem-blue transition">
+      <div class="flex items-start justify-between">
+        <div class="flex-grow">
+          <div class="flex items-center gap-2 mb-2 flex-wrap">
+            <h3 class="font-semibold text-dark-text">${ticketName}</h3>
+            <span class="px-2 py-0.5 text-xs rounded font-medium ${priorityConfig.color}">
+              ${priorityConfig.icon} ${priority}
+            </span>
+            <span class="px-2 py-0.5 text-xs rounded font-medium ${isOpen ? 'bg-green-500/20 text-green-300' : 'bg-gray-500/20 text-gray-300'}">
+              ${isOpen ? 'Open' : 'Closed'}
+            </span>
+          </div>
+          ${parentInfo ? `
+            <p class="text-xs text-dark-text-secondary mt-1">
+              Asset: ${parentInfo.name} (${parentInfo.type})
+            </p>
+          ` : ''}
+          <p class="text-xs text-dark-text-secondary mt-1">Key: <span class="font-mono">${ticketKey}</span></p>
+          <div class="flex items-center gap-4 mt-2 text-xs text-dark-text-secondary">
+            <span>Opened: ${formatDate(openDate)}</span>
+            ${closeDate ? `<span>Closed: ${formatDate(closeDate)}</span>` : ''}
+            <span class="${isOpen ? 'text-amber-300' : 'text-gray-400'}">
+              ${isOpen ? '⏱ ' : ''}${getDaysOpen(openDate, closeDate)}${isOpen ? ' open' : ' duration'}
+            </span>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Find the asset (parent element), room and level of every ticket
+ * @param {Array} tickets - Ticket rows
+ * @param {Map<string, Array>} rowsByModel - Element rows of every model (to resolve parents, rooms and levels)
+ * @returns {Array<Object>} { key, priority, open, host, room, level } per ticket; locations are { modelURN, key, name }
+ */
+function locateTickets(tickets, rowsByModel) {
+  const rowIndex = indexRowsByKey(rowsByModel);
+
+  return tickets.map(ticket => ({
+    key: ticket[QC.Key],
+    priority: ticket[QC.Priority]?.[0] || 'Unknown',
+    open: !ticket[QC.CloseDate]?.[0],
+    ...locateElement(ticket, rowIndex)
+  }));
+}
+
+/**
+ * Render the per-location table (click a row to show its tickets)
+ * @param {Array<Object>} located - Located tickets (see locateTickets)
+ * @param {string} grouping - 'level', 'room' or 'host'
+ * @returns {string} HTML string
+ */
+function renderGroupTable(located, grouping) {
+  const groups = rollupTickets(located, item => {
+    const location = item[grouping];
+    return location ? { id: `${location.modelURN}|${location.key}`, name: location.name } : null;
+  });
+  const label = GROUPINGS.find(g => g.id === grouping).label;
+
+  return `
+    <table class="min-w-full text-xs">
+      <thead class="bg-dark-bg/50">
+        <tr>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">${label}</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Tickets</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Open</th>
+          <th class="px-3 py-2 text-right font-semibold text-dark-text">Closed</th>
+          <th class="px-3 py-2 text-left font-semibold text-dark-text">Open by Priority</th>
+        </tr>
+      </thead>
+      <tbody class="divide-y divide-dark-border">
+        ${groups.map(group => `
+          <tr class="tickets-group-row hover:bg-dark-bg/30 bg-dark-card cursor-pointer" data-keys="${group.keys.join(',')}"
+              title="Show the tickets">
+            <td class="px-3 py-2 ${group.name === null ? 'text-dark-text-secondary italic' : 'text-dark-text'}">${group.name ?? `No ${label.toLowerCase()}`}</td>
+            <td class="px-3 py-2 text-right text-dark-text">${group.total}</td>
+            <td class="px-3 py-2 text-right">${group.open > 0
+              ? `<span class="text-green-300 font-semibold">${group.open}</span>`
+              : '<span class="text-dark-text-secondary">0</span>'}</td>
+            <td class="px-3 py-2 text-right text-dark-text-secondary">${group.closed}</td>
+            <td class="px-3 py-2">
+              <div class="flex flex-wrap gap-1">
+                ${Object.entries(group.openByPriority).map(([priority, count]) => {
+                  const config = PRIORITY_CONFIG[priority] || { color: 'bg-gray-500/20 text-gray-300', icon: '⚪' };
+                  return `<span class="px-2 py-0.5 rounded ${config.color}">${config.icon} ${priority}: ${count}</span>`;
+                }).join('')}
+              </div>
+            </td>
+          </tr>
+          <tr class="tickets-group-tickets hidden">
+            <td colspan="5" class="px-3 py-2 bg-dark-bg/30"><div class="space-y-2"></div></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Export every ticket (with its parent, room, level and user-defined properties) and summaries per priority and status
+ * @param {Array} tickets - Ticket rows
+ * @param {Array<Object>|null} located - Located tickets, in the same order (see locateTickets)
+ * @param {Map<string, Object>} parentInfoMap - Parent xref -> { name, type }
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ */
+async function exportTicketsToExcel(tickets, located, parentInfoMap, facilityURN, region) {
+  const exportBtn = document.getElementById('tickets-export-btn');
+  const buttonManager = createExportButtonManager(exportBtn, exportBtn.innerHTML);
+
+  try {
+    buttonManager.setLoading();
+    // Tickets only exist in the default model, so its schema names their z: properties
+    const schema = await loadSchemaForModel(getDefaultModelURN(facilityURN), region);
+    const propertyColumns = userPropertyColumns(tickets, schema.lookup);
+    const now = Date.now();
+    const wb = XLSX.utils.book_new();
+
+    const items = tickets.map((ticket, i) => {
+      const openDate = ticket[QC.OpenDate]?.[0] || '';
+      const closeDate = ticket[QC.CloseDate]?.[0] || '';
+      const opened = parseTicketDate(openDate);
+      const closed = parseTicketDate(closeDate);
+      const parentInfo = parentInfoMap.get(ticket[QC.XParent]?.[0]);
+      return {
+        ticket,
+        priority: ticket[QC.Priority]?.[0] || 'Unknown',
+        open: !closeDate,
+        openDate,
+        closeDate,
+        days: opened === null ? null : Math.max(0, daysBetween(opened, closed ?? now)),
+        parent: located?.[i].host?.name || parentInfo?.name || '',
+        parentType: parentInfo?.type || '',
+        room: located?.[i].room?.name || '',
+        level: located?.[i].level?.name || ''
+      };
+    });
+
+    const ticketData = [[
+      'Name', 'Key', 'Priority', 'Status', 'Opened', 'Closed', 'Days Open', 'Parent', 'Parent Type', 'Room', 'Level',
+      ...propertyColumns.map(column => column.label)
+    ]];
+    items.forEach(item => {
+      ticketData.push([
+        item.ticket[QC.OName]?.[0] || item.ticket[QC.Name]?.[0] || 'Unnamed Ticket',
+        item.ticket[QC.Key],
+        item.priority,
+        item.open ? 'Open' : 'Closed',
+        item.openDate,
+        item.closeDate,
+        item.days ?? '',
+        item.parent,
+        item.parentType,
+        item.room,
+        item.level,
+        ...propertyColumns.map(column => {
+          const values = item.ticket[column.id] || [];
+          return values.length === 1 ? values[0] : values.join(', ');
+        })
+      ]);
+    });
+    const ticketSheet = XLSX.utils.aoa_to_sheet(ticketData);
+    styleHeaderRow(ticketSheet, 1, getColumnLetters(ticketData[0].length));
+    ticketSheet['!cols'] = [{ wch: 35 }, { wch: 30 }, { wch: 10 }, { wch: 8 }, { wch: 12 }, { wch: 12 }, { wch: 10 },
+      { wch: 30 }, { wch: 12 }, { wch: 25 }, { wch: 20 }, ...propertyColumns.map(() => ({ wch: 24 }))];
+    XLSX.utils.book_append_sheet(wb, ticketSheet, 'Tickets');
+
+    const { byPriority, byStatus } = ticketStatusSummary(items);
+    const round = value => (value === null ? '' : Math.round(value * 10) / 10);
+
+    const priorityData = [['Priority', 'Tickets', 'Open', 'Closed', 'Mean Days to Close', 'Oldest Open (days)']];
+    byPriority.forEach(row => {
+      priorityData.push([row.priority, row.total, row.open, row.closed, round(row.meanDaysToClose), row.oldestOpen ?? '']);
+    });
+    priorityData.push(['Total', items.length, byStatus[0].total, byStatus[1].total, '', '']);
+    const prioritySheet = XLSX.utils.aoa_to_sheet(priorityData);
+    styleHeaderRow(prioritySheet, 1, getColumnLetters(priorityData[0].length));
+    prioritySheet['!cols'] = [{ wch: 14 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 20 }, { wch: 20 }];
+    XLSX.utils.book_append_sheet(wb, prioritySheet, 'By Priority');
+
+    const priorities = byPriority.map(row => row.priority);
+    const statusData = [['Status', 'Tickets', ...priorities]];
+    byStatus.forEach(row => {
+      statusData.push([row.status, row.total, ...priorities.map(priority => row.byPriority[priority] || 0)]);
+    });
+    const statusSheet = XLSX.utils.aoa_to_sheet(statusData);
+    styleHeaderRow(statusSheet, 1, getColumnLetters(statusData[0].length));
+    statusSheet['!cols'] = [{ wch: 12 }, { wch: 10 }, ...priorities.map(() => ({ wch: 12 }))];
+    XLSX.utils.book_append_sheet(wb, statusSheet, 'By Status');
+
+    downloadWorkbook(wb, createDateFilename('tickets'));
+    buttonManager.setSuccess();
+  } catch (error) {
+    console.error('Error exporting tickets:', error);
+    buttonManager.setError();
+  }
+}
+
 /**
  * Display tickets list with details
  * @param {HTMLElement} container - DOM element to render into
  * @param {Array} tickets - Array of ticket objects
  * @param {string} facilityURN - Facility URN
  * @param {string} region - Region identifier
+ * @param {Map<string, Array>} [rowsByModel] - Element rows of every model; adds ticket counts per level, room and asset
  */
-export async function displayTickets(container, tickets, facilityURN, region) {
+export async function displayTickets(container, tickets, facilityURN, region, rowsByModel = null) {
   if (!tickets || tickets.length === 0) {
     container.innerHTML = '<p class="text-dark-text-secondary">No tickets found in this facility.</p>';
     return;
   }
 
-  // Count open vs closed tickets
-  const openTickets = tickets.filter(t => !t[QC.CloseDate] || t[QC.CloseDate][0] === null).length;
-  const closedTickets = tickets.length - openTickets;
-  
-  // Count by priority
-  const priorityCounts = {};
-  tickets.forEach(t => {
-    const priority = t[QC.Priority]?.[0] || 'Unknown';
-    priorityCounts[priority] = (priorityCounts[priority] || 0) + 1;
-  });
+  // Count open vs closed tickets and tickets by priority
+  const { open: openTickets, closed: closedTickets, priorityCounts } = summarizeTickets(tickets);
 
   // Build header with summary stats
   let headerHtml = `
@@ -110,6 +351,22 @@ export async function displayTickets(container, tickets, facilityURN, region) {
         </div>
       </div>
       <div class="flex items-center space-x-3">
+        <button id="tickets-analytics-btn"
+                class="inline-flex items-center px-3 py-2 border border-amber-400 text-xs font-medium rounded text-amber-300 hover:bg-amber-500 hover:text-white transition"
+                title="Time to close, aging, SLA breaches and weekly burndown">
+          <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path>
+          </svg>
+          Analytics
+        </button>
+        <button id="tickets-export-btn"
+                class="inline-flex items-center px-3 py-2 border border-emerald-400 text-xs font-medium rounded text-emerald-300 hover:bg-emerald-500 hover:text-white transition"
+                title="Export tickets with their parent, room, level and custom properties to Excel">
+          <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+          </svg>
+          Export
+        </button>
         <button id="tickets-asset-details-btn"
                 class="inline-flex items-center px-3 py-2 border border-tandem-blue text-xs font-medium rounded text-tandem-blue hover:bg-tandem-blue hover:text-white transition"
                 title="View detailed information">
@@ -194,55 +451,28 @@ export async function displayTickets(container, tickets, facilityURN, region) {
 
   // Build detailed view (initially hidden)
   let detailHtml = '<div id="tickets-detail" class="hidden space-y-2">';
-  
-  for (let i = 0; i < tickets.length; i++) {
-    const ticket = tickets[i];
-    
-    const ticketName = ticket[QC.OName]?.[0] || ticket[QC.Name]?.[0] || 'Unnamed Ticket';
-    const ticketKey = ticket[QC.Key];
-    const priority = ticket[QC.Priority]?.[0] || 'Unknown';
-    const openDate = ticket[QC.OpenDate]?.[0];
-    const closeDate = ticket[QC.CloseDate]?.[0];
-    const isOpen = !closeDate;
-    
-    const priorityConfig = PRIORITY_CONFIG[priority] || { color: 'bg-gray-500/20 text-gray-300', icon: '⚪' };
-    
-    // Parent asset information
-    const parentRef = ticket[QC.XParent]?.[0];
-    const parentInfo = parentRef ? parentInfoMap.get(parentRef) : null;
-    
+
+  // Ticket counts per level, room and asset (hot spots first)
+  const located = rowsByModel ? locateTickets(tickets, rowsByModel) : null;
+  if (located) {
     detailHtml += `
-      <div class="border border-dark-border rounded p-4 hover:border-tandem-blue transition">
-        <div class="flex items-start justify-between">
-          <div class="flex-grow">
-            <div class="flex items-center gap-2 mb-2 flex-wrap">
-              <h3 class="font-semibold text-dark-text">${ticketName}</h3>
-              <span class="px-2 py-0.5 text-xs rounded font-medium ${priorityConfig.color}">
-                ${priorityConfig.icon} ${priority}
-              </span>
-              <span class="px-2 py-0.5 text-xs rounded font-medium ${isOpen ? 'bg-green-500/20 text-green-300' : 'bg-gray-500/20 text-gray-300'}">
-                ${isOpen ? 'Open' : 'Closed'}
-              </span>
-            </div>
-            ${parentInfo ? `
-              <p class="text-xs text-dark-text-secondary mt-1">
-                Asset: ${parentInfo.name} (${parentInfo.type})
-              </p>
-            ` : ''}
-            <p class="text-xs text-dark-text-secondary mt-1">Key: <span class="font-mono">${ticketKey}</span></p>
-            <div class="flex items-center gap-4 mt-2 text-xs text-dark-text-secondary">
-              <span>Opened: ${formatDate(openDate)}</span>
-              ${closeDate ? `<span>Closed: ${formatDate(closeDate)}</span>` : ''}
-              <span class="${isOpen ? 'text-amber-300' : 'text-gray-400'}">
-                ${isOpen ? '⏱ ' : ''}${getDaysOpen(openDate, closeDate)}${isOpen ? ' open' : ' duration'}
-              </span>
-            </div>
-          </div>
+      <div class="border border-dark-border rounded overflow-hidden mb-4">
+        <div class="flex items-center justify-between bg-dark-bg/50 px-4 py-2 border-b border-dark-border">
+          <div class="text-xs font-semibold text-dark-text">Tickets per</div>
+          <select id="tickets-group-select"
+                  class="rounded border-dark-border bg-dark-bg text-dark-text focus:border-tandem-blue focus:ring-tandem-blue text-xs py-1 px-2 border">
+            ${GROUPINGS.map(g => `<option value="${g.id}">${g.label}</option>`).join('')}
+          </select>
         </div>
+        <div id="tickets-groups">${renderGroupTable(located, GROUPINGS[0].id)}</div>
       </div>
     `;
   }
   
+  for (const ticket of tickets) {
+    detailHtml += renderTicketItem(ticket, parentInfoMap);
+  }
+  
   detailHtml += '</div>';
   
   // Combine all HTML
@@ -254,6 +484,42 @@ export async function displayTickets(container, tickets, facilityURN, region) {
     toggleBtn.addEventListener('click', toggleTicketsDetail);
   }
   
+  // Per-location table: switch grouping, click a row to show its tickets
+  if (located) {
+    const groupSelect = document.getElementById('tickets-group-select');
+    const groupsDiv = document.getElementById('tickets-groups');
+    const ticketsByKey = new Map(tickets.map(ticket => [ticket[QC.Key], ticket]));
+
+    groupSelect.addEventListener('change', () => {
+      groupsDiv.innerHTML = renderGroupTable(located, groupSelect.value);
+    });
+    groupsDiv.addEventListener('click', (event) => {
+      const row = event.target.closest('.tickets-group-row');
+      if (!row) {
+        return;
+      }
+      const ticketsRow = row.nextElementSibling;
+      const list = ticketsRow.querySelector('div');
+      if (!list.hasChildNodes()) {
+        list.innerHTML = row.dataset.keys.split(',')
+          .map(key => renderTicketItem(ticketsByKey.get(key), parentInfoMap)).join('');
+      }
+      ticketsRow.classList.toggle('hidden');
+    });
+  }
+
+  // Ticket analytics (time to close, aging, SLA, burndown)
+  const analyticsBtn = document.getElementById('tickets-analytics-btn');
+  if (analyticsBtn) {
+    analyticsBtn.addEventListener('click', () => viewTicketAnalytics(facilityURN, tickets));
+  }
+
+  // Excel export (tickets, per priority, per status)
+  const exportBtn = document.getElementById('tickets-export-btn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => exportTicketsToExcel(tickets, located, parentInfoMap, facilityURN, region));
+  }
+
   // Add Asset Details button event listener
   const assetDetailsBtn = document.getElementById('tickets-asset-details-btn');
   if (assetDetailsBtn) {
@@ -273,3 +539,19 @@ export async function displayTickets(container, tickets, facilityURN, region) {
     });
   }
 }
+
+// Dashboard card (see components/cardRegistry.js)
+registerCard({
+  id: 'tickets',
+  title: 'Tickets',
+  placeholder: 'Loading tickets...',
+  order: 70,
+  requires: ['models'],
+  render: async (container, { facilityURN, region, models, hasDefaultModel }) => {
+    // Tickets only exist in the default model
+    const tickets = hasDefaultModel ? await getTickets(facilityURN, region) : [];
+    // Parents, rooms and levels may be in any model
+    const rowsByModel = tickets.length > 0 ? await getRowsForModels(models, region) : null;
+    await displayTickets(container, tickets, facilityURN, region, rowsByModel);
+  }
+});
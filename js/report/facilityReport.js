@@ -0,0 +1,238 @@
+/**
+ * Facility statistics report
+ * Collects the numbers the dashboard cards show into one plain object, without touching the DOM.
+ * Used by the CLI (cli/stats.mjs); formatting lives in report/reportFormats.js.
+ */
+
+import {
+  getDefaultModelURN,
+  getDocuments,
+  getElementCountByCategoryAndClassification,
+  getFacilityInfo,
+  getLastSeenStreamValues,
+  getLevels,
+  getModels,
+  getRooms,
+  getStreamConfigs,
+  getStreams,
+  getSystems,
+  getTaggedAssetsDetails,
+  getTickets
+} from '../api.js';
+import { clearSchemaCache, getSchemaCache, loadSchemaForModel } from '../state/schemaCache.js';
+import { convertLongKeysToShortKeys, getCategoryName, isDefaultModel } from '../utils.js';
+import { runSchemaDiagnostics } from '../utils/schemaDiagnostics.js';
+import { summarizeTickets } from '../utils/scanShaping.js';
+import { QC } from '../../tandem/constants.js';
+import { toShortKey } from '../../tandem/keys.js';
+
+/**
+ * Model name as the cards show it
+ * @param {string} facilityURN - Facility URN
+ * @param {object} model - Model object from getModels()
+ * @returns {string}
+ */
+function modelDisplayName(facilityURN, model) {
+  return model.label || (isDefaultModel(facilityURN, model.modelId) ? 'Default Model' : 'Untitled Model');
+}
+
+/**
+ * Element counts and breakdowns per model (Models card)
+ * @param {string} facilityURN - Facility URN
+ * @param {Array} models - Array of model objects
+ * @param {string} region - Region identifier
+ * @returns {Promise<Array>} One entry per model
+ */
+async function collectModels(facilityURN, models, region) {
+  return Promise.all(models.map(async model => {
+    const breakdown = await getElementCountByCategoryAndClassification(model.modelId, region);
+
+    return {
+      modelURN: model.modelId,
+      name: modelDisplayName(facilityURN, model),
+      isDefault: isDefaultModel(facilityURN, model.modelId),
+      elementCount: breakdown.total,
+      categories: breakdown.categories.map(({ id, count }) => ({ id, name: getCategoryName(id), count })),
+      tandemCategories: breakdown.tandemCategories,
+      classifications: breakdown.classifications,
+      nameOverrides: breakdown.nameOverrides,
+      classificationOverrides: breakdown.classificationOverrides
+    };
+  }));
+}
+
+/**
+ * Streams with their configuration state and most recent reading (Streams card)
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier
+ * @returns {Promise<{total: number, reporting: number, configured: number, items: Array}>}
+ */
+async function collectStreams(facilityURN, region) {
+  const streams = await getStreams(facilityURN, region);
+
+  if (streams.length === 0) {
+    return { total: 0, reporting: 0, configured: 0, items: [] };
+  }
+  const [lastSeenRaw, streamConfigs] = await Promise.all([
+    getLastSeenStreamValues(facilityURN, region, streams.map(s => s[QC.Key])),
+    getStreamConfigs(facilityURN, region)
+  ]);
+  const lastSeenValues = convertLongKeysToShortKeys(lastSeenRaw || {});
+  const configuredKeys = new Set(streamConfigs.map(config => toShortKey(config.elementId)));
+
+  const items = streams.map(stream => {
+    const key = stream[QC.Key];
+    // Most recent timestamp across all of the stream's properties
+    const timestamps = Object.values(lastSeenValues[key] || {}).flatMap(values => Object.keys(values).map(Number));
+    const lastSeen = timestamps.length > 0 ? Math.max(...timestamps) : null;
+
+    return {
+      key: key,
+      name: stream[QC.OName]?.[0] || stream[QC.Name]?.[0] || 'Unnamed Stream',
+      classification: stream[QC.OClassification]?.[0] || stream[QC.Classification]?.[0] || null,
+      configured: configuredKeys.has(key),
+      lastSeen: lastSeen !== null ? new Date(lastSeen).toISOString() : null
+    };
+  });
+
+  return {
+    total: items.length,
+    reporting: items.filter(item => item.lastSeen).length,
+    configured: items.filter(item => item.configured).length,
+    items: items
+  };
+}
+
+/**
+ * Tagged assets and z: property usage, named from each model's schema (Tagged Assets card)
+ * @param {string} facilityURN - Facility URN
+ * @param {Array} models - Array of model objects
+ * @param {string} region - Region identifier
+ * @returns {Promise<{total: number, properties: Array}>}
+ */
+async function collectTaggedAssets(facilityURN, models, region) {
+  const details = await getTaggedAssetsDetails(facilityURN, region);
+  const schemaCache = getSchemaCache();
+  const properties = [];
+
+  for (const modelId in details.propertyUsageByModel) {
+    const { props } = details.propertyUsageByModel[modelId];
+    const schema = schemaCache[modelId];
+    const model = models.find(m => m.modelId === modelId);
+
+    for (const propId in props) {
+      // Same rule as the card: skip columns that aren't user-defined schema properties
+      const attr = schema?.lookup.get(propId);
+      if (!attr) continue;
+
+      properties.push({
+        modelName: model ? modelDisplayName(facilityURN, model) : 'Unknown Model',
+        id: propId,
+        category: attr.category || 'Unknown',
+        name: attr.name || propId,
+        count: props[propId]
+      });
+    }
+  }
+  properties.sort((a, b) => b.count - a.count);
+
+  return { total: details.totalCount, properties: properties };
+}
+
+/**
+ * Build the statistics report for a facility
+ * Sections load in parallel like the dashboard cards; streams, tickets and systems are empty
+ * when the facility has no default model.
+ * @param {string} facilityURN - Facility URN
+ * @param {string} region - Region identifier (e.g. 'US')
+ * @returns {Promise<Object>} Report with facility, totals and one property per card
+ */
+export async function buildFacilityReport(facilityURN, region) {
+  clearSchemaCache();
+
+  const info = await getFacilityInfo(facilityURN, region);
+  const models = await getModels(facilityURN, region);
+
+  await Promise.all(models.map(model => loadSchemaForModel(model.modelId, region)));
+  const hasDefaultModel = models.some(m => m.modelId === getDefaultModelURN(facilityURN));
+
+  const [modelStats, streams, tickets, systems, levels, rooms, documents, taggedAssets] = await Promise.all([
+    collectModels(facilityURN, models, region),
+    hasDefaultModel ? collectStreams(facilityURN, region) : { total: 0, reporting: 0, configured: 0, items: [] },
+    hasDefaultModel ? getTickets(facilityURN, region) : [],
+    hasDefaultModel ? getSystems(facilityURN, region, models) : [],
+    getLevels(facilityURN, region),
+    getRooms(facilityURN, region, getSchemaCache()),
+    getDocuments(facilityURN, region),
+    collectTaggedAssets(facilityURN, models, region)
+  ]);
+  const diagnostics = runSchemaDiagnostics(getSchemaCache(), models, facilityURN);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    facility: {
+      urn: facilityURN,
+      name: info?.props?.['Identity Data']?.['Building Name'] || 'Unknown',
+      region: info?.region || region,
+      template: info?.template?.name || null,
+      schemaVersion: info?.schemaVersion ?? null
+    },
+    totals: {
+      models: models.length,
+      elements: modelStats.reduce((sum, model) => sum + model.elementCount, 0),
+      streams: streams.total,
+      tickets: tickets.length,
+      systems: systems.length,
+      levels: levels.length,
+      rooms: rooms.length,
+      documents: documents.length,
+      taggedAssets: taggedAssets.total,
+      diagnosticIssues: diagnostics.totalIssues
+    },
+    models: modelStats,
+    streams: streams,
+    tickets: summarizeTickets(tickets),
+    systems: systems.map(system => ({
+      name: system.name,
+      systemId: system.systemId,
+      elementCount: system.elementCount,
+      subsystems: system.subsystems.map(sub => sub.name)
+    })),
+    levels: levels.map(level => ({
+      name: level.name,
+      modelName: level.modelName,
+      elevation: level.elevation ?? null
+    })),
+    rooms: rooms.map(room => ({
+      name: room.name,
+      type: room.type,
+      modelName: room.modelName,
+      area: room.area ?? null,
+      areaUnit: room.areaUnit,
+      volume: room.volume ?? null,
+      volumeUnit: room.volumeUnit
+    })),
+    documents: documents.map(doc => ({
+      name: doc.name || 'Untitled Document',
+      label: doc.label || null,
+      contentType: doc.contentType || null,
+      size: doc.size ?? null,
+      lastUpdated: doc.lastUpdated || null
+    })),
+    taggedAssets: taggedAssets,
+    diagnostics: {
+      totalIssues: diagnostics.totalIssues,
+      duplicateProperties: diagnostics.allDuplicates.flatMap(({ modelName, duplicates }) =>
+        duplicates.map(group => ({
+          modelName,
+          category: group[0].category,
+          name: group[0].name,
+          ids: group.map(prop => prop.id)
+        }))
+      ),
+      propertiesWithDots: diagnostics.allDotsIssues.flatMap(({ modelName, dotsIssues }) =>
+        dotsIssues.map(prop => ({ modelName, category: prop.category, name: prop.name, id: prop.id, issue: prop.issueType }))
+      )
+    }
+  };
+}
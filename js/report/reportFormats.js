@@ -0,0 +1,203 @@
+/**
+ * Output formats for the facility report built by report/facilityReport.js
+ * Markdown is plain text; the workbook is built with the xlsx-js-style API, passed in by the
+ * caller (the CDN global in the browser, the npm package in Node).
+ */
+
+import { getColumnLetters, styleHeaderRow } from '../utils/excelUtils.js';
+
+/**
+ * Format a number for display ('' for missing values)
+ * @param {number|null|undefined} value
+ * @param {number} [decimals] - Fraction digits for non-integers
+ * @returns {string}
+ */
+function formatNumber(value, decimals = 2) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    return String(value);
+  }
+  return Number.isInteger(number) ? number.toLocaleString('en-US') : number.toFixed(decimals);
+}
+
+/**
+ * Escape a value for use in a Markdown table cell
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a Markdown table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Table rows
+ * @returns {string}
+ */
+function markdownTable(headers, rows) {
+  if (rows.length === 0) {
+    return '_None_\n';
+  }
+  const lines = [
+    `| ${headers.map(escapeCell).join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeCell).join(' | ')} |`)
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Rows of each report section, shared by the Markdown and Excel formats
+ * @param {Object} report - Facility report
+ * @returns {Array<{title: string, headers: Array<string>, rows: Array<Array>}>}
+ */
+function reportSections(report) {
+  const { totals } = report;
+
+  return [
+    {
+      title: 'Summary',
+      headers: ['Statistic', 'Value'],
+      rows: [
+        ['Models', totals.models],
+        ['Elements', totals.elements],
+        ['Streams', totals.streams],
+        ['Streams reporting', report.streams.reporting],
+        ['Tickets', totals.tickets],
+        ['Open tickets', report.tickets.open],
+        ['Systems', totals.systems],
+        ['Levels', totals.levels],
+        ['Rooms & spaces', totals.rooms],
+        ['Documents', totals.documents],
+        ['Tagged assets', totals.taggedAssets],
+        ['Diagnostic issues', totals.diagnosticIssues]
+      ]
+    },
+    {
+      title: 'Models',
+      headers: ['Model', 'Default', 'Elements', 'Categories', 'Classifications', 'Name Overrides', 'Classification Overrides'],
+      rows: report.models.map(model => [
+        model.name,
+        model.isDefault ? 'Yes' : '',
+        model.elementCount,
+        model.categories.length,
+        model.classifications.filter(c => c.id !== null).length,
+        model.nameOverrides,
+        model.classificationOverrides
+      ])
+    },
+    {
+      title: 'Categories',
+      headers: ['Model', 'Category', 'Category ID', 'Elements'],
+      rows: report.models.flatMap(model =>
+        model.categories.map(category => [model.name, category.name, String(category.id ?? ''), category.count])
+      )
+    },
+    {
+      title: 'Streams',
+      headers: ['Stream', 'Classification', 'Configured', 'Last Seen'],
+      rows: report.streams.items.map(stream => [
+        stream.name,
+        stream.classification || '',
+        stream.configured ? 'Yes' : 'No',
+        stream.lastSeen || 'Never'
+      ])
+    },
+    {
+      title: 'Tickets',
+      headers: ['Priority', 'Tickets'],
+      rows: Object.entries(report.tickets.priorityCounts).map(([priority, count]) => [priority, count])
+    },
+    {
+      title: 'Systems',
+      headers: ['System', 'Elements', 'Subsystems'],
+      rows: report.systems.map(system => [system.name, system.elementCount, system.subsystems.join(', ')])
+    },
+    {
+      title: 'Levels',
+      headers: ['Level', 'Model', 'Elevation'],
+      rows: report.levels.map(level => [level.name, level.modelName, level.elevation ?? ''])
+    },
+    {
+      title: 'Rooms',
+      headers: ['Name', 'Type', 'Model', 'Area', 'Area Unit', 'Volume', 'Volume Unit'],
+      rows: report.rooms.map(room => [
+        room.name,
+        room.type,
+        room.modelName,
+        room.area ?? '',
+        room.area !== null ? room.areaUnit : '',
+        room.volume ?? '',
+        room.volume !== null ? room.volumeUnit : ''
+      ])
+    },
+    {
+      title: 'Tagged Assets',
+      headers: ['Model', 'Category', 'Property', 'ID', 'Assets'],
+      rows: report.taggedAssets.properties.map(prop => [prop.modelName, prop.category, prop.name, prop.id, prop.count])
+    },
+    {
+      title: 'Documents',
+      headers: ['Name', 'Label', 'Type', 'Size (bytes)', 'Last Updated'],
+      rows: report.documents.map(doc => [doc.name, doc.label || '', doc.contentType || '', doc.size ?? '', doc.lastUpdated || ''])
+    },
+    {
+      title: 'Diagnostics',
+      headers: ['Model', 'Issue', 'Category', 'Name', 'IDs'],
+      rows: [
+        ...report.diagnostics.duplicateProperties.map(dup => [dup.modelName, 'Duplicate property', dup.category, dup.name, dup.ids.join(', ')]),
+        ...report.diagnostics.propertiesWithDots.map(prop => [prop.modelName, `Dot in ${prop.issue === 'both' ? 'category & name' : prop.issue}`, prop.category, prop.name, prop.id])
+      ]
+    }
+  ];
+}
+
+/**
+ * Render the report as Markdown
+ * @param {Object} report - Facility report
+ * @returns {string} Markdown document
+ */
+export function reportToMarkdown(report) {
+  const { facility } = report;
+  let markdown = `# ${facility.name} - Facility Statistics\n\n`;
+
+  markdown += `- Facility: \`${facility.urn}\`\n`;
+  markdown += `- Region: ${facility.region}\n`;
+  if (facility.template) {
+    markdown += `- Template: ${facility.template}\n`;
+  }
+  markdown += `- Generated: ${report.generatedAt}\n`;
+
+  for (const section of reportSections(report)) {
+    const rows = section.rows.map(row => row.map(cell => (typeof cell === 'number' ? formatNumber(cell) : cell)));
+    markdown += `\n## ${section.title}\n\n${markdownTable(section.headers, rows)}`;
+  }
+  return markdown;
+}
+
+/**
+ * Build an Excel workbook with one sheet per report section
+ * @param {Object} XLSX - xlsx-js-style module
+ * @param {Object} report - Facility report
+ * @returns {Object} XLSX workbook
+ */
+export function reportToWorkbook(XLSX, report) {
+  const workbook = XLSX.utils.book_new();
+
+  for (const section of reportSections(report)) {
+    const data = [section.headers, ...section.rows];
+    const sheet = XLSX.utils.aoa_to_sheet(data);
+    const columns = getColumnLetters(section.headers.length);
+
+    styleHeaderRow(sheet, 1, columns);
+    sheet['!cols'] = section.headers.map((header, i) => ({
+      wch: Math.min(60, Math.max(header.length, ...section.rows.map(row => String(row[i] ?? '').length)) + 2)
+    }));
+    XLSX.utils.book_append_sheet(workbook, sheet, section.title);
+  }
+  return workbook;
+}
@@ -0,0 +1,22 @@
+/**
+ * Anomaly detection settings: enabled methods and their parameters
+ * Saved in localStorage so the stream chart and the anomaly report open with the last settings used.
+ */
+
+import { normalizeAnomalySettings } from '../utils/anomalies.js';
+import { createSettingsStore } from './settingsStore.js';
+
+const store = createSettingsStore('tandem-sample-stats-anomaly-settings', normalizeAnomalySettings);
+
+/**
+ * Load the saved settings
+ * @returns {Object} Normalized settings (the defaults if none are saved)
+ */
+export const loadAnomalySettings = store.load;
+
+/**
+ * Save settings
+ * @param {Object} settings - Settings to save
+ * @returns {Object} The normalized settings that were saved
+ */
+export const saveAnomalySettings = store.save;
@@ -0,0 +1,126 @@
+/**
+ * Dashboard card layout: order, hidden and collapsed cards
+ * Saved in localStorage per signed-in user, so people sharing a browser keep their own layout.
+ *
+ * Layout: { order: Array<cardId>, hidden: Array<cardId>, collapsed: Array<cardId> }
+ * - Hidden cards aren't rendered or loaded
+ * - Collapsed cards load as usual but only show their title bar
+ */
+
+const LAYOUTS_KEY = 'tandem-sample-stats-card-layouts';
+
+/**
+ * Default layout for the registered cards
+ * @param {Array<string>} cardIds - Card IDs in their default order
+ * @returns {{order: Array<string>, hidden: Array<string>, collapsed: Array<string>}}
+ */
+export function defaultLayout(cardIds) {
+  return { order: [...cardIds], hidden: [], collapsed: [] };
+}
+
+/**
+ * Fit a saved layout to the registered cards
+ * Unknown and duplicate IDs are dropped; cards added since the layout was saved are inserted
+ * after the card that precedes them in the default order.
+ * @param {Object|null} layout - Saved layout (may be partial or from an older version)
+ * @param {Array<string>} cardIds - Card IDs in their default order
+ * @returns {{order: Array<string>, hidden: Array<string>, collapsed: Array<string>}}
+ */
+export function normalizeLayout(layout, cardIds) {
+  if (!layout || !Array.isArray(layout.order)) {
+    return defaultLayout(cardIds);
+  }
+  const known = new Set(cardIds);
+  const order = [...new Set(layout.order)].filter(id => known.has(id));
+
+  cardIds.forEach((id, index) => {
+    if (order.includes(id)) {
+      return;
+    }
+    const previous = cardIds.slice(0, index).reverse().find(prev => order.includes(prev));
+    order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+  });
+
+  const filterKnown = ids => (Array.isArray(ids) ? [...new Set(ids)].filter(id => known.has(id)) : []);
+  return { order, hidden: filterKnown(layout.hidden), collapsed: filterKnown(layout.collapsed) };
+}
+
+/**
+ * Move a card up or down past the neighbouring visible card
+ * Hidden cards keep their place, so showing them again puts them back where they were.
+ * @param {Object} layout - Normalized layout
+ * @param {string} cardId - Card to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Object} New layout (unchanged if the card is already first/last)
+ */
+export function moveCard(layout, cardId, offset) {
+  const visible = layout.order.filter(id => !layout.hidden.includes(id));
+  const target = visible[visible.indexOf(cardId) + offset];
+
+  if (!visible.includes(cardId) || !target) {
+    return layout;
+  }
+  const order = [...layout.order];
+  const from = order.indexOf(cardId);
+  const to = order.indexOf(target);
+  [order[from], order[to]] = [order[to], order[from]];
+  return { ...layout, order };
+}
+
+/**
+ * Add or remove a card from one of the layout's lists
+ * @param {Object} layout - Normalized layout
+ * @param {'hidden'|'collapsed'} list - List to change
+ * @param {string} cardId - Card ID
+ * @param {boolean} included - Whether the card should be in the list
+ * @returns {Object} New layout
+ */
+export function setCardFlag(layout, list, cardId, included) {
+  const ids = layout[list].filter(id => id !== cardId);
+  return { ...layout, [list]: included ? [...ids, cardId] : ids };
+}
+
+/**
+ * Load a user's saved layout
+ * @param {string|null} userId - Signed-in user's ID (null when unknown)
+ * @param {Array<string>} cardIds - Card IDs in their default order
+ * @returns {Object} Normalized layout (the default if none is saved or the user is unknown)
+ */
+export function loadCardLayout(userId, cardIds) {
+  if (!userId) {
+    return defaultLayout(cardIds);
+  }
+  try {
+    const layoutsJson = window.localStorage.getItem(LAYOUTS_KEY);
+    const layouts = layoutsJson ? JSON.parse(layoutsJson) : {};
+    return normalizeLayout(layouts[userId], cardIds);
+  } catch (error) {
+    console.error('Error reading card layout from localStorage:', error);
+    return defaultLayout(cardIds);
+  }
+}
+
+/**
+ * Save a user's layout
+ * Nothing is saved when the user is unknown, so one user's layout never ends up applied to another.
+ * @param {string|null} userId - Signed-in user's ID (null when unknown)
+ * @param {Object|null} layout - Layout to save, or null to go back to the default
+ */
+export function saveCardLayout(userId, layout) {
+  if (!userId) {
+    return;
+  }
+  try {
+    const layoutsJson = window.localStorage.getItem(LAYOUTS_KEY);
+    const layouts = layoutsJson ? JSON.parse(layoutsJson) : {};
+
+    if (layout) {
+      layouts[userId] = layout;
+    } else {
+      delete layouts[userId];
+    }
+    window.localStorage.setItem(LAYOUTS_KEY, JSON.stringify(layouts));
+  } catch (error) {
+    console.error('Error saving card layout to localStorage:', error);
+  }
+}
@@ -0,0 +1,359 @@
+/**
+ * Persistent cache for model data (schemas, scan rows, facility model lists)
+ *
+ * Entries live in IndexedDB so they survive facility switches and page reloads. Each entry
+ * records the version of the data it was built from (the model's lastUpdated timestamp):
+ * - version known and matching   -> served from the cache (hit)
+ * - version known and different  -> refetched and replaced (miss)
+ * - version unknown              -> served from the cache and refreshed in the background
+ *                                   (stale-while-revalidate), so the next load is up to date
+ *
+ * The version is unknown only when it couldn't be fetched because of a network or server
+ * error; callers pass a version that rejects when access was denied, so cached data is never
+ * shown to someone who can no longer read it. Data without a version is fetched first and
+ * served from the cache only when that fetch fails the same way (fetchWithCacheFallback).
+ *
+ * Each signed-in user has their own database (setCacheUser), deleted again on logout, so
+ * nobody signing in on the same browser sees another user's facility data.
+ *
+ * When the cache grows past PersistentCacheConfig.maxBytes the least recently used entries
+ * are evicted. If IndexedDB is unavailable or no user is set, every lookup is a miss and
+ * nothing is stored.
+ */
+
+export const PersistentCacheConfig = {
+  dbName: 'tandem-sample-stats-cache',
+  maxBytes: 250 * 1024 * 1024
+};
+
+const DB_VERSION = 1;
+const VALUES_STORE = 'values';
+const META_STORE = 'meta';
+
+// Counters since the last resetCacheStats()
+const cacheStats = { hits: 0, staleHits: 0, misses: 0 };
+
+// key -> Promise of the background refresh currently running for that key
+const revalidating = new Map();
+
+let dbPromise = null;
+
+// Signed-in user whose database is used (null: no caching)
+let cacheUserId = null;
+
+/**
+ * Name of a user's cache database
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+function userDbName(userId) {
+  return `${PersistentCacheConfig.dbName}-${userId}`;
+}
+
+/**
+ * Close the open database, if any, so the next lookup opens the current user's
+ */
+function closeDb() {
+  const previous = dbPromise;
+  dbPromise = null;
+  previous?.then(db => db?.close());
+}
+
+/**
+ * Set the signed-in user whose cache is used
+ * Must be called before the first lookup; until then nothing is cached. Also deletes the
+ * database older versions shared between all users of the browser.
+ * @param {string|null} userId - User ID, or null to stop caching
+ */
+export function setCacheUser(userId) {
+  if ((userId || null) === cacheUserId) {
+    return;
+  }
+  cacheUserId = userId || null;
+  closeDb();
+  if (cacheUserId && typeof indexedDB !== 'undefined') {
+    indexedDB.deleteDatabase(PersistentCacheConfig.dbName);
+  }
+}
+
+/**
+ * Open (and create on first use) the current user's cache database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable or no user is set
+ */
+function openDb() {
+  if (!cacheUserId) {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(userDbName(cacheUserId), DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(VALUES_STORE);
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Persistent cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Read a cache entry and mark it as recently used
+ * @param {string} key - Cache key
+ * @returns {Promise<{version: string|null, value: any}|null>} Entry, or null if not cached
+ */
+async function readEntry(key) {
+  const db = await openDb();
+  if (!db) {
+    return null;
+  }
+  const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+  const metaStore = tx.objectStore(META_STORE);
+  const metaRequest = metaStore.get(key);
+  const valueRequest = tx.objectStore(VALUES_STORE).get(key);
+
+  metaRequest.onsuccess = () => {
+    const meta = metaRequest.result;
+    if (meta) {
+      meta.lastAccess = Date.now();
+      metaStore.put(meta);
+    }
+  };
+  await transactionDone(tx);
+
+  const meta = metaRequest.result;
+  if (!meta || valueRequest.result === undefined) {
+    return null;
+  }
+  return { version: meta.version, value: valueRequest.result };
+}
+
+/**
+ * Store a cache entry, then evict least recently used entries if over the size cap
+ * @param {string} key - Cache key
+ * @param {string|null} version - Version of the data (null if unknown)
+ * @param {any} value - Value to store (must be structured-cloneable)
+ */
+async function writeEntry(key, version, value) {
+  const db = await openDb();
+  if (!db) {
+    return;
+  }
+  const bytes = JSON.stringify(value)?.length || 0;
+  if (bytes > PersistentCacheConfig.maxBytes) {
+    return;
+  }
+
+  const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+  tx.objectStore(VALUES_STORE).put(value, key);
+  tx.objectStore(META_STORE).put({ key, version, bytes, lastAccess: Date.now() });
+  await transactionDone(tx);
+
+  await evictToFit(db);
+}
+
+/**
+ * Delete least recently used entries until the cache is under PersistentCacheConfig.maxBytes
+ * @param {IDBDatabase} db - Database
+ */
+async function evictToFit(db) {
+  const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+  const metaStore = tx.objectStore(META_STORE);
+  const valuesStore = tx.objectStore(VALUES_STORE);
+  const metaRequest = metaStore.getAll();
+
+  metaRequest.onsuccess = () => {
+    const entries = metaRequest.result.sort((a, b) => a.lastAccess - b.lastAccess);
+    let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+
+    for (const entry of entries) {
+      if (total <= PersistentCacheConfig.maxBytes) {
+        break;
+      }
+      metaStore.delete(entry.key);
+      valuesStore.delete(entry.key);
+      total -= entry.bytes;
+    }
+  };
+  await transactionDone(tx);
+}
+
+/**
+ * Refresh an entry in the background, at most once at a time per key
+ * @param {string} key - Cache key
+ * @param {string|null} version - Version to store with the refreshed value
+ * @param {Function} fetchValue - Async function returning the fresh value
+ */
+function revalidate(key, version, fetchValue) {
+  if (revalidating.has(key)) {
+    return;
+  }
+  const refresh = fetchValue()
+    .then(value => writeEntry(key, version, value))
+    .catch(error => console.warn(`Background refresh of ${key} failed:`, error))
+    .finally(() => revalidating.delete(key));
+  revalidating.set(key, refresh);
+}
+
+/**
+ * Get a value through the persistent cache
+ * Storage errors never fail the lookup; the value is fetched instead.
+ * @param {string} key - Cache key (should identify the model or facility and the kind of data)
+ * @param {string|null|Promise<string|null>} version - Current version of the data, or null if unknown
+ * @param {Function} fetchValue - Async function returning the fresh value
+ * @returns {Promise<any>} Cached or fetched value
+ */
+export async function cachedFetch(key, version, fetchValue) {
+  const [entry, currentVersion] = await Promise.all([
+    readEntry(key).catch(error => {
+      console.warn(`Persistent cache read of ${key} failed:`, error);
+      return null;
+    }),
+    version
+  ]);
+
+  if (entry && currentVersion && entry.version === currentVersion) {
+    cacheStats.hits++;
+    return entry.value;
+  }
+  if (entry && !currentVersion) {
+    cacheStats.staleHits++;
+    revalidate(key, null, fetchValue);
+    return entry.value;
+  }
+
+  cacheStats.misses++;
+  const value = await fetchValue();
+  writeEntry(key, currentVersion || null, value)
+    .catch(error => console.warn(`Persistent cache write of ${key} failed:`, error));
+  return value;
+}
+
+/**
+ * Fetch a value, falling back to the cached copy when the fetch fails
+ * For data without a version to validate against: the fresh value is always fetched first.
+ * @param {string} key - Cache key
+ * @param {Function} fetchValue - Async function returning the fresh value
+ * @param {Function} canServeStale - Returns true for fetch errors the cached copy may stand in for
+ * @returns {Promise<any>} Fetched value, or the cached one
+ */
+export async function fetchWithCacheFallback(key, fetchValue, canServeStale) {
+  let value;
+  try {
+    value = await fetchValue();
+  } catch (error) {
+    const entry = canServeStale(error)
+      ? await readEntry(key).catch(() => null)
+      : null;
+    if (!entry) {
+      throw error;
+    }
+    console.warn(`Serving cached ${key} after a failed fetch:`, error);
+    cacheStats.staleHits++;
+    return entry.value;
+  }
+
+  cacheStats.misses++;
+  writeEntry(key, null, value)
+    .catch(error => console.warn(`Persistent cache write of ${key} failed:`, error));
+  return value;
+}
+
+/**
+ * Get hit/miss counters since the last reset
+ * @returns {{hits: number, staleHits: number, misses: number}} Copy of the counters
+ */
+export function getCacheStats() {
+  return { ...cacheStats };
+}
+
+/**
+ * Reset hit/miss counters
+ * Called at the start of each facility load.
+ */
+export function resetCacheStats() {
+  cacheStats.hits = 0;
+  cacheStats.staleHits = 0;
+  cacheStats.misses = 0;
+}
+
+/**
+ * Get the number of entries and total size of the cache
+ * @returns {Promise<{entries: number, bytes: number}>} Cache usage (bytes are approximate)
+ */
+export async function getCacheUsage() {
+  const db = await openDb();
+  if (!db) {
+    return { entries: 0, bytes: 0 };
+  }
+  const tx = db.transaction(META_STORE, 'readonly');
+  const metaRequest = tx.objectStore(META_STORE).getAll();
+  await transactionDone(tx);
+
+  return {
+    entries: metaRequest.result.length,
+    bytes: metaRequest.result.reduce((sum, entry) => sum + entry.bytes, 0)
+  };
+}
+
+/**
+ * Delete every cache entry and reset the counters
+ */
+export async function clearPersistentCache() {
+  resetCacheStats();
+  const db = await openDb();
+  if (!db) {
+    return;
+  }
+  const tx = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+  tx.objectStore(VALUES_STORE).clear();
+  tx.objectStore(META_STORE).clear();
+  await transactionDone(tx);
+}
+
+/**
+ * Delete the current user's cache database and stop caching (on logout)
+ * @returns {Promise<void>} Resolves once the deletion was requested to completion, or is
+ *   waiting for other tabs to close the database
+ */
+export function deletePersistentCache() {
+  resetCacheStats();
+  const userId = cacheUserId;
+  cacheUserId = null;
+  closeDb();
+  if (!userId || typeof indexedDB === 'undefined') {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const request = indexedDB.deleteDatabase(userDbName(userId));
+    request.onsuccess = () => resolve();
+    request.onblocked = () => resolve();
+    request.onerror = () => {
+      console.error('Error deleting the persistent cache:', request.error);
+      resolve();
+    };
+  });
+}
@@ -0,0 +1,250 @@
+/**
+ * URL hash router
+ *
+ * Keeps what's on screen in the location hash so a view can be bookmarked or sent to a colleague:
+ *
+ *   #/facility/<urn>?account=<name>&cards=streams,rooms&sort=streams:lastSeen:desc
+ *                   &model=<model urn>&search=<property>&value=<value>&match=<option>&case=1
+ *                   &q=<text query>
+ *
+ * - cards:  expanded cards, by the card's detail section ID without "-detail" (e.g. taggedAssets)
+ * - sort:   <card>:<column>:<asc|desc> for each sorted card
+ * - model:  model whose element breakdown is open in the Models card
+ * - search: property search; match is the selected option (match type, numeric operator or
+ *           boolean value) and case=1 turns on case-sensitive matching
+ * - q:      text query of the Search card (e.g. Dimensions.Area > 200 AND category = Rooms); a text
+ *           query and a property search replace each other, as only one result list is shown
+ *
+ * Switching account or facility adds a history entry, so back/forward move between facilities.
+ * Card, sort, search and model changes replace the current entry instead of flooding history.
+ */
+
+const FACILITY_PATH = '#/facility/';
+
+/**
+ * Route with nothing selected
+ * @returns {Object} Route state
+ */
+function emptyRoute() {
+  return { account: null, facility: null, cards: [], sort: {}, search: null, query: null, model: null };
+}
+
+/**
+ * Encode a hash parameter value, leaving the : and , separators readable
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeParam(value) {
+  return encodeURIComponent(value).replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+}
+
+/**
+ * Parse a location hash into route state
+ * Unknown parameters and malformed entries are ignored.
+ * @param {string} hash - Location hash, with or without the leading '#'
+ * @returns {{account: string|null, facility: string|null, cards: Array<string>, sort: Object<string, {column: string, direction: string}>, search: Object|null, query: string|null, model: string|null}}
+ */
+export function parseRoute(hash) {
+  const route = emptyRoute();
+  const normalized = hash.startsWith('#') ? hash : `#${hash}`;
+
+  if (!normalized.startsWith(FACILITY_PATH)) {
+    return route;
+  }
+  const [path, query = ''] = normalized.slice(FACILITY_PATH.length).split('?');
+
+  try {
+    route.facility = decodeURIComponent(path) || null;
+  } catch (error) {
+    return route; // Malformed escape sequence - treat as no route
+  }
+  const params = new URLSearchParams(query);
+
+  route.account = params.get('account') || null;
+  route.model = params.get('model') || null;
+  route.query = params.get('q') || null;
+  route.cards = (params.get('cards') || '').split(',').filter(Boolean);
+
+  for (const entry of (params.get('sort') || '').split(',')) {
+    const [card, column, direction] = entry.split(':');
+    if (card && column) {
+      route.sort[card] = { column, direction: direction === 'desc' ? 'desc' : 'asc' };
+    }
+  }
+
+  if (params.get('search')) {
+    route.search = {
+      property: params.get('search'),
+      value: params.get('value') || '',
+      match: params.get('match') || null,
+      caseSensitive: params.get('case') === '1'
+    };
+  }
+  return route;
+}
+
+/**
+ * Format route state as a location hash
+ * @param {Object} route - Route state (see parseRoute)
+ * @returns {string} Hash including the leading '#', or '' when no facility is selected
+ */
+export function formatRoute(route) {
+  if (!route.facility) {
+    return '';
+  }
+  const params = [];
+  const add = (name, value) => params.push(`${name}=${encodeParam(value)}`);
+
+  if (route.account) {
+    add('account', route.account);
+  }
+  if (route.cards?.length > 0) {
+    add('cards', route.cards.join(','));
+  }
+  const sorts = Object.entries(route.sort || {})
+    .map(([card, { column, direction }]) => `${card}:${column}:${direction}`);
+  if (sorts.length > 0) {
+    add('sort', sorts.join(','));
+  }
+  if (route.model) {
+    add('model', route.model);
+  }
+  if (route.search?.property) {
+    add('search', route.search.property);
+    if (route.search.value) {
+      add('value', route.search.value);
+    }
+    if (route.search.match) {
+      add('match', route.search.match);
+    }
+    if (route.search.caseSensitive) {
+      add('case', '1');
+    }
+  }
+  if (route.query) {
+    add('q', route.query);
+  }
+  return `${FACILITY_PATH}${encodeParam(route.facility)}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Get the route from the current location
+ * @returns {Object} Route state (see parseRoute)
+ */
+export function getRoute() {
+  return parseRoute(window.location.hash);
+}
+
+/**
+ * Write a route to the location hash
+ * pushState/replaceState don't fire popstate, so our own updates never reach onRouteChange listeners.
+ * @param {Object} route - Route state
+ * @param {boolean} push - Add a history entry instead of replacing the current one
+ */
+function writeRoute(route, push) {
+  const hash = formatRoute(route);
+  if (hash === window.location.hash) {
+    return;
+  }
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (push) {
+    window.history.pushState(null, '', url);
+  } else {
+    window.history.replaceState(null, '', url);
+  }
+}
+
+/**
+ * Select an account and facility
+ * Card, sort, search and model state belongs to the facility on screen, so it's dropped when the
+ * facility changes and kept when only the account name is filled in.
+ * @param {string|null} account - Account name
+ * @param {string} facility - Facility URN
+ * @param {Object} [options]
+ * @param {boolean} [options.push=false] - Add a history entry (user navigation)
+ */
+export function setRouteFacility(account, facility, { push = false } = {}) {
+  const current = getRoute();
+  const route = current.facility === facility ? current : emptyRoute();
+
+  route.account = account || null;
+  route.facility = facility;
+  writeRoute(route, push && current.facility !== facility);
+}
+
+/**
+ * Record whether a card is expanded
+ * @param {string} card - Card ID (e.g. 'streams')
+ * @param {boolean} expanded
+ */
+export function setRouteCardExpanded(card, expanded) {
+  const route = getRoute();
+  const cards = route.cards.filter(c => c !== card);
+
+  route.cards = expanded ? [...cards, card] : cards;
+  writeRoute(route, false);
+}
+
+/**
+ * Record a card's sort column
+ * @param {string} card - Card ID (e.g. 'rooms')
+ * @param {string|null} column - Sort column, or null for the card's default order
+ * @param {string} [direction='asc'] - 'asc' or 'desc'
+ */
+export function setRouteSort(card, column, direction = 'asc') {
+  const route = getRoute();
+
+  if (column) {
+    route.sort[card] = { column, direction };
+  } else {
+    delete route.sort[card];
+  }
+  writeRoute(route, false);
+}
+
+/**
+ * Record the property search
+ * @param {{property: string, value: string, match: string|null, caseSensitive: boolean}|null} search - Search, or null when cleared
+ */
+export function setRouteSearch(search) {
+  const route = getRoute();
+
+  route.search = search;
+  if (search) {
+    route.query = null;
+  }
+  writeRoute(route, false);
+}
+
+/**
+ * Record the text query of the Search card
+ * @param {string|null} query - Query text, or null when cleared
+ */
+export function setRouteQuery(query) {
+  const route = getRoute();
+
+  route.query = query || null;
+  if (route.query) {
+    route.search = null;
+  }
+  writeRoute(route, false);
+}
+
+/**
+ * Record the model selected in the Models card
+ * @param {string|null} modelURN - Model URN, or null when none is selected
+ */
+export function setRouteModel(modelURN) {
+  const route = getRoute();
+
+  route.model = modelURN;
+  writeRoute(route, false);
+}
+
+/**
+ * Call a listener when the route changes through back/forward or an edited hash
+ * @param {Function} listener - Called with the new route state
+ */
+export function onRouteChange(listener) {
+  window.addEventListener('popstate', () => listener(getRoute()));
+}
@@ -0,0 +1,83 @@
+/**
+ * Saved text queries of the Search card, per facility
+ * Saved in localStorage as { facilityURN: [{ name, text }] } so a facility's queries can be re-run later.
+ */
+
+const SETTINGS_KEY = 'tandem-sample-stats-saved-queries';
+
+/**
+ * Read all saved queries
+ * @returns {Object<string, Array<{name: string, text: string}>>} Facility URN -> queries
+ */
+function readAll() {
+  try {
+    const queriesJson = window.localStorage.getItem(SETTINGS_KEY);
+    const all = queriesJson ? JSON.parse(queriesJson) : {};
+    return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+  } catch (error) {
+    console.error('Error reading saved queries from localStorage:', error);
+    return {};
+  }
+}
+
+/**
+ * Write a facility's saved queries (dropping the facility when it has none left)
+ * @param {string} facilityURN - Facility URN
+ * @param {Array<{name: string, text: string}>} queries
+ */
+function writeFacility(facilityURN, queries) {
+  const all = readAll();
+
+  if (queries.length > 0) {
+    all[facilityURN] = queries;
+  } else {
+    delete all[facilityURN];
+  }
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(all));
+  } catch (error) {
+    console.error('Error saving queries to localStorage:', error);
+  }
+}
+
+/**
+ * Load a facility's saved queries
+ * @param {string} facilityURN - Facility URN
+ * @returns {Array<{name: string, text: string}>} Queries sorted by name
+ */
+export function loadSavedQueries(facilityURN) {
+  const queries = readAll()[facilityURN];
+
+  return (Array.isArray(queries) ? queries : [])
+    .filter(q => typeof q?.name === 'string' && typeof q?.text === 'string')
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a query, replacing a saved query of the same name (case-insensitive)
+ * @param {string} facilityURN - Facility URN
+ * @param {string} name - Query name
+ * @param {string} text - Query text
+ * @returns {Array<{name: string, text: string}>} The facility's queries, sorted by name
+ */
+export function saveQuery(facilityURN, name, text) {
+  const key = name.trim().toLowerCase();
+  const queries = loadSavedQueries(facilityURN).filter(q => q.name.toLowerCase() !== key);
+
+  queries.push({ name: name.trim(), text });
+  writeFacility(facilityURN, queries);
+  return loadSavedQueries(facilityURN);
+}
+
+/**
+ * Delete a saved query
+ * @param {string} facilityURN - Facility URN
+ * @param {string} name - Query name
+ * @returns {Array<{name: string, text: string}>} The facility's remaining queries, sorted by name
+ */
+export function deleteSavedQuery(facilityURN, name) {
+  const key = name.toLowerCase();
+
+  writeFacility(facilityURN, loadSavedQueries(facilityURN).filter(q => q.name.toLowerCase() !== key));
+  return loadSavedQueries(facilityURN);
+}
@@ -13,7 +13,7 @@ export async function loadSchemaForModel(modelURN, region) {
     return schemaCache[modelURN];
   }
   
-  const schema = await getSchema(modelURN);
+  const schema = await getSchema(modelURN, region);
   
   // Create a lookup map for quick property lookups
   const lookup = new Map();
@@ -48,6 +48,17 @@ export async function getPropertyDisplayName(modelURN, qualifiedProp) {
   return qualifiedProp;
 }
 
+/**
+ * Get the unit of a qualified property
+ * @param {string} modelURN - Model URN
+ * @param {string} qualifiedProp - Qualified property ID (e.g., "z:LQ")
+ * @returns {Promise<string|null>} Forge unit name (e.g., "celsius"), or null if the property has none
+ */
+export async function getPropertyUnit(modelURN, qualifiedProp) {
+  const schema = await loadSchemaForModel(modelURN);
+  return schema.lookup.get(qualifiedProp)?.forgeUnit || null;
+}
+
 /**
  * Get the schema cache object
  * @returns {Object} Schema cache
@@ -58,7 +69,9 @@ export function getSchemaCache() {
 
 /**
  * Clear the schema cache
- * Should be called when switching facilities to prevent data from accumulating
+ * Should be called when switching facilities to prevent data from accumulating.
+ * Schemas are still kept in the persistent cache, so reloading them does not refetch
+ * unless the model changed.
  */
 export function clearSchemaCache() {
   for (const key in schemaCache) {
@@ -0,0 +1,35 @@
+/**
+ * Settings saved in localStorage under one key
+ * The value is normalized on load and on save, so callers always get a complete settings object.
+ */
+
+/**
+ * Create a load/save pair for one localStorage key
+ * @param {string} key - localStorage key (prefixed with tandem-sample-stats-)
+ * @param {Function} normalize - (saved | null) => settings; must return the defaults for null or invalid input
+ * @returns {{load: Function, save: Function}} load() returns the normalized saved settings; save(settings)
+ *   normalizes, saves and returns them
+ */
+export function createSettingsStore(key, normalize) {
+  return {
+    load() {
+      try {
+        const settingsJson = window.localStorage.getItem(key);
+        return normalize(settingsJson ? JSON.parse(settingsJson) : null);
+      } catch (error) {
+        console.error(`Error reading ${key} from localStorage:`, error);
+        return normalize(null);
+      }
+    },
+
+    save(settings) {
+      const normalized = normalize(settings);
+      try {
+        window.localStorage.setItem(key, JSON.stringify(normalized));
+      } catch (error) {
+        console.error(`Error saving ${key} to localStorage:`, error);
+      }
+      return normalized;
+    }
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Ticket SLA targets: days to close a ticket, per priority
+ * Saved in localStorage so the ticket analytics open with the last targets used.
+ */
+
+import { normalizeSlaTargets } from '../utils/ticketAnalytics.js';
+import { createSettingsStore } from './settingsStore.js';
+
+const store = createSettingsStore('tandem-sample-stats-sla-targets', normalizeSlaTargets);
+
+/**
+ * Load the saved targets
+ * @returns {Object} Normalized targets (the defaults if none are saved)
+ */
+export const loadSlaTargets = store.load;
+
+/**
+ * Save targets
+ * @param {Object} targets - Targets to save ({ priority: days })
+ * @returns {Object} The normalized targets that were saved
+ */
+export const saveSlaTargets = store.save;
@@ -79,6 +79,63 @@ export function convertLongKeysToShortKeys(lastSeenValues) {
   return result;
 }
 
+/**
+ * Format a duration for display, in its largest whole unit
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "45 s", "12 min", "3 h", "2 d"
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+  return `${Math.round(hours / 24)} d`;
+}
+
+/**
+ * Serialize data for an inline <script> in a generated page (escapes '<' so values can't close the script element)
+ * @param {any} data - JSON-serializable data
+ * @returns {string} JavaScript literal
+ */
+export function toScriptLiteral(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {any} value - Text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Download text as a file (e.g. a CSV export)
+ * @param {string} content - File content
+ * @param {string} filename - Filename with extension
+ * @param {string} mimeType - MIME type (e.g. 'text/csv')
+ */
+export function downloadTextFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Clean up the blob URL after a delay
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+}
+
 /**
  * Format unit name for display
  * Converts Forge unit names to user-friendly abbreviated forms with superscripts
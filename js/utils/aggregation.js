@@ -0,0 +1,120 @@
+/**
+ * Time-series aggregation for stream values
+ * Buckets the values of one stream property by hour, day or week (local time; weeks start on
+ * Monday) and computes count, min, max, mean and p95 per bucket.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Aggregation intervals offered by the stream chart ('raw' plots the values as they are)
+ */
+export const AGGREGATION_INTERVALS = [
+  { id: 'raw', label: 'Raw values', adjective: 'raw', duration: 0 },
+  { id: 'hour', label: 'Hourly', adjective: 'hourly', duration: HOUR },
+  { id: 'day', label: 'Daily', adjective: 'daily', duration: DAY },
+  { id: 'week', label: 'Weekly', adjective: 'weekly', duration: 7 * DAY }
+];
+
+/**
+ * Most points per line plotted before the chart switches from raw values to buckets ('auto')
+ */
+export const MAX_RAW_POINTS = 2000;
+
+/**
+ * Most buckets per line the 'auto' interval aims for
+ */
+const MAX_BUCKETS = 500;
+
+/**
+ * Pick an interval for a time range: raw values when there are few, otherwise the finest
+ * interval that keeps the number of buckets readable
+ * @param {number} span - Length of the time range (ms)
+ * @param {number} pointCount - Most values of any plotted line
+ * @returns {string} Interval ID ('raw', 'hour', 'day' or 'week')
+ */
+export function chooseInterval(span, pointCount) {
+  if (pointCount <= MAX_RAW_POINTS) {
+    return 'raw';
+  }
+  const interval = AGGREGATION_INTERVALS.find(i => i.duration > 0 && span / i.duration <= MAX_BUCKETS);
+  return interval ? interval.id : 'week';
+}
+
+/**
+ * Start of the bucket a timestamp falls into
+ * @param {number} timestamp - Timestamp (ms)
+ * @param {string} interval - 'hour', 'day' or 'week'
+ * @returns {number} Bucket start (ms)
+ */
+export function bucketStart(timestamp, interval) {
+  const date = new Date(timestamp);
+
+  if (interval === 'hour') {
+    date.setMinutes(0, 0, 0);
+  } else if (interval === 'day' || interval === 'week') {
+    date.setHours(0, 0, 0, 0);
+    if (interval === 'week') {
+      // getDay() is 0 for Sunday; weeks start on Monday
+      date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    }
+  } else {
+    throw new Error(`Unknown aggregation interval: ${interval}`);
+  }
+  return date.getTime();
+}
+
+/**
+ * Percentile of sorted numbers, interpolating between the closest ranks
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile, or null when there are no values
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Aggregate the values of one stream property
+ * Values that aren't finite numbers (e.g. text or boolean properties) are skipped.
+ * @param {Object} values - { timestamp: value }
+ * @param {string} interval - 'hour', 'day' or 'week'
+ * @returns {Array<{start: number, count: number, min: number, max: number, mean: number, p95: number}>}
+ *   Buckets with at least one value, oldest first
+ */
+export function aggregateValues(values, interval) {
+  const buckets = new Map();
+
+  for (const [timestamp, value] of Object.entries(values || {})) {
+    const number = typeof value === 'number' ? value : Number.NaN;
+    if (!Number.isFinite(number)) {
+      continue;
+    }
+    const start = bucketStart(Number(timestamp), interval);
+    if (!buckets.has(start)) {
+      buckets.set(start, []);
+    }
+    buckets.get(start).push(number);
+  }
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, numbers]) => {
+      const sorted = numbers.sort((a, b) => a - b);
+      return {
+        start,
+        count: sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean: sorted.reduce((sum, n) => sum + n, 0) / sorted.length,
+        p95: percentile(sorted, 95)
+      };
+    });
+}
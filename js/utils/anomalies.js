@@ -0,0 +1,347 @@
+/**
+ * Statistical anomaly detection on stream values
+ * - zscore:   value far from the mean of the preceding window (rolling z-score)
+ * - iqr:      value outside the interquartile fences of the whole range
+ * - flatline: the same value for a long time (stuck sensor)
+ * - step:     a jump much larger than the usual change between samples, after which the level stays
+ * Every anomaly has a score: 1 at the method's threshold, 2 at twice the threshold, and so on.
+ */
+
+import { numericPoints } from './timeseries.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Fewest preceding values the rolling z-score needs
+ */
+const MIN_WINDOW_POINTS = 10;
+
+/**
+ * Detection methods and their parameters (shown as settings on the chart and report pages)
+ */
+export const ANOMALY_METHODS = [
+  {
+    id: 'zscore',
+    label: 'Rolling z-score',
+    params: [
+      { id: 'windowHours', label: 'Window (hours)', min: 1, default: 24 },
+      { id: 'threshold', label: 'Threshold (σ)', min: 1, default: 3 }
+    ]
+  },
+  {
+    id: 'iqr',
+    label: 'IQR outliers',
+    params: [
+      { id: 'factor', label: 'Fence (× IQR)', min: 0.5, default: 1.5 }
+    ]
+  },
+  {
+    id: 'flatline',
+    label: 'Flat line',
+    params: [
+      { id: 'minHours', label: 'Minimum duration (hours)', min: 0.25, default: 6 }
+    ]
+  },
+  {
+    id: 'step',
+    label: 'Step change',
+    params: [
+      { id: 'threshold', label: 'Threshold (× usual change)', min: 2, default: 8 },
+      { id: 'confirmPoints', label: 'Values that confirm the level', min: 1, default: 3 }
+    ]
+  }
+];
+
+/**
+ * Severity of an anomaly from its score
+ * @param {number} score - 1 at the threshold
+ * @returns {string} 'high' (≥ 2), 'medium' (≥ 1.5) or 'low'
+ */
+export function anomalySeverity(score) {
+  if (score >= 2) return 'high';
+  if (score >= 1.5) return 'medium';
+  return 'low';
+}
+
+/**
+ * Default settings: every method enabled with its default parameters
+ * @returns {Object} { methodId: { enabled, ...params } }
+ */
+export function defaultAnomalySettings() {
+  return Object.fromEntries(ANOMALY_METHODS.map(method => [method.id, {
+    enabled: true,
+    ...Object.fromEntries(method.params.map(param => [param.id, param.default]))
+  }]));
+}
+
+/**
+ * Fit saved settings to the known methods
+ * Unknown methods are dropped; missing or invalid parameters get their default, values below a
+ * parameter's minimum are raised to it.
+ * @param {Object|null} settings - Saved settings (may be partial or from an older version)
+ * @returns {Object} { methodId: { enabled, ...params } }
+ */
+export function normalizeAnomalySettings(settings) {
+  return Object.fromEntries(ANOMALY_METHODS.map(method => {
+    const saved = settings?.[method.id] || {};
+    return [method.id, {
+      enabled: typeof saved.enabled === 'boolean' ? saved.enabled : true,
+      ...Object.fromEntries(method.params.map(param => {
+        const raw = saved[param.id];
+        const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        return [param.id, Number.isFinite(value) ? Math.max(param.min, value) : param.default];
+      }))
+    }];
+  }));
+}
+
+/**
+ * Median of sorted numbers
+ * @param {Array<number>} sorted - Values in ascending order
+ * @returns {number}
+ */
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Quartile of sorted numbers, interpolating between the closest ranks
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} q - 0.25 or 0.75
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+  const rank = q * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (sorted[Math.ceil(rank)] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Build an anomaly at one value
+ * @param {string} method - Method ID
+ * @param {[number, number]} point - [timestamp, value]
+ * @param {number} expected - Value the method expected (mean, fence or previous level)
+ * @param {number} score - 1 at the method's threshold
+ * @returns {Object} Anomaly
+ */
+function pointAnomaly(method, [timestamp, value], expected, score) {
+  return { method, start: timestamp, end: timestamp, value, expected, score, severity: anomalySeverity(score) };
+}
+
+/**
+ * Values far from the mean of the preceding time window
+ * @param {Array<[number, number]>} points - [timestamp, value] in ascending order
+ * @param {{windowHours: number, threshold: number}} params
+ * @returns {Array<Object>} Anomalies (expected is the window mean)
+ */
+export function rollingZScore(points, { windowHours, threshold }) {
+  const window = windowHours * HOUR;
+  const sums = [0];
+  const squares = [0];
+  const anomalies = [];
+  let left = 0;
+
+  points.forEach(([, value], i) => {
+    sums.push(sums[i] + value);
+    squares.push(squares[i] + value * value);
+  });
+
+  points.forEach((point, i) => {
+    while (points[left][0] < point[0] - window) {
+      left++;
+    }
+    const count = i - left;
+    if (count < MIN_WINDOW_POINTS) {
+      return;
+    }
+    const mean = (sums[i] - sums[left]) / count;
+    const std = Math.sqrt(Math.max(0, (squares[i] - squares[left]) / count - mean * mean));
+    // A constant window has no spread to compare against (flat lines are their own method)
+    if (std < 1e-9 * Math.max(1, Math.abs(mean))) {
+      return;
+    }
+    const z = Math.abs(point[1] - mean) / std;
+    if (z >= threshold) {
+      anomalies.push(pointAnomaly('zscore', point, mean, z / threshold));
+    }
+  });
+  return anomalies;
+}
+
+/**
+ * Values outside the interquartile fences (Q1 - factor × IQR, Q3 + factor × IQR) of all values
+ * @param {Array<[number, number]>} points - [timestamp, value] in ascending order
+ * @param {{factor: number}} params
+ * @returns {Array<Object>} Anomalies (expected is the fence that was crossed)
+ */
+export function iqrOutliers(points, { factor }) {
+  if (points.length < 4) {
+    return [];
+  }
+  const sorted = points.map(([, value]) => value).sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  if (iqr <= 0) {
+    return [];
+  }
+  const lower = q1 - factor * iqr;
+  const upper = q3 + factor * iqr;
+
+  return points
+    .filter(([, value]) => value < lower || value > upper)
+    .map(point => {
+      const fence = point[1] > upper ? upper : lower;
+      return pointAnomaly('iqr', point, fence, 1 + Math.abs(point[1] - fence) / (factor * iqr));
+    });
+}
+
+/**
+ * Runs of the same value lasting at least a minimum duration
+ * @param {Array<[number, number]>} points - [timestamp, value] in ascending order
+ * @param {{minHours: number}} params
+ * @returns {Array<Object>} Anomalies spanning start to end (score is the duration / minimum duration)
+ */
+export function flatLines(points, { minHours }) {
+  const minDuration = minHours * HOUR;
+  const anomalies = [];
+  let runStart = 0;
+
+  for (let i = 1; i <= points.length; i++) {
+    if (i < points.length && points[i][1] === points[runStart][1]) {
+      continue;
+    }
+    const start = points[runStart][0];
+    const end = points[i - 1][0];
+    if (i - runStart >= 3 && end - start >= minDuration) {
+      const score = (end - start) / minDuration;
+      anomalies.push({
+        method: 'flatline',
+        start,
+        end,
+        value: points[runStart][1],
+        expected: null,
+        score,
+        severity: anomalySeverity(score)
+      });
+    }
+    runStart = i;
+  }
+  return anomalies;
+}
+
+/**
+ * Jumps between two values that are much larger than the usual change between samples
+ * The usual change is the robust spread (1.4826 × median absolute deviation) of the differences between
+ * consecutive values. A jump only counts when the median of the next values differs from the median of
+ * the previous values by at least half the jump, so single spikes aren't reported as steps.
+ * @param {Array<[number, number]>} points - [timestamp, value] in ascending order
+ * @param {{threshold: number, confirmPoints: number}} params
+ * @returns {Array<Object>} Anomalies at the first value after the jump (expected is the previous level)
+ */
+export function stepChanges(points, { threshold, confirmPoints }) {
+  const k = Math.round(confirmPoints);
+  if (points.length < 2 * k + 1) {
+    return [];
+  }
+  const diffs = points.slice(1).map(([, value], i) => value - points[i][1]);
+  const sortedDiffs = [...diffs].sort((a, b) => a - b);
+  const center = median(sortedDiffs);
+  let spread = 1.4826 * median(diffs.map(d => Math.abs(d - center)).sort((a, b) => a - b));
+
+  // Mostly-constant or coarsely quantized values: fall back to the mean absolute change
+  if (spread === 0) {
+    spread = diffs.reduce((sum, d) => sum + Math.abs(d), 0) / diffs.length;
+  }
+  if (spread === 0) {
+    return [];
+  }
+
+  const anomalies = [];
+  const levelAt = (from, to) => median(points.slice(from, to).map(([, value]) => value).sort((a, b) => a - b));
+
+  for (let i = k; i <= points.length - k; i++) {
+    const jump = diffs[i - 1];
+    if (Math.abs(jump) < threshold * spread) {
+      continue;
+    }
+    const before = levelAt(i - k, i);
+    const shift = levelAt(i, i + k) - before;
+    if (Math.sign(shift) === Math.sign(jump) && Math.abs(shift) >= Math.abs(jump) / 2) {
+      anomalies.push(pointAnomaly('step', points[i], before, Math.abs(jump) / (threshold * spread)));
+    }
+  }
+  return anomalies;
+}
+
+const detectors = {
+  zscore: rollingZScore,
+  iqr: iqrOutliers,
+  flatline: flatLines,
+  step: stepChanges
+};
+
+/**
+ * Detect anomalies in the values of one stream property with the enabled methods
+ * Values that aren't finite numbers (e.g. text or boolean properties) are skipped.
+ * @param {Object} values - { timestamp: value }
+ * @param {Object} settings - { methodId: { enabled, ...params } } (see defaultAnomalySettings)
+ * @returns {Array<{method: string, start: number, end: number, value: number, expected: number|null, score: number,
+ *   severity: string}>} Anomalies, oldest first
+ */
+export function detectAnomalies(values, settings) {
+  const points = numericPoints(values);
+  if (points.length === 0) {
+    return [];
+  }
+  return ANOMALY_METHODS
+    .filter(method => settings?.[method.id]?.enabled)
+    .flatMap(method => detectors[method.id](points, settings[method.id]))
+    .sort((a, b) => a.start - b.start || b.score - a.score);
+}
+
+/**
+ * Detect anomalies in every property of several streams
+ * @param {Array<{key: string, name: string, values: Object}>} series - Stream values ({ propertyId: { timestamp: value } })
+ * @param {Object} settings - Detection settings
+ * @returns {Array<Object>} Anomalies (see detectAnomalies) with streamKey, streamName and propKey, oldest first
+ */
+export function findStreamAnomalies(series, settings) {
+  return series
+    .flatMap(stream => Object.entries(stream.values).flatMap(([propKey, values]) =>
+      detectAnomalies(values, settings).map(anomaly => ({ streamKey: stream.key, streamName: stream.name, propKey, ...anomaly }))))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Anomaly counts per stream
+ * @param {Array<{key: string, name: string}>} streams - Streams in the report (streams without anomalies get zeros)
+ * @param {Array<Object>} anomalies - Anomalies (see findStreamAnomalies)
+ * @returns {Array<{streamKey: string, streamName: string, count: number, high: number, medium: number, low: number,
+ *   byMethod: Object}>} Streams with the most high, then most anomalies first
+ */
+export function summarizeAnomalies(streams, anomalies) {
+  const totals = new Map(streams.map(stream => [stream.key, {
+    streamKey: stream.key,
+    streamName: stream.name,
+    count: 0,
+    high: 0,
+    medium: 0,
+    low: 0,
+    byMethod: Object.fromEntries(ANOMALY_METHODS.map(method => [method.id, 0]))
+  }]));
+
+  anomalies.forEach(anomaly => {
+    const total = totals.get(anomaly.streamKey);
+    if (!total) {
+      return;
+    }
+    total.count++;
+    total[anomaly.severity]++;
+    total.byMethod[anomaly.method]++;
+  });
+
+  return [...totals.values()].sort((a, b) =>
+    b.high - a.high || b.count - a.count || a.streamName.localeCompare(b.streamName));
+}
@@ -0,0 +1,298 @@
+/**
+ * Calculated stream validation
+ * A calculated stream property (`streamSettings.calculationSettings`) is
+ * { propertyId: { expression, enabled, frequency, vars: { name: { elementId, propertyId } } } }, where each variable
+ * names an input stream property. These helpers check the formula and its inputs, find circular dependencies
+ * between calculated properties and recompute the values from the inputs' history so they can be compared with
+ * the stored ones.
+ */
+
+import { toShortKey } from '../../tandem/keys.js';
+import { evaluateFormula, formatFormula, formulaVariables, parseFormula } from './formulas.js';
+import { DEFAULT_STREAM_FREQUENCY, numericPoints, valueAt } from './timeseries.js';
+
+/**
+ * Overall status of a calculation, worst first
+ */
+export const CalculationStatus = {
+  ParseError: 'parse-error',
+  Cycle: 'cycle',
+  MissingInput: 'missing-input',
+  NoData: 'no-data',
+  Mismatch: 'mismatch',
+  Ok: 'ok'
+};
+
+/**
+ * Status of one formula variable
+ */
+export const InputStatus = {
+  Ok: 'ok',
+  MissingStream: 'missing-stream',
+  MissingProperty: 'missing-property',
+  Undeclared: 'undeclared',
+  Unused: 'unused'
+};
+
+/**
+ * A recomputed value matches the stored one when it is within either bound
+ */
+export const DEFAULT_TOLERANCE = { absolute: 0.01, relative: 0.01 };
+
+/**
+ * Node ID of a stream property in the dependency graph
+ * @param {string} streamKey - Stream short key
+ * @param {string} propKey - Property ID (e.g. 'z:Dt')
+ * @returns {string}
+ */
+export function calculationNode(streamKey, propKey) {
+  return `${streamKey}|${propKey}`;
+}
+
+/**
+ * Calculated properties of the streams
+ * @param {Array<Object>} configs - Stream configs ({ elementId (long key), streamSettings })
+ * @returns {Array<{streamKey: string, propKey: string, expression: string, enabled: boolean, frequency: number,
+ *   inputs: Array<{variable: string, streamKey: string|null, propKey: string|null}>}>} Input stream keys are short keys
+ */
+export function listCalculations(configs) {
+  return configs.flatMap(config => Object.entries(config.streamSettings?.calculationSettings || {})
+    .map(([propKey, calc]) => ({
+      streamKey: toShortKey(config.elementId),
+      propKey,
+      expression: calc.expression || '',
+      enabled: calc.enabled !== false,
+      frequency: calc.frequency || config.streamSettings.frequency || DEFAULT_STREAM_FREQUENCY,
+      inputs: Object.entries(calc.vars || {}).map(([variable, input]) => ({
+        variable,
+        streamKey: input?.elementId ? toShortKey(input.elementId) : null,
+        propKey: input?.propertyId || null
+      }))
+    })));
+}
+
+/**
+ * Properties each stream produces: its source mapping (values sent to the stream) and its calculations
+ * @param {Array<string>} streamKeys - Short keys of the facility's streams
+ * @param {Array<Object>} configs - Stream configs ({ elementId (long key), streamSettings })
+ * @returns {Map<string, Set<string>|null>} Stream key -> property IDs, or null for a stream without a config
+ *   (its properties are unknown)
+ */
+export function producedProperties(streamKeys, configs) {
+  const produced = new Map(streamKeys.map(key => [key, null]));
+  for (const config of configs) {
+    const settings = config.streamSettings || {};
+    produced.set(toShortKey(config.elementId), new Set([
+      ...Object.keys(settings.sourceMapping || {}),
+      ...Object.keys(settings.calculationSettings || {})
+    ]));
+  }
+  return produced;
+}
+
+/**
+ * Check a calculation's formula and inputs (without values)
+ * @param {Object} calculation - See listCalculations
+ * @param {Map<string, Set<string>|null>} produced - Result of producedProperties
+ * @returns {{tree: Object|null, normalized: string|null, error: {message: string, position: number}|null,
+ *   inputs: Array<{variable: string, streamKey: string|null, propKey: string|null, status: string}>}}
+ *   inputs has a row per declared variable and per variable the formula uses without declaring it
+ */
+export function checkCalculation(calculation, produced) {
+  let tree = null;
+  let error = null;
+  try {
+    tree = parseFormula(calculation.expression);
+  } catch (parseError) {
+    error = { message: parseError.message, position: parseError.position ?? 0 };
+  }
+
+  const used = tree ? formulaVariables(tree) : [];
+  const declared = new Set(calculation.inputs.map(input => input.variable));
+  const inputStatus = (input) => {
+    if (tree && !used.includes(input.variable)) {
+      return InputStatus.Unused;
+    }
+    if (!input.streamKey || !produced.has(input.streamKey)) {
+      return InputStatus.MissingStream;
+    }
+    const properties = produced.get(input.streamKey);
+    return properties && !properties.has(input.propKey) ? InputStatus.MissingProperty : InputStatus.Ok;
+  };
+
+  return {
+    tree,
+    normalized: tree ? formatFormula(tree) : null,
+    error,
+    inputs: [
+      ...calculation.inputs.map(input => ({ ...input, status: inputStatus(input) })),
+      ...used.filter(variable => !declared.has(variable))
+        .map(variable => ({ variable, streamKey: null, propKey: null, status: InputStatus.Undeclared }))
+    ]
+  };
+}
+
+/**
+ * Circular dependencies between calculated properties
+ * A cycle is a set of calculations that (directly or through each other) use their own result as an input.
+ * @param {Array<Object>} calculations - See listCalculations
+ * @returns {Array<Array<string>>} Node IDs (see calculationNode) of each cycle, sorted
+ */
+export function findCycles(calculations) {
+  const edges = new Map(calculations.map(calc => [
+    calculationNode(calc.streamKey, calc.propKey),
+    calc.inputs.filter(input => input.streamKey).map(input => calculationNode(input.streamKey, input.propKey))
+  ]));
+
+  // Tarjan's strongly connected components; only calculations have outgoing edges
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const visit = (node) => {
+    index.set(node, counter);
+    lowLink.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of edges.get(node) || []) {
+      if (!index.has(next)) {
+        visit(next);
+        lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+      }
+    }
+
+    if (lowLink.get(node) === index.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+
+      if (component.length > 1 || (edges.get(node) || []).includes(node)) {
+        cycles.push(component.sort());
+      }
+    }
+  };
+
+  for (const node of edges.keys()) {
+    if (!index.has(node)) {
+      visit(node);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Recompute a calculation from its inputs' values
+ * Each result uses the latest value of every input at or before its timestamp; inputs older than maxAge count
+ * as missing.
+ * @param {Object} tree - Parsed formula (see parseFormula)
+ * @param {Object} inputValues - { variable: { timestamp: value } }
+ * @param {Array<number>} timestamps - Times to compute a value for
+ * @param {number} maxAge - Oldest input value to use (ms before the timestamp)
+ * @returns {{values: Object, missing: number}} { timestamp: value } and the number of timestamps without a value
+ *   (an input missing, or a result that isn't a finite number)
+ */
+export function recomputeValues(tree, inputValues, timestamps, maxAge) {
+  const points = Object.entries(inputValues).map(([variable, values]) => [variable, numericPoints(values)]);
+  const values = {};
+  let missing = 0;
+
+  for (const timestamp of timestamps) {
+    const scope = {};
+    for (const [variable, inputPoints] of points) {
+      const found = valueAt(inputPoints, timestamp);
+      if (found && timestamp - found.timestamp <= maxAge) {
+        scope[variable] = found.value;
+      }
+    }
+    const value = evaluateFormula(tree, scope);
+    if (value === null) {
+      missing++;
+    } else {
+      values[timestamp] = value;
+    }
+  }
+  return { values, missing };
+}
+
+/**
+ * Whether a recomputed value matches the stored one
+ * @param {number} stored - Stored value
+ * @param {number} recomputed - Recomputed value
+ * @param {{absolute: number, relative: number}} tolerance - Allowed difference, absolute or relative to the stored value
+ * @returns {boolean}
+ */
+export function withinTolerance(stored, recomputed, tolerance) {
+  const difference = Math.abs(stored - recomputed);
+  return difference <= tolerance.absolute || difference <= tolerance.relative * Math.abs(stored);
+}
+
+/**
+ * Compare stored calculated values with recomputed ones
+ * @param {Object} stored - { timestamp: value } as stored by Tandem
+ * @param {Object} recomputed - { timestamp: value } from recomputeValues
+ * @param {{absolute: number, relative: number}} [tolerance] - See withinTolerance
+ * @returns {{compared: number, matched: number, mismatches: Array<{timestamp: number, stored: number,
+ *   recomputed: number, difference: number}>, maxDifference: number|null, meanDifference: number|null}}
+ *   Compares the timestamps that have both values; mismatches are oldest first
+ */
+export function compareValues(stored, recomputed, tolerance = DEFAULT_TOLERANCE) {
+  const mismatches = [];
+  let compared = 0;
+  let total = 0;
+  let maxDifference = null;
+
+  for (const [timestamp, value] of numericPoints(stored)) {
+    const other = recomputed[timestamp];
+    if (typeof other !== 'number') {
+      continue;
+    }
+    const difference = Math.abs(value - other);
+    compared++;
+    total += difference;
+    maxDifference = Math.max(maxDifference ?? 0, difference);
+    if (!withinTolerance(value, other, tolerance)) {
+      mismatches.push({ timestamp, stored: value, recomputed: other, difference });
+    }
+  }
+  return {
+    compared,
+    matched: compared - mismatches.length,
+    mismatches,
+    maxDifference,
+    meanDifference: compared > 0 ? total / compared : null
+  };
+}
+
+/**
+ * Overall status of a calculation
+ * @param {Object} check - Result of checkCalculation
+ * @param {boolean} inCycle - Whether the calculation is part of a cycle
+ * @param {Object|null} comparison - Result of compareValues (null when nothing could be compared)
+ * @returns {string} A CalculationStatus value
+ */
+export function calculationStatus(check, inCycle, comparison) {
+  if (check.error) {
+    return CalculationStatus.ParseError;
+  }
+  if (inCycle) {
+    return CalculationStatus.Cycle;
+  }
+  if (check.inputs.some(input => input.status !== InputStatus.Ok && input.status !== InputStatus.Unused)) {
+    return CalculationStatus.MissingInput;
+  }
+  if (!comparison || comparison.compared === 0) {
+    return CalculationStatus.NoData;
+  }
+  return comparison.mismatches.length > 0 ? CalculationStatus.Mismatch : CalculationStatus.Ok;
+}
@@ -0,0 +1,144 @@
+/**
+ * Stream storage capacity: how many data points streams produce and keep
+ * A stream stores one value per parameter (source mapping or calculated property) every `frequency` ms and
+ * keeps them for `retentionPeriod` days; the server defaults apply when either is not configured. A calculated
+ * property with its own `frequency` in calculationSettings is stored at that frequency instead.
+ */
+
+import { DEFAULT_STREAM_FREQUENCY } from './timeseries.js';
+
+/**
+ * Server default retention when a stream has none configured, in days
+ */
+export const DEFAULT_RETENTION_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 30;
+
+/**
+ * Frequencies offered when planning changes (ms)
+ */
+export const FREQUENCY_OPTIONS = [10000, 30000, 60000, 300000, 600000, 900000, 1800000, 3600000];
+
+/**
+ * Retention periods offered when planning changes (days)
+ */
+export const RETENTION_OPTIONS = [7, 30, 90, 180, 365, 730, 1825];
+
+/**
+ * Number of stored parameters of a stream
+ * @param {Object} [settings] - streamSettings from the stream config
+ * @returns {number} Source mappings plus calculated properties
+ */
+export function streamParameterCount(settings) {
+  return Object.keys(settings?.sourceMapping || {}).length +
+    Object.keys(settings?.calculationSettings || {}).length;
+}
+
+/**
+ * Estimate the data points a stream produces and keeps
+ * @param {Object} [settings] - streamSettings (frequency in ms, retentionPeriod in days)
+ * @returns {{frequency: number, retentionDays: number, parameters: number, pointsPerDay: number,
+ *   pointsPerMonth: number, retainedPoints: number}} Estimate (frequency and retention with defaults applied)
+ */
+export function estimateCapacity(settings) {
+  const frequency = settings?.frequency || DEFAULT_STREAM_FREQUENCY;
+  const retentionDays = settings?.retentionPeriod || DEFAULT_RETENTION_DAYS;
+  const parameters = streamParameterCount(settings);
+  const calculations = Object.values(settings?.calculationSettings || {});
+  const pointsPerDay = (parameters - calculations.length) * DAY / frequency +
+    calculations.reduce((sum, calc) => sum + DAY / (calc?.frequency || frequency), 0);
+
+  return {
+    frequency,
+    retentionDays,
+    parameters,
+    pointsPerDay,
+    pointsPerMonth: pointsPerDay * MONTH_DAYS,
+    retainedPoints: pointsPerDay * retentionDays
+  };
+}
+
+/**
+ * Format a point count for display
+ * @param {number} points - Data points
+ * @returns {string} e.g. '~1.2M', '~3.4K' or '~12'
+ */
+export function formatPointCount(points) {
+  if (points >= 1000000000) {
+    return `~${(points / 1000000000).toFixed(1)}B`;
+  }
+  if (points >= 1000000) {
+    return `~${(points / 1000000).toFixed(1)}M`;
+  }
+  if (points >= 1000) {
+    return `~${(points / 1000).toFixed(1)}K`;
+  }
+  return `~${Math.floor(points)}`;
+}
+
+/**
+ * Settings with a planned change applied
+ * @param {Object} [settings] - streamSettings
+ * @param {{frequency?: number, retentionPeriod?: number}} [change] - New frequency (ms) and/or retention (days)
+ * @returns {Object} Settings to estimate with
+ */
+export function applyCapacityChange(settings, change) {
+  return {
+    ...settings,
+    ...(change?.frequency ? { frequency: change.frequency } : {}),
+    ...(change?.retentionPeriod ? { retentionPeriod: change.retentionPeriod } : {})
+  };
+}
+
+/**
+ * Sum of several estimates
+ * @param {Array<Object>} estimates - Results of estimateCapacity
+ * @returns {{parameters: number, pointsPerDay: number, pointsPerMonth: number, retainedPoints: number}}
+ */
+function sumEstimates(estimates) {
+  return estimates.reduce((sum, estimate) => ({
+    parameters: sum.parameters + estimate.parameters,
+    pointsPerDay: sum.pointsPerDay + estimate.pointsPerDay,
+    pointsPerMonth: sum.pointsPerMonth + estimate.pointsPerMonth,
+    retainedPoints: sum.retainedPoints + estimate.retainedPoints
+  }), { parameters: 0, pointsPerDay: 0, pointsPerMonth: 0, retainedPoints: 0 });
+}
+
+/**
+ * Current and planned capacity of every stream
+ * A change that sets a stream's current value again isn't counted as a change.
+ * @param {Array<{key: string, name: string, settings: Object}>} streams - Streams with their streamSettings
+ * @param {Object} [changes] - { streamKey: { frequency?, retentionPeriod? } }
+ * @returns {{streams: Array<{key: string, name: string, configured: boolean, current: Object, planned: Object,
+ *   changed: boolean, share: number}>, totals: {current: Object, planned: Object}}} Streams keeping the most
+ *   points (after the changes) first; share is the stream's part of the planned retained points (0-1)
+ */
+export function planCapacity(streams, changes = {}) {
+  const items = streams.map(stream => {
+    const current = estimateCapacity(stream.settings);
+    const planned = estimateCapacity(applyCapacityChange(stream.settings, changes[stream.key]));
+    return {
+      key: stream.key,
+      name: stream.name,
+      configured: Boolean(stream.settings),
+      current,
+      planned,
+      changed: planned.frequency !== current.frequency || planned.retentionDays !== current.retentionDays
+    };
+  });
+  const totals = {
+    current: sumEstimates(items.map(item => item.current)),
+    planned: sumEstimates(items.map(item => item.planned))
+  };
+
+  return {
+    streams: items
+      .map(item => ({
+        ...item,
+        share: totals.planned.retainedPoints > 0 ? item.planned.retainedPoints / totals.planned.retainedPoints : 0
+      }))
+      .sort((a, b) => b.planned.retainedPoints - a.planned.retainedPoints || a.name.localeCompare(b.name)),
+    totals
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Stream value export formats: wide CSV, long (tidy) CSV, JSON Lines and the table behind the XLSX export
+ * Every format has one column or record field per stream property, labelled with the property's display name and
+ * unit; timestamps are written as ISO 8601 (UTC).
+ */
+
+/**
+ * Formats offered by the export dialog
+ */
+export const EXPORT_FORMATS = [
+  { id: 'wide', label: 'Wide CSV (one column per stream property)', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'long', label: 'Long CSV (one row per value)', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'jsonl', label: 'JSON Lines (one record per value)', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  { id: 'xlsx', label: 'Excel (XLSX)', extension: 'xlsx', mimeType: null }
+];
+
+/**
+ * Header of the long CSV
+ */
+export const LONG_HEADER = ['Timestamp', 'Stream', 'Stream Key', 'Property', 'Property ID', 'Unit', 'Value'];
+
+/**
+ * Columns of the export: one per stream property that has values
+ * @param {Array<{key: string, name: string, values: Object}>} series - Stream values ({ propertyId: { timestamp: value } })
+ * @param {Object} properties - { propertyId: { name, unit } } (name falls back to the ID, unit to none)
+ * @returns {Array<{streamKey: string, streamName: string, propKey: string, property: string, unit: string|null}>}
+ *   In stream order, then by property name
+ */
+export function exportColumns(series, properties) {
+  return series.flatMap(stream => Object.keys(stream.values || {})
+    .filter(propKey => Object.keys(stream.values[propKey]).length > 0)
+    .map(propKey => ({
+      streamKey: stream.key,
+      streamName: stream.name,
+      propKey,
+      property: properties[propKey]?.name || propKey,
+      unit: properties[propKey]?.unit || null
+    }))
+    .sort((a, b) => a.property.localeCompare(b.property)));
+}
+
+/**
+ * Header label of a wide column
+ * @param {Object} column - See exportColumns
+ * @returns {string} e.g. 'AHU-1 Supply Air - Sensor.Temperature (celsius)'
+ */
+export function columnLabel(column) {
+  return `${column.streamName} - ${column.property}${column.unit ? ` (${column.unit})` : ''}`;
+}
+
+/**
+ * One record per value, oldest first
+ * @param {Array<Object>} series - Stream values
+ * @param {Object} properties - { propertyId: { name, unit } }
+ * @returns {Array<{timestamp: number, streamKey: string, streamName: string, propKey: string, property: string,
+ *   unit: string|null, value: *}>}
+ */
+export function longRecords(series, properties) {
+  const columns = exportColumns(series, properties);
+  const valuesOf = new Map(series.map(stream => [stream.key, stream.values]));
+
+  return columns
+    .flatMap(column => Object.entries(valuesOf.get(column.streamKey)[column.propKey])
+      .map(([timestamp, value]) => ({ timestamp: Number(timestamp), ...column, value })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * One row per timestamp with a cell per stream property (empty where a stream has no value at that time)
+ * @param {Array<Object>} series - Stream values
+ * @param {Object} properties - { propertyId: { name, unit } }
+ * @returns {{columns: Array<Object>, rows: Array<Array>}} rows are [timestamp, ...values], oldest first
+ */
+export function wideTable(series, properties) {
+  const columns = exportColumns(series, properties);
+  const valuesOf = new Map(series.map(stream => [stream.key, stream.values]));
+  const timestamps = [...new Set(columns.flatMap(column =>
+    Object.keys(valuesOf.get(column.streamKey)[column.propKey]).map(Number)))].sort((a, b) => a - b);
+
+  return {
+    columns,
+    rows: timestamps.map(timestamp => [
+      timestamp,
+      ...columns.map(column => valuesOf.get(column.streamKey)[column.propKey][timestamp] ?? null)
+    ])
+  };
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string}
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows into CSV text
+ * @param {Array<Array>} rows - Rows of fields (the first is usually the header)
+ * @returns {string} CSV with CRLF line endings
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a timestamp for the export
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} ISO 8601 (UTC)
+ */
+export function formatTimestamp(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Render the values in a text format
+ * @param {string} formatId - 'wide', 'long' or 'jsonl' (XLSX is built from wideTable by the caller)
+ * @param {Array<Object>} series - Stream values
+ * @param {Object} properties - { propertyId: { name, unit } }
+ * @returns {string} File content
+ * @throws {Error} When the format is unknown or not a text format
+ */
+export function formatStreamValues(formatId, series, properties) {
+  switch (formatId) {
+    case 'wide': {
+      const { columns, rows } = wideTable(series, properties);
+      return toCsv([
+        ['Timestamp', ...columns.map(columnLabel)],
+        ...rows.map(([timestamp, ...values]) => [formatTimestamp(timestamp), ...values])
+      ]);
+    }
+    case 'long':
+      return toCsv([
+        LONG_HEADER,
+        ...longRecords(series, properties).map(record => [
+          formatTimestamp(record.timestamp), record.streamName, record.streamKey, record.property, record.propKey,
+          record.unit, record.value
+        ])
+      ]);
+    case 'jsonl':
+      return longRecords(series, properties)
+        .map(record => JSON.stringify({
+          timestamp: formatTimestamp(record.timestamp),
+          streamKey: record.streamKey,
+          stream: record.streamName,
+          propertyId: record.propKey,
+          property: record.property,
+          unit: record.unit,
+          value: record.value
+        }) + '\n')
+        .join('');
+    default:
+      throw new Error(`Unknown text export format: ${formatId}`);
+  }
+}
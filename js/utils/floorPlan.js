@@ -0,0 +1,164 @@
+/**
+ * Floor plan heatmap: room footprints from bounding boxes, colored by stream values
+ * Bounding boxes are the LMV QC.BoundingBox column: base64url float32 records (min x/y/z, max x/y/z) relative to
+ * the model's fragmentTransformsOffset. Stream values are replayed as the latest value at or before a time.
+ */
+
+import { valueAt } from './timeseries.js';
+
+/**
+ * Size of one bounding box record in bytes (6 float32 and a 4-byte tail)
+ */
+const BBOX_RECORD_SIZE = 28;
+
+/**
+ * Color stops of the heatmap scale, from the lowest to the highest value (blue - cyan - green - yellow - red)
+ */
+export const HEATMAP_COLORS = ['#3B82F6', '#06B6D4', '#22C55E', '#EAB308', '#EF4444'];
+
+/**
+ * Decode a bounding box
+ * Elements with several records (e.g. split geometry) get the box around all of them.
+ * @param {string} text - Base64url value of QC.BoundingBox
+ * @param {{x: number, y: number, z: number}} [offset] - Model fragmentTransformsOffset
+ * @returns {{minx: number, miny: number, minz: number, maxx: number, maxy: number, maxz: number}|null} World
+ *   coordinates, or null when there is no (complete or valid) record
+ */
+export function decodeBoundingBox(text, offset) {
+  if (!text) {
+    return null;
+  }
+  let b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  while (b64.length % 4) b64 += '=';
+  let binary;
+  try {
+    binary = atob(b64);
+  } catch {
+    return null;
+  }
+  if (binary.length < 24) {
+    return null;
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  const view = new DataView(bytes.buffer);
+  const ox = offset?.x || 0, oy = offset?.y || 0, oz = offset?.z || 0;
+
+  const box = { minx: Infinity, miny: Infinity, minz: Infinity, maxx: -Infinity, maxy: -Infinity, maxz: -Infinity };
+  for (let i = 0; i + 24 <= bytes.length; i += BBOX_RECORD_SIZE) {
+    box.minx = Math.min(box.minx, view.getFloat32(i, true) + ox);
+    box.miny = Math.min(box.miny, view.getFloat32(i + 4, true) + oy);
+    box.minz = Math.min(box.minz, view.getFloat32(i + 8, true) + oz);
+    box.maxx = Math.max(box.maxx, view.getFloat32(i + 12, true) + ox);
+    box.maxy = Math.max(box.maxy, view.getFloat32(i + 16, true) + oy);
+    box.maxz = Math.max(box.maxz, view.getFloat32(i + 20, true) + oz);
+  }
+  return box;
+}
+
+/**
+ * Plan extent of several boxes
+ * @param {Array<Object>} boxes - Bounding boxes (see decodeBoundingBox)
+ * @returns {{minx: number, miny: number, maxx: number, maxy: number}|null} Extent in x/y, or null without boxes
+ */
+export function planBounds(boxes) {
+  if (boxes.length === 0) {
+    return null;
+  }
+  return {
+    minx: Math.min(...boxes.map(box => box.minx)),
+    miny: Math.min(...boxes.map(box => box.miny)),
+    maxx: Math.max(...boxes.map(box => box.maxx)),
+    maxy: Math.max(...boxes.map(box => box.maxy))
+  };
+}
+
+/**
+ * Value of a room at a time: the mean of the latest values of its streams
+ * @param {Array<Array<[number, number]>>} pointLists - Points of each stream in the room
+ * @param {number} time - Timestamp (ms)
+ * @returns {{value: number, timestamp: number, count: number}|null} Mean, the most recent timestamp used and the
+ *   number of streams that had a value; null when none had
+ */
+export function roomValueAt(pointLists, time) {
+  const found = pointLists.map(points => valueAt(points, time)).filter(Boolean);
+  if (found.length === 0) {
+    return null;
+  }
+  return {
+    value: found.reduce((sum, item) => sum + item.value, 0) / found.length,
+    timestamp: Math.max(...found.map(item => item.timestamp)),
+    count: found.length
+  };
+}
+
+/**
+ * Range of the values of several streams (fixes the color scale while replaying)
+ * @param {Array<Array<[number, number]>>} pointLists - Points of each stream
+ * @returns {{min: number, max: number}|null} null without values
+ */
+export function valueRange(pointLists) {
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (const points of pointLists) {
+    for (const [, value] of points) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+  }
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Parse a #rrggbb color
+ * @param {string} hex
+ * @returns {Array<number>} [r, g, b]
+ */
+function parseHex(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Color of a value on the heatmap scale
+ * Values outside the range get the end colors; a range without spread gives the middle color.
+ * @param {number} value - Value
+ * @param {{min: number, max: number}} range - Scale range (see valueRange)
+ * @returns {string} #rrggbb color
+ */
+export function valueColor(value, range) {
+  const span = range.max - range.min;
+  const t = span > 0 ? Math.min(1, Math.max(0, (value - range.min) / span)) : 0.5;
+  const position = t * (HEATMAP_COLORS.length - 1);
+  const lower = Math.min(Math.floor(position), HEATMAP_COLORS.length - 2);
+  const from = parseHex(HEATMAP_COLORS[lower]);
+  const to = parseHex(HEATMAP_COLORS[lower + 1]);
+  const mix = position - lower;
+
+  return '#' + from.map((c, i) => Math.round(c + (to[i] - c) * mix).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Evenly spaced values of the scale for a legend
+ * @param {{min: number, max: number}} range - Scale range
+ * @param {number} [count=5] - Number of stops
+ * @returns {Array<{value: number, color: string}>} Lowest first
+ */
+export function legendStops(range, count = 5) {
+  return Array.from({ length: count }, (_, i) => {
+    const value = range.min + (range.max - range.min) * i / (count - 1);
+    return { value, color: valueColor(value, range) };
+  });
+}
+
+/**
+ * Times the slider steps through when replaying a range
+ * @param {number} start - Range start (ms)
+ * @param {number} end - Range end (ms)
+ * @param {number} count - Number of steps (at least 2)
+ * @returns {Array<number>} Timestamps from start to end
+ */
+export function replayTimes(start, end, count) {
+  const steps = Math.max(2, Math.floor(count));
+  return Array.from({ length: steps }, (_, i) => Math.round(start + (end - start) * i / (steps - 1)));
+}
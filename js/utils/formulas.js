@@ -0,0 +1,258 @@
+/**
+ * Calculated stream formulas: parse, format and evaluate `calculationSettings` expressions
+ * Supported syntax: numbers, variables, + - * / % ^ (power, right-associative), unary minus, parentheses and the
+ * functions in FORMULA_FUNCTIONS. Anything else is reported as a FormulaError with its position, so a formula the
+ * preview can't handle is flagged instead of being recomputed wrongly.
+ */
+
+/**
+ * Functions a formula may call: name -> { arity (null = one or more), fn }
+ */
+export const FORMULA_FUNCTIONS = {
+  abs: { arity: 1, fn: Math.abs },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  exp: { arity: 1, fn: Math.exp },
+  log: { arity: 1, fn: Math.log },
+  log10: { arity: 1, fn: Math.log10 },
+  round: { arity: 1, fn: Math.round },
+  floor: { arity: 1, fn: Math.floor },
+  ceil: { arity: 1, fn: Math.ceil },
+  pow: { arity: 2, fn: Math.pow },
+  min: { arity: null, fn: Math.min },
+  max: { arity: null, fn: Math.max },
+  avg: { arity: null, fn: (...values) => values.reduce((sum, value) => sum + value, 0) / values.length }
+};
+
+// Binding power of the binary operators
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, '%': 2, '^': 4 };
+const UNARY_PRECEDENCE = 3;
+
+/**
+ * Error in a formula, with the position (0-based character offset) it was found at
+ */
+export class FormulaError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} position - Character offset in the expression
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a formula into tokens
+ * @param {string} expression - Formula text
+ * @returns {Array<{type: string, value: string|number, position: number}>} Tokens: 'number', 'name', 'operator',
+ *   '(', ')' and ','
+ * @throws {FormulaError} On a character that can't start a token
+ */
+export function tokenizeFormula(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/%^])|([(),]))/y;
+  let position = 0;
+
+  while (position < expression.length) {
+    if (/^\s*$/.test(expression.slice(position))) {
+      break;
+    }
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      const offset = position + expression.slice(position).search(/\S/);
+      throw new FormulaError(`Unexpected character '${expression[offset]}'`, offset);
+    }
+    const start = pattern.lastIndex - match[0].trimStart().length;
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]), position: start });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2], position: start });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'operator', value: match[3], position: start });
+    } else {
+      tokens.push({ type: match[4], value: match[4], position: start });
+    }
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parse a formula
+ * @param {string} expression - Formula text
+ * @returns {Object} Syntax tree: { type: 'number', value } | { type: 'variable', name } |
+ *   { type: 'unary', operator, operand } | { type: 'binary', operator, left, right } | { type: 'call', name, args }
+ * @throws {FormulaError} On a syntax error, an unknown function or a wrong number of arguments
+ */
+export function parseFormula(expression) {
+  const tokens = tokenizeFormula(expression || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = (expression || '').length;
+  const expect = (type) => {
+    const token = tokens[index];
+    if (!token || token.type !== type) {
+      throw new FormulaError(`Expected '${type}'`, token ? token.position : endPosition);
+    }
+    index++;
+    return token;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) {
+      throw new FormulaError('Unexpected end of formula', endPosition);
+    }
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'operator' && token.value === '-') {
+      return { type: 'unary', operator: '-', operand: parseExpression(UNARY_PRECEDENCE) };
+    }
+    if (token.type === '(') {
+      const inner = parseExpression(0);
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      if (peek()?.type !== '(') {
+        return { type: 'variable', name: token.value };
+      }
+      const fn = FORMULA_FUNCTIONS[token.value];
+      if (!fn) {
+        throw new FormulaError(`Unknown function '${token.value}'`, token.position);
+      }
+      index++;
+      const args = [];
+      if (peek()?.type !== ')') {
+        args.push(parseExpression(0));
+        while (peek()?.type === ',') {
+          index++;
+          args.push(parseExpression(0));
+        }
+      }
+      expect(')');
+      if (fn.arity === null ? args.length === 0 : args.length !== fn.arity) {
+        throw new FormulaError(`${token.value}() takes ${fn.arity === null ? 'one or more arguments' : `${fn.arity} argument${fn.arity === 1 ? '' : 's'}`}`, token.position);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    throw new FormulaError(`Unexpected '${token.value}'`, token.position);
+  };
+
+  // Precedence climbing; ^ binds right to left, the rest left to right
+  const parseExpression = (minPrecedence) => {
+    let left = parsePrimary();
+    for (;;) {
+      const token = peek();
+      if (!token || token.type !== 'operator' || PRECEDENCE[token.value] <= minPrecedence) {
+        return left;
+      }
+      index++;
+      const precedence = PRECEDENCE[token.value];
+      const right = parseExpression(token.value === '^' ? precedence - 1 : precedence);
+      left = { type: 'binary', operator: token.value, left, right };
+    }
+  };
+
+  if (tokens.length === 0) {
+    throw new FormulaError('Empty formula', 0);
+  }
+  const tree = parseExpression(0);
+  if (index < tokens.length) {
+    throw new FormulaError(`Unexpected '${tokens[index].value}'`, tokens[index].position);
+  }
+  return tree;
+}
+
+/**
+ * Variables a formula uses
+ * @param {Object} tree - Result of parseFormula
+ * @returns {Array<string>} Variable names in order of first use
+ */
+export function formulaVariables(tree) {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.type === 'variable') {
+      names.add(node.name);
+    } else if (node.type === 'unary') {
+      visit(node.operand);
+    } else if (node.type === 'binary') {
+      visit(node.left);
+      visit(node.right);
+    } else if (node.type === 'call') {
+      node.args.forEach(visit);
+    }
+  };
+  visit(tree);
+  return [...names];
+}
+
+/**
+ * Write a formula back as text, with only the parentheses it needs
+ * @param {Object} tree - Result of parseFormula
+ * @returns {string} e.g. '(ret - sup) * 1.2'
+ */
+export function formatFormula(tree) {
+  const format = (node, parentPrecedence, rightSide) => {
+    switch (node.type) {
+      case 'number':
+        return String(node.value);
+      case 'variable':
+        return node.name;
+      case 'call':
+        return `${node.name}(${node.args.map(arg => format(arg, 0, false)).join(', ')})`;
+      case 'unary': {
+        const text = `-${format(node.operand, UNARY_PRECEDENCE, false)}`;
+        return parentPrecedence > UNARY_PRECEDENCE ? `(${text})` : text;
+      }
+      default: {
+        const precedence = PRECEDENCE[node.operator];
+        const text = `${format(node.left, precedence, node.operator === '^')} ${node.operator} ${format(node.right, precedence, node.operator !== '^')}`;
+        // Equal precedence needs parentheses on the side the operator doesn't associate to
+        return precedence < parentPrecedence || (precedence === parentPrecedence && rightSide) ? `(${text})` : text;
+      }
+    }
+  };
+  return format(tree, 0, false);
+}
+
+/**
+ * Evaluate a formula
+ * @param {Object} tree - Result of parseFormula
+ * @param {Object} scope - { variableName: number }
+ * @returns {number|null} Result, or null when a variable has no value or the result isn't finite (e.g. / 0)
+ */
+export function evaluateFormula(tree, scope) {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'variable': {
+        const value = scope[node.name];
+        return typeof value === 'number' ? value : NaN;
+      }
+      case 'unary':
+        return -evaluate(node.operand);
+      case 'call':
+        return FORMULA_FUNCTIONS[node.name].fn(...node.args.map(evaluate));
+      default: {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return left / right;
+          case '%': return left % right;
+          default: return left ** right;
+        }
+      }
+    }
+  };
+  const result = evaluate(tree);
+  return Number.isFinite(result) ? result : null;
+}
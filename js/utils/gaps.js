@@ -0,0 +1,89 @@
+/**
+ * Data gaps and irregular sampling in stream values
+ * Compares consecutive timestamps with the stream's sampling frequency: an interval longer than
+ * GAP_TOLERANCE × the frequency is a gap, one shorter than the frequency / GAP_TOLERANCE is irregular.
+ */
+
+import { DEFAULT_STREAM_FREQUENCY } from './timeseries.js';
+
+/**
+ * How far an interval may stray from the sampling frequency before it counts as a gap (or as irregular)
+ */
+export const GAP_TOLERANCE = 1.5;
+
+/**
+ * Timestamps a stream reported at (any property), in ascending order
+ * @param {Object} values - { propertyId: { timestamp: value } }
+ * @returns {Array<number>} Unique timestamps (ms)
+ */
+export function sampleTimestamps(values) {
+  const timestamps = new Set();
+
+  Object.values(values || {}).forEach(propValues => {
+    Object.keys(propValues).forEach(ts => timestamps.add(Number(ts)));
+  });
+  return [...timestamps].sort((a, b) => a - b);
+}
+
+/**
+ * Find the gaps in a series of timestamps
+ * The start and end of the window count as samples, so a stream that reports late in the window or
+ * stopped before its end has a gap at that edge.
+ * @param {Array<number>} timestamps - Sample timestamps in ascending order (ms)
+ * @param {number} frequency - Sampling frequency (ms)
+ * @param {number} start - Window start (ms)
+ * @param {number} end - Window end (ms)
+ * @returns {Array<{start: number, end: number, duration: number, missing: number, edge: string|null}>}
+ *   Gaps, oldest first; missing is the number of samples expected in the gap, edge is 'start' or 'end'
+ *   for gaps at the edge of the window ('both' when there are no samples at all)
+ */
+export function findGaps(timestamps, frequency, start, end) {
+  const inWindow = timestamps.filter(ts => ts >= start && ts <= end);
+  const points = [start, ...inWindow, end];
+  const gaps = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const duration = points[i] - points[i - 1];
+    if (duration > frequency * GAP_TOLERANCE) {
+      gaps.push({
+        start: points[i - 1],
+        end: points[i],
+        duration,
+        missing: Math.max(1, Math.round(duration / frequency) - 1),
+        edge: points.length === 2 ? 'both' : i === 1 ? 'start' : i === points.length - 1 ? 'end' : null
+      });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Analyze how regularly a stream reported in a time window
+ * Uptime is the share of the window not lost to gaps; each gap loses its length minus one sampling interval.
+ * @param {Object} values - { propertyId: { timestamp: value } }
+ * @param {number} [frequency] - Sampling frequency (ms); the server default when not configured
+ * @param {number} start - Window start (ms)
+ * @param {number} end - Window end (ms)
+ * @returns {{frequency: number, expected: number, received: number, uptime: number, gaps: Array<Object>,
+ *   longestGap: number, medianInterval: number|null, irregular: number}} Analysis; uptime is 0-1
+ */
+export function analyzeSampling(values, frequency, start, end) {
+  const sampling = frequency || DEFAULT_STREAM_FREQUENCY;
+  const timestamps = sampleTimestamps(values).filter(ts => ts >= start && ts <= end);
+  const gaps = findGaps(timestamps, sampling, start, end);
+  const window = end - start;
+  const downtime = gaps.reduce((sum, gap) => sum + Math.max(0, gap.duration - sampling), 0);
+
+  const intervals = timestamps.slice(1).map((ts, i) => ts - timestamps[i]).sort((a, b) => a - b);
+
+  return {
+    frequency: sampling,
+    expected: Math.floor(window / sampling),
+    received: timestamps.length,
+    uptime: timestamps.length > 0 && window > 0 ? Math.max(0, Math.min(1, 1 - downtime / window)) : 0,
+    gaps,
+    longestGap: Math.max(0, ...gaps.map(gap => gap.duration)),
+    medianInterval: intervals.length > 0 ? intervals[Math.floor(intervals.length / 2)] : null,
+    irregular: intervals.filter(interval => interval < sampling / GAP_TOLERANCE).length
+  };
+}
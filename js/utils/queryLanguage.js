@@ -0,0 +1,357 @@
+/**
+ * Text query language for the property search, e.g.
+ *
+ *   Dimensions.Area > 200 AND Identity Data.Mark ~ "AHU*" AND category = Rooms
+ *
+ * Conditions are `<property> <operator> <value>` or `<property> exists`; AND binds tighter than OR and
+ * parentheses group. Operators: = (equals), != > >= < <= (numbers), ~ (regex / wildcard) and contains.
+ * Properties are 'Category.Name', a qualified column ('z:LQ') or a bare name ('Mark', 'category'); values and
+ * properties with special characters can be quoted ("..."; \" and \\ escape). Errors are QueryErrors with the
+ * character position, so they can be shown inline. Parsed queries become the group/condition trees of
+ * searchQuery.js, so text queries and the query builder run the same way.
+ */
+
+import { createCondition, createGroup } from './searchQuery.js';
+
+/**
+ * Bare property names that stand for a schema property
+ */
+export const PROPERTY_ALIASES = {
+  category: 'Standard.Tandem Category'
+};
+
+const KEYWORDS = ['AND', 'OR', 'EXISTS', 'CONTAINS'];
+
+// Characters that end a word; names and values containing them must be quoted
+const SPECIAL_CHARACTERS = /["()=!<>~]/;
+
+/**
+ * Error in a text query, with the position (0-based character offset) it was found at
+ */
+export class QueryError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} position - Character offset in the query
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a text query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<{type: string, value: string, position: number, end: number}>} Tokens: 'word', 'string',
+ *   'keyword' (AND, OR, EXISTS, CONTAINS, upper-cased), 'operator', '(' and ')'
+ * @throws {QueryError} On an unterminated string or a character that can't start a token
+ */
+export function tokenizeQuery(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    const start = position;
+
+    if (char === '"') {
+      let value = '';
+      position++;
+      while (position < text.length && text[position] !== '"') {
+        if (text[position] === '\\' && position + 1 < text.length) {
+          position++;
+        }
+        value += text[position++];
+      }
+      if (position >= text.length) {
+        throw new QueryError('Unterminated string', start);
+      }
+      position++;
+      tokens.push({ type: 'string', value, position: start, end: position });
+    } else if (char === '(' || char === ')') {
+      position++;
+      tokens.push({ type: char, value: char, position: start, end: position });
+    } else if (/[=<>!~]/.test(char)) {
+      const operator = ['>=', '<=', '!='].find(op => text.startsWith(op, position)) || char;
+      if (operator === '!') {
+        throw new QueryError("Unexpected character '!'", start);
+      }
+      position += operator.length;
+      tokens.push({ type: 'operator', value: operator, position: start, end: position });
+    } else {
+      while (position < text.length && !/\s/.test(text[position]) && !SPECIAL_CHARACTERS.test(text[position])) {
+        position++;
+      }
+      const word = text.slice(start, position);
+      const keyword = word.toUpperCase();
+      tokens.push(KEYWORDS.includes(keyword)
+        ? { type: 'keyword', value: keyword, position: start, end: position }
+        : { type: 'word', value: word, position: start, end: position });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a text query
+ * @param {string} text - Query text
+ * @returns {Object} Syntax tree: { type: 'group', op: 'and'|'or', children } | { type: 'condition', property,
+ *   operator ('=', '!=', '>', '>=', '<', '<=', '~', 'contains' or 'exists'), value (null for exists), position,
+ *   valuePosition }
+ * @throws {QueryError} On a syntax error
+ */
+export function parseQueryText(text) {
+  const source = text || '';
+  const tokens = tokenizeQuery(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isKeyword = (token, keyword) => token?.type === 'keyword' && token.value === keyword;
+  const positionOf = (token) => (token ? token.position : source.length);
+  const describe = (token) => (token ? `'${source.slice(token.position, token.end)}'` : 'end of query');
+
+  // Words (and keywords other than AND/OR) up to the next token of another kind, as written
+  const readWords = (allowKeywords) => {
+    const first = peek();
+    let last = null;
+    while (peek()?.type === 'word' || (allowKeywords && peek()?.type === 'keyword' && !isKeyword(peek(), 'AND') && !isKeyword(peek(), 'OR'))) {
+      last = tokens[index++];
+    }
+    return last ? source.slice(first.position, last.end) : null;
+  };
+
+  const parseCondition = () => {
+    const start = peek();
+    if (!start) {
+      throw new QueryError(tokens.length === 0 ? 'Enter a query' : 'Expected a condition after the last AND/OR', source.length);
+    }
+    let property;
+    if (start.type === 'string') {
+      property = start.value;
+      index++;
+    } else {
+      property = readWords(false);
+      if (property === null) {
+        throw new QueryError(`Expected a property name, found ${describe(start)}`, start.position);
+      }
+    }
+
+    const operator = peek();
+    if (isKeyword(operator, 'EXISTS')) {
+      index++;
+      return { type: 'condition', property, operator: 'exists', value: null, position: start.position, valuePosition: null };
+    }
+    if (operator?.type !== 'operator' && !isKeyword(operator, 'CONTAINS')) {
+      throw new QueryError(`Expected an operator after '${property}', found ${describe(operator)}`, positionOf(operator));
+    }
+    index++;
+
+    const valueToken = peek();
+    let value;
+    if (valueToken?.type === 'string') {
+      value = valueToken.value;
+      index++;
+    } else {
+      value = readWords(true);
+      if (value === null) {
+        throw new QueryError(`Expected a value after '${source.slice(operator.position, operator.end)}', found ${describe(valueToken)}`,
+          positionOf(valueToken));
+      }
+    }
+    return {
+      type: 'condition',
+      property,
+      operator: operator.type === 'keyword' ? 'contains' : operator.value,
+      value,
+      position: start.position,
+      valuePosition: valueToken.position
+    };
+  };
+
+  const parseTerm = () => {
+    if (peek()?.type !== '(') {
+      return parseCondition();
+    }
+    const open = tokens[index++];
+    const inner = parseOr();
+    if (peek()?.type !== ')') {
+      throw new QueryError(`Expected ')' to close the '(' at ${open.position + 1}, found ${describe(peek())}`, positionOf(peek()));
+    }
+    index++;
+    return inner;
+  };
+
+  const parseSequence = (keyword, parseOperand, op) => {
+    const operands = [parseOperand()];
+    while (isKeyword(peek(), keyword)) {
+      index++;
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'group', op, children: operands };
+  };
+  const parseAnd = () => parseSequence('AND', parseTerm, 'and');
+  const parseOr = () => parseSequence('OR', parseAnd, 'or');
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new QueryError(token.type === 'word' || token.type === 'string'
+      ? `Expected AND or OR before ${describe(token)}` : `Unexpected ${describe(token)}`, token.position);
+  }
+  return tree.type === 'group' ? tree : { type: 'group', op: 'and', children: [tree] };
+}
+
+/**
+ * Resolve a property name as written to a known property name
+ * Full names are matched case-insensitively; names with ':' are qualified columns; bare names are looked up in
+ * PROPERTY_ALIASES, then matched against the part after the category.
+ * @param {string} name - Property name as written
+ * @param {Array<string>} knownNames - Known 'Category.Name' property names
+ * @returns {{name: string|null, matches: Array<string>}} name is null when a bare name matches several
+ *   properties (listed in matches); unknown names are returned as written
+ */
+export function resolvePropertyName(name, knownNames) {
+  const lower = name.toLowerCase();
+  const exact = knownNames.find(known => known.toLowerCase() === lower);
+  if (exact || name.includes(':')) {
+    return { name: exact || name, matches: [] };
+  }
+  if (!name.includes('.')) {
+    if (PROPERTY_ALIASES[lower]) {
+      return { name: PROPERTY_ALIASES[lower], matches: [] };
+    }
+    const matches = knownNames.filter(known => known.slice(known.indexOf('.') + 1).toLowerCase() === lower);
+    if (matches.length === 1) {
+      return { name: matches[0], matches };
+    }
+    if (matches.length > 1) {
+      return { name: null, matches };
+    }
+  }
+  return { name, matches: [] };
+}
+
+/**
+ * Turn a parsed text query into a search query (see searchQuery.js)
+ * @param {Object} tree - Result of parseQueryText
+ * @param {Array<string>} knownNames - Known 'Category.Name' property names (see resolvePropertyName)
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {Object} Root group
+ * @throws {QueryError} On an ambiguous property, an operator that doesn't fit the property or an invalid value
+ */
+export function toSearchQuery(tree, knownNames, kindOf) {
+  if (tree.type === 'group') {
+    return createGroup(tree.op, tree.children.map(child => toSearchQuery(child, knownNames, kindOf)));
+  }
+
+  const { name, matches } = resolvePropertyName(tree.property.trim(), knownNames);
+  if (name === null) {
+    throw new QueryError(`'${tree.property}' could be ${matches.join(', ')}`, tree.position);
+  }
+  if (tree.operator === 'exists') {
+    return createCondition(name, 'any');
+  }
+
+  const kind = kindOf(name);
+  const mismatch = (expected) => new QueryError(`'${tree.operator}' ${expected}; ${name} is ${kind === 'numeric' ? 'a number' : kind === 'boolean' ? 'true/false' : 'text'}`,
+    tree.position);
+
+  if (kind === 'numeric') {
+    if (tree.operator === '~' || tree.operator === 'contains') {
+      throw mismatch('matches text');
+    }
+    if (isNaN(parseFloat(tree.value))) {
+      throw new QueryError(`Expected a number for ${name}, found '${tree.value}'`, tree.valuePosition);
+    }
+    return createCondition(name, tree.operator, tree.value);
+  }
+
+  if (kind === 'boolean') {
+    if (tree.operator !== '=' && tree.operator !== '!=') {
+      throw mismatch('does not apply');
+    }
+    const value = tree.value.toLowerCase();
+    if (!['true', 'false', '1', '0', 'yes', 'no'].includes(value)) {
+      throw new QueryError(`Expected true or false for ${name}, found '${tree.value}'`, tree.valuePosition);
+    }
+    const isTrue = ['true', '1', 'yes'].includes(value);
+    return createCondition(name, isTrue === (tree.operator === '=') ? 'true' : 'false');
+  }
+
+  const stringOperators = { '=': 'exact', '~': 'regex', contains: 'partial' };
+  if (!stringOperators[tree.operator]) {
+    throw mismatch('compares numbers');
+  }
+  return createCondition(name, stringOperators[tree.operator], tree.value);
+}
+
+/**
+ * Parse a text query into a search query
+ * @param {string} text - Query text
+ * @param {Array<string>} knownNames - Known 'Category.Name' property names
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {{query: Object|null, error: {message: string, position: number}|null}}
+ */
+export function compileQueryText(text, knownNames, kindOf) {
+  try {
+    return { query: toSearchQuery(parseQueryText(text), knownNames, kindOf), error: null };
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return { query: null, error: { message: error.message, position: error.position } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Quote a property name or value when it can't be written as words
+ * @param {string} text - Name or value
+ * @returns {string}
+ */
+export function quoteQueryText(text) {
+  const needsQuotes = text === '' || SPECIAL_CHARACTERS.test(text) || /^\s|\s$/.test(text) ||
+    text.split(/\s+/).some(word => KEYWORDS.includes(word.toUpperCase()));
+  return needsQuotes ? `"${text.replace(/[\\"]/g, '\\$&')}"` : text;
+}
+
+/**
+ * Find the property name being typed at the cursor (for autocomplete)
+ * @param {string} text - Query text
+ * @param {number} cursor - Cursor offset
+ * @returns {{start: number, prefix: string}|null} Where the property name starts and what has been typed of it,
+ *   or null when the cursor isn't on a property name (operator, value, string, or a keyword being typed)
+ */
+export function propertyCompletion(text, cursor) {
+  let tokens;
+  try {
+    tokens = tokenizeQuery(text.slice(0, cursor));
+  } catch {
+    return null;
+  }
+  const last = tokens[tokens.length - 1];
+  if (last?.type === 'keyword' && last.end === cursor && (last.value === 'AND' || last.value === 'OR')) {
+    return null;
+  }
+
+  let start = null;
+  for (const token of tokens) {
+    if (token.type === '(' || (token.type === 'keyword' && (token.value === 'AND' || token.value === 'OR'))) {
+      start = null;
+    } else if (token.type === 'word' && start !== -1) {
+      start = start ?? token.position;
+    } else {
+      // Operator, value, string or EXISTS/CONTAINS: past the property name until the next AND/OR
+      start = -1;
+    }
+  }
+  if (start === -1) {
+    return null;
+  }
+  const from = start ?? cursor;
+  return { start: from, prefix: text.slice(from, cursor) };
+}
@@ -0,0 +1,420 @@
+/**
+ * Data-shaping functions for element rows returned by /scan
+ */
+
+import { ColumnFamilies, ElementFlags, QC, SystemClassNames } from '../../tandem/constants.js';
+import { decodeXref, fromShortKeyArray, toFullKey, toShortKey, toSystemId } from '../../tandem/keys.js';
+
+/**
+ * Count elements by category, classification, tandem category, and overrides
+ * @param {Array} elements - Element rows of one model
+ * @returns {{total: number, categories: Array<{id: number|null, count: number}>, tandemCategories: Array<{id: string|null, count: number}>, classifications: Array<{id: string|null, count: number}>, nameOverrides: number, classificationOverrides: number}}
+ */
+export function countElementsByCategoryAndClassification(elements) {
+  // Count by category
+  const categoryCounts = {};
+  elements.forEach(element => {
+    const categoryId = element[QC.CategoryId]?.[0];
+    if (categoryId !== undefined && categoryId !== null) {
+      categoryCounts[categoryId] = (categoryCounts[categoryId] || 0) + 1;
+    } else {
+      // Elements without a category
+      categoryCounts['unknown'] = (categoryCounts['unknown'] || 0) + 1;
+    }
+  });
+  
+  // Count by tandem category (prefer override, fall back to standard)
+  const tandemCategoryCounts = {};
+  elements.forEach(element => {
+    const tandemCategory = element[QC.OTandemCategory]?.[0] || element[QC.TandemCategory]?.[0];
+    if (tandemCategory !== undefined && tandemCategory !== null && tandemCategory !== '') {
+      tandemCategoryCounts[tandemCategory] = (tandemCategoryCounts[tandemCategory] || 0) + 1;
+    } else {
+      // Elements without a tandem category
+      tandemCategoryCounts['unknown'] = (tandemCategoryCounts['unknown'] || 0) + 1;
+    }
+  });
+  
+  // Count by classification (prefer override, fall back to standard)
+  const classificationCounts = {};
+  elements.forEach(element => {
+    const classification = element[QC.OClassification]?.[0] || element[QC.Classification]?.[0];
+    if (classification !== undefined && classification !== null && classification !== '') {
+      classificationCounts[classification] = (classificationCounts[classification] || 0) + 1;
+    } else {
+      // Elements without a classification
+      classificationCounts['unknown'] = (classificationCounts['unknown'] || 0) + 1;
+    }
+  });
+  
+  // Count elements with overrides
+  let nameOverrideCount = 0;
+  let classificationOverrideCount = 0;
+  
+  elements.forEach(element => {
+    // Count elements that have name override (OName exists and is different from Name)
+    if (element[QC.OName] && element[QC.OName][0]) {
+      nameOverrideCount++;
+    }
+    
+    // Count elements that have classification override (OClassification exists)
+    if (element[QC.OClassification] && element[QC.OClassification][0]) {
+      classificationOverrideCount++;
+    }
+  });
+  
+  // Convert to arrays and sort by count descending
+  const categories = Object.entries(categoryCounts).map(([id, count]) => ({
+    id: id === 'unknown' ? null : parseInt(id),
+    count: count
+  })).sort((a, b) => b.count - a.count);
+  
+  const tandemCategories = Object.entries(tandemCategoryCounts).map(([id, count]) => ({
+    id: id === 'unknown' ? null : id,
+    count: count
+  })).sort((a, b) => b.count - a.count);
+  
+  const classifications = Object.entries(classificationCounts).map(([id, count]) => ({
+    id: id === 'unknown' ? null : id,
+    count: count
+  })).sort((a, b) => b.count - a.count);
+  
+  return {
+    total: elements.length,
+    categories: categories,
+    tandemCategories: tandemCategories,
+    classifications: classifications,
+    nameOverrides: nameOverrideCount,
+    classificationOverrides: classificationOverrideCount
+  };
+}
+
+/**
+ * Convert a system class bitmask to the list of system class names
+ * @param {number|Array<number>} flags - System class bitmask (a scan value array is accepted too)
+ * @returns {Array<string>} System class names, in bit order
+ */
+export function systemClassToList(flags) {
+  if (!flags) {
+    return [];
+  }
+  const result = [];
+
+  for (let i = 0; i < SystemClassNames.length; i++) {
+    if (flags & (1 << i)) {
+      result.push(SystemClassNames[i]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build systems with their subsystems and member elements
+ * An element belongs to a system when it has the system's m: column and shares at least one
+ * system class with it.
+ * @param {Array} defaultModelRows - Element rows of the default model (where systems live)
+ * @param {Array} models - Array of model objects
+ * @param {Map<string, Array>} rowsByModel - modelURN -> element rows
+ * @returns {Array} Array of system objects with name, key, systemId, subsystems, elementCount and elementsByModel
+ */
+export function buildSystems(defaultModelRows, models, rowsByModel) {
+  // Filter for elements that are systems (ElementFlags.System)
+  const systemElements = defaultModelRows.filter(row => {
+    const flags = row[QC.ElementFlags];
+    return flags && flags[0] === ElementFlags.System;
+  });
+  
+  // Process systems and build hierarchy
+  const systems = [];
+  const subsystems = [];
+  
+  for (const item of systemElements) {
+    const name = item[QC.OName]?.[0] ?? item[QC.Name]?.[0];
+    const key = item[QC.Key];
+    const parent = item[QC.Parent]?.[0];
+    
+    if (parent) {
+      // This is a subsystem
+      subsystems.push({
+        name: name || 'Unnamed Subsystem',
+        key: key,
+        parent: parent,
+        systemClass: item[QC.OSystemClass]?.[0] ?? item[QC.SystemClass]?.[0]
+      });
+    } else {
+      // This is a main system
+      const fullKey = toFullKey(key, true);
+      const systemId = toSystemId(fullKey);
+      
+      systems.push({
+        name: name || 'Unnamed System',
+        key: key,
+        systemId: systemId,
+        systemClass: item[QC.OSystemClass]?.[0] ?? item[QC.SystemClass]?.[0],
+        elementCount: 0 // will be calculated later
+      });
+    }
+  }
+  
+  // Attach subsystems to their parent systems
+  systems.forEach(system => {
+    system.subsystems = subsystems.filter(sub => sub.parent === system.key);
+  });
+  // calculate element count for each system and track by model
+  const systemMap = {};
+
+  for (const system of systems) {
+    systemMap[system.systemId] = system;
+    // Initialize elementsByModel as an object to group keys by model
+    system.elementsByModel = {};
+  }
+  const systemElementsMap = {};
+  const systemClassMap = {};
+
+  for (const model of models) {
+    const data = rowsByModel.get(model.modelId);
+
+    for (const element of data) {
+      const key = element[QC.Key];
+
+      if (!key) {
+        continue;
+      }
+      const elementFlags = element[QC.ElementFlags]?.[0];
+
+      if (elementFlags === ElementFlags.Deleted || elementFlags === ElementFlags.System) {
+        continue;
+      }
+      const elementClass = element[QC.OSystemClass] ?? element[QC.SystemClass];
+
+      if (!elementClass) {
+        continue;
+      }
+      let elementClassNames = systemClassMap[elementClass];
+
+      if (!elementClassNames) {
+        elementClassNames = systemClassToList(elementClass);
+        systemClassMap[elementClass] = elementClassNames;
+      }
+      for (const item in element) {
+        // we need to handle both fam:col and fam:!col formats
+        const [, family, systemId] = item.match(/^([^:]+):!?(.+)$/) ?? [];
+
+        if (family !== ColumnFamilies.Systems) {
+          continue;
+        }
+        const system = systemMap[systemId];
+
+        if (!system) {
+          continue;
+        }
+        let classNames = systemClassMap[system.systemClass];
+
+        if (!classNames) {
+          classNames = systemClassToList(system.systemClass);
+          systemClassMap[system.systemClass] = classNames;
+        }
+        const matches = elementClassNames.some(name => classNames.includes(name));
+
+        if (matches) {
+          // Track total count
+          const elementList = systemElementsMap[systemId] || new Set();
+          elementList.add(key);
+          systemElementsMap[systemId] = elementList;
+          
+          // Track by model
+          if (!system.elementsByModel[model.modelId]) {
+            system.elementsByModel[model.modelId] = {
+              modelURN: model.modelId,
+              modelName: model.label || 'Unknown Model',
+              keys: new Set()
+            };
+          }
+          system.elementsByModel[model.modelId].keys.add(key);
+        }
+      }
+    }
+  }
+  // update element count and convert Sets to Arrays
+  for (const system of systems) {
+    const elementSet = systemElementsMap[system.systemId];
+    system.elementCount = elementSet ? elementSet.size : 0;
+    
+    // Convert elementsByModel Sets to Arrays
+    system.elementsByModel = Object.values(system.elementsByModel).map(model => ({
+      modelURN: model.modelURN,
+      modelName: model.modelName,
+      keys: Array.from(model.keys)
+    }));
+  }
+  return systems;
+}
+
+/**
+ * Returns true when an element type is eligible to be a tagged asset.
+ * Physical elements (flags 0x00–0x04) and GenericAsset (0x01000005) are eligible.
+ * Rooms, Levels, Streams, Tickets, Systems, etc. are not.
+ * @param {number|undefined} flags - Element flags value from QC.ElementFlags
+ * @returns {boolean}
+ */
+export function isAssetCandidate(flags) {
+  if (flags === undefined || flags === null) return false;
+  return flags <= 0x00000004 || flags === ElementFlags.GenericAsset;
+}
+
+/**
+ * Find tagged assets and count their z: property usage
+ * An element is a tagged asset when the n:ia (IsAsset) field is present and truthy.
+ * For older elements that predate this field, the fallback is: eligible element type
+ * AND has at least one z: (user-defined) property.
+ * @param {Array} models - Array of model objects
+ * @param {Map<string, Array>} rowsByModel - modelURN -> element rows
+ * @param {boolean} includeKeys - If true, also collect element keys grouped by model
+ * @returns {Object} Object with totalCount, propertyUsageByModel, and optionally elementsByModel
+ */
+export function summarizeTaggedAssets(models, rowsByModel, includeKeys = false) {
+  let totalTaggedAssets = 0;
+  // Map of modelId -> { modelName, props: { propId -> count } }
+  const propertyUsageByModel = {};
+  const elementsByModel = []; // Array of {modelURN, modelName, keys}
+  
+  for (const model of models) {
+    const elements = rowsByModel.get(model.modelId);
+    const modelKeys = [];
+    
+    // Determine which elements are tagged assets using the same two-method logic as the server.
+    elements.forEach(element => {
+      const isAssetFlag = element[QC.IsAsset]?.[0];
+      const hasIsAssetField = isAssetFlag !== undefined && isAssetFlag !== null;
+      let isTaggedAsset;
+
+      if (hasIsAssetField) {
+        // n:ia present: its value is the authoritative answer. The field is set automatically
+        // when a z: property is first written and persists even if those properties are later removed.
+        isTaggedAsset = !!isAssetFlag;
+      } else {
+        // n:ia absent (older elements): fall back to eligible element type AND has z: properties.
+        const flags = element[QC.ElementFlags]?.[0];
+        const hasZProps = Object.keys(element).some(k => k.startsWith(`${ColumnFamilies.DtProperties}:`));
+        isTaggedAsset = isAssetCandidate(flags) && hasZProps;
+      }
+
+      if (!isTaggedAsset) return;
+
+      totalTaggedAssets++;
+
+      // Collect element key if requested
+      if (includeKeys && element[QC.Key]) {
+        modelKeys.push(element[QC.Key]);
+      }
+
+      // Track z: property usage per model for the property breakdown table.
+      // Separate from asset counting — an asset may have no z: props if they were cleared
+      // after the n:ia flag was set.
+      const zProperties = Object.keys(element).filter(key => key.startsWith(`${ColumnFamilies.DtProperties}:`));
+      if (zProperties.length > 0) {
+        if (!propertyUsageByModel[model.modelId]) {
+          propertyUsageByModel[model.modelId] = {
+            modelName: model.label || '',
+            props: {}
+          };
+        }
+        zProperties.forEach(prop => {
+          propertyUsageByModel[model.modelId].props[prop] =
+            (propertyUsageByModel[model.modelId].props[prop] || 0) + 1;
+        });
+      }
+    });
+    
+    // Add model to results if it has tagged assets
+    if (includeKeys && modelKeys.length > 0) {
+      elementsByModel.push({
+        modelURN: model.modelId,
+        modelName: model.label || 'Unknown Model',
+        keys: modelKeys
+      });
+    }
+  }
+  
+  const result = {
+    totalCount: totalTaggedAssets,
+    propertyUsageByModel: propertyUsageByModel
+  };
+  
+  if (includeKeys) {
+    result.elementsByModel = elementsByModel;
+  }
+  
+  return result;
+}
+
+/**
+ * Count open/closed tickets and tickets per priority
+ * A ticket is open while it has no close date.
+ * @param {Array} tickets - Ticket element rows
+ * @returns {{total: number, open: number, closed: number, priorityCounts: Object<string, number>}}
+ */
+export function summarizeTickets(tickets) {
+  const open = tickets.filter(t => !t[QC.CloseDate] || t[QC.CloseDate][0] === null).length;
+  const priorityCounts = {};
+
+  tickets.forEach(t => {
+    const priority = t[QC.Priority]?.[0] || 'Unknown';
+    priorityCounts[priority] = (priorityCounts[priority] || 0) + 1;
+  });
+  return {
+    total: tickets.length,
+    open: open,
+    closed: tickets.length - open,
+    priorityCounts: priorityCounts
+  };
+}
+
+/**
+ * Index element rows by short key, per model
+ * @param {Map<string, Array>} rowsByModel - modelURN -> element rows
+ * @returns {Map<string, Map<string, Object>>} modelURN -> (short key -> row)
+ */
+export function indexRowsByKey(rowsByModel) {
+  const index = new Map();
+
+  for (const [modelURN, rows] of rowsByModel) {
+    index.set(modelURN, new Map(rows.map(r => [r[QC.Key], r])));
+  }
+  return index;
+}
+
+/**
+ * Find the host, room and level of an element that points at other elements (e.g. a stream or ticket)
+ * The host is the x:p (parent) xref, else the x:r (room) xref. The room is the element's own x:r, else
+ * the host's l:r ref or x:r xref (or the host itself when it is a room); the level is the host's l:l
+ * ref, else the room's.
+ * @param {Object} row - Element row
+ * @param {Map<string, Map<string, Object>>} rowIndex - Rows of every model (see indexRowsByKey)
+ * @returns {{host: Object|null, room: Object|null, level: Object|null}} Each { modelURN, key, name }
+ */
+export function locateElement(row, rowIndex) {
+  const describe = (modelURN, key) => {
+    const target = key ? rowIndex.get(modelURN)?.get(key) : null;
+    return target ? { modelURN, key, name: target[QC.OName]?.[0] || target[QC.Name]?.[0] || 'Unnamed', row: target } : null;
+  };
+  const fromXref = (xref) => {
+    const decoded = xref ? decodeXref(xref) : null;
+    return decoded ? describe(decoded.modelURN, toShortKey(decoded.elementKey)) : null;
+  };
+  const fromRef = (modelURN, ref) => (ref ? describe(modelURN, fromShortKeyArray(ref, false)[0]) : null);
+
+  const host = fromXref(row[QC.XParent]?.[0] || row[QC.XRooms]?.[0]);
+  let room = fromXref(row[QC.XRooms]?.[0]);
+
+  if (!room && host) {
+    room = host.row[QC.ElementFlags]?.[0] === ElementFlags.Room
+      ? host
+      : fromRef(host.modelURN, host.row[QC.Rooms]?.[0]) || fromXref(host.row[QC.XRooms]?.[0]);
+  }
+  const level = (host && fromRef(host.modelURN, host.row[QC.Level]?.[0])) ||
+    (room && fromRef(room.modelURN, room.row[QC.Level]?.[0])) || null;
+
+  const strip = (found) => (found ? { modelURN: found.modelURN, key: found.key, name: found.name } : null);
+  return { host: strip(host), room: strip(room), level: strip(level) };
+}
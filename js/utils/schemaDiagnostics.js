@@ -0,0 +1,144 @@
+/**
+ * Schema diagnostics for user-defined (z:) properties
+ * Pure functions over schema attributes, shared by the Diagnostics card and the CLI report.
+ */
+
+import { isDefaultModel } from '../utils.js';
+
+/**
+ * Check if a property group has already been processed (to avoid duplicates in results)
+ * @param {Array} duplicatePropsArray - Array of duplicate property groups
+ * @param {string} categoryName - Category name
+ * @param {string} propName - Property name
+ * @returns {boolean}
+ */
+function processedPropertyAlready(duplicatePropsArray, categoryName, propName) {
+  for (let j = 0; j < duplicatePropsArray.length; j++) {
+    const tmpArr = duplicatePropsArray[j];
+    if (tmpArr && tmpArr[0].category === categoryName && tmpArr[0].name === propName) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check for duplicate properties in a single model's schema
+ * Only checks user-defined properties (those with IDs starting with "z:")
+ * @param {Array} attributes - Array of attribute objects from schema
+ * @returns {Array} Array of duplicate property groups
+ */
+export function checkForDuplicatePropertiesPerModel(attributes) {
+  let duplicatePropsArray = [];
+  
+  // Filter to only user-defined properties (z: prefix)
+  const userDefinedProps = attributes.filter(attr => attr.id && attr.id.startsWith('z:'));
+
+  for (let i = 0; i < userDefinedProps.length; i++) {
+    const categoryName = userDefinedProps[i].category;
+    const propName = userDefinedProps[i].name;
+
+    // Make sure we haven't already processed this one
+    if (!processedPropertyAlready(duplicatePropsArray, categoryName, propName)) {
+      // Exhaustively search the schema for the same category + name
+      const duplicateProps = [];
+      for (let k = 0; k < userDefinedProps.length; k++) {
+        if (i !== k) { // Don't compare against ourselves
+          if (userDefinedProps[k].category === categoryName && userDefinedProps[k].name === propName) {
+            duplicateProps.push(userDefinedProps[k]);
+          }
+        }
+      }
+      if (duplicateProps.length) {
+        duplicateProps.push(userDefinedProps[i]); // Add the original we were searching for
+        duplicatePropsArray.push(duplicateProps);
+      }
+    }
+  }
+
+  return duplicatePropsArray;
+}
+
+/**
+ * Check for properties with dots in category or name (TandemConnect issue)
+ * Only checks user-defined properties (those with IDs starting with "z:")
+ * @param {Array} attributes - Array of attribute objects from schema
+ * @returns {Array} Array of properties with dots
+ */
+export function checkForPropertiesWithDots(attributes) {
+  const propsWithDots = [];
+  
+  // Filter to only user-defined properties (z: prefix)
+  const userDefinedProps = attributes.filter(attr => attr.id && attr.id.startsWith('z:'));
+
+  for (let i = 0; i < userDefinedProps.length; i++) {
+    const attr = userDefinedProps[i];
+    const hasDotInCategory = attr.category && attr.category.includes('.');
+    const hasDotInName = attr.name && attr.name.includes('.');
+
+    if (hasDotInCategory || hasDotInName) {
+      propsWithDots.push({
+        ...attr,
+        issueType: hasDotInCategory && hasDotInName ? 'both' : (hasDotInCategory ? 'category' : 'name')
+      });
+    }
+  }
+
+  return propsWithDots;
+}
+
+/**
+ * Run all schema checks across the models of a facility
+ * @param {Object} schemaCache - modelURN -> { attributes: [...] } (see state/schemaCache.js)
+ * @param {Array} models - Array of model objects (used for model names)
+ * @param {string} facilityURN - Facility URN (used to recognize the default model)
+ * @returns {{totalIssues: number, allDuplicates: Array<{modelURN: string, modelName: string, duplicates: Array}>, allDotsIssues: Array<{modelURN: string, modelName: string, dotsIssues: Array}>}}
+ */
+export function runSchemaDiagnostics(schemaCache, models, facilityURN) {
+  let totalIssues = 0;
+  let allDuplicates = [];
+  let allDotsIssues = [];
+
+  for (const modelURN in schemaCache) {
+    const schema = schemaCache[modelURN];
+    if (!schema || !schema.attributes) continue;
+
+    const duplicates = checkForDuplicatePropertiesPerModel(schema.attributes);
+    const dotsIssues = checkForPropertiesWithDots(schema.attributes);
+    
+    // Determine model name - check if it's the default model first
+    let modelName;
+    if (isDefaultModel(facilityURN, modelURN)) {
+      // Default model - use special label
+      modelName = '** Default Model **';
+    } else {
+      // Try to find model in the models array
+      const foundModel = models.find(m => m.modelId === modelURN);
+      if (foundModel && foundModel.label) {
+        modelName = foundModel.label;
+      } else {
+        modelName = 'Untitled Model';
+      }
+    }
+
+    if (duplicates.length > 0) {
+      allDuplicates.push({
+        modelURN,
+        modelName,
+        duplicates
+      });
+      totalIssues += duplicates.length;
+    }
+
+    if (dotsIssues.length > 0) {
+      allDotsIssues.push({
+        modelURN,
+        modelName,
+        dotsIssues
+      });
+      totalIssues += dotsIssues.length;
+    }
+  }
+
+  return { totalIssues, allDuplicates, allDotsIssues };
+}
@@ -0,0 +1,304 @@
+/**
+ * Property search queries: value matchers and compound queries (conditions combined with AND/OR in nested groups)
+ * A condition names a property as 'Category.Name' (or a qualified column such as 'z:LQ') and matches its value
+ * with the same options as the single-property search. Each model's referenced properties are resolved to
+ * qualified columns from its schema, so one scan per model can fetch all of them before evaluating the query.
+ */
+
+import { AttributeType } from '../../tandem/constants.js';
+
+/**
+ * Operators per kind of value; 'any' matches any value that is set
+ */
+export const QUERY_OPERATORS = {
+  string: [
+    { id: 'partial', label: 'contains' },
+    { id: 'exact', label: 'equals' },
+    { id: 'regex', label: 'matches' },
+    { id: 'any', label: 'has any value' }
+  ],
+  numeric: [
+    { id: '=', label: '=' },
+    { id: '!=', label: '≠' },
+    { id: '>', label: '>' },
+    { id: '>=', label: '≥' },
+    { id: '<', label: '<' },
+    { id: '<=', label: '≤' },
+    { id: 'any', label: 'has any value' }
+  ],
+  boolean: [
+    { id: 'true', label: 'is true' },
+    { id: 'false', label: 'is false' },
+    { id: 'any', label: 'has any value' }
+  ]
+};
+
+/**
+ * Kind of value a schema data type holds
+ * @param {number|undefined} dataType - Attribute data type (see AttributeType); undefined when unknown
+ * @returns {string} 'numeric', 'boolean' or 'string' (also for unknown properties)
+ */
+export function valueKind(dataType) {
+  if (dataType === AttributeType.Integer || dataType === AttributeType.Double || dataType === AttributeType.Float) {
+    return 'numeric';
+  }
+  return dataType === AttributeType.Boolean ? 'boolean' : 'string';
+}
+
+/**
+ * Build a value matcher
+ * Regex patterns without '^', '[' or '(' are read as wildcards (* and ?); an invalid regex falls back to a
+ * partial match.
+ * @param {Object} searchOptions - { dataType: 'any' } | { dataType: 'boolean', value } |
+ *   { dataType: 'numeric', operator, value } | { dataType: 'string', matchType, caseSensitive, value }
+ * @returns {Function} (value) => boolean, for a single (non-array) value
+ */
+export function createMatcher(searchOptions) {
+  if (searchOptions.dataType === 'any') {
+    return () => true;
+  }
+
+  if (searchOptions.dataType === 'boolean') {
+    return (val) => {
+      if (typeof val === 'boolean') {
+        return val === searchOptions.value;
+      }
+      // Handle string representations
+      const valStr = String(val).toLowerCase();
+      return valStr === (searchOptions.value ? 'true' : 'false') || valStr === (searchOptions.value ? '1' : '0');
+    };
+  }
+
+  if (searchOptions.dataType === 'numeric') {
+    const { operator, value: targetValue } = searchOptions;
+    return (val) => {
+      const numVal = typeof val === 'number' ? val : parseFloat(val);
+      if (isNaN(numVal)) return false;
+
+      switch (operator) {
+        case '!=': return numVal !== targetValue;
+        case '>': return numVal > targetValue;
+        case '>=': return numVal >= targetValue;
+        case '<': return numVal < targetValue;
+        case '<=': return numVal <= targetValue;
+        default: return numVal === targetValue;
+      }
+    };
+  }
+
+  // String matching
+  const matchType = searchOptions.matchType || 'partial';
+  const caseSensitive = searchOptions.caseSensitive || false;
+  const searchValue = searchOptions.value;
+  const normalize = (val) => (caseSensitive ? String(val) : String(val).toLowerCase());
+  const target = normalize(searchValue);
+
+  if (matchType === 'regex') {
+    let pattern = searchValue;
+    // Simple wildcard conversion: * -> .*, ? -> .
+    if (!pattern.startsWith('^') && !pattern.includes('[') && !pattern.includes('(')) {
+      pattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.');
+    }
+    try {
+      const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
+      return (val) => regex.test(String(val));
+    } catch {
+      return (val) => normalize(val).includes(target);
+    }
+  }
+  if (matchType === 'exact') {
+    return (val) => normalize(val) === target;
+  }
+  return (val) => normalize(val).includes(target);
+}
+
+/**
+ * Match an element's column value (empty values never match; arrays match when any item does)
+ * @param {any} value - Column value of an element row
+ * @param {Function} matcher - See createMatcher
+ * @returns {boolean}
+ */
+export function matchesValue(value, matcher) {
+  if (!value) return false;
+  return Array.isArray(value) ? value.some(v => matcher(v)) : matcher(value);
+}
+
+/**
+ * Create a condition
+ * @param {string} [property] - 'Category.Name' or a qualified column
+ * @param {string} [operator] - Operator ID (see QUERY_OPERATORS)
+ * @param {string} [value] - Value as typed
+ * @param {boolean} [caseSensitive] - Case sensitive string matching
+ * @returns {Object} { type: 'condition', property, operator, value, caseSensitive }
+ */
+export function createCondition(property = '', operator = 'partial', value = '', caseSensitive = false) {
+  return { type: 'condition', property, operator, value, caseSensitive };
+}
+
+/**
+ * Create a group
+ * @param {string} [op] - 'and' or 'or'
+ * @param {Array<Object>} [children] - Conditions and groups
+ * @returns {Object} { type: 'group', op, children }
+ */
+export function createGroup(op = 'and', children = []) {
+  return { type: 'group', op, children };
+}
+
+/**
+ * Search options of a condition (see createMatcher)
+ * @param {Object} condition - Condition (see createCondition)
+ * @param {string} kind - Kind of value of its property (see valueKind)
+ * @returns {{options: Object|null, error: string|null}}
+ */
+export function conditionOptions(condition, kind) {
+  const operators = QUERY_OPERATORS[kind];
+  const operator = operators.some(o => o.id === condition.operator) ? condition.operator : operators[0].id;
+  const value = String(condition.value ?? '').trim();
+
+  if (!condition.property?.trim()) {
+    return { options: null, error: 'Enter a property name' };
+  }
+  if (operator === 'any') {
+    return { options: { dataType: 'any' }, error: null };
+  }
+  if (kind === 'boolean') {
+    return { options: { dataType: 'boolean', value: operator === 'true' }, error: null };
+  }
+  if (!value) {
+    return { options: null, error: `Enter a value for ${condition.property.trim()}` };
+  }
+  if (kind === 'numeric') {
+    const number = parseFloat(value);
+    return isNaN(number)
+      ? { options: null, error: `Enter a valid number for ${condition.property.trim()}` }
+      : { options: { dataType: 'numeric', operator, value: number }, error: null };
+  }
+  return {
+    options: { dataType: 'string', matchType: operator, caseSensitive: !!condition.caseSensitive, value },
+    error: null
+  };
+}
+
+/**
+ * Property names referenced by a query (trimmed, first spelling kept, case-insensitive)
+ * @param {Object} query - Group or condition
+ * @returns {Array<string>}
+ */
+export function queryProperties(query) {
+  const names = new Map();
+  const visit = (node) => {
+    if (node.type === 'group') {
+      node.children.forEach(visit);
+      return;
+    }
+    const name = node.property.trim();
+    if (name && !names.has(name.toLowerCase())) {
+      names.set(name.toLowerCase(), name);
+    }
+  };
+  visit(query);
+  return [...names.values()];
+}
+
+/**
+ * Resolve property names to a model's qualified columns
+ * Names are matched case-insensitively against 'Category.Name' of the schema attributes; names containing ':'
+ * that aren't found are used as qualified columns.
+ * @param {Array<string>} properties - Property names
+ * @param {Array<Object>} attributes - Schema attributes of the model
+ * @returns {Map<string, string>} lower-case property name -> qualified column (only the properties found)
+ */
+export function resolveColumns(properties, attributes) {
+  const byName = new Map();
+  for (const attr of attributes) {
+    const displayName = `${attr.category || 'Unknown'}.${attr.name || attr.id}`.toLowerCase();
+    if (!byName.has(displayName)) {
+      byName.set(displayName, attr.id);
+    }
+  }
+
+  const columns = new Map();
+  for (const property of properties) {
+    const key = property.toLowerCase();
+    const column = byName.get(key) || (property.includes(':') ? property : null);
+    if (column) {
+      columns.set(key, column);
+    }
+  }
+  return columns;
+}
+
+/**
+ * Compile a query into a predicate over element rows
+ * Conditions on properties the model doesn't have never match. Empty AND groups match everything, empty OR
+ * groups nothing.
+ * @param {Object} query - Group or condition
+ * @param {Map<string, string>} columns - Property name -> qualified column (see resolveColumns)
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {Function} (row) => boolean; throws an Error naming the first invalid condition
+ */
+export function compileQuery(query, columns, kindOf) {
+  if (query.type === 'group') {
+    const predicates = query.children.map(child => compileQuery(child, columns, kindOf));
+    return query.op === 'or'
+      ? (row) => predicates.some(predicate => predicate(row))
+      : (row) => predicates.every(predicate => predicate(row));
+  }
+
+  const { options, error } = conditionOptions(query, kindOf(query.property.trim()));
+  if (error) {
+    throw new Error(error);
+  }
+  const column = columns.get(query.property.trim().toLowerCase());
+  if (!column) {
+    return () => false;
+  }
+  const matcher = createMatcher(options);
+  return (row) => matchesValue(row[column], matcher);
+}
+
+/**
+ * Find the first invalid condition of a query
+ * @param {Object} query - Group or condition
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {string|null} Error message, or null when every condition is complete
+ */
+export function validateQuery(query, kindOf) {
+  if (queryProperties(query).length === 0) {
+    return 'Add at least one condition';
+  }
+  try {
+    compileQuery(query, new Map(), kindOf);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Describe a query in words, e.g. 'Common.Name contains pump AND (Dimensions.Area > 10 OR Data.Flag is true)'
+ * @param {Object} query - Group or condition
+ * @param {Function} kindOf - Returns the kind of value of a property name (see valueKind)
+ * @returns {string}
+ */
+export function describeQuery(query, kindOf) {
+  const describe = (node, nested) => {
+    if (node.type === 'group') {
+      const parts = node.children.map(child => describe(child, true)).filter(Boolean);
+      const text = parts.join(node.op === 'or' ? ' OR ' : ' AND ');
+      return nested && parts.length > 1 ? `(${text})` : text;
+    }
+    const property = node.property.trim();
+    if (!property) {
+      return '';
+    }
+    const kind = kindOf(property);
+    const operator = QUERY_OPERATORS[kind].find(o => o.id === node.operator) || QUERY_OPERATORS[kind][0];
+    if (operator.id === 'any' || kind === 'boolean') {
+      return `${property} ${operator.label}`;
+    }
+    return `${property} ${operator.label} ${String(node.value ?? '').trim()}`;
+  };
+  return describe(query, false);
+}
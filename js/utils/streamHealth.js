@@ -0,0 +1,129 @@
+/**
+ * Stream health: whether each stream reports as often as its stream settings say it should
+ *
+ * - online:  last value arrived within 1.5 × the sampling frequency
+ * - late:    overdue, but not for longer than the offline timeout
+ * - offline: nothing for longer than the offline timeout
+ * - never:   no value reported at all
+ */
+
+import { DEFAULT_STREAM_FREQUENCY } from './timeseries.js';
+
+export const StreamStatus = {
+  Online: 'online',
+  Late: 'late',
+  Offline: 'offline',
+  Never: 'never'
+};
+
+/**
+ * Server default offline timeout when a stream has none configured, in seconds (5 minutes)
+ */
+export const DEFAULT_OFFLINE_TIMEOUT = 5 * 60;
+
+/**
+ * How many sampling intervals may pass before a stream counts as late
+ */
+const LATE_FACTOR = 1.5;
+
+// Order used to rank the worst offenders
+const severity = {
+  [StreamStatus.Offline]: 0,
+  [StreamStatus.Never]: 1,
+  [StreamStatus.Late]: 2,
+  [StreamStatus.Online]: 3
+};
+
+/**
+ * Most recent timestamp in a stream's last-seen values
+ * @param {Object} values - { propertyId: { timestamp: value } } (from getLastSeenStreamValues)
+ * @returns {number|null} Timestamp (ms), or null if the stream never reported
+ */
+export function lastSeenTimestamp(values) {
+  const timestamps = Object.values(values || {}).flatMap(propValues => Object.keys(propValues).map(Number));
+  return timestamps.length > 0 ? Math.max(...timestamps) : null;
+}
+
+/**
+ * Classify a stream by how long ago it last reported
+ * @param {number|null} lastSeen - Last-seen timestamp (ms), or null
+ * @param {Object} [settings] - streamSettings from the stream config (frequency in ms, offlineTimeout in seconds)
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{status: string, age: number|null, lateAfter: number, offlineAfter: number}} Status, time since
+ *   the last value and the thresholds used (ms)
+ */
+export function classifyStream(lastSeen, settings, now = Date.now()) {
+  const frequency = settings?.frequency || DEFAULT_STREAM_FREQUENCY;
+  const lateAfter = frequency * LATE_FACTOR;
+  // A timeout shorter than the sampling interval would flag every stream between two samples
+  const offlineAfter = Math.max((settings?.offlineTimeout || DEFAULT_OFFLINE_TIMEOUT) * 1000, lateAfter);
+
+  if (lastSeen === null || lastSeen === undefined) {
+    return { status: StreamStatus.Never, age: null, lateAfter, offlineAfter };
+  }
+  const age = Math.max(0, now - lastSeen);
+  let status = StreamStatus.Online;
+
+  if (age > offlineAfter) {
+    status = StreamStatus.Offline;
+  } else if (age > lateAfter) {
+    status = StreamStatus.Late;
+  }
+  return { status, age, lateAfter, offlineAfter };
+}
+
+/**
+ * Count stream statuses
+ * @param {Array<{status: string}>} streams - Classified streams
+ * @returns {{total: number, online: number, late: number, offline: number, never: number}}
+ */
+export function countStatuses(streams) {
+  const counts = { total: streams.length, online: 0, late: 0, offline: 0, never: 0 };
+
+  streams.forEach(stream => {
+    counts[stream.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Count stream statuses per group (e.g. per level, room or host)
+ * @param {Array<Object>} streams - Classified streams
+ * @param {Function} groupOf - Returns the group name of a stream, or null when unknown
+ * @returns {Array<{name: string|null, total: number, online: number, late: number, offline: number, never: number}>}
+ *   Groups with the most streams that aren't online first; the unknown group (name null) last
+ */
+export function summarizeByGroup(streams, groupOf) {
+  const groups = new Map();
+
+  streams.forEach(stream => {
+    const name = groupOf(stream) ?? null;
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    groups.get(name).push(stream);
+  });
+
+  return [...groups.entries()]
+    .map(([name, members]) => ({ name, ...countStatuses(members) }))
+    .sort((a, b) => {
+      if ((a.name === null) !== (b.name === null)) {
+        return a.name === null ? 1 : -1;
+      }
+      return (b.total - b.online) - (a.total - a.online) || String(a.name).localeCompare(String(b.name));
+    });
+}
+
+/**
+ * Streams that need attention, worst first
+ * Offline streams come first (longest silent first), then streams that never reported, then late ones.
+ * @param {Array<Object>} streams - Classified streams ({ status, age })
+ * @param {number} [limit=10] - Most streams to return
+ * @returns {Array<Object>} Streams that aren't online
+ */
+export function worstOffenders(streams, limit = 10) {
+  return streams
+    .filter(stream => stream.status !== StreamStatus.Online)
+    .sort((a, b) => severity[a.status] - severity[b.status] || (b.age ?? 0) - (a.age ?? 0))
+    .slice(0, limit);
+}
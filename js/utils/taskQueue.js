@@ -0,0 +1,46 @@
+/**
+ * Create a queue that runs async tasks with a limit on how many are in flight at once
+ * Tasks start in the order they were queued.
+ * @param {number} concurrency - Maximum number of tasks running at the same time
+ * @returns {{run: function(Function): Promise<any>, active: number, pending: number}} Queue
+ */
+export function createTaskQueue(concurrency) {
+  const waiting = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = waiting.shift();
+
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return {
+    /**
+     * Queue a task
+     * @param {Function} task - Async function to run once a slot is free
+     * @returns {Promise<any>} Resolves/rejects with the task's result
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get pending() {
+      return waiting.length;
+    }
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Threshold breaches in stream values
+ * Evaluates values against the thresholds in a stream's settings (`streamSettings.thresholds`):
+ * { propertyId: { name, upper: { warn, alert }, lower: { warn, alert } } }. Like the stream config
+ * modal, a value breaches an upper bound when it is ≥ the bound and a lower bound when it is ≤ it.
+ */
+
+import { numericPoints } from './timeseries.js';
+
+export const ThresholdLevel = {
+  Warn: 'warn',
+  Alert: 'alert'
+};
+
+/**
+ * Bounds of one threshold as lines (for charts and exports)
+ * @param {Object} threshold - { upper: { warn, alert }, lower: { warn, alert } }
+ * @returns {Array<{side: string, level: string, value: number}>} Configured bounds, upper first
+ */
+export function thresholdBounds(threshold) {
+  const bounds = [];
+
+  for (const side of ['upper', 'lower']) {
+    for (const level of [ThresholdLevel.Alert, ThresholdLevel.Warn]) {
+      const value = threshold?.[side]?.[level];
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        bounds.push({ side, level, value });
+      }
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Check one value against a threshold
+ * @param {number} value - Value
+ * @param {Object} threshold - { upper: { warn, alert }, lower: { warn, alert } }
+ * @returns {{side: string, level: string}|null} The worst bound breached, or null when the value is within bounds
+ */
+export function classifyValue(value, threshold) {
+  const breached = (side, level) => {
+    const bound = threshold?.[side]?.[level];
+    if (typeof bound !== 'number') {
+      return false;
+    }
+    return side === 'upper' ? value >= bound : value <= bound;
+  };
+
+  for (const level of [ThresholdLevel.Alert, ThresholdLevel.Warn]) {
+    for (const side of ['upper', 'lower']) {
+      if (breached(side, level)) {
+        return { side, level };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find breaches in the values of one stream property
+ * Consecutive values beyond the same side form one breach; its level is the worst level reached. A breach
+ * ends with the first value back within bounds, or is still ongoing at the last value.
+ * Values that aren't finite numbers are skipped.
+ * @param {Object} values - { timestamp: value }
+ * @param {Object} threshold - { upper: { warn, alert }, lower: { warn, alert } }
+ * @returns {Array<{side: string, level: string, start: number, end: number, duration: number, peak: number,
+ *   peakAt: number, count: number, ongoing: boolean}>} Breaches, oldest first
+ */
+export function findBreaches(values, threshold) {
+  const points = numericPoints(values);
+  const breaches = [];
+  let current = null;
+
+  const close = (end, ongoing) => {
+    breaches.push({ ...current, end, duration: end - current.start, ongoing });
+    current = null;
+  };
+
+  for (const [timestamp, value] of points) {
+    const breach = classifyValue(value, threshold);
+
+    if (current && breach?.side !== current.side) {
+      close(timestamp, false);
+    }
+    if (!breach) {
+      continue;
+    }
+    if (!current) {
+      current = { side: breach.side, level: breach.level, start: timestamp, peak: value, peakAt: timestamp, count: 0 };
+    }
+    current.count++;
+    if (breach.level === ThresholdLevel.Alert) {
+      current.level = ThresholdLevel.Alert;
+    }
+    if (current.side === 'upper' ? value > current.peak : value < current.peak) {
+      current.peak = value;
+      current.peakAt = timestamp;
+    }
+    current.last = timestamp;
+  }
+  if (current) {
+    close(current.last, true);
+  }
+  return breaches.map(({ last, ...breach }) => breach);
+}
+
+/**
+ * Find breaches in every property of several streams that has a threshold
+ * @param {Array<{key: string, name: string, values: Object}>} series - Stream values ({ propertyId: { timestamp: value } })
+ * @param {Map<string, Object>} thresholdsByStream - Stream key -> streamSettings.thresholds
+ * @returns {Array<Object>} Breaches (see findBreaches) with streamKey, streamName, propKey and thresholdName, oldest first
+ */
+export function findStreamBreaches(series, thresholdsByStream) {
+  return series
+    .flatMap(stream => Object.entries(thresholdsByStream.get(stream.key) || {})
+      .flatMap(([propKey, threshold]) => findBreaches(stream.values[propKey], threshold).map(breach => ({
+        streamKey: stream.key,
+        streamName: stream.name,
+        propKey,
+        thresholdName: threshold.name || null,
+        ...breach
+      }))))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Breach totals per stream
+ * @param {Array<{key: string, name: string}>} streams - Streams in the report (streams without breaches get zeros)
+ * @param {Array<Object>} breaches - Breaches (see findStreamBreaches)
+ * @returns {Array<{streamKey: string, streamName: string, count: number, alerts: number, warnings: number,
+ *   totalDuration: number, longest: number, ongoing: number}>} Streams with the most alerts, then breaches, first
+ */
+export function summarizeBreaches(streams, breaches) {
+  const totals = new Map(streams.map(stream => [stream.key, {
+    streamKey: stream.key,
+    streamName: stream.name,
+    count: 0,
+    alerts: 0,
+    warnings: 0,
+    totalDuration: 0,
+    longest: 0,
+    ongoing: 0
+  }]));
+
+  breaches.forEach(breach => {
+    const total = totals.get(breach.streamKey);
+    if (!total) {
+      return;
+    }
+    total.count++;
+    total[breach.level === ThresholdLevel.Alert ? 'alerts' : 'warnings']++;
+    total.totalDuration += breach.duration;
+    total.longest = Math.max(total.longest, breach.duration);
+    if (breach.ongoing) {
+      total.ongoing++;
+    }
+  });
+
+  return [...totals.values()].sort((a, b) =>
+    b.alerts - a.alerts || b.count - a.count || b.totalDuration - a.totalDuration || a.streamName.localeCompare(b.streamName));
+}
@@ -0,0 +1,364 @@
+/**
+ * Ticket analytics: time to close, aging of open tickets, SLA breaches, a weekly opened-vs-closed burndown and
+ * ticket counts per location or asset, plus the columns and summaries of the ticket export
+ * Tickets are read from their open and close dates (`QC.OpenDate`, `QC.CloseDate`, 'YYYY-MM-DD'); durations are
+ * counted in whole days like the Tickets card does. A ticket breaches its SLA when it took (or has been open)
+ * longer than the target of its priority.
+ */
+
+import { QC } from '../../tandem/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Priorities in order, most urgent first (others are listed after them, by name)
+ */
+export const TICKET_PRIORITIES = ['Critical', 'High', 'Medium', 'Low', 'Trivial'];
+
+/**
+ * Age buckets of open tickets (days, inclusive)
+ */
+export const AGING_BUCKETS = [
+  { id: '0-7', label: '0–7 days', min: 0, max: 7 },
+  { id: '8-30', label: '8–30 days', min: 8, max: 30 },
+  { id: '31-90', label: '31–90 days', min: 31, max: 90 },
+  { id: '90+', label: '90+ days', min: 91, max: Infinity }
+];
+
+/**
+ * Default SLA targets: days to close a ticket, per priority
+ */
+export const DEFAULT_SLA_TARGETS = {
+  Critical: 1,
+  High: 3,
+  Medium: 7,
+  Low: 30,
+  Trivial: 90
+};
+
+/**
+ * Fill in and clean up SLA targets
+ * Unknown priorities are dropped; missing, invalid or negative targets get their default.
+ * @param {Object|null} targets - Saved targets (values may be strings from inputs)
+ * @returns {Object} { priority: days }
+ */
+export function normalizeSlaTargets(targets) {
+  return Object.fromEntries(TICKET_PRIORITIES.map(priority => {
+    const raw = targets?.[priority];
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return [priority, Number.isFinite(value) && value >= 0 ? value : DEFAULT_SLA_TARGETS[priority]];
+  }));
+}
+
+/**
+ * Parse a ticket date
+ * @param {string|null|undefined} value - 'YYYY-MM-DD' (or any date Date.parse accepts)
+ * @returns {number|null} Milliseconds since the epoch, or null when missing or invalid
+ */
+export function parseTicketDate(value) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Whole days between two times (rounded down, like the Tickets card)
+ * @param {number} start - Milliseconds since the epoch
+ * @param {number} end - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function daysBetween(start, end) {
+  return Math.floor((end - start) / DAY);
+}
+
+/**
+ * Read the fields the analytics use from ticket rows
+ * Tickets without a valid open date are skipped.
+ * @param {Array<Object>} tickets - Ticket rows (see getTickets)
+ * @param {number} now - Current time (ms), for the age of open tickets
+ * @returns {Array<{key: string, name: string, priority: string, opened: number, closed: number|null,
+ *   open: boolean, days: number}>} days is the age of an open ticket or the time to close a closed one
+ */
+export function ticketRecords(tickets, now) {
+  return tickets.flatMap(ticket => {
+    const opened = parseTicketDate(ticket[QC.OpenDate]?.[0]);
+    if (opened === null) {
+      return [];
+    }
+    const closed = parseTicketDate(ticket[QC.CloseDate]?.[0]);
+    return [{
+      key: ticket[QC.Key],
+      name: ticket[QC.OName]?.[0] || ticket[QC.Name]?.[0] || 'Unnamed Ticket',
+      priority: ticket[QC.Priority]?.[0] || 'Unknown',
+      opened,
+      closed,
+      open: closed === null,
+      days: Math.max(0, daysBetween(opened, closed ?? now))
+    }];
+  });
+}
+
+/**
+ * Priorities present in the records, most urgent first
+ * @param {Array<Object>} records - Result of ticketRecords
+ * @returns {Array<string>}
+ */
+export function recordPriorities(records) {
+  const present = new Set(records.map(record => record.priority));
+  return [
+    ...TICKET_PRIORITIES.filter(priority => present.has(priority)),
+    ...[...present].filter(priority => !TICKET_PRIORITIES.includes(priority)).sort()
+  ];
+}
+
+/**
+ * Median of numbers
+ * @param {Array<number>} values - Values (any order)
+ * @returns {number|null} null without values
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Time to close per priority (closed tickets only)
+ * @param {Array<Object>} records - Result of ticketRecords
+ * @returns {Array<{priority: string, closed: number, mean: number|null, median: number|null, max: number|null}>}
+ *   One row per priority (most urgent first), then 'All'
+ */
+export function timeToClose(records) {
+  const row = (priority, days) => ({
+    priority,
+    closed: days.length,
+    mean: days.length > 0 ? days.reduce((sum, value) => sum + value, 0) / days.length : null,
+    median: median(days),
+    max: days.length > 0 ? Math.max(...days) : null
+  });
+  const closed = records.filter(record => !record.open);
+
+  return [
+    ...recordPriorities(records).map(priority =>
+      row(priority, closed.filter(record => record.priority === priority).map(record => record.days))),
+    row('All', closed.map(record => record.days))
+  ];
+}
+
+/**
+ * Open tickets per age bucket
+ * @param {Array<Object>} records - Result of ticketRecords
+ * @returns {Array<{id: string, label: string, count: number, byPriority: Object}>} One entry per AGING_BUCKETS
+ *   bucket; byPriority is { priority: count }
+ */
+export function agingBuckets(records) {
+  const open = records.filter(record => record.open);
+  return AGING_BUCKETS.map(({ id, label, min, max }) => {
+    const inBucket = open.filter(record => record.days >= min && record.days <= max);
+    const byPriority = {};
+    for (const record of inBucket) {
+      byPriority[record.priority] = (byPriority[record.priority] || 0) + 1;
+    }
+    return { id, label, count: inBucket.length, byPriority };
+  });
+}
+
+/**
+ * SLA compliance per priority
+ * @param {Array<Object>} records - Result of ticketRecords
+ * @param {Object} targets - { priority: days } (see normalizeSlaTargets); priorities without a target are skipped
+ * @returns {{rows: Array<{priority: string, target: number, total: number, breached: number, openBreached: number,
+ *   closedLate: number, compliance: number|null}>, breaches: Array<Object>}} compliance is the share (0-1) of
+ *   tickets within target; breaches are the breaching records with their target and overdue days, most overdue first
+ */
+export function slaBreaches(records, targets) {
+  const rows = [];
+  const breaches = [];
+
+  for (const priority of recordPriorities(records)) {
+    const target = targets[priority];
+    if (typeof target !== 'number') {
+      continue;
+    }
+    const tickets = records.filter(record => record.priority === priority);
+    const breached = tickets.filter(record => record.days > target);
+    breaches.push(...breached.map(record => ({ ...record, target, overdue: record.days - target })));
+    rows.push({
+      priority,
+      target,
+      total: tickets.length,
+      breached: breached.length,
+      openBreached: breached.filter(record => record.open).length,
+      closedLate: breached.filter(record => !record.open).length,
+      compliance: tickets.length > 0 ? (tickets.length - breached.length) / tickets.length : null
+    });
+  }
+  return { rows, breaches: breaches.sort((a, b) => b.overdue - a.overdue) };
+}
+
+/**
+ * Monday 00:00 UTC of the week a time falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function weekStart(time) {
+  const day = Math.floor(time / DAY) * DAY;
+  // 1970-01-01 was a Thursday
+  const weekday = (Math.floor(day / DAY) + 3) % 7;
+  return day - weekday * DAY;
+}
+
+/**
+ * Tickets opened and closed per week, and the open backlog at the end of each week
+ * @param {Array<Object>} records - Result of ticketRecords
+ * @param {number} now - Current time (ms); the last week is the current one
+ * @returns {Array<{weekStart: number, opened: number, closed: number, backlog: number}>} From the week of the
+ *   first ticket, oldest first (empty without tickets)
+ */
+export function weeklyBurndown(records, now) {
+  if (records.length === 0) {
+    return [];
+  }
+  const first = weekStart(Math.min(...records.map(record => record.opened)));
+  const last = weekStart(Math.max(now, ...records.map(record => record.closed ?? record.opened)));
+  const weeks = [];
+  let backlog = 0;
+
+  for (let start = first; start <= last; start += 7 * DAY) {
+    const end = start + 7 * DAY;
+    const inWeek = time => time !== null && time >= start && time < end;
+    const opened = records.filter(record => inWeek(record.opened)).length;
+    const closed = records.filter(record => inWeek(record.closed)).length;
+    backlog += opened - closed;
+    weeks.push({ weekStart: start, opened, closed, backlog });
+  }
+  return weeks;
+}
+
+/**
+ * Rank of a priority (most urgent first; unknown priorities after the known ones)
+ * @param {string} priority - Ticket priority
+ * @returns {number}
+ */
+function priorityRank(priority) {
+  const index = TICKET_PRIORITIES.indexOf(priority);
+  return index === -1 ? TICKET_PRIORITIES.length : index;
+}
+
+/**
+ * Count tickets per location or asset (e.g. per level, room or parent element)
+ * @param {Array<{key: string, priority: string, open: boolean}>} tickets - Tickets (e.g. ticketRecords, or rows
+ *   read by the Tickets card)
+ * @param {Function} groupOf - Returns the { id, name } group of a ticket, or null when unknown
+ * @returns {Array<{id: string|null, name: string|null, total: number, open: number, closed: number,
+ *   openByPriority: Object, worstPriority: string|null, keys: Array<string>}>} Hot spots first (most open tickets,
+ *   then the most urgent open priority); the unknown group (id null) last. openByPriority is { priority: count }, most urgent first
+ */
+export function rollupTickets(tickets, groupOf) {
+  const groups = new Map();
+
+  for (const ticket of tickets) {
+    const group = groupOf(ticket);
+    const id = group?.id ?? null;
+    if (!groups.has(id)) {
+      groups.set(id, {
+        id,
+        name: group?.name ?? null,
+        total: 0,
+        open: 0,
+        closed: 0,
+        openByPriority: {},
+        worstPriority: null,
+        keys: []
+      });
+    }
+    const entry = groups.get(id);
+    entry.total++;
+    entry.keys.push(ticket.key);
+    if (!ticket.open) {
+      entry.closed++;
+      continue;
+    }
+    entry.open++;
+    entry.openByPriority[ticket.priority] = (entry.openByPriority[ticket.priority] || 0) + 1;
+    if (entry.worstPriority === null || priorityRank(ticket.priority) < priorityRank(entry.worstPriority)) {
+      entry.worstPriority = ticket.priority;
+    }
+  }
+
+  const worst = group => (group.worstPriority === null ? Infinity : priorityRank(group.worstPriority));
+  return [...groups.values()].map(group => ({
+    ...group,
+    openByPriority: Object.fromEntries(Object.entries(group.openByPriority)
+      .sort(([a], [b]) => priorityRank(a) - priorityRank(b) || a.localeCompare(b)))
+  })).sort((a, b) => {
+    if ((a.id === null) !== (b.id === null)) {
+      return a.id === null ? 1 : -1;
+    }
+    return b.open - a.open || worst(a) - worst(b) || b.total - a.total ||
+      String(a.name).localeCompare(String(b.name));
+  });
+}
+
+/**
+ * User-defined (z:) properties set on any ticket, as export columns
+ * @param {Array<Object>} tickets - Ticket rows
+ * @param {Map<string, Object>} lookup - Schema attributes by qualified property (see state/schemaCache.js)
+ * @returns {Array<{id: string, label: string}>} Sorted by label; label is 'Category.Name', or the property ID when
+ *   it isn't in the schema
+ */
+export function userPropertyColumns(tickets, lookup) {
+  const ids = new Set();
+  for (const ticket of tickets) {
+    Object.keys(ticket).filter(id => id.startsWith('z:')).forEach(id => ids.add(id));
+  }
+  return [...ids]
+    .map(id => {
+      const attr = lookup.get(id);
+      return { id, label: attr?.category && attr?.name ? `${attr.category}.${attr.name}` : id };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Ticket counts per priority and per status (e.g. for the summary sheets of the ticket export)
+ * @param {Array<{priority: string, open: boolean, days: number|null}>} tickets - Tickets; days is the age of an
+ *   open ticket or the time to close a closed one (null when the open date is missing)
+ * @returns {{byPriority: Array<{priority: string, total: number, open: number, closed: number,
+ *   meanDaysToClose: number|null, oldestOpen: number|null}>, byStatus: Array<{status: string, total: number,
+ *   byPriority: Object}>}} Priorities most urgent first; statuses are 'Open' and 'Closed'
+ */
+export function ticketStatusSummary(tickets) {
+  const days = list => list.map(ticket => ticket.days).filter(value => value !== null);
+  const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+  const byPriority = recordPriorities(tickets).map(priority => {
+    const inPriority = tickets.filter(ticket => ticket.priority === priority);
+    const closedDays = days(inPriority.filter(ticket => !ticket.open));
+    const openDays = days(inPriority.filter(ticket => ticket.open));
+    return {
+      priority,
+      total: inPriority.length,
+      open: inPriority.filter(ticket => ticket.open).length,
+      closed: inPriority.filter(ticket => !ticket.open).length,
+      meanDaysToClose: mean(closedDays),
+      oldestOpen: openDays.length > 0 ? Math.max(...openDays) : null
+    };
+  });
+
+  const byStatus = [['Open', true], ['Closed', false]].map(([status, open]) => {
+    const inStatus = tickets.filter(ticket => ticket.open === open);
+    const counts = {};
+    for (const ticket of inStatus) {
+      counts[ticket.priority] = (counts[ticket.priority] || 0) + 1;
+    }
+    return { status, total: inStatus.length, byPriority: counts };
+  });
+
+  return { byPriority, byStatus };
+}
@@ -0,0 +1,190 @@
+/**
+ * Time range and chunking helpers for stream values (/timeseries)
+ *
+ * Stream values are { propertyId: { timestamp: value } }, as returned by /timeseries.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Most values per property requested from one /timeseries call (its limit parameter); longer ranges are
+ * fetched in chunks
+ */
+export const TIMESERIES_MAX_VALUES = 10000;
+
+/**
+ * Server default sampling frequency when a stream has none configured (1 minute)
+ */
+export const DEFAULT_STREAM_FREQUENCY = MINUTE;
+
+/**
+ * Time range presets offered by the stream chart
+ */
+export const TIME_RANGE_PRESETS = [
+  { id: '24h', label: 'Last 24 hours', duration: DAY },
+  { id: '7d', label: 'Last 7 days', duration: 7 * DAY },
+  { id: '30d', label: 'Last 30 days', duration: 30 * DAY },
+  { id: '90d', label: 'Last 90 days', duration: 90 * DAY },
+  { id: '1y', label: 'Last year', duration: 365 * DAY }
+];
+
+/**
+ * Resolve a preset or an absolute range to start/end timestamps
+ * @param {Object} range - { preset: '7d' } or { start, end } (timestamps in ms)
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{start: number, end: number}} Range in ms
+ * @throws {Error} When the preset is unknown or the range is empty or inverted
+ */
+export function resolveTimeRange(range, now = Date.now()) {
+  if (range.preset) {
+    const preset = TIME_RANGE_PRESETS.find(p => p.id === range.preset);
+    if (!preset) {
+      throw new Error(`Unknown time range: ${range.preset}`);
+    }
+    return { start: now - preset.duration, end: now };
+  }
+
+  const start = Number(range.start);
+  const end = Number(range.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    throw new Error('Start and end are required');
+  }
+  if (start >= end) {
+    throw new Error('Start must be before end');
+  }
+  return { start, end };
+}
+
+/**
+ * Describe a time range for titles and exports
+ * @param {{preset?: string, start: number, end: number}} range - Resolved range (preset is optional)
+ * @returns {string} e.g. 'Last 7 days' or '3/1/2025, 8:00 AM – 3/2/2025, 8:00 AM'
+ */
+export function describeTimeRange(range) {
+  const preset = TIME_RANGE_PRESETS.find(p => p.id === range.preset);
+  if (preset) {
+    return preset.label;
+  }
+  return `${new Date(range.start).toLocaleString()} – ${new Date(range.end).toLocaleString()}`;
+}
+
+/**
+ * Length of the time window one /timeseries call can cover for a stream
+ * @param {number} [frequency] - Stream sampling frequency in ms (server default when omitted)
+ * @returns {number} Window length in ms (at least one hour)
+ */
+export function chunkDuration(frequency) {
+  return Math.max(HOUR, (frequency || DEFAULT_STREAM_FREQUENCY) * TIMESERIES_MAX_VALUES);
+}
+
+/**
+ * Split a time range into consecutive windows
+ * @param {number} start - Start timestamp (ms)
+ * @param {number} end - End timestamp (ms)
+ * @param {number} duration - Window length (ms)
+ * @returns {Array<{start: number, end: number}>} Windows covering [start, end], oldest first;
+ *   each window starts 1 ms after the previous one ends so no value is fetched twice
+ */
+export function planChunks(start, end, duration) {
+  const chunks = [];
+
+  for (let chunkStart = start; chunkStart <= end; chunkStart += duration) {
+    chunks.push({ start: chunkStart, end: Math.min(end, chunkStart + duration - 1) });
+  }
+  return chunks;
+}
+
+/**
+ * Merge stream values of one chunk into the values collected so far
+ * @param {Object} target - Values collected so far ({ propertyId: { timestamp: value } }); updated in place
+ * @param {Object} chunk - Values of one chunk, same shape (the 'k' key field is skipped)
+ * @returns {Object} target
+ */
+export function mergeStreamValues(target, chunk) {
+  for (const [propertyId, values] of Object.entries(chunk || {})) {
+    if (propertyId === 'k') {
+      continue;
+    }
+    target[propertyId] = Object.assign(target[propertyId] || {}, values);
+  }
+  return target;
+}
+
+/**
+ * Numeric values of one stream property in time order
+ * Values that aren't finite numbers (e.g. text or boolean properties) are skipped.
+ * @param {Object} values - { timestamp: value }
+ * @returns {Array<[number, number]>} [timestamp, value] in ascending order
+ */
+export function numericPoints(values) {
+  return Object.entries(values || {})
+    .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+    .map(([timestamp, value]) => [Number(timestamp), value])
+    .sort(([a], [b]) => a - b);
+}
+
+/**
+ * Latest value at or before a time
+ * @param {Array<[number, number]>} points - [timestamp, value] in ascending order
+ * @param {number} time - Timestamp (ms)
+ * @returns {{timestamp: number, value: number}|null} null when nothing was reported by then
+ */
+export function valueAt(points, time) {
+  let low = 0;
+  let high = points.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (points[middle][0] <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found < 0 ? null : { timestamp: points[found][0], value: points[found][1] };
+}
+
+/**
+ * Parts of a window that a chunk's values don't reach
+ * The server may cap a call below the requested limit, so a truncated chunk is recognized by its
+ * coverage: a property whose oldest or newest value is more than one sampling interval from the
+ * window's edge. A stream that was offline for part of the window looks the same; fetching that
+ * part again then just comes back empty.
+ * @param {Object} chunk - Values of one chunk ({ propertyId: { timestamp: value } })
+ * @param {{start: number, end: number}} window - Window the chunk was requested for (ms)
+ * @param {number} [frequency] - Stream sampling frequency in ms (server default when omitted)
+ * @returns {Array<{start: number, end: number}>} Ranges to fetch again, oldest first (empty when covered)
+ */
+export function uncoveredRanges(chunk, window, frequency) {
+  const interval = frequency || DEFAULT_STREAM_FREQUENCY;
+  let headEnd = -Infinity;
+  let tailStart = Infinity;
+
+  for (const [propertyId, values] of Object.entries(chunk || {})) {
+    const timestamps = propertyId === 'k' ? [] : Object.keys(values).map(Number);
+    if (timestamps.length === 0) {
+      continue;
+    }
+    const oldest = Math.min(...timestamps);
+    const newest = Math.max(...timestamps);
+    if (oldest - window.start > interval) {
+      headEnd = Math.max(headEnd, oldest - 1);
+    }
+    if (window.end - newest > interval) {
+      tailStart = Math.min(tailStart, newest + 1);
+    }
+  }
+
+  const ranges = [];
+  if (headEnd >= window.start) {
+    ranges.push({ start: window.start, end: headEnd });
+  }
+  if (tailStart <= window.end) {
+    ranges.push({ start: tailStart, end: window.end });
+  }
+  return ranges;
+}
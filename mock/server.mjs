@@ -0,0 +1,484 @@
+/**
+ * Local mock of the Tandem REST API for offline development and tests
+ *
+ * Serves the endpoints used by js/api.js from the JSON fixtures in mock/fixtures, and the app
+ * itself from the repository root, so the whole dashboard runs without credentials or network:
+ *
+ *   node mock/server.mjs [--port 8001] [--latency 0] [--max-values 10000]
+ *   open http://localhost:8001/?env=mock
+ *
+ * Fixtures:
+ * - account.json              signed-in user (/userinfo), groups and /users/@me/resources
+ * - facilities/*.json         facility info (/twins/:urn), users, views, history, stream configs
+ *                             and stream series definitions (time series are generated on request)
+ * - models/*.json             per model: props, schema, element rows (scan), history
+ *
+ * Any bearer token is accepted; requests without one get a 401 like the real service.
+ */
+
+import http from 'node:http';
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { QC } from '../tandem/constants.js';
+import { toFullKey } from '../tandem/keys.js';
+
+const mockDir = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(mockDir, '..');
+const fixturesDir = path.join(mockDir, 'fixtures');
+const apiPrefix = '/api/v1';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Most values per property one /timeseries call returns (the oldest ones in the range), whatever
+// limit the request asks for; --max-values lowers it to test clients against a stricter server
+const MAX_TIMESERIES_VALUES = 10000;
+
+const contentTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+/**
+ * Parse --name value command line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{port: number, latency: number, maxValues: number}} Options
+ */
+function parseOptions(argv) {
+  const options = { port: Number(process.env.MOCK_PORT) || 8001, latency: 0, maxValues: MAX_TIMESERIES_VALUES };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+    if (name in options) {
+      options[name] = Number(argv[i + 1]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Read a JSON fixture
+ * @param {string} file - Path relative to mock/fixtures
+ * @returns {Promise<any>} Parsed JSON
+ */
+async function readFixture(file) {
+  return JSON.parse(await readFile(path.join(fixturesDir, file), 'utf8'));
+}
+
+/**
+ * Load all fixtures and index them by URN
+ * @returns {Promise<{account: Object, facilities: Map<string, Object>, models: Map<string, Object>}>}
+ */
+export async function loadFixtures() {
+  const account = await readFixture('account.json');
+  const facilities = new Map();
+  const models = new Map();
+
+  for (const file of await readdir(path.join(fixturesDir, 'facilities'))) {
+    const facility = await readFixture(`facilities/${file}`);
+    facilities.set(facility.urn, facility);
+  }
+  for (const file of await readdir(path.join(fixturesDir, 'models'))) {
+    const model = await readFixture(`models/${file}`);
+    models.set(model.modelId, model);
+  }
+  return { account, facilities, models };
+}
+
+/**
+ * Filter history records by the history query used by the API
+ * @param {Array} records - History records (t = timestamp)
+ * @param {Object} query - { min, max, timestamps, limit }
+ * @returns {Array} Matching records
+ */
+function filterHistory(records, query = {}) {
+  let result = records.filter(record =>
+    (query.min === undefined || record.t >= query.min) &&
+    (query.max === undefined || record.t <= query.max) &&
+    (!query.timestamps || query.timestamps.includes(record.t))
+  );
+  if (query.limit) {
+    result = result.slice(0, query.limit);
+  }
+  return result;
+}
+
+/**
+ * Answer a /scan request from a model's element rows
+ * Supports the key, family and qualified column filters used by the app.
+ * @param {Object} model - Model fixture
+ * @param {Object} query - Scan request body
+ * @returns {Array} ['<version>', ...rows]
+ */
+function scan(model, query = {}) {
+  const keys = query.keys ? new Set(query.keys) : null;
+  const families = query.families ? new Set(query.families) : null;
+  const columns = query.qualifiedColumns ? new Set(query.qualifiedColumns) : null;
+
+  const rows = model.elements
+    .filter(row => !keys || keys.has(row[QC.Key]))
+    .map(row => {
+      const result = { [QC.Key]: row[QC.Key] };
+      for (const [column, value] of Object.entries(row)) {
+        if (column === QC.Key) {
+          continue;
+        }
+        const family = column.split(':')[0];
+        if ((!columns && !families) || columns?.has(column) || families?.has(family)) {
+          result[column] = value;
+        }
+      }
+      return result;
+    });
+  return ['1', ...rows];
+}
+
+/**
+ * Deterministic noise in [-1, 1] for a sample index
+ * @param {number} index - Sample index
+ * @param {number} seed - Per-property seed
+ * @returns {number}
+ */
+function noise(index, seed) {
+  const x = Math.sin(index * 12.9898 + seed * 78.233) * 43758.5453;
+  return (x - Math.floor(x)) * 2 - 1;
+}
+
+/**
+ * Generate the samples of one stream property
+ * Values follow a daily sine wave around `mean`, with noise and an optional step change; at most
+ * `limit` samples are returned, like one call to the real service.
+ * @param {Object} series - Stream series fixture ({ frequency, offlineHours, gaps, properties })
+ * @param {Object} params - Property parameters ({ mean, amplitude, noise, stepAtHours, step })
+ * @param {number} seed - Per-property seed
+ * @param {number} start - Start timestamp (ms)
+ * @param {number} end - End timestamp (ms)
+ * @param {number} now - Current time (ms)
+ * @param {number} limit - Most samples to return
+ * @returns {Object} { timestamp: value }
+ */
+function generateSamples(series, params, seed, start, end, now, limit) {
+  const frequency = series.frequency;
+  const lastSample = now - (series.offlineHours || 0) * HOUR;
+  const gaps = (series.gaps || []).map(([from, to]) => [now - from * HOUR, now - to * HOUR]);
+  const samples = {};
+  let count = 0;
+
+  for (let ts = Math.ceil(start / frequency) * frequency; ts <= Math.min(end, lastSample) && count < limit; ts += frequency) {
+    if (gaps.some(([from, to]) => ts >= from && ts < to)) {
+      continue;
+    }
+    const index = ts / frequency;
+    const phase = ((ts % DAY) / DAY) * 2 * Math.PI - Math.PI / 2;
+    let value = params.mean + params.amplitude * Math.sin(phase) + params.noise * noise(index, seed);
+
+    if (params.stepAtHours && ts >= now - params.stepAtHours * HOUR) {
+      value += params.step;
+    }
+    samples[ts] = Math.round(value * 100) / 100;
+    count++;
+  }
+  return samples;
+}
+
+/**
+ * Generate time series for a stream
+ * @param {Object} facility - Facility fixture
+ * @param {string} streamKey - Short stream key
+ * @param {number} start - Start timestamp (ms)
+ * @param {number} end - End timestamp (ms)
+ * @param {number} limit - Most values per property
+ * @returns {Object} { propertyId: { timestamp: value } }
+ */
+function streamValues(facility, streamKey, start, end, limit) {
+  const series = facility.streamSeries[streamKey];
+  if (!series) {
+    return {};
+  }
+  const now = Date.now();
+  const config = facility.streamConfigs.find(c => c.elementId === toFullKey(streamKey, true));
+  const retentionDays = config?.streamSettings?.retentionPeriod || 90;
+  const from = Math.max(start, now - retentionDays * DAY);
+  const result = {};
+
+  Object.entries(series.properties).forEach(([propertyId, params], i) => {
+    const samples = generateSamples(series, params, i + 1, from, end, now, limit);
+    if (Object.keys(samples).length > 0) {
+      result[propertyId] = samples;
+    }
+  });
+  return result;
+}
+
+/**
+ * Get the last sample of each property of a stream
+ * @param {Object} facility - Facility fixture
+ * @param {string} streamKey - Short stream key
+ * @returns {Object} { propertyId: { timestamp: value } }
+ */
+function lastSeenValues(facility, streamKey) {
+  const series = facility.streamSeries[streamKey];
+  if (!series) {
+    return {};
+  }
+  const now = Date.now();
+  const values = streamValues(facility, streamKey, now - (series.offlineHours || 0) * HOUR - 2 * series.frequency, now);
+  const result = {};
+
+  for (const [propertyId, samples] of Object.entries(values)) {
+    const last = Object.keys(samples).pop();
+    result[propertyId] = { [last]: samples[last] };
+  }
+  return result;
+}
+
+/**
+ * Error with an HTTP status, turned into a JSON error response
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Look up a fixture by URN or fail with 404
+ * @param {Map} map - Fixture map
+ * @param {string} urn - URN from the request path
+ * @returns {Object} Fixture
+ */
+function find(map, urn) {
+  const item = map.get(urn);
+  if (!item) {
+    throw new HttpError(404, `${urn} not found`);
+  }
+  return item;
+}
+
+/**
+ * Find the facility a default model belongs to
+ * @param {Object} fixtures - Loaded fixtures
+ * @param {string} modelURN - Default model URN
+ * @returns {Object} Facility fixture
+ */
+function facilityForDefaultModel(fixtures, modelURN) {
+  return find(fixtures.facilities, modelURN.replace('urn:adsk.dtm:', 'urn:adsk.dtt:'));
+}
+
+/**
+ * Facilities visible in a region, in the /groups/:urn/twins response format
+ * @param {Object} fixtures - Loaded fixtures
+ * @param {string} region - Region header value
+ * @param {Function} include - Filter on the user resources twin entry
+ * @returns {Object} { facilityURN: { props, region } }
+ */
+function twinsInRegion(fixtures, region, include) {
+  const result = {};
+
+  for (const twin of fixtures.account.resources.twins.filter(include)) {
+    const facility = fixtures.facilities.get(twin.urn);
+    if (facility && facility.info.region.toUpperCase() === (region || 'US').replace('EMEA', 'EU').toUpperCase()) {
+      result[twin.urn] = { props: facility.info.props, region: facility.info.region };
+    }
+  }
+  return result;
+}
+
+// [method, pattern, handler(fixtures, params, body, url, headers, options)]
+const routes = [
+  ['GET', /^\/userinfo$/, fixtures => fixtures.account.user],
+  ['GET', /^\/groups$/, fixtures => fixtures.account.groups],
+  ['GET', /^\/groups\/([^/]+)\/twins$/, (fixtures, [groupURN], body, url, headers) =>
+    twinsInRegion(fixtures, headers.region, twin => twin.grantedViaGroup === groupURN)],
+  ['POST', /^\/groups\/([^/]+)\/history$/, (fixtures, params, body) => filterHistory(fixtures.account.groupHistory, body)],
+  ['GET', /^\/users\/([^/]+)\/twins$/, (fixtures, params, body, url, headers) =>
+    twinsInRegion(fixtures, headers.region, twin => !twin.grantedViaGroup)],
+  ['GET', /^\/users\/([^/]+)\/resources$/, fixtures => fixtures.account.resources],
+  ['GET', /^\/twins\/([^/]+)$/, (fixtures, [urn]) => find(fixtures.facilities, urn).info],
+  ['GET', /^\/twins\/([^/]+)\/users$/, (fixtures, [urn]) => find(fixtures.facilities, urn).users],
+  ['GET', /^\/twins\/([^/]+)\/views$/, (fixtures, [urn]) => find(fixtures.facilities, urn).views],
+  ['POST', /^\/twins\/([^/]+)\/history$/, (fixtures, [urn], body) => filterHistory(find(fixtures.facilities, urn).history, body)],
+  ['GET', /^\/modeldata\/([^/]+)$/, (fixtures, [urn]) => find(fixtures.models, urn).props],
+  ['GET', /^\/modeldata\/([^/]+)\/schema$/, (fixtures, [urn]) => find(fixtures.models, urn).schema],
+  ['GET', /^\/modeldata\/([^/]+)\/model$/, (fixtures, [urn]) => find(fixtures.models, urn).model],
+  ['POST', /^\/modeldata\/([^/]+)\/scan$/, (fixtures, [urn], body) => scan(find(fixtures.models, urn), body)],
+  ['POST', /^\/modeldata\/([^/]+)\/history$/, (fixtures, [urn], body) => filterHistory(find(fixtures.models, urn).history, body)],
+  ['GET', /^\/models\/([^/]+)\/props$/, (fixtures, [urn]) => find(fixtures.models, urn).props],
+  ['GET', /^\/models\/([^/]+)\/stream-configs$/, (fixtures, [urn]) => facilityForDefaultModel(fixtures, urn).streamConfigs],
+  ['GET', /^\/models\/([^/]+)\/stream-configs\/([^/]+)$/, (fixtures, [urn, streamKey]) => {
+    const config = facilityForDefaultModel(fixtures, urn).streamConfigs.find(c => c.elementId === toFullKey(streamKey, true));
+    if (!config) {
+      throw new HttpError(404, `No configuration for stream ${streamKey}`);
+    }
+    return config;
+  }],
+  ['POST', /^\/timeseries\/models\/([^/]+)\/streams$/, (fixtures, [urn], body) => {
+    const facility = facilityForDefaultModel(fixtures, urn);
+    const result = {};
+    for (const key of body?.keys || []) {
+      const values = lastSeenValues(facility, key);
+      if (Object.keys(values).length > 0) {
+        result[toFullKey(key, true)] = values;
+      }
+    }
+    return result;
+  }],
+  ['GET', /^\/timeseries\/models\/([^/]+)\/streams\/([^/]+)$/, (fixtures, [urn, streamKey], body, url, headers, options) => {
+    const facility = facilityForDefaultModel(fixtures, urn);
+    const start = Number(url.searchParams.get('start')) || Date.now() - 30 * DAY;
+    const end = Number(url.searchParams.get('end')) || Date.now();
+    const limit = Math.min(Number(url.searchParams.get('limit')) || Infinity, options.maxValues);
+    return streamValues(facility, streamKey, start, end, limit);
+  }]
+];
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<any>} Parsed body, or undefined if empty
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Handle an API request
+ * @param {Object} fixtures - Loaded fixtures
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Parsed request URL
+ * @param {Object} options - Server options (see createMockServer)
+ * @returns {Promise<{status: number, body: any, contentType?: string}>} Response
+ */
+async function handleApi(fixtures, req, url, options) {
+  if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+    throw new HttpError(401, 'Missing bearer token');
+  }
+  const apiPath = decodeURIComponent(url.pathname.slice(apiPrefix.length));
+
+  // The thumbnail is binary - reuse the app icon
+  if (req.method === 'GET' && /^\/twins\/[^/]+\/thumbnail$/.test(apiPath)) {
+    return {
+      status: 200,
+      body: await readFile(path.join(rootDir, 'assets', 'tandem-stats-icon.svg')),
+      contentType: contentTypes['.svg']
+    };
+  }
+  for (const [method, pattern, handler] of routes) {
+    const match = apiPath.match(pattern);
+    if (match && req.method === method) {
+      const body = await readBody(req);
+      return { status: 200, body: handler(fixtures, match.slice(1), body, url, req.headers, options) };
+    }
+  }
+  throw new HttpError(404, `No mock for ${req.method} ${apiPath}`);
+}
+
+/**
+ * Serve a static file from the repository root
+ * @param {URL} url - Parsed request URL
+ * @returns {Promise<{status: number, body: Buffer, contentType: string}>} Response
+ */
+async function serveStatic(url) {
+  const relativePath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+  const filePath = path.resolve(rootDir, `.${relativePath}`);
+
+  if (!filePath.startsWith(rootDir + path.sep)) {
+    throw new HttpError(403, 'Forbidden');
+  }
+  try {
+    return {
+      status: 200,
+      body: await readFile(filePath),
+      contentType: contentTypes[path.extname(filePath)] || 'application/octet-stream'
+    };
+  } catch {
+    throw new HttpError(404, `${relativePath} not found`);
+  }
+}
+
+/**
+ * Create the mock server
+ * @param {Object} fixtures - Loaded fixtures (see loadFixtures)
+ * @param {Object} [options] - { latency: delay in ms added to every API response,
+ *   maxValues: most values per property one /timeseries call returns }
+ * @returns {http.Server} Server (not yet listening)
+ */
+export function createMockServer(fixtures, { latency = 0, maxValues = MAX_TIMESERIES_VALUES } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, Region',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers);
+      res.end();
+      return;
+    }
+
+    let response;
+    try {
+      if (url.pathname.startsWith(`${apiPrefix}/`)) {
+        if (latency > 0) {
+          await new Promise(resolve => setTimeout(resolve, latency));
+        }
+        response = await handleApi(fixtures, req, url, { maxValues });
+      } else {
+        response = await serveStatic(url);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) {
+        console.error(`${req.method} ${req.url} failed:`, error);
+      }
+      response = { status, body: { message: error.message } };
+    }
+
+    const isBuffer = Buffer.isBuffer(response.body);
+    res.writeHead(response.status, {
+      ...headers,
+      'Content-Type': response.contentType || contentTypes['.json']
+    });
+    res.end(isBuffer ? response.body : JSON.stringify(response.body));
+
+    if (url.pathname.startsWith(apiPrefix)) {
+      console.log(`${response.status} ${req.method} ${url.pathname}`);
+    }
+  });
+}
+
+// Run as a script: node mock/server.mjs
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const options = parseOptions(process.argv.slice(2));
+  const fixtures = await loadFixtures();
+  const server = createMockServer(fixtures, options);
+
+  server.listen(options.port, () => {
+    console.log(`Mock Tandem server: ${fixtures.facilities.size} facilities, ${fixtures.models.size} models`);
+    console.log(`Open http://localhost:${options.port}/?env=mock`);
+  });
+}
@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { aggregateValues, bucketStart, chooseInterval, percentile } from '../js/utils/aggregation.js';
+
+// Buckets follow local time; pin it so day and week boundaries are predictable
+process.env.TZ = 'UTC';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const wednesday = Date.UTC(2025, 2, 12, 14, 35, 20);
+
+describe('bucketStart', () => {
+  test('truncates to the hour, day and Monday of the week', () => {
+    assert.equal(bucketStart(wednesday, 'hour'), Date.UTC(2025, 2, 12, 14));
+    assert.equal(bucketStart(wednesday, 'day'), Date.UTC(2025, 2, 12));
+    assert.equal(bucketStart(wednesday, 'week'), Date.UTC(2025, 2, 10));
+  });
+
+  test('puts Sunday in the week that started on the previous Monday', () => {
+    assert.equal(bucketStart(Date.UTC(2025, 2, 16, 23), 'week'), Date.UTC(2025, 2, 10));
+  });
+
+  test('rejects unknown intervals', () => {
+    assert.throws(() => bucketStart(wednesday, 'month'), /Unknown aggregation interval/);
+  });
+});
+
+describe('percentile', () => {
+  test('interpolates between ranks', () => {
+    assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+    assert.equal(percentile([10, 20], 95), 19.5);
+    assert.equal(percentile([7], 95), 7);
+    assert.equal(percentile([], 95), null);
+  });
+});
+
+describe('aggregateValues', () => {
+  test('computes count, min, max, mean and p95 per bucket, oldest first', () => {
+    const start = Date.UTC(2025, 2, 12, 10);
+    const values = {
+      [start + HOUR + 60000]: 30,
+      [start]: 10,
+      [start + 15 * 60000]: 20,
+      [start + 30 * 60000]: 60
+    };
+
+    assert.deepEqual(aggregateValues(values, 'hour'), [
+      { start, count: 3, min: 10, max: 60, mean: 30, p95: 56 },
+      { start: start + HOUR, count: 1, min: 30, max: 30, mean: 30, p95: 30 }
+    ]);
+  });
+
+  test('skips values that are not numbers', () => {
+    const day = Date.UTC(2025, 2, 12);
+    const buckets = aggregateValues({ [day]: 'on', [day + HOUR]: 4, [day + 2 * HOUR]: null }, 'day');
+
+    assert.deepEqual(buckets.map(b => b.count), [1]);
+    assert.deepEqual(aggregateValues(undefined, 'day'), []);
+  });
+});
+
+describe('chooseInterval', () => {
+  test('keeps raw values when there are few points', () => {
+    assert.equal(chooseInterval(30 * DAY, 500), 'raw');
+  });
+
+  test('picks the finest interval with a readable number of buckets', () => {
+    assert.equal(chooseInterval(7 * DAY, 10080), 'hour');
+    assert.equal(chooseInterval(30 * DAY, 43200), 'day');
+    assert.equal(chooseInterval(5 * 365 * DAY, 500000), 'week');
+  });
+});
@@ -0,0 +1,158 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  anomalySeverity,
+  defaultAnomalySettings,
+  detectAnomalies,
+  findStreamAnomalies,
+  flatLines,
+  iqrOutliers,
+  normalizeAnomalySettings,
+  rollingZScore,
+  stepChanges,
+  summarizeAnomalies
+} from '../js/utils/anomalies.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Points every 10 minutes from a list of values
+ */
+function pointsOf(values) {
+  return values.map((value, i) => [i * 10 * MINUTE, value]);
+}
+
+/**
+ * A noisy but bounded signal (deterministic, no randomness)
+ */
+function wobble(count, base = 20) {
+  return Array.from({ length: count }, (_, i) => base + Math.sin(i * 1.7) + ((i * 7) % 5) / 10);
+}
+
+describe('anomalySeverity', () => {
+  test('grades scores relative to the threshold', () => {
+    assert.equal(anomalySeverity(1), 'low');
+    assert.equal(anomalySeverity(1.5), 'medium');
+    assert.equal(anomalySeverity(3), 'high');
+  });
+});
+
+describe('normalizeAnomalySettings', () => {
+  test('fills in defaults for missing settings', () => {
+    assert.deepEqual(normalizeAnomalySettings(null), defaultAnomalySettings());
+    assert.equal(normalizeAnomalySettings({ iqr: { enabled: false } }).iqr.factor, 1.5);
+  });
+
+  test('parses inputs, clamps to the minimum and drops unknown methods', () => {
+    const settings = normalizeAnomalySettings({
+      zscore: { enabled: true, windowHours: '12', threshold: 'abc' },
+      step: { threshold: 0.5 },
+      unknown: { enabled: true }
+    });
+
+    assert.equal(settings.zscore.windowHours, 12);
+    assert.equal(settings.zscore.threshold, 3);
+    assert.equal(settings.step.threshold, 2);
+    assert.equal('unknown' in settings, false);
+  });
+});
+
+describe('rollingZScore', () => {
+  test('flags a spike against the preceding window', () => {
+    const values = wobble(60);
+    values[50] = 40;
+    const anomalies = rollingZScore(pointsOf(values), { windowHours: 24, threshold: 3 });
+
+    assert.deepEqual(anomalies.map(a => a.start), [50 * 10 * MINUTE]);
+    assert.equal(anomalies[0].value, 40);
+    assert.ok(Math.abs(anomalies[0].expected - 20.2) < 0.5);
+    assert.equal(anomalies[0].severity, 'high');
+  });
+
+  test('needs enough preceding values and some spread', () => {
+    assert.deepEqual(rollingZScore(pointsOf([1, 1, 1, 1, 50]), { windowHours: 24, threshold: 3 }), []);
+    assert.deepEqual(rollingZScore(pointsOf([...new Array(20).fill(5), 9]), { windowHours: 24, threshold: 3 }), []);
+  });
+});
+
+describe('iqrOutliers', () => {
+  test('flags values outside the fences with the crossed fence as expected', () => {
+    const anomalies = iqrOutliers(pointsOf([10, 11, 12, 13, 14, 15, 16, 40, -20]), { factor: 1.5 });
+
+    assert.deepEqual(anomalies.map(a => a.value), [40, -20]);
+    assert.equal(anomalies[0].expected, 21);
+    assert.equal(anomalies[1].expected, 5);
+  });
+
+  test('ignores series without spread', () => {
+    assert.deepEqual(iqrOutliers(pointsOf([3, 3, 3, 3, 3]), { factor: 1.5 }), []);
+  });
+});
+
+describe('flatLines', () => {
+  test('reports runs of the same value longer than the minimum', () => {
+    const values = [...wobble(10), ...new Array(40).fill(21.5), ...wobble(10)];
+    const anomalies = flatLines(pointsOf(values), { minHours: 6 });
+
+    assert.equal(anomalies.length, 1);
+    assert.equal(anomalies[0].start, 10 * 10 * MINUTE);
+    assert.equal(anomalies[0].end, 49 * 10 * MINUTE);
+    assert.equal(anomalies[0].value, 21.5);
+    assert.equal(anomalies[0].score, 6.5 * HOUR / (6 * HOUR));
+  });
+
+  test('ignores short runs', () => {
+    assert.deepEqual(flatLines(pointsOf([1, 2, 2, 2, 3]), { minHours: 1 }), []);
+  });
+});
+
+describe('stepChanges', () => {
+  test('flags a jump to a new level', () => {
+    const values = [...wobble(30, 20), ...wobble(30, 50)];
+    const anomalies = stepChanges(pointsOf(values), { threshold: 8, confirmPoints: 3 });
+
+    assert.deepEqual(anomalies.map(a => a.start), [30 * 10 * MINUTE]);
+    assert.ok(Math.abs(anomalies[0].expected - 20) < 2);
+  });
+
+  test('does not report a single spike as a step', () => {
+    const values = wobble(60);
+    values[30] = 40;
+    assert.deepEqual(stepChanges(pointsOf(values), { threshold: 8, confirmPoints: 3 }), []);
+  });
+});
+
+describe('detectAnomalies', () => {
+  test('runs the enabled methods on numeric values, oldest first', () => {
+    const values = Object.fromEntries(pointsOf([...wobble(30, 20), ...wobble(30, 50)]));
+    values[0] = 'offline';
+    const settings = normalizeAnomalySettings({ zscore: { enabled: false }, iqr: { enabled: false }, flatline: { enabled: false } });
+    const anomalies = detectAnomalies(values, settings);
+
+    assert.deepEqual(anomalies.map(a => a.method), ['step']);
+    assert.deepEqual(detectAnomalies({}, settings), []);
+  });
+});
+
+describe('findStreamAnomalies / summarizeAnomalies', () => {
+  test('labels anomalies with their stream and property and counts them per stream', () => {
+    const spiky = wobble(60);
+    spiky[40] = 60;
+    const series = [
+      { key: 'a', name: 'Office', values: { t: Object.fromEntries(pointsOf(spiky)) } },
+      { key: 'b', name: 'Lobby', values: { t: Object.fromEntries(pointsOf(wobble(60))) } }
+    ];
+    const anomalies = findStreamAnomalies(series, defaultAnomalySettings());
+
+    assert.ok(anomalies.length > 0);
+    assert.ok(anomalies.every(a => a.streamKey === 'a' && a.streamName === 'Office' && a.propKey === 't'));
+
+    const totals = summarizeAnomalies(series, anomalies);
+    assert.deepEqual(totals.map(t => t.streamKey), ['a', 'b']);
+    assert.equal(totals[0].count, anomalies.length);
+    assert.equal(totals[0].byMethod.iqr, 1);
+    assert.equal(totals[1].count, 0);
+  });
+});
@@ -0,0 +1,182 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CalculationStatus,
+  InputStatus,
+  calculationNode,
+  calculationStatus,
+  checkCalculation,
+  compareValues,
+  findCycles,
+  listCalculations,
+  producedProperties,
+  recomputeValues,
+  withinTolerance
+} from '../js/utils/calculations.js';
+import { parseFormula } from '../js/utils/formulas.js';
+
+// Long keys and their short keys (the riverside mock facility)
+const RETURN = { long: 'AQAAAJTYUcw0XXZS-41S8mLqMrHhRIGm', short: 'lNhRzDRddlL7jVLyYuoyseFEgaY' };
+const SUPPLY = { long: 'AQAAANDvODt--oLlMcuITn_4aUpK0Lms', short: '0O84O376guUxy4hOf_hpSkrQuaw' };
+const AHU = { long: 'AQAAADNTLAUpjo4l3uHHPrk3J1d7oCkN', short: 'M1MsBSmOjiXe4cc-uTcnV3ugKQ0' };
+
+const T0 = Date.UTC(2026, 0, 1);
+const MINUTE = 60 * 1000;
+
+const configs = [
+  { elementId: SUPPLY.long, streamSettings: { sourceMapping: { 'z:LQ': {}, 'z:Lg': {} } } },
+  { elementId: RETURN.long, streamSettings: { sourceMapping: { 'z:LQ': {} } } },
+  {
+    elementId: AHU.long,
+    streamSettings: {
+      frequency: 300000,
+      calculationSettings: {
+        'z:Dt': {
+          expression: 'ret - sup',
+          enabled: true,
+          vars: {
+            ret: { elementId: RETURN.long, propertyId: 'z:LQ' },
+            sup: { elementId: SUPPLY.long, propertyId: 'z:LQ' }
+          }
+        }
+      }
+    }
+  }
+];
+
+describe('listCalculations / producedProperties', () => {
+  test('lists calculated properties with short input keys', () => {
+    const [calc] = listCalculations(configs);
+
+    assert.equal(calc.streamKey, AHU.short);
+    assert.equal(calc.propKey, 'z:Dt');
+    assert.equal(calc.frequency, 300000);
+    assert.equal(calc.enabled, true);
+    assert.deepEqual(calc.inputs, [
+      { variable: 'ret', streamKey: RETURN.short, propKey: 'z:LQ' },
+      { variable: 'sup', streamKey: SUPPLY.short, propKey: 'z:LQ' }
+    ]);
+  });
+
+  test('collects mapped and calculated properties per stream', () => {
+    const produced = producedProperties([SUPPLY.short, RETURN.short, AHU.short, 'other'], configs);
+
+    assert.deepEqual([...produced.get(SUPPLY.short)], ['z:LQ', 'z:Lg']);
+    assert.deepEqual([...produced.get(AHU.short)], ['z:Dt']);
+    assert.equal(produced.get('other'), null);
+  });
+});
+
+describe('checkCalculation', () => {
+  const produced = producedProperties([SUPPLY.short, RETURN.short, AHU.short, 'bare'], configs);
+  const calculation = (expression, inputs) => ({ streamKey: AHU.short, propKey: 'z:Dt', expression, inputs });
+
+  test('normalizes the formula and accepts inputs that exist', () => {
+    const check = checkCalculation(listCalculations(configs)[0], produced);
+
+    assert.equal(check.error, null);
+    assert.equal(check.normalized, 'ret - sup');
+    assert.deepEqual(check.inputs.map(input => input.status), [InputStatus.Ok, InputStatus.Ok]);
+  });
+
+  test('flags missing streams and properties, undeclared and unused variables', () => {
+    const check = checkCalculation(calculation('a + b + c + d', [
+      { variable: 'a', streamKey: 'gone', propKey: 'z:LQ' },
+      { variable: 'b', streamKey: RETURN.short, propKey: 'z:Lg' },
+      { variable: 'c', streamKey: 'bare', propKey: 'z:LQ' },
+      { variable: 'x', streamKey: SUPPLY.short, propKey: 'z:LQ' }
+    ]), produced);
+
+    assert.deepEqual(check.inputs.map(input => [input.variable, input.status]), [
+      ['a', InputStatus.MissingStream],
+      ['b', InputStatus.MissingProperty],
+      ['c', InputStatus.Ok],
+      ['x', InputStatus.Unused],
+      ['d', InputStatus.Undeclared]
+    ]);
+  });
+
+  test('reports a parse error with its position', () => {
+    const check = checkCalculation(calculation('ret - * sup', []), produced);
+
+    assert.equal(check.tree, null);
+    assert.deepEqual(check.error, { message: "Unexpected '*'", position: 6 });
+  });
+});
+
+describe('findCycles', () => {
+  const calc = (streamKey, propKey, ...inputs) => ({
+    streamKey,
+    propKey,
+    inputs: inputs.map(([key, prop], i) => ({ variable: `v${i}`, streamKey: key, propKey: prop }))
+  });
+
+  test('finds direct, indirect and self references', () => {
+    const cycles = findCycles([
+      calc('a', 'x', ['b', 'x']),
+      calc('b', 'x', ['c', 'x'], ['s', 'in']),
+      calc('c', 'x', ['a', 'x']),
+      calc('d', 'x', ['d', 'x']),
+      calc('e', 'x', ['a', 'x'])
+    ]);
+
+    assert.deepEqual(cycles, [
+      [calculationNode('a', 'x'), calculationNode('b', 'x'), calculationNode('c', 'x')],
+      [calculationNode('d', 'x')]
+    ]);
+  });
+
+  test('returns nothing for chained calculations', () => {
+    assert.deepEqual(findCycles([calc('a', 'x', ['b', 'x']), calc('b', 'x', ['s', 'in'])]), []);
+  });
+});
+
+describe('recomputeValues', () => {
+  test('uses the latest input values within the maximum age', () => {
+    const tree = parseFormula('ret - sup');
+    const inputs = {
+      ret: { [T0]: 22, [T0 + 5 * MINUTE]: 23 },
+      sup: { [T0 - MINUTE]: 14 }
+    };
+    const { values, missing } = recomputeValues(tree, inputs,
+      [T0 - 2 * MINUTE, T0, T0 + 5 * MINUTE, T0 + 30 * MINUTE], 10 * MINUTE);
+
+    assert.deepEqual(values, { [T0]: 8, [T0 + 5 * MINUTE]: 9 });
+    assert.equal(missing, 2);
+  });
+});
+
+describe('compareValues / calculationStatus', () => {
+  test('applies an absolute or relative tolerance', () => {
+    assert.equal(withinTolerance(100, 100.5, { absolute: 0.01, relative: 0.01 }), true);
+    assert.equal(withinTolerance(1, 1.005, { absolute: 0.01, relative: 0 }), true);
+    assert.equal(withinTolerance(1, 1.05, { absolute: 0.01, relative: 0.01 }), false);
+  });
+
+  test('compares the timestamps that have both values', () => {
+    const comparison = compareValues(
+      { [T0]: 8, [T0 + MINUTE]: 9, [T0 + 2 * MINUTE]: 10, [T0 + 3 * MINUTE]: 1 },
+      { [T0]: 8, [T0 + MINUTE]: 9.5, [T0 + 3 * MINUTE]: 1 }
+    );
+
+    assert.equal(comparison.compared, 3);
+    assert.equal(comparison.matched, 2);
+    assert.deepEqual(comparison.mismatches, [{ timestamp: T0 + MINUTE, stored: 9, recomputed: 9.5, difference: 0.5 }]);
+    assert.equal(comparison.maxDifference, 0.5);
+    assert.equal(comparison.meanDifference, 0.5 / 3);
+  });
+
+  test('reports the worst status', () => {
+    const ok = { error: null, inputs: [{ status: InputStatus.Ok }, { status: InputStatus.Unused }] };
+    const matched = { compared: 2, mismatches: [] };
+
+    assert.equal(calculationStatus({ ...ok, error: { message: 'x' } }, true, matched), CalculationStatus.ParseError);
+    assert.equal(calculationStatus(ok, true, matched), CalculationStatus.Cycle);
+    assert.equal(calculationStatus({ ...ok, inputs: [{ status: InputStatus.Undeclared }] }, false, matched),
+      CalculationStatus.MissingInput);
+    assert.equal(calculationStatus(ok, false, null), CalculationStatus.NoData);
+    assert.equal(calculationStatus(ok, false, { compared: 2, mismatches: [{}] }), CalculationStatus.Mismatch);
+    assert.equal(calculationStatus(ok, false, matched), CalculationStatus.Ok);
+  });
+});
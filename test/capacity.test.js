@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyCapacityChange,
+  estimateCapacity,
+  formatPointCount,
+  planCapacity,
+  streamParameterCount
+} from '../js/utils/capacity.js';
+
+const twoParams = { sourceMapping: { 'z:LQ': {}, 'z:Lg': {} } };
+
+describe('estimateCapacity', () => {
+  test('counts source mappings and calculated properties', () => {
+    assert.equal(streamParameterCount({ sourceMapping: { a: {} }, calculationSettings: { b: {}, c: {} } }), 3);
+    assert.equal(streamParameterCount(null), 0);
+  });
+
+  test('estimates points per day, month and retention', () => {
+    const estimate = estimateCapacity({ ...twoParams, frequency: 300000, retentionPeriod: 365 });
+
+    assert.equal(estimate.pointsPerDay, 2 * 288);
+    assert.equal(estimate.pointsPerMonth, 2 * 288 * 30);
+    assert.equal(estimate.retainedPoints, 2 * 288 * 365);
+  });
+
+  test('costs calculated properties at their own frequency', () => {
+    const estimate = estimateCapacity({
+      ...twoParams,
+      frequency: 300000,
+      calculationSettings: { 'z:Lw': { frequency: 3600000 }, 'z:MA': {} }
+    });
+
+    assert.equal(estimate.parameters, 4);
+    assert.equal(estimate.pointsPerDay, 3 * 288 + 24);
+  });
+
+  test('applies the server defaults (1 minute, 90 days)', () => {
+    const estimate = estimateCapacity(twoParams);
+
+    assert.equal(estimate.frequency, 60000);
+    assert.equal(estimate.retentionDays, 90);
+    assert.equal(estimate.retainedPoints, 2 * 1440 * 90);
+    assert.equal(estimateCapacity(undefined).retainedPoints, 0);
+  });
+});
+
+describe('formatPointCount', () => {
+  test('abbreviates large counts', () => {
+    assert.equal(formatPointCount(12.7), '~12');
+    assert.equal(formatPointCount(3450), '~3.5K');
+    assert.equal(formatPointCount(1200000), '~1.2M');
+    assert.equal(formatPointCount(2500000000), '~2.5B');
+  });
+});
+
+describe('applyCapacityChange', () => {
+  test('replaces only the planned fields', () => {
+    assert.deepEqual(applyCapacityChange({ ...twoParams, frequency: 60000, retentionPeriod: 30 }, { retentionPeriod: 365 }),
+      { ...twoParams, frequency: 60000, retentionPeriod: 365 });
+    assert.deepEqual(applyCapacityChange(null, undefined), {});
+  });
+});
+
+describe('planCapacity', () => {
+  const streams = [
+    { key: 'a', name: 'AHU', settings: { ...twoParams, frequency: 300000, retentionPeriod: 365 } },
+    { key: 'b', name: 'Office', settings: { sourceMapping: { 'z:LQ': {} }, frequency: 600000, retentionPeriod: 90 } },
+    { key: 'c', name: 'Unconfigured', settings: null }
+  ];
+
+  test('ranks streams by retained points with their share', () => {
+    const plan = planCapacity(streams);
+
+    assert.deepEqual(plan.streams.map(item => item.key), ['a', 'b', 'c']);
+    assert.equal(plan.totals.current.retainedPoints, 2 * 288 * 365 + 144 * 90);
+    assert.deepEqual(plan.totals.planned, plan.totals.current);
+    assert.equal(plan.streams[0].share, 2 * 288 * 365 / plan.totals.planned.retainedPoints);
+    assert.equal(plan.streams[2].configured, false);
+    assert.ok(plan.streams.every(item => !item.changed));
+  });
+
+  test('models changes to frequency and retention', () => {
+    const plan = planCapacity(streams, { a: { frequency: 900000, retentionPeriod: 90 }, b: { frequency: 600000 } });
+    const ahu = plan.streams.find(item => item.key === 'a');
+
+    assert.equal(ahu.planned.retainedPoints, 2 * 96 * 90);
+    assert.equal(ahu.changed, true);
+    assert.equal(plan.streams.find(item => item.key === 'b').changed, false);
+    assert.equal(plan.totals.planned.retainedPoints, 2 * 96 * 90 + 144 * 90);
+    assert.equal(plan.totals.current.retainedPoints, 2 * 288 * 365 + 144 * 90);
+  });
+});
@@ -0,0 +1,78 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultLayout, normalizeLayout, moveCard, setCardFlag } from '../js/state/cardLayout.js';
+
+const cardIds = ['models', 'streams', 'search', 'levels', 'rooms'];
+
+describe('normalizeLayout', () => {
+  test('uses the default layout when nothing is saved', () => {
+    assert.deepEqual(normalizeLayout(null, cardIds), defaultLayout(cardIds));
+    assert.deepEqual(normalizeLayout({ hidden: ['rooms'] }, cardIds), defaultLayout(cardIds));
+  });
+
+  test('drops unknown and duplicate cards', () => {
+    const layout = normalizeLayout({
+      order: ['rooms', 'gone', 'models', 'rooms', 'streams', 'search', 'levels'],
+      hidden: ['gone', 'search', 'search'],
+      collapsed: 'levels'
+    }, cardIds);
+
+    assert.deepEqual(layout, {
+      order: ['rooms', 'models', 'streams', 'search', 'levels'],
+      hidden: ['search'],
+      collapsed: []
+    });
+  });
+
+  test('inserts new cards after their default predecessor', () => {
+    const layout = normalizeLayout({ order: ['rooms', 'streams', 'models'], hidden: [], collapsed: [] }, cardIds);
+
+    // search goes after streams and levels after search; saved cards keep their places
+    assert.deepEqual(layout.order, ['rooms', 'streams', 'search', 'levels', 'models']);
+  });
+
+  test('puts a new first card at the top', () => {
+    const layout = normalizeLayout({ order: ['streams', 'search', 'levels', 'rooms'] }, cardIds);
+
+    assert.deepEqual(layout.order, cardIds);
+  });
+});
+
+describe('moveCard', () => {
+  test('swaps with the neighbouring card', () => {
+    const layout = defaultLayout(cardIds);
+
+    assert.deepEqual(moveCard(layout, 'search', -1).order, ['models', 'search', 'streams', 'levels', 'rooms']);
+    assert.deepEqual(moveCard(layout, 'search', 1).order, ['models', 'streams', 'levels', 'search', 'rooms']);
+  });
+
+  test('skips hidden cards, which keep their place', () => {
+    const layout = { ...defaultLayout(cardIds), hidden: ['streams'] };
+
+    assert.deepEqual(moveCard(layout, 'search', -1).order, ['search', 'streams', 'models', 'levels', 'rooms']);
+  });
+
+  test('leaves the first, last and hidden cards alone', () => {
+    const layout = { ...defaultLayout(cardIds), hidden: ['levels'] };
+
+    assert.equal(moveCard(layout, 'models', -1), layout);
+    assert.equal(moveCard(layout, 'rooms', 1), layout);
+    assert.equal(moveCard(layout, 'levels', 1), layout);
+  });
+});
+
+describe('setCardFlag', () => {
+  test('adds and removes cards without duplicates', () => {
+    let layout = defaultLayout(cardIds);
+
+    layout = setCardFlag(layout, 'hidden', 'rooms', true);
+    layout = setCardFlag(layout, 'hidden', 'rooms', true);
+    layout = setCardFlag(layout, 'collapsed', 'models', true);
+    assert.deepEqual(layout.hidden, ['rooms']);
+    assert.deepEqual(layout.collapsed, ['models']);
+
+    layout = setCardFlag(layout, 'hidden', 'rooms', false);
+    assert.deepEqual(layout.hidden, []);
+  });
+});
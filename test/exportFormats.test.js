@@ -0,0 +1,101 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  LONG_HEADER,
+  columnLabel,
+  csvField,
+  exportColumns,
+  formatStreamValues,
+  longRecords,
+  toCsv,
+  wideTable
+} from '../js/utils/exportFormats.js';
+
+const T0 = Date.UTC(2026, 0, 1);
+const MINUTE = 60 * 1000;
+
+const series = [
+  { key: 'a', name: 'AHU-1, Supply', values: { 'z:LQ': { [T0]: 15, [T0 + MINUTE]: 16 }, 'z:Lg': { [T0]: 40 } } },
+  { key: 'b', name: 'Office', values: { 'z:LQ': { [T0 + MINUTE]: 21.5 }, 'z:Lw': {} } }
+];
+const properties = {
+  'z:LQ': { name: 'Sensor.Temperature', unit: 'celsius' },
+  'z:Lg': { name: 'Sensor.Relative Humidity', unit: 'percentage' }
+};
+
+describe('exportColumns', () => {
+  test('lists the stream properties with values, with names and units', () => {
+    const columns = exportColumns(series, properties);
+
+    assert.deepEqual(columns.map(c => `${c.streamKey}/${c.propKey}`), ['a/z:Lg', 'a/z:LQ', 'b/z:LQ']);
+    assert.equal(columnLabel(columns[1]), 'AHU-1, Supply - Sensor.Temperature (celsius)');
+    assert.equal(exportColumns([{ key: 'c', name: 'C', values: { 'z:Xx': { 1: 1 } } }], {})[0].property, 'z:Xx');
+  });
+});
+
+describe('wideTable / longRecords', () => {
+  test('builds one row per timestamp with empty cells where a stream has no value', () => {
+    const { rows } = wideTable(series, properties);
+
+    assert.deepEqual(rows, [
+      [T0, 40, 15, null],
+      [T0 + MINUTE, null, 16, 21.5]
+    ]);
+  });
+
+  test('builds one record per value, oldest first', () => {
+    const records = longRecords(series, properties);
+
+    assert.equal(records.length, 4);
+    assert.deepEqual(records.map(r => r.timestamp), [T0, T0, T0 + MINUTE, T0 + MINUTE]);
+    assert.equal(records.at(-1).unit, 'celsius');
+  });
+});
+
+describe('csv', () => {
+  test('quotes fields with separators, quotes or line breaks', () => {
+    assert.equal(csvField('plain'), 'plain');
+    assert.equal(csvField('a,b'), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField(null), '');
+    assert.equal(toCsv([['a', 1], ['b', null]]), 'a,1\r\nb,\r\n');
+  });
+});
+
+describe('formatStreamValues', () => {
+  test('writes a wide CSV', () => {
+    const lines = formatStreamValues('wide', series, properties).trim().split('\r\n');
+
+    assert.equal(lines[0], 'Timestamp,"AHU-1, Supply - Sensor.Relative Humidity (percentage)","AHU-1, Supply - Sensor.Temperature (celsius)",Office - Sensor.Temperature (celsius)');
+    assert.equal(lines[1], '2026-01-01T00:00:00.000Z,40,15,');
+    assert.equal(lines.length, 3);
+  });
+
+  test('writes a long CSV', () => {
+    const lines = formatStreamValues('long', series, properties).trim().split('\r\n');
+
+    assert.equal(lines[0], LONG_HEADER.join(','));
+    assert.equal(lines[1], '2026-01-01T00:00:00.000Z,"AHU-1, Supply",a,Sensor.Relative Humidity,z:Lg,percentage,40');
+    assert.equal(lines.length, 5);
+  });
+
+  test('writes JSON Lines', () => {
+    const records = formatStreamValues('jsonl', series, properties).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(records.length, 4);
+    assert.deepEqual(records[3], {
+      timestamp: '2026-01-01T00:01:00.000Z',
+      streamKey: 'b',
+      stream: 'Office',
+      propertyId: 'z:LQ',
+      property: 'Sensor.Temperature',
+      unit: 'celsius',
+      value: 21.5
+    });
+  });
+
+  test('rejects other formats', () => {
+    assert.throws(() => formatStreamValues('xlsx', series, properties), /Unknown text export format/);
+  });
+});
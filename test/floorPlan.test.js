@@ -0,0 +1,98 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  HEATMAP_COLORS,
+  decodeBoundingBox,
+  legendStops,
+  planBounds,
+  replayTimes,
+  roomValueAt,
+  valueColor,
+  valueRange
+} from '../js/utils/floorPlan.js';
+
+/**
+ * Encode bounding box records as the LMV column does (base64url float32, 28 bytes per record)
+ */
+function encodeBoxes(...boxes) {
+  const buffer = Buffer.alloc(boxes.length * 28);
+  boxes.forEach((box, i) => box.forEach((value, j) => buffer.writeFloatLE(value, i * 28 + j * 4)));
+  return buffer.toString('base64url');
+}
+
+describe('decodeBoundingBox', () => {
+  test('decodes a record and applies the model offset', () => {
+    const box = decodeBoundingBox(encodeBoxes([0, 0, 3, 12, 8, 6]), { x: 100, y: -50, z: 0 });
+
+    assert.deepEqual(box, { minx: 100, miny: -50, minz: 3, maxx: 112, maxy: -42, maxz: 6 });
+  });
+
+  test('combines several records', () => {
+    const box = decodeBoundingBox(encodeBoxes([0, 0, 0, 4, 4, 3], [2, -2, 0, 10, 3, 3]));
+
+    assert.deepEqual(box, { minx: 0, miny: -2, minz: 0, maxx: 10, maxy: 4, maxz: 3 });
+  });
+
+  test('returns null without a complete record', () => {
+    assert.equal(decodeBoundingBox(null), null);
+    assert.equal(decodeBoundingBox(Buffer.alloc(8).toString('base64url')), null);
+  });
+
+  test('returns null for a value that is not base64', () => {
+    assert.equal(decodeBoundingBox('not base64!'), null);
+  });
+});
+
+describe('planBounds', () => {
+  test('spans all boxes in x and y', () => {
+    const boxes = [
+      { minx: 0, miny: 0, maxx: 12, maxy: 8 },
+      { minx: 12, miny: -4, maxx: 18, maxy: 8 }
+    ];
+
+    assert.deepEqual(planBounds(boxes), { minx: 0, miny: -4, maxx: 18, maxy: 8 });
+    assert.equal(planBounds([]), null);
+  });
+});
+
+describe('roomValueAt', () => {
+  test('averages the streams that reported by then', () => {
+    const pointLists = [[[1000, 20], [3000, 22]], [[2000, 26]], []];
+
+    assert.deepEqual(roomValueAt(pointLists, 1500), { value: 20, timestamp: 1000, count: 1 });
+    assert.deepEqual(roomValueAt(pointLists, 3000), { value: 24, timestamp: 3000, count: 2 });
+    assert.equal(roomValueAt(pointLists, 0), null);
+  });
+});
+
+describe('valueRange / valueColor / legendStops', () => {
+  test('spans every value', () => {
+    assert.deepEqual(valueRange([[[1, 18], [2, 25]], [[1, 21]]]), { min: 18, max: 25 });
+    assert.equal(valueRange([[], []]), null);
+  });
+
+  test('maps the range onto the color stops', () => {
+    const range = { min: 20, max: 30 };
+
+    assert.equal(valueColor(20, range), HEATMAP_COLORS[0].toLowerCase());
+    assert.equal(valueColor(25, range), HEATMAP_COLORS[2].toLowerCase());
+    assert.equal(valueColor(30, range), HEATMAP_COLORS[4].toLowerCase());
+    assert.equal(valueColor(99, range), HEATMAP_COLORS[4].toLowerCase());
+    assert.equal(valueColor(5, { min: 5, max: 5 }), HEATMAP_COLORS[2].toLowerCase());
+  });
+
+  test('builds evenly spaced legend stops', () => {
+    const stops = legendStops({ min: 0, max: 100 }, 3);
+
+    assert.deepEqual(stops.map(stop => stop.value), [0, 50, 100]);
+    assert.equal(stops[2].color, HEATMAP_COLORS[4].toLowerCase());
+  });
+});
+
+describe('replayTimes', () => {
+  test('steps from start to end', () => {
+    assert.deepEqual(replayTimes(0, 1000, 5), [0, 250, 500, 750, 1000]);
+    assert.deepEqual(replayTimes(0, 1000, 1), [0, 1000]);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  FormulaError,
+  evaluateFormula,
+  formatFormula,
+  formulaVariables,
+  parseFormula,
+  tokenizeFormula
+} from '../js/utils/formulas.js';
+
+/**
+ * Parse and evaluate in one step
+ */
+function calc(expression, scope = {}) {
+  return evaluateFormula(parseFormula(expression), scope);
+}
+
+describe('tokenizeFormula', () => {
+  test('splits numbers, names, operators and punctuation with their positions', () => {
+    const tokens = tokenizeFormula('ret_1 - 2.5e1*max(a, .5)');
+
+    assert.deepEqual(tokens.map(t => t.value), ['ret_1', '-', 25, '*', 'max', '(', 'a', ',', 0.5, ')']);
+    assert.deepEqual(tokens.slice(0, 3).map(t => t.position), [0, 6, 8]);
+  });
+
+  test('reports an unknown character with its position', () => {
+    assert.throws(() => tokenizeFormula('a + $b'), error =>
+      error instanceof FormulaError && error.position === 4 && /Unexpected character '\$'/.test(error.message));
+  });
+});
+
+describe('parseFormula / evaluateFormula', () => {
+  test('follows operator precedence and associativity', () => {
+    assert.equal(calc('1 + 2 * 3'), 7);
+    assert.equal(calc('(1 + 2) * 3'), 9);
+    assert.equal(calc('10 - 4 - 3'), 3);
+    assert.equal(calc('2 ^ 3 ^ 2'), 512);
+    assert.equal(calc('-2 ^ 2'), -4);
+    assert.equal(calc('7 % 4 * 2'), 6);
+  });
+
+  test('evaluates variables and functions', () => {
+    assert.equal(calc('ret - sup', { ret: 22.5, sup: 14 }), 8.5);
+    assert.equal(calc('max(a, b, 3) + abs(-c)', { a: 1, b: 2, c: 4 }), 7);
+    assert.equal(calc('avg(a, b)', { a: 1, b: 2 }), 1.5);
+    assert.equal(calc('pow(2, 10)'), 1024);
+  });
+
+  test('returns null for a missing variable or a result that is not finite', () => {
+    assert.equal(calc('a + b', { a: 1 }), null);
+    assert.equal(calc('a / 0', { a: 1 }), null);
+    assert.equal(calc('sqrt(-1)'), null);
+  });
+
+  test('reports syntax errors with their position', () => {
+    const position = (expression) => {
+      try {
+        parseFormula(expression);
+      } catch (error) {
+        assert.ok(error instanceof FormulaError);
+        return [error.message, error.position];
+      }
+      return null;
+    };
+
+    assert.deepEqual(position(''), ['Empty formula', 0]);
+    assert.deepEqual(position('a +'), ['Unexpected end of formula', 3]);
+    assert.deepEqual(position('(a + b'), ["Expected ')'", 6]);
+    assert.deepEqual(position('a b'), ["Unexpected 'b'", 2]);
+    assert.deepEqual(position('foo(a)'), ["Unknown function 'foo'", 0]);
+    assert.deepEqual(position('x + pow(a)'), ['pow() takes 2 arguments', 4]);
+    assert.deepEqual(position('max()'), ['max() takes one or more arguments', 0]);
+  });
+});
+
+describe('formulaVariables / formatFormula', () => {
+  test('lists variables in order of first use', () => {
+    assert.deepEqual(formulaVariables(parseFormula('b * (a + b) - min(c, a)')), ['b', 'a', 'c']);
+  });
+
+  test('writes the formula back with only the parentheses it needs', () => {
+    assert.equal(formatFormula(parseFormula('((ret)-(sup))*1.2')), '(ret - sup) * 1.2');
+    assert.equal(formatFormula(parseFormula('a - (b - c)')), 'a - (b - c)');
+    assert.equal(formatFormula(parseFormula('(a - b) - c')), 'a - b - c');
+    assert.equal(formatFormula(parseFormula('(2 ^ 3) ^ 2')), '(2 ^ 3) ^ 2');
+    assert.equal(formatFormula(parseFormula('(-a) ^ 2 + max(a,b)')), '(-a) ^ 2 + max(a, b)');
+  });
+});
@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeSampling, findGaps, sampleTimestamps } from '../js/utils/gaps.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Values every `step` ms in [start, end), skipping the given [from, to) windows
+ */
+function samples(start, end, step, skip = []) {
+  const values = {};
+  for (let ts = start; ts < end; ts += step) {
+    if (!skip.some(([from, to]) => ts >= from && ts < to)) {
+      values[ts] = 1;
+    }
+  }
+  return values;
+}
+
+describe('sampleTimestamps', () => {
+  test('merges the timestamps of all properties', () => {
+    assert.deepEqual(sampleTimestamps({ 'z:LQ': { 20: 1, 0: 1 }, 'z:Lg': { 10: 2, 20: 2 } }), [0, 10, 20]);
+    assert.deepEqual(sampleTimestamps(undefined), []);
+  });
+});
+
+describe('findGaps', () => {
+  test('reports intervals longer than 1.5 × the frequency', () => {
+    const gaps = findGaps([0, 10, 20, 50, 60], 10, 0, 65);
+
+    assert.deepEqual(gaps, [{ start: 20, end: 50, duration: 30, missing: 2, edge: null }]);
+  });
+
+  test('treats the window edges as samples', () => {
+    const gaps = findGaps([40, 50], 10, 0, 100);
+
+    assert.deepEqual(gaps.map(g => [g.start, g.end, g.edge]), [[0, 40, 'start'], [50, 100, 'end']]);
+    assert.deepEqual(findGaps([], 10, 0, 100).map(g => g.edge), ['both']);
+  });
+});
+
+describe('analyzeSampling', () => {
+  const start = 0;
+  const end = 24 * HOUR;
+
+  test('computes uptime from the time lost to gaps', () => {
+    const values = { 'z:LQ': samples(start, end, 10 * MINUTE, [[6 * HOUR, 12 * HOUR]]) };
+    const analysis = analyzeSampling(values, 10 * MINUTE, start, end);
+
+    assert.equal(analysis.gaps.length, 1);
+    assert.equal(analysis.longestGap, 6 * HOUR + 10 * MINUTE);
+    assert.equal(analysis.uptime, 0.75);
+    assert.equal(analysis.expected, 144);
+    assert.equal(analysis.received, 108);
+    assert.equal(analysis.medianInterval, 10 * MINUTE);
+  });
+
+  test('counts intervals much shorter than the frequency as irregular', () => {
+    const values = { 'z:LQ': { ...samples(start, end, 10 * MINUTE), [HOUR + MINUTE]: 1, [2 * HOUR + MINUTE]: 1 } };
+
+    assert.equal(analyzeSampling(values, 10 * MINUTE, start, end).irregular, 2);
+  });
+
+  test('uses the default frequency and reports no uptime without data', () => {
+    const analysis = analyzeSampling({}, undefined, start, HOUR);
+
+    assert.equal(analysis.frequency, MINUTE);
+    assert.equal(analysis.uptime, 0);
+    assert.equal(analysis.gaps[0].edge, 'both');
+  });
+});
@@ -0,0 +1,223 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  toShortKey,
+  toFullKey,
+  decodeXref,
+  makeXrefKey,
+  fromShortKeyArray,
+  fromXrefKeyArray,
+  toSystemId
+} from '../tandem/keys.js';
+
+/**
+ * Encode bytes as URL-safe base64 without padding (the format Tandem uses for keys)
+ * @param {Array<number>|Buffer} bytes
+ * @returns {string}
+ */
+function encode(bytes) {
+  return Buffer.from(bytes).toString('base64url');
+}
+
+/**
+ * Decode a URL-safe base64 key to bytes
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function decode(text) {
+  return Buffer.from(text, 'base64url');
+}
+
+/**
+ * Build a 20 byte element ID, optionally ending with the given last 4 bytes
+ * @param {number} seed - Fill value for the leading bytes
+ * @param {Array<number>} [tail] - Last 4 bytes
+ * @returns {Buffer}
+ */
+function elementId(seed, tail = [seed, seed, seed, seed]) {
+  return Buffer.from([...Array(16).fill(seed), ...tail]);
+}
+
+// 0xfb/0xff bytes encode to '+' and '/' in standard base64, so these keys exercise the websafe conversion
+const shortKey = encode(elementId(0xfb));
+const otherShortKey = encode(elementId(0x12));
+const modelId = encode(Array.from({ length: 16 }, (_, i) => 0xf0 + (i % 16)));
+const modelURN = `urn:adsk.dtm:${modelId}`;
+
+/**
+ * Assert that a key only uses URL-safe base64 characters and has no padding
+ * @param {string} key
+ */
+function assertWebsafe(key) {
+  assert.match(key, /^[A-Za-z0-9_-]+$/);
+}
+
+describe('toFullKey / toShortKey', () => {
+  test('round-trips a short key through a logical full key', () => {
+    const fullKey = toFullKey(shortKey, true);
+
+    assertWebsafe(fullKey);
+    assert.equal(decode(fullKey).length, 24);
+    assert.equal(toShortKey(fullKey), shortKey);
+  });
+
+  test('round-trips a short key through a physical full key', () => {
+    assert.equal(toShortKey(toFullKey(shortKey, false)), shortKey);
+  });
+
+  test('prefixes the key flags in big-endian order', () => {
+    assert.deepEqual([...decode(toFullKey(shortKey, true)).subarray(0, 4)], [0x01, 0x00, 0x00, 0x00]);
+    assert.deepEqual([...decode(toFullKey(shortKey, false)).subarray(0, 4)], [0x00, 0x00, 0x00, 0x00]);
+  });
+
+  test('keeps the element ID bytes unchanged', () => {
+    assert.deepEqual(decode(toFullKey(shortKey, true)).subarray(4), decode(shortKey));
+  });
+
+  test('toShortKey drops whatever flags the long key has', () => {
+    const longKey = encode([0x01, 0x00, 0x00, 0x05, ...elementId(0x12)]);
+
+    assert.equal(toShortKey(longKey), otherShortKey);
+  });
+
+  test('toShortKey accepts standard base64 with padding characters removed', () => {
+    const longKey = encode([0, 0, 0, 0, ...elementId(0xfb)]);
+
+    assert.equal(toShortKey(longKey.replace(/-/g, '+').replace(/_/g, '/')), shortKey);
+  });
+});
+
+describe('makeXrefKey / decodeXref', () => {
+  test('round-trips model URN and element key', () => {
+    const fullKey = toFullKey(shortKey, false);
+    const xref = makeXrefKey(modelURN, fullKey);
+
+    assertWebsafe(xref);
+    assert.equal(decode(xref).length, 40);
+    assert.deepEqual(decodeXref(xref), { modelURN, elementKey: fullKey });
+  });
+
+  test('places the model ID before the element key', () => {
+    const fullKey = toFullKey(otherShortKey, true);
+    const bytes = decode(makeXrefKey(modelURN, fullKey));
+
+    assert.deepEqual(bytes.subarray(0, 16), decode(modelId));
+    assert.deepEqual(bytes.subarray(16), decode(fullKey));
+  });
+
+  test('decodeXref returns null for input that is too short', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(decodeXref(encode(elementId(1))), null);
+  });
+
+  test('decodeXref ignores bytes after the first xref', () => {
+    const first = makeXrefKey(modelURN, toFullKey(shortKey, false));
+    const second = makeXrefKey(modelURN, toFullKey(otherShortKey, false));
+    const joined = encode(Buffer.concat([decode(first), decode(second)]));
+
+    assert.equal(decodeXref(joined).elementKey, toFullKey(shortKey, false));
+  });
+});
+
+describe('fromShortKeyArray', () => {
+  const packed = encode(Buffer.concat([decode(shortKey), decode(otherShortKey)]));
+
+  test('splits packed short keys', () => {
+    assert.deepEqual(fromShortKeyArray(packed, false), [shortKey, otherShortKey]);
+  });
+
+  test('converts to logical full keys', () => {
+    assert.deepEqual(fromShortKeyArray(packed, true, true), [toFullKey(shortKey, true), toFullKey(otherShortKey, true)]);
+  });
+
+  test('converts to physical full keys', () => {
+    assert.deepEqual(fromShortKeyArray(packed, true, false), [toFullKey(shortKey, false), toFullKey(otherShortKey, false)]);
+  });
+
+  test('ignores a trailing partial key', () => {
+    const truncated = encode(Buffer.concat([decode(shortKey), Buffer.from([1, 2, 3])]));
+
+    assert.deepEqual(fromShortKeyArray(truncated, false), [shortKey]);
+  });
+
+  test('returns an empty array for empty input', () => {
+    assert.deepEqual(fromShortKeyArray('', false), []);
+  });
+});
+
+describe('fromXrefKeyArray', () => {
+  test('splits packed xrefs into model keys and element keys', () => {
+    const keyA = toFullKey(shortKey, false);
+    const keyB = toFullKey(otherShortKey, true);
+    const packed = encode(Buffer.concat([
+      decode(makeXrefKey(modelURN, keyA)),
+      decode(makeXrefKey(modelURN, keyB))
+    ]));
+
+    assert.deepEqual(fromXrefKeyArray(packed), [[modelId, modelId], [keyA, keyB]]);
+  });
+
+  test('agrees with decodeXref for a single xref', () => {
+    const xref = makeXrefKey(modelURN, toFullKey(shortKey, false));
+    const [[model], [key]] = fromXrefKeyArray(xref);
+    const decoded = decodeXref(xref);
+
+    assert.equal(`urn:adsk.dtm:${model}`, decoded.modelURN);
+    assert.equal(key, decoded.elementKey);
+  });
+
+  test('returns empty arrays for empty input', () => {
+    assert.deepEqual(fromXrefKeyArray(''), [[], []]);
+    assert.deepEqual(fromXrefKeyArray(null), [[], []]);
+  });
+
+  test('ignores a trailing partial xref', () => {
+    const xref = makeXrefKey(modelURN, toFullKey(shortKey, false));
+    const truncated = encode(Buffer.concat([decode(xref), decode(shortKey)]));
+
+    assert.equal(fromXrefKeyArray(truncated)[0].length, 1);
+  });
+});
+
+describe('toSystemId', () => {
+  /**
+   * System ID of a logical key whose element ID ends with the given bytes
+   * @param {Array<number>} tail - Last 4 bytes
+   * @returns {Buffer} Decoded system ID bytes
+   */
+  function systemIdBytes(tail) {
+    return decode(toSystemId(toFullKey(encode(elementId(0x33, tail)), true)));
+  }
+
+  test('varint-encodes the last 4 bytes of the key', () => {
+    assert.deepEqual([...systemIdBytes([0, 0, 0, 1])], [0x01]);
+    assert.deepEqual([...systemIdBytes([0, 0, 0, 0x7f])], [0x7f]);
+    assert.deepEqual([...systemIdBytes([0, 0, 0, 0x80])], [0x80, 0x01]);
+    assert.deepEqual([...systemIdBytes([0, 0, 0x12, 0x34])], [0xb4, 0x24]);
+  });
+
+  test('treats IDs with the high bit set as unsigned', () => {
+    assert.deepEqual([...systemIdBytes([0xff, 0xff, 0xff, 0xff])], [0xff, 0xff, 0xff, 0xff, 0x0f]);
+    assert.deepEqual([...systemIdBytes([0x80, 0, 0, 0])], [0x80, 0x80, 0x80, 0x80, 0x08]);
+  });
+
+  test('encodes zero as a single byte', () => {
+    assert.deepEqual([...systemIdBytes([0, 0, 0, 0])], [0x00]);
+  });
+
+  test('only depends on the element ID, not the key flags', () => {
+    assert.equal(toSystemId(toFullKey(shortKey, true)), toSystemId(toFullKey(shortKey, false)));
+  });
+
+  test('returns websafe output', () => {
+    assertWebsafe(toSystemId(toFullKey(encode(elementId(0x33, [0xff, 0xff, 0xff, 0xfe])), true)));
+  });
+
+  test('returns the input unchanged when it cannot be decoded', (t) => {
+    t.mock.method(console, 'error', () => {});
+
+    assert.equal(toSystemId('not*base64'), 'not*base64');
+  });
+});
@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  QueryError,
+  compileQueryText,
+  parseQueryText,
+  propertyCompletion,
+  quoteQueryText,
+  resolvePropertyName,
+  tokenizeQuery
+} from '../js/utils/queryLanguage.js';
+import { createCondition, createGroup } from '../js/utils/searchQuery.js';
+
+const knownNames = ['Dimensions.Area', 'Identity Data.Mark', 'Standard.Tandem Category', 'Standard.Name', 'Asset.Name', 'Asset.Active'];
+const kinds = { 'Dimensions.Area': 'numeric', 'Asset.Active': 'boolean' };
+const kindOf = name => kinds[name] || 'string';
+
+/**
+ * Parse and return the QueryError thrown
+ */
+function parseError(text) {
+  try {
+    parseQueryText(text);
+  } catch (error) {
+    assert.ok(error instanceof QueryError);
+    return [error.message, error.position];
+  }
+  assert.fail(`expected a syntax error for ${text}`);
+}
+
+describe('tokenizeQuery', () => {
+  test('splits words, strings, keywords, operators and parentheses', () => {
+    const tokens = tokenizeQuery('(Identity Data.Mark~"A \\"B\\"" and x>=2)');
+
+    assert.deepEqual(tokens.map(t => [t.type, t.value]), [
+      ['(', '('], ['word', 'Identity'], ['word', 'Data.Mark'], ['operator', '~'], ['string', 'A "B"'],
+      ['keyword', 'AND'], ['word', 'x'], ['operator', '>='], ['word', '2'], [')', ')']
+    ]);
+    assert.deepEqual([tokens[4].position, tokens[4].end], [20, 29]);
+  });
+
+  test('reports unterminated strings and stray characters', () => {
+    assert.throws(() => tokenizeQuery('a = "b'), { name: 'QueryError', message: 'Unterminated string', position: 4 });
+    assert.throws(() => tokenizeQuery('a ! b'), { message: "Unexpected character '!'", position: 2 });
+  });
+});
+
+describe('parseQueryText', () => {
+  test('binds AND tighter than OR and keeps names and values with spaces', () => {
+    const tree = parseQueryText('Dimensions.Area > 200 AND Identity Data.Mark ~ "AHU*" OR category = Level 1');
+
+    assert.equal(tree.op, 'or');
+    assert.equal(tree.children[0].op, 'and');
+    assert.deepEqual(tree.children[0].children.map(c => [c.property, c.operator, c.value]), [
+      ['Dimensions.Area', '>', '200'], ['Identity Data.Mark', '~', 'AHU*']
+    ]);
+    assert.deepEqual([tree.children[1].property, tree.children[1].value, tree.children[1].valuePosition], ['category', 'Level 1', 68]);
+  });
+
+  test('reads parentheses, exists and contains', () => {
+    const tree = parseQueryText('(Mark exists OR Name contains pump) AND "Odd (name)" = 1');
+
+    assert.equal(tree.op, 'and');
+    assert.deepEqual(tree.children[0].children.map(c => [c.property, c.operator, c.value]), [
+      ['Mark', 'exists', null], ['Name', 'contains', 'pump']
+    ]);
+    assert.equal(tree.children[1].property, 'Odd (name)');
+    assert.equal(parseQueryText('Name = AHU').type, 'group');
+  });
+
+  test('reports syntax errors with their position', () => {
+    assert.deepEqual(parseError(''), ['Enter a query', 0]);
+    assert.deepEqual(parseError('Name = '), ["Expected a value after '=', found end of query", 7]);
+    assert.deepEqual(parseError('Name pump'), ["Expected an operator after 'Name pump', found end of query", 9]);
+    assert.deepEqual(parseError('Name = a AND'), ['Expected a condition after the last AND/OR', 12]);
+    assert.deepEqual(parseError('(Name = a'), ["Expected ')' to close the '(' at 1, found end of query", 9]);
+    assert.deepEqual(parseError('Name = a) OR b = 1'), ["Unexpected ')'", 8]);
+    assert.deepEqual(parseError('Name = "a" Mark = b'), ["Expected AND or OR before 'Mark'", 11]);
+    assert.deepEqual(parseError('= 1'), ["Expected a property name, found '='", 0]);
+  });
+});
+
+describe('compileQueryText', () => {
+  test('resolves property names and maps operators by the kind of value', () => {
+    const { query, error } = compileQueryText('dimensions.area >= 200 AND Mark ~ "AHU*" AND category = Rooms AND Active != true', knownNames, kindOf);
+
+    assert.equal(error, null);
+    assert.deepEqual(query, createGroup('and', [
+      createCondition('Dimensions.Area', '>=', '200'),
+      createCondition('Identity Data.Mark', 'regex', 'AHU*'),
+      createCondition('Standard.Tandem Category', 'exact', 'Rooms'),
+      createCondition('Asset.Active', 'false')
+    ]));
+  });
+
+  test('reports ambiguous names, operators that do not fit and invalid values', () => {
+    const error = text => compileQueryText(text, knownNames, kindOf).error;
+
+    assert.deepEqual(error('Name = x'), { message: "'Name' could be Standard.Name, Asset.Name", position: 0 });
+    assert.deepEqual(error('Mark = a OR Mark > 2'), { message: "'>' compares numbers; Identity Data.Mark is text", position: 12 });
+    assert.deepEqual(error('Dimensions.Area ~ 2*'), { message: "'~' matches text; Dimensions.Area is a number", position: 0 });
+    assert.deepEqual(error('Dimensions.Area > big'), { message: "Expected a number for Dimensions.Area, found 'big'", position: 18 });
+    assert.deepEqual(error('Active = maybe'), { message: "Expected true or false for Asset.Active, found 'maybe'", position: 9 });
+    assert.deepEqual(error('Name = "x'), { message: 'Unterminated string', position: 7 });
+  });
+
+  test('keeps unknown names and qualified columns as written', () => {
+    assert.deepEqual(resolvePropertyName('z:LQ', knownNames), { name: 'z:LQ', matches: [] });
+    assert.deepEqual(resolvePropertyName('Other.Thing', knownNames), { name: 'Other.Thing', matches: [] });
+    assert.deepEqual(resolvePropertyName('mark', knownNames), { name: 'Identity Data.Mark', matches: ['Identity Data.Mark'] });
+  });
+});
+
+describe('quoteQueryText / propertyCompletion', () => {
+  test('quotes only what cannot be written as words', () => {
+    assert.equal(quoteQueryText('Identity Data.Mark'), 'Identity Data.Mark');
+    assert.equal(quoteQueryText('Size (mm)'), '"Size (mm)"');
+    assert.equal(quoteQueryText('Fire and Smoke'), '"Fire and Smoke"');
+    assert.equal(quoteQueryText('say "hi"'), '"say \\"hi\\""');
+  });
+
+  test('finds the property name being typed', () => {
+    assert.deepEqual(propertyCompletion('', 0), { start: 0, prefix: '' });
+    assert.deepEqual(propertyCompletion('Identity Da', 11), { start: 0, prefix: 'Identity Da' });
+    assert.deepEqual(propertyCompletion('Area > 2 AND (Ma', 16), { start: 14, prefix: 'Ma' });
+    assert.deepEqual(propertyCompletion('Area > 2 AND ', 13), { start: 13, prefix: '' });
+    assert.equal(propertyCompletion('Area > 2', 8), null);
+    assert.equal(propertyCompletion('Area > 2 AND', 12), null);
+    assert.equal(propertyCompletion('Mark = "AH', 10), null);
+  });
+});
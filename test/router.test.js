@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRoute, formatRoute } from '../js/state/router.js';
+
+const facility = 'urn:adsk.dtt:xr6szsQaEtpr98wMoQJErQ';
+
+describe('parseRoute', () => {
+  test('returns an empty route for hashes that are not facility routes', () => {
+    for (const hash of ['', '#', '#top', '#/other/thing']) {
+      assert.deepEqual(parseRoute(hash), {
+        account: null, facility: null, cards: [], sort: {}, search: null, query: null, model: null
+      });
+    }
+  });
+
+  test('reads facility, account, cards, sorts and model', () => {
+    const route = parseRoute(`#/facility/${facility}?account=Acme%20Corp&cards=streams,rooms&sort=streams:lastSeen:desc,rooms:area:asc&model=urn:adsk.dtm:abc`);
+
+    assert.equal(route.facility, facility);
+    assert.equal(route.account, 'Acme Corp');
+    assert.deepEqual(route.cards, ['streams', 'rooms']);
+    assert.deepEqual(route.sort, {
+      streams: { column: 'lastSeen', direction: 'desc' },
+      rooms: { column: 'area', direction: 'asc' }
+    });
+    assert.equal(route.model, 'urn:adsk.dtm:abc');
+    assert.equal(route.search, null);
+  });
+
+  test('accepts a hash without the leading #', () => {
+    assert.equal(parseRoute(`/facility/${facility}`).facility, facility);
+  });
+
+  test('skips malformed sort entries and defaults the direction to asc', () => {
+    const route = parseRoute(`#/facility/${facility}?sort=levels,rooms:name,:x:desc,levels:elevation:sideways`);
+
+    assert.deepEqual(route.sort, {
+      rooms: { column: 'name', direction: 'asc' },
+      levels: { column: 'elevation', direction: 'asc' }
+    });
+  });
+
+  test('reads the property search', () => {
+    const route = parseRoute(`#/facility/${facility}?search=Common.Name&value=a%26b%3Dc&match=exact&case=1`);
+
+    assert.deepEqual(route.search, { property: 'Common.Name', value: 'a&b=c', match: 'exact', caseSensitive: true });
+  });
+
+  test('reads the text query', () => {
+    const route = parseRoute(`#/facility/${facility}?q=Dimensions.Area%20%3E%20200%20AND%20category%20%3D%20%22Rooms%20%26%20Halls%22`);
+
+    assert.equal(route.query, 'Dimensions.Area > 200 AND category = "Rooms & Halls"');
+  });
+
+  test('treats a malformed facility escape as no route', () => {
+    assert.equal(parseRoute('#/facility/%E0%A4%A?cards=streams').facility, null);
+  });
+});
+
+describe('formatRoute', () => {
+  test('returns an empty hash without a facility', () => {
+    assert.equal(formatRoute({ cards: ['streams'], sort: {} }), '');
+  });
+
+  test('writes only the parameters that are set, keeping : and , readable', () => {
+    assert.equal(
+      formatRoute({ account: null, facility, cards: ['streams'], sort: { streams: { column: 'lastSeen', direction: 'desc' } }, search: null, model: null }),
+      `#/facility/${facility}?cards=streams&sort=streams:lastSeen:desc`
+    );
+  });
+
+  test('round-trips through parseRoute', () => {
+    const route = {
+      account: 'R&D / Lab #2',
+      facility,
+      cards: ['taggedAssets', 'search', 'levels'],
+      sort: { levels: { column: 'elevation', direction: 'desc' }, taggedAssets: { column: 'count', direction: 'asc' } },
+      search: { property: 'Asset.Serial Number', value: '*10+?*', match: 'partial', caseSensitive: false },
+      query: 'Dimensions.Area >= 200 AND (Mark ~ "AHU*" OR category = Rooms)',
+      model: 'urn:adsk.dtm:model-1'
+    };
+
+    assert.deepEqual(parseRoute(formatRoute(route)), route);
+  });
+
+  test('omits an empty search value and the case flag when off', () => {
+    const hash = formatRoute({ facility, cards: [], sort: {}, search: { property: 'Common.Name', value: '', match: 'any', caseSensitive: false } });
+
+    assert.equal(hash, `#/facility/${facility}?search=Common.Name&match=any`);
+  });
+});
@@ -0,0 +1,330 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ElementFlags, QC } from '../tandem/constants.js';
+import { makeXrefKey, toFullKey, toSystemId } from '../tandem/keys.js';
+import {
+  buildSystems,
+  countElementsByCategoryAndClassification,
+  indexRowsByKey,
+  isAssetCandidate,
+  locateElement,
+  summarizeTaggedAssets,
+  summarizeTickets,
+  systemClassToList
+} from '../js/utils/scanShaping.js';
+
+// System class bits (index in SystemClassNames)
+const SupplyAir = 1 << 0;
+const ReturnAir = 1 << 1;
+const HydronicSupply = 1 << 3;
+const Power = 1 << 8;
+
+/**
+ * Build a short element key whose last byte is the given id
+ * @param {number} id
+ * @returns {string}
+ */
+function key(id) {
+  return Buffer.from([...Array(19).fill(0x0a), id]).toString('base64url');
+}
+
+/**
+ * Build a scan row the way /scan returns it (every column value wrapped in an array)
+ * @param {string} elementKey - Short element key
+ * @param {Object} columns - Qualified column -> value
+ * @returns {Object} Scan row
+ */
+function row(elementKey, columns = {}) {
+  const result = { [QC.Key]: elementKey };
+
+  for (const [column, value] of Object.entries(columns)) {
+    result[column] = [value];
+  }
+  return result;
+}
+
+/**
+ * System ID column (m:<systemId>) for a system key
+ * @param {string} systemKey - Short key of the system element
+ * @returns {string}
+ */
+function systemColumn(systemKey) {
+  return `m:${toSystemId(toFullKey(systemKey, true))}`;
+}
+
+describe('countElementsByCategoryAndClassification', () => {
+  const elements = [
+    row(key(1), { [QC.CategoryId]: 160, [QC.Classification]: '23-13 11', [QC.TandemCategory]: 'Walls' }),
+    row(key(2), { [QC.CategoryId]: 160, [QC.Classification]: '23-13 11', [QC.OClassification]: '23-13 15' }),
+    row(key(3), { [QC.CategoryId]: 240, [QC.Classification]: '23-17 11', [QC.OClassification]: '' }),
+    row(key(4), { [QC.TandemCategory]: 'Walls', [QC.OTandemCategory]: 'Doors', [QC.OName]: 'Door 1' }),
+    row(key(5), { [QC.CategoryId]: 160, [QC.OName]: '' })
+  ];
+  const result = countElementsByCategoryAndClassification(elements);
+
+  test('counts every element', () => {
+    assert.equal(result.total, 5);
+  });
+
+  test('counts categories, most common first, with unknown as null', () => {
+    assert.deepEqual(result.categories, [
+      { id: 160, count: 3 },
+      { id: 240, count: 1 },
+      { id: null, count: 1 }
+    ]);
+  });
+
+  test('prefers the classification override and falls back when it is empty', () => {
+    assert.deepEqual(result.classifications, [
+      { id: null, count: 2 },
+      { id: '23-13 11', count: 1 },
+      { id: '23-13 15', count: 1 },
+      { id: '23-17 11', count: 1 }
+    ]);
+  });
+
+  test('prefers the tandem category override', () => {
+    assert.deepEqual(result.tandemCategories, [
+      { id: null, count: 3 },
+      { id: 'Walls', count: 1 },
+      { id: 'Doors', count: 1 }
+    ]);
+  });
+
+  test('only counts non-empty overrides', () => {
+    assert.equal(result.nameOverrides, 1);
+    assert.equal(result.classificationOverrides, 1);
+  });
+
+  test('handles a model without elements', () => {
+    assert.deepEqual(countElementsByCategoryAndClassification([]), {
+      total: 0,
+      categories: [],
+      tandemCategories: [],
+      classifications: [],
+      nameOverrides: 0,
+      classificationOverrides: 0
+    });
+  });
+});
+
+describe('systemClassToList', () => {
+  test('lists class names in bit order', () => {
+    assert.deepEqual(systemClassToList(HydronicSupply | SupplyAir), ['Supply Air', 'Hydronic Supply']);
+  });
+
+  test('accepts a scan value array', () => {
+    assert.deepEqual(systemClassToList([Power]), ['Power']);
+  });
+
+  test('returns an empty list for missing flags', () => {
+    assert.deepEqual(systemClassToList(undefined), []);
+    assert.deepEqual(systemClassToList(0), []);
+  });
+});
+
+describe('buildSystems', () => {
+  const supplyKey = key(101);
+  const heatingKey = key(102);
+  const emptyKey = key(103);
+  const branchKey = key(104);
+  const models = [
+    { modelId: 'urn:adsk.dtm:default', label: 'Default' },
+    { modelId: 'urn:adsk.dtm:mep', label: 'MEP' }
+  ];
+  const defaultRows = [
+    row(supplyKey, { [QC.ElementFlags]: ElementFlags.System, [QC.Name]: 'AHU-1', [QC.SystemClass]: SupplyAir | ReturnAir }),
+    row(heatingKey, { [QC.ElementFlags]: ElementFlags.System, [QC.Name]: 'HW', [QC.OName]: 'Heating Hot Water', [QC.SystemClass]: HydronicSupply }),
+    row(emptyKey, { [QC.ElementFlags]: ElementFlags.System, [QC.SystemClass]: Power }),
+    row(branchKey, { [QC.ElementFlags]: ElementFlags.System, [QC.Name]: 'AHU-1 Branch', [QC.Parent]: supplyKey, [QC.SystemClass]: SupplyAir }),
+    row(key(1), { [QC.ElementFlags]: ElementFlags.Level, [QC.Name]: 'Level 1' })
+  ];
+  const mepRows = [
+    // Duct in the supply system
+    row(key(10), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.SystemClass]: SupplyAir, [systemColumn(supplyKey)]: '' }),
+    // Return duct: shares Return Air with the supply system
+    row(key(11), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.SystemClass]: ReturnAir, [systemColumn(supplyKey)]: '' }),
+    // Pipe tagged with the supply system but no matching class
+    row(key(12), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.SystemClass]: HydronicSupply, [systemColumn(supplyKey)]: '' }),
+    // Pipe in the heating system via the override column (m:!<id>)
+    row(key(13), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.SystemClass]: HydronicSupply, [systemColumn(heatingKey).replace('m:', 'm:!')]: '' }),
+    // Element whose class override moves it from Power to Supply Air
+    row(key(14), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.SystemClass]: Power, [QC.OSystemClass]: SupplyAir, [systemColumn(supplyKey)]: '' }),
+    // Deleted element
+    row(key(15), { [QC.ElementFlags]: ElementFlags.Deleted, [QC.SystemClass]: SupplyAir, [systemColumn(supplyKey)]: '' }),
+    // Element without a system class
+    row(key(16), { [QC.ElementFlags]: ElementFlags.SimpleElement, [systemColumn(supplyKey)]: '' }),
+    // Element in both systems
+    row(key(17), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.SystemClass]: SupplyAir | HydronicSupply, [systemColumn(supplyKey)]: '', [systemColumn(heatingKey)]: '' })
+  ];
+  const rowsByModel = new Map([
+    [models[0].modelId, defaultRows],
+    [models[1].modelId, mepRows]
+  ]);
+  const systems = buildSystems(defaultRows, models, rowsByModel);
+  const byName = Object.fromEntries(systems.map(system => [system.name, system]));
+
+  test('returns top-level systems only', () => {
+    assert.deepEqual(systems.map(system => system.name), ['AHU-1', 'Heating Hot Water', 'Unnamed System']);
+  });
+
+  test('derives the system ID from the logical key', () => {
+    assert.equal(byName['AHU-1'].systemId, toSystemId(toFullKey(supplyKey, true)));
+  });
+
+  test('attaches subsystems to their parent', () => {
+    assert.deepEqual(byName['AHU-1'].subsystems, [
+      { name: 'AHU-1 Branch', key: branchKey, parent: supplyKey, systemClass: SupplyAir }
+    ]);
+    assert.deepEqual(byName['Heating Hot Water'].subsystems, []);
+  });
+
+  test('counts elements sharing a system class with the system', () => {
+    assert.equal(byName['AHU-1'].elementCount, 4);
+    assert.deepEqual(byName['AHU-1'].elementsByModel, [
+      { modelURN: 'urn:adsk.dtm:mep', modelName: 'MEP', keys: [key(10), key(11), key(14), key(17)] }
+    ]);
+  });
+
+  test('matches the m:! override column', () => {
+    assert.equal(byName['Heating Hot Water'].elementCount, 2);
+    assert.deepEqual(byName['Heating Hot Water'].elementsByModel[0].keys, [key(13), key(17)]);
+  });
+
+  test('reports systems without members', () => {
+    assert.equal(byName['Unnamed System'].elementCount, 0);
+    assert.deepEqual(byName['Unnamed System'].elementsByModel, []);
+  });
+
+  test('returns no systems when the default model has none', () => {
+    assert.deepEqual(buildSystems([], models, rowsByModel), []);
+  });
+});
+
+describe('isAssetCandidate', () => {
+  test('accepts physical elements and generic assets', () => {
+    assert.equal(isAssetCandidate(ElementFlags.SimpleElement), true);
+    assert.equal(isAssetCandidate(0x00000004), true);
+    assert.equal(isAssetCandidate(ElementFlags.GenericAsset), true);
+  });
+
+  test('rejects rooms, logical elements and missing flags', () => {
+    assert.equal(isAssetCandidate(ElementFlags.Room), false);
+    assert.equal(isAssetCandidate(ElementFlags.Level), false);
+    assert.equal(isAssetCandidate(ElementFlags.Stream), false);
+    assert.equal(isAssetCandidate(ElementFlags.Ticket), false);
+    assert.equal(isAssetCandidate(undefined), false);
+  });
+});
+
+describe('summarizeTaggedAssets', () => {
+  const models = [
+    { modelId: 'urn:adsk.dtm:arch', label: 'Architecture' },
+    { modelId: 'urn:adsk.dtm:mep', label: 'MEP' }
+  ];
+  const rowsByModel = new Map([
+    ['urn:adsk.dtm:arch', [
+      // Room with z: props but no n:ia - not an asset type
+      row(key(1), { [QC.ElementFlags]: ElementFlags.Room, 'z:abc': 'x' }),
+      // Wall without z: props
+      row(key(2), { [QC.ElementFlags]: ElementFlags.SimpleElement })
+    ]],
+    ['urn:adsk.dtm:mep', [
+      // n:ia true wins even without z: props
+      row(key(10), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.IsAsset]: true }),
+      // n:ia false wins even with z: props
+      row(key(11), { [QC.ElementFlags]: ElementFlags.SimpleElement, [QC.IsAsset]: false, 'z:abc': 'x' }),
+      // Fallback: physical element with z: props
+      row(key(12), { [QC.ElementFlags]: ElementFlags.SimpleElement, 'z:abc': 'x', 'z:def': 1 }),
+      // Fallback: generic asset with z: props
+      row(key(13), { [QC.ElementFlags]: ElementFlags.GenericAsset, 'z:abc': 'y' }),
+      // n:ia true on a room is still an asset
+      row(key(14), { [QC.ElementFlags]: ElementFlags.Room, [QC.IsAsset]: true, 'z:def': 2 }),
+      // Fallback without flags is not an asset
+      row(key(15), { 'z:abc': 'x' })
+    ]]
+  ]);
+
+  test('applies n:ia first and the element type + z: fallback otherwise', () => {
+    const result = summarizeTaggedAssets(models, rowsByModel, true);
+
+    assert.equal(result.totalCount, 4);
+    assert.deepEqual(result.elementsByModel, [
+      { modelURN: 'urn:adsk.dtm:mep', modelName: 'MEP', keys: [key(10), key(12), key(13), key(14)] }
+    ]);
+  });
+
+  test('counts z: property usage of tagged assets per model', () => {
+    const result = summarizeTaggedAssets(models, rowsByModel);
+
+    assert.deepEqual(result.propertyUsageByModel, {
+      'urn:adsk.dtm:mep': { modelName: 'MEP', props: { 'z:abc': 2, 'z:def': 2 } }
+    });
+  });
+
+  test('omits element keys unless asked for', () => {
+    assert.equal('elementsByModel' in summarizeTaggedAssets(models, rowsByModel), false);
+  });
+
+  test('returns zero for models without tagged assets', () => {
+    assert.deepEqual(summarizeTaggedAssets([models[0]], rowsByModel, true), {
+      totalCount: 0,
+      propertyUsageByModel: {},
+      elementsByModel: []
+    });
+  });
+});
+
+describe('summarizeTickets', () => {
+  test('counts tickets without a close date as open', () => {
+    const tickets = [
+      row(key(1), { [QC.Priority]: 'High', [QC.OpenDate]: '2026-01-01' }),
+      row(key(2), { [QC.Priority]: 'High', [QC.CloseDate]: '2026-01-05' }),
+      row(key(3), { [QC.Priority]: 'Low', [QC.CloseDate]: null }),
+      row(key(4))
+    ];
+
+    assert.deepEqual(summarizeTickets(tickets), {
+      total: 4,
+      open: 3,
+      closed: 1,
+      priorityCounts: { High: 2, Low: 1, Unknown: 1 }
+    });
+  });
+
+  test('handles no tickets', () => {
+    assert.deepEqual(summarizeTickets([]), { total: 0, open: 0, closed: 0, priorityCounts: {} });
+  });
+});
+
+describe('locateElement', () => {
+  const arch = 'urn:adsk.dtm:Pz7Lt5xPIKqZn78Um-PA9w';
+  const mep = 'urn:adsk.dtm:oV3fj3u9EF3r1qxJ_o0QKQ';
+  const xref = (modelURN, id) => makeXrefKey(modelURN, toFullKey(key(id)));
+  const level = { [QC.Key]: key(1), [QC.Name]: ['Level 1'] };
+  const room = { [QC.Key]: key(2), [QC.Name]: ['Office 101'], [QC.ElementFlags]: [ElementFlags.Room], [QC.Level]: [key(1)] };
+  const ahu = { [QC.Key]: key(3), [QC.Name]: ['AHU-1'], [QC.XRooms]: [xref(arch, 2)] };
+  const rowIndex = indexRowsByKey(new Map([[arch, [level, room]], [mep, [ahu]]]));
+
+  test('resolves the room through the host and the level through the room', () => {
+    const { host, room: r, level: l } = locateElement({ [QC.XParent]: [xref(mep, 3)] }, rowIndex);
+
+    assert.deepEqual(host, { modelURN: mep, key: key(3), name: 'AHU-1' });
+    assert.deepEqual(r, { modelURN: arch, key: key(2), name: 'Office 101' });
+    assert.equal(l.name, 'Level 1');
+  });
+
+  test('uses a room host as the room and its level', () => {
+    const located = locateElement({ [QC.XRooms]: [xref(arch, 2)] }, rowIndex);
+
+    assert.equal(located.host.name, 'Office 101');
+    assert.equal(located.room.name, 'Office 101');
+    assert.deepEqual(located.level, { modelURN: arch, key: key(1), name: 'Level 1' });
+  });
+
+  test('returns nulls for unattached elements and unknown targets', () => {
+    assert.deepEqual(locateElement({}, rowIndex), { host: null, room: null, level: null });
+    assert.deepEqual(locateElement({ [QC.XParent]: [xref(mep, 9)] }, rowIndex), { host: null, room: null, level: null });
+  });
+});
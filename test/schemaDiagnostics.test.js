@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  checkForDuplicatePropertiesPerModel,
+  checkForPropertiesWithDots,
+  runSchemaDiagnostics
+} from '../js/utils/schemaDiagnostics.js';
+
+const attributes = [
+  { id: 'z:a1', category: 'Asset', name: 'Serial', dataType: 20 },
+  { id: 'z:a2', category: 'Asset', name: 'Serial', dataType: 2 },
+  { id: 'z:a3', category: 'Asset', name: 'Model', dataType: 20 },
+  { id: 'z:b1', category: 'Asset.Info', name: 'Install.Date', dataType: 22 },
+  { id: 'z:b2', category: 'Common', name: 'v1.2', dataType: 20 },
+  // Built-in properties are never reported
+  { id: 'n:n', category: 'Identity Data', name: 'Name', dataType: 20 },
+  { id: 'r:x', category: 'Identity Data', name: 'Name', dataType: 20 },
+  { id: 'r:y', category: 'Dims.Extra', name: 'Area', dataType: 3 }
+];
+
+describe('checkForDuplicatePropertiesPerModel', () => {
+  test('groups user-defined properties with the same category and name', () => {
+    const groups = checkForDuplicatePropertiesPerModel(attributes);
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].map(prop => prop.id).sort(), ['z:a1', 'z:a2']);
+  });
+
+  test('reports each group once', () => {
+    const triple = [...attributes, { id: 'z:a4', category: 'Asset', name: 'Serial', dataType: 20 }];
+
+    assert.deepEqual(checkForDuplicatePropertiesPerModel(triple).map(group => group.length), [3]);
+  });
+});
+
+describe('checkForPropertiesWithDots', () => {
+  test('flags dots in user-defined category and property names', () => {
+    assert.deepEqual(
+      checkForPropertiesWithDots(attributes).map(prop => [prop.id, prop.issueType]),
+      [['z:b1', 'both'], ['z:b2', 'name']]
+    );
+  });
+});
+
+describe('runSchemaDiagnostics', () => {
+  const facilityURN = 'urn:adsk.dtt:facility1';
+  const schemaCache = {
+    'urn:adsk.dtm:facility1': { attributes },
+    'urn:adsk.dtm:arch': { attributes: [{ id: 'z:c1', category: 'Fire.Rating', name: 'Rating', dataType: 20 }] },
+    'urn:adsk.dtm:clean': { attributes: [{ id: 'z:d1', category: 'Asset', name: 'Serial', dataType: 20 }] },
+    'urn:adsk.dtm:unloaded': null
+  };
+  const models = [{ modelId: 'urn:adsk.dtm:arch', label: 'Architecture' }];
+  const result = runSchemaDiagnostics(schemaCache, models, facilityURN);
+
+  test('totals issues across models', () => {
+    assert.equal(result.totalIssues, 4);
+  });
+
+  test('names the default model and models from the model list', () => {
+    assert.deepEqual(result.allDuplicates.map(item => item.modelName), ['** Default Model **']);
+    assert.deepEqual(result.allDotsIssues.map(item => item.modelName), ['** Default Model **', 'Architecture']);
+  });
+});
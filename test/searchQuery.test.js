@@ -0,0 +1,120 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  compileQuery,
+  conditionOptions,
+  createCondition,
+  createGroup,
+  createMatcher,
+  describeQuery,
+  matchesValue,
+  queryProperties,
+  resolveColumns,
+  validateQuery,
+  valueKind
+} from '../js/utils/searchQuery.js';
+
+const attributes = [
+  { id: 'n:n', category: 'Standard', name: 'Name', dataType: 20 },
+  { id: 'z:LQ', category: 'Sensor', name: 'Temperature', dataType: 3 },
+  { id: 'z:Ok', category: 'Sensor', name: 'Active', dataType: 1 }
+];
+const kinds = new Map(attributes.map(attr => [`${attr.category}.${attr.name}`.toLowerCase(), valueKind(attr.dataType)]));
+const kindOf = name => kinds.get(name.toLowerCase()) || 'string';
+
+const rows = [
+  { k: 'a', 'n:n': ['AHU-1'], 'z:LQ': [21.5], 'z:Ok': [true] },
+  { k: 'b', 'n:n': ['VAV-101'], 'z:LQ': [24], 'z:Ok': [false] },
+  { k: 'c', 'n:n': ['VAV-102'], 'z:Ok': [true] },
+  { k: 'd', 'n:n': ['Pump'] }
+];
+
+describe('createMatcher', () => {
+  test('matches strings partially, exactly or by wildcard', () => {
+    assert.equal(createMatcher({ dataType: 'string', matchType: 'partial', value: 'vav' })('VAV-101'), true);
+    assert.equal(createMatcher({ dataType: 'string', matchType: 'partial', value: 'vav', caseSensitive: true })('VAV-101'), false);
+    assert.equal(createMatcher({ dataType: 'string', matchType: 'exact', value: 'vav-101' })('VAV-101'), true);
+    assert.equal(createMatcher({ dataType: 'string', matchType: 'regex', value: 'V*1' })('VAV-101'), true);
+    assert.equal(createMatcher({ dataType: 'string', matchType: 'regex', value: '(' })('a(b'), true);
+  });
+
+  test('compares numbers and booleans', () => {
+    assert.equal(createMatcher({ dataType: 'numeric', operator: '>=', value: 24 })('24'), true);
+    assert.equal(createMatcher({ dataType: 'numeric', operator: '!=', value: 24 })('x'), false);
+    assert.equal(createMatcher({ dataType: 'boolean', value: false })('0'), true);
+    assert.equal(matchesValue([], createMatcher({ dataType: 'any' })), false);
+    assert.equal(matchesValue(['a', 'b'], createMatcher({ dataType: 'string', value: 'b' })), true);
+  });
+});
+
+describe('conditionOptions', () => {
+  test('reads operators per kind of value', () => {
+    assert.deepEqual(conditionOptions(createCondition('Sensor.Temperature', '>', ' 20 '), 'numeric').options,
+      { dataType: 'numeric', operator: '>', value: 20 });
+    assert.deepEqual(conditionOptions(createCondition('Sensor.Active', 'false'), 'boolean').options,
+      { dataType: 'boolean', value: false });
+    assert.deepEqual(conditionOptions(createCondition('Standard.Name', 'exact', 'AHU', true), 'string').options,
+      { dataType: 'string', matchType: 'exact', caseSensitive: true, value: 'AHU' });
+  });
+
+  test('reports missing or invalid values', () => {
+    assert.equal(conditionOptions(createCondition('', 'any'), 'string').error, 'Enter a property name');
+    assert.equal(conditionOptions(createCondition('Standard.Name', 'partial', ' '), 'string').error,
+      'Enter a value for Standard.Name');
+    assert.equal(conditionOptions(createCondition('Sensor.Temperature', '>', 'warm'), 'numeric').error,
+      'Enter a valid number for Sensor.Temperature');
+    assert.equal(conditionOptions(createCondition('Sensor.Temperature', 'any'), 'numeric').error, null);
+  });
+});
+
+describe('compileQuery', () => {
+  const query = createGroup('or', [
+    createGroup('and', [
+      createCondition('standard.name', 'partial', 'vav'),
+      createCondition('Sensor.Active', 'true')
+    ]),
+    createCondition('Sensor.Temperature', '<', '22')
+  ]);
+
+  test('resolves every referenced property once per model', () => {
+    assert.deepEqual(queryProperties(query), ['standard.name', 'Sensor.Active', 'Sensor.Temperature']);
+    assert.deepEqual([...resolveColumns([...queryProperties(query), 'z:Xx', 'Other.Thing'], attributes)], [
+      ['standard.name', 'n:n'], ['sensor.active', 'z:Ok'], ['sensor.temperature', 'z:LQ'], ['z:xx', 'z:Xx']
+    ]);
+  });
+
+  test('combines conditions with AND/OR in nested groups', () => {
+    const predicate = compileQuery(query, resolveColumns(queryProperties(query), attributes), kindOf);
+
+    assert.deepEqual(rows.filter(predicate).map(row => row.k), ['a', 'c']);
+  });
+
+  test('treats properties missing from the model as not matching', () => {
+    const columns = resolveColumns(queryProperties(query), attributes.slice(0, 1));
+    assert.deepEqual(rows.filter(compileQuery(query, columns, kindOf)).map(row => row.k), []);
+
+    const any = createGroup('or', [createCondition('Standard.Name', 'exact', 'pump'), createCondition('Sensor.Temperature', 'any')]);
+    assert.deepEqual(rows.filter(compileQuery(any, columns, kindOf)).map(row => row.k), ['d']);
+  });
+});
+
+describe('validateQuery / describeQuery', () => {
+  test('finds the first incomplete condition', () => {
+    assert.equal(validateQuery(createGroup('and', [createGroup('or')]), kindOf), 'Add at least one condition');
+    assert.equal(validateQuery(createGroup('and', [createCondition('Standard.Name', 'any'), createCondition('Sensor.Temperature', '>')]), kindOf),
+      'Enter a value for Sensor.Temperature');
+    assert.equal(validateQuery(createGroup('and', [createCondition('Standard.Name', 'any')]), kindOf), null);
+  });
+
+  test('describes nested groups in words', () => {
+    const query = createGroup('and', [
+      createCondition('Standard.Name', 'partial', 'vav'),
+      createGroup('or', [createCondition('Sensor.Temperature', '>=', '20'), createCondition('Sensor.Active', 'true')]),
+      createGroup('or', [createCondition('Standard.Name', 'any')])
+    ]);
+
+    assert.equal(describeQuery(query, kindOf),
+      'Standard.Name contains vav AND (Sensor.Temperature ≥ 20 OR Sensor.Active is true) AND Standard.Name has any value');
+  });
+});
@@ -0,0 +1,86 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  StreamStatus,
+  classifyStream,
+  countStatuses,
+  lastSeenTimestamp,
+  summarizeByGroup,
+  worstOffenders
+} from '../js/utils/streamHealth.js';
+import { formatDuration } from '../js/utils.js';
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2025, 2, 15, 12);
+
+describe('lastSeenTimestamp', () => {
+  test('returns the newest timestamp across properties', () => {
+    assert.equal(lastSeenTimestamp({ 'z:LQ': { 1000: 20.1 }, 'z:Lg': { 3000: 41 } }), 3000);
+    assert.equal(lastSeenTimestamp({}), null);
+    assert.equal(lastSeenTimestamp(undefined), null);
+  });
+});
+
+describe('classifyStream', () => {
+  const settings = { frequency: 15 * MINUTE, offlineTimeout: 3600 };
+
+  test('uses the sampling frequency and the offline timeout (seconds)', () => {
+    assert.equal(classifyStream(now - 10 * MINUTE, settings, now).status, StreamStatus.Online);
+    assert.equal(classifyStream(now - 30 * MINUTE, settings, now).status, StreamStatus.Late);
+    assert.equal(classifyStream(now - 61 * MINUTE, settings, now).status, StreamStatus.Offline);
+    assert.deepEqual(classifyStream(null, settings, now), {
+      status: StreamStatus.Never, age: null, lateAfter: 22.5 * MINUTE, offlineAfter: 60 * MINUTE
+    });
+  });
+
+  test('falls back to the server defaults', () => {
+    const result = classifyStream(now - 2 * MINUTE, undefined, now);
+
+    assert.equal(result.status, StreamStatus.Late);
+    assert.equal(result.offlineAfter, 5 * MINUTE);
+  });
+
+  test('never goes offline before it is late', () => {
+    const result = classifyStream(now - 20 * MINUTE, { frequency: 15 * MINUTE, offlineTimeout: 60 }, now);
+
+    assert.equal(result.offlineAfter, 22.5 * MINUTE);
+    assert.equal(result.status, StreamStatus.Online);
+  });
+});
+
+describe('summaries', () => {
+  const streams = [
+    { name: 'a', status: StreamStatus.Online, age: 1, level: 'Level 1' },
+    { name: 'b', status: StreamStatus.Late, age: 30, level: 'Level 2' },
+    { name: 'c', status: StreamStatus.Offline, age: 100, level: 'Level 2' },
+    { name: 'd', status: StreamStatus.Offline, age: 500, level: null },
+    { name: 'e', status: StreamStatus.Never, age: null, level: 'Level 1' }
+  ];
+
+  test('counts statuses', () => {
+    assert.deepEqual(countStatuses(streams), { total: 5, online: 1, late: 1, offline: 2, never: 1 });
+  });
+
+  test('groups with most problems first and the unknown group last', () => {
+    assert.deepEqual(summarizeByGroup(streams, s => s.level).map(g => [g.name, g.total, g.online]), [
+      ['Level 2', 2, 0],
+      ['Level 1', 2, 1],
+      [null, 1, 0]
+    ]);
+  });
+
+  test('ranks offline, then never reported, then late', () => {
+    assert.deepEqual(worstOffenders(streams).map(s => s.name), ['d', 'c', 'e', 'b']);
+    assert.deepEqual(worstOffenders(streams, 2).map(s => s.name), ['d', 'c']);
+  });
+});
+
+describe('formatDuration', () => {
+  test('uses the largest whole unit', () => {
+    assert.equal(formatDuration(45 * 1000), '45 s');
+    assert.equal(formatDuration(12 * MINUTE), '12 min');
+    assert.equal(formatDuration(3 * 60 * MINUTE), '3 h');
+    assert.equal(formatDuration(72 * 60 * MINUTE), '3 d');
+  });
+});
@@ -0,0 +1,52 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { configureApi, getStreamValuesInRange } from '../js/api.js';
+import { createMockServer, loadFixtures } from '../mock/server.mjs';
+
+const FACILITY = 'urn:adsk.dtt:xr6szsQaEtpr98wMoQJErQ';
+const STREAM = '0O84O376guUxy4hOf_hpSkrQuaw'; // Two properties every 5 minutes, no gaps
+const FREQUENCY = 5 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Start a mock server on a free port
+ * @param {Object} fixtures - Loaded fixtures
+ * @param {Object} options - createMockServer options
+ * @returns {Promise<{server: Object, baseURL: string}>}
+ */
+async function startServer(fixtures, options) {
+  const server = createMockServer(fixtures, options);
+  await new Promise(resolve => server.listen(0, resolve));
+  return { server, baseURL: `http://localhost:${server.address().port}/api/v1` };
+}
+
+describe('getStreamValuesInRange', () => {
+  const servers = [];
+  let fixtures;
+
+  before(async () => {
+    fixtures = await loadFixtures();
+  });
+
+  after(() => servers.forEach(server => server.close()));
+
+  test('fetches a whole window from a server that caps calls below the requested limit', async () => {
+    const full = await startServer(fixtures, {});
+    const capped = await startServer(fixtures, { maxValues: 1000 });
+    servers.push(full.server, capped.server);
+
+    const end = Math.floor((Date.now() - DAY) / FREQUENCY) * FREQUENCY;
+    const start = end - 20 * DAY;
+    const fetchFrom = async ({ baseURL }) => {
+      configureApi({ baseURL, getToken: () => 'test-token' });
+      return getStreamValuesInRange(FACILITY, 'US', STREAM, start, end, { frequency: FREQUENCY });
+    };
+
+    const expected = await fetchFrom(full);
+    const values = await fetchFrom(capped);
+
+    assert.equal(Object.keys(expected['z:LQ']).length, 20 * DAY / FREQUENCY + 1);
+    assert.deepEqual(values, expected);
+  });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  classifyValue,
+  findBreaches,
+  findStreamBreaches,
+  summarizeBreaches,
+  thresholdBounds
+} from '../js/utils/thresholds.js';
+
+const co2 = { name: 'CO2', upper: { alert: 1000, warn: 800 } };
+const supply = { upper: { alert: 18, warn: 16 }, lower: { alert: 10, warn: 12 } };
+
+describe('thresholdBounds', () => {
+  test('lists the configured bounds', () => {
+    assert.deepEqual(thresholdBounds(supply).map(b => `${b.side}/${b.level}=${b.value}`),
+      ['upper/alert=18', 'upper/warn=16', 'lower/alert=10', 'lower/warn=12']);
+    assert.deepEqual(thresholdBounds({ upper: { warn: 800, alert: null } }), [{ side: 'upper', level: 'warn', value: 800 }]);
+  });
+});
+
+describe('classifyValue', () => {
+  test('reports the worst bound, inclusive like the config modal', () => {
+    assert.deepEqual(classifyValue(16, supply), { side: 'upper', level: 'warn' });
+    assert.deepEqual(classifyValue(19, supply), { side: 'upper', level: 'alert' });
+    assert.deepEqual(classifyValue(10, supply), { side: 'lower', level: 'alert' });
+    assert.equal(classifyValue(14, supply), null);
+    assert.equal(classifyValue(5, co2), null);
+  });
+});
+
+describe('findBreaches', () => {
+  test('merges consecutive values into one breach that ends on recovery', () => {
+    const breaches = findBreaches({ 0: 700, 10: 850, 20: 1100, 30: 900, 40: 700, 50: 820 }, co2);
+
+    assert.deepEqual(breaches, [
+      { side: 'upper', level: 'alert', start: 10, end: 40, duration: 30, peak: 1100, peakAt: 20, count: 3, ongoing: false },
+      { side: 'upper', level: 'warn', start: 50, end: 50, duration: 0, peak: 820, peakAt: 50, count: 1, ongoing: true }
+    ]);
+  });
+
+  test('starts a new breach when the value crosses to the other side', () => {
+    const breaches = findBreaches({ 0: 17, 10: 11, 20: 9, 30: 14 }, supply);
+
+    assert.deepEqual(breaches.map(b => [b.side, b.level, b.start, b.end, b.peak]), [
+      ['upper', 'warn', 0, 10, 17],
+      ['lower', 'alert', 10, 30, 9]
+    ]);
+  });
+
+  test('sorts timestamps and skips non-numeric values', () => {
+    assert.equal(findBreaches({ 20: 700, 10: 'n/a', 0: 900 }, co2)[0].end, 20);
+    assert.deepEqual(findBreaches(undefined, co2), []);
+  });
+});
+
+describe('findStreamBreaches and summarizeBreaches', () => {
+  const series = [
+    { key: 'a', name: 'Lobby', values: { 'z:Lw': { 0: 900, 10: 1200, 20: 600 }, 'z:LQ': { 0: 40 } } },
+    { key: 'b', name: 'Office', values: { 'z:Lw': { 5: 850, 15: 700 } } },
+    { key: 'c', name: 'Corridor', values: { 'z:Lw': { 0: 500 } } }
+  ];
+  const thresholds = new Map([['a', { 'z:Lw': co2 }], ['b', { 'z:Lw': co2 }], ['c', { 'z:Lw': co2 }]]);
+
+  test('evaluates only properties with thresholds', () => {
+    const breaches = findStreamBreaches(series, thresholds);
+
+    assert.deepEqual(breaches.map(b => [b.streamName, b.propKey, b.thresholdName, b.start, b.level]), [
+      ['Lobby', 'z:Lw', 'CO2', 0, 'alert'],
+      ['Office', 'z:Lw', 'CO2', 5, 'warn']
+    ]);
+  });
+
+  test('totals per stream, alerts first, zeros for streams without breaches', () => {
+    const totals = summarizeBreaches(series, findStreamBreaches(series, thresholds));
+
+    assert.deepEqual(totals.map(t => [t.streamName, t.count, t.alerts, t.warnings, t.totalDuration, t.longest]), [
+      ['Lobby', 1, 1, 0, 20, 20],
+      ['Office', 1, 0, 1, 10, 10],
+      ['Corridor', 0, 0, 0, 0, 0]
+    ]);
+  });
+});
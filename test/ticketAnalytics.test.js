@@ -0,0 +1,175 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SLA_TARGETS,
+  agingBuckets,
+  normalizeSlaTargets,
+  recordPriorities,
+  rollupTickets,
+  slaBreaches,
+  ticketStatusSummary,
+  ticketRecords,
+  timeToClose,
+  userPropertyColumns,
+  weekStart,
+  weeklyBurndown
+} from '../js/utils/ticketAnalytics.js';
+
+// Thursday
+const NOW = Date.parse('2026-10-15');
+
+/**
+ * Build a ticket row
+ */
+function ticket(key, priority, openDate, closeDate) {
+  const row = { k: key, 'n:n': [`Ticket ${key}`], 'n:pr': [priority], 'n:od': [openDate] };
+  if (closeDate) {
+    row['n:cd'] = [closeDate];
+  }
+  return row;
+}
+
+const tickets = [
+  ticket('a', 'High', '2026-10-01', '2026-10-03'),
+  ticket('b', 'High', '2026-10-05', '2026-10-13'),
+  ticket('c', 'Critical', '2026-10-12', '2026-10-12'),
+  ticket('d', 'Low', '2026-10-10'),
+  ticket('e', 'Low', '2026-08-01'),
+  ticket('f', 'Routine', '2026-05-01'),
+  { k: 'g', 'n:pr': ['High'] }
+];
+
+describe('ticketRecords', () => {
+  test('reads dates, priority and days open or to close', () => {
+    const records = ticketRecords(tickets, NOW);
+
+    assert.equal(records.length, 6);
+    assert.deepEqual(records.map(r => [r.key, r.open, r.days]), [
+      ['a', false, 2], ['b', false, 8], ['c', false, 0], ['d', true, 5], ['e', true, 75], ['f', true, 167]
+    ]);
+    assert.equal(records[0].name, 'Ticket a');
+    assert.deepEqual(recordPriorities(records), ['Critical', 'High', 'Low', 'Routine']);
+  });
+});
+
+describe('timeToClose', () => {
+  test('averages closed tickets per priority and overall', () => {
+    const rows = timeToClose(ticketRecords(tickets, NOW));
+
+    assert.deepEqual(rows.map(r => r.priority), ['Critical', 'High', 'Low', 'Routine', 'All']);
+    assert.deepEqual(rows[1], { priority: 'High', closed: 2, mean: 5, median: 5, max: 8 });
+    assert.deepEqual(rows[2], { priority: 'Low', closed: 0, mean: null, median: null, max: null });
+    assert.equal(rows.at(-1).closed, 3);
+    assert.equal(rows.at(-1).median, 2);
+  });
+});
+
+describe('agingBuckets', () => {
+  test('counts open tickets per age bucket and priority', () => {
+    const buckets = agingBuckets(ticketRecords(tickets, NOW));
+
+    assert.deepEqual(buckets.map(b => [b.id, b.count]), [['0-7', 1], ['8-30', 0], ['31-90', 1], ['90+', 1]]);
+    assert.deepEqual(buckets[3].byPriority, { Routine: 1 });
+  });
+});
+
+describe('slaBreaches', () => {
+  test('counts open and closed tickets beyond the target of their priority', () => {
+    const { rows, breaches } = slaBreaches(ticketRecords(tickets, NOW), { ...DEFAULT_SLA_TARGETS, Low: 10 });
+
+    assert.deepEqual(rows.map(r => r.priority), ['Critical', 'High', 'Low']);
+    assert.deepEqual(rows[1], { priority: 'High', target: 3, total: 2, breached: 1, openBreached: 0, closedLate: 1, compliance: 0.5 });
+    assert.equal(rows[2].openBreached, 1);
+    assert.deepEqual(breaches.map(b => [b.key, b.overdue]), [['e', 65], ['b', 5]]);
+  });
+
+  test('fills in missing or invalid targets', () => {
+    const targets = normalizeSlaTargets({ Critical: '2', High: -1, Medium: 'x', Other: 5 });
+
+    assert.deepEqual(targets, { ...DEFAULT_SLA_TARGETS, Critical: 2 });
+  });
+});
+
+describe('weeklyBurndown', () => {
+  test('starts weeks on Monday', () => {
+    assert.equal(new Date(weekStart(NOW)).toISOString(), '2026-10-12T00:00:00.000Z');
+    assert.equal(weekStart(Date.parse('2026-10-12T23:00:00Z')), Date.parse('2026-10-12'));
+  });
+
+  test('counts opened and closed tickets per week with the backlog', () => {
+    const records = ticketRecords(tickets.slice(0, 4), NOW);
+    const weeks = weeklyBurndown(records, NOW);
+
+    assert.deepEqual(weeks.map(w => [new Date(w.weekStart).toISOString().slice(0, 10), w.opened, w.closed, w.backlog]), [
+      ['2026-09-28', 1, 1, 0],
+      ['2026-10-05', 2, 0, 2],
+      ['2026-10-12', 1, 2, 1]
+    ]);
+    assert.deepEqual(weeklyBurndown([], NOW), []);
+  });
+});
+
+describe('rollupTickets', () => {
+  test('counts tickets and open priorities per group, hot spots first', () => {
+    const levels = { a: 'L1', b: 'L2', c: 'L2', d: 'L1', e: 'L3', f: null };
+    const records = ticketRecords(tickets, NOW);
+    const groups = rollupTickets(records, record =>
+      (levels[record.key] ? { id: levels[record.key], name: `Level ${levels[record.key]}` } : null));
+
+    assert.deepEqual(groups.map(g => [g.id, g.total, g.open, g.closed]), [
+      ['L1', 2, 1, 1], ['L3', 1, 1, 0], ['L2', 2, 0, 2], [null, 1, 1, 0]
+    ]);
+    assert.deepEqual(groups[0].keys, ['a', 'd']);
+    assert.deepEqual(groups[0].openByPriority, { Low: 1 });
+    assert.equal(groups[0].name, 'Level L1');
+    assert.equal(groups[2].worstPriority, null);
+    assert.equal(groups[3].name, null);
+  });
+
+  test('ranks groups with the same open count by their most urgent open priority', () => {
+    const groups = rollupTickets([
+      { key: '1', priority: 'Low', open: true },
+      { key: '2', priority: 'Routine', open: true },
+      { key: '3', priority: 'Critical', open: true },
+      { key: '4', priority: 'High', open: true }
+    ], ticket => ({ id: ticket.key === '4' ? '1' : ticket.key, name: ticket.key }));
+
+    assert.deepEqual(groups.map(g => [g.id, g.worstPriority]), [['1', 'High'], ['3', 'Critical'], ['2', 'Routine']]);
+    assert.deepEqual(Object.keys(groups[0].openByPriority), ['High', 'Low']);
+  });
+});
+
+describe('ticket export', () => {
+  test('lists the z: properties of any ticket with their schema names', () => {
+    const lookup = new Map([
+      ['z:Wc', { id: 'z:Wc', category: 'Work Order', name: 'Contractor' }],
+      ['z:Ab', { id: 'z:Ab', category: 'Asset', name: 'Budget' }]
+    ]);
+    const columns = userPropertyColumns([
+      { k: 'a', 'n:n': ['A'], 'z:Wc': ['Apex'] },
+      { k: 'b', 'z:Ab': [10], 'z:Zz': ['x'], 'z:Wc': ['Apex'] }
+    ], lookup);
+
+    assert.deepEqual(columns, [
+      { id: 'z:Ab', label: 'Asset.Budget' },
+      { id: 'z:Wc', label: 'Work Order.Contractor' },
+      { id: 'z:Zz', label: 'z:Zz' }
+    ]);
+  });
+
+  test('summarizes tickets per priority and status', () => {
+    const { byPriority, byStatus } = ticketStatusSummary([
+      ...ticketRecords(tickets, NOW),
+      { key: 'g', priority: 'High', open: true, days: null }
+    ]);
+
+    assert.deepEqual(byPriority.map(row => row.priority), ['Critical', 'High', 'Low', 'Routine']);
+    assert.deepEqual(byPriority[1], { priority: 'High', total: 3, open: 1, closed: 2, meanDaysToClose: 5, oldestOpen: null });
+    assert.equal(byPriority[2].oldestOpen, 75);
+    assert.deepEqual(byStatus, [
+      { status: 'Open', total: 4, byPriority: { Low: 2, Routine: 1, High: 1 } },
+      { status: 'Closed', total: 3, byPriority: { High: 2, Critical: 1 } }
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  TIMESERIES_MAX_VALUES,
+  chunkDuration,
+  describeTimeRange,
+  mergeStreamValues,
+  numericPoints,
+  planChunks,
+  resolveTimeRange,
+  uncoveredRanges,
+  valueAt
+} from '../js/utils/timeseries.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.UTC(2025, 2, 15, 12);
+
+describe('resolveTimeRange', () => {
+  test('resolves presets relative to now', () => {
+    assert.deepEqual(resolveTimeRange({ preset: '7d' }, now), { start: now - 7 * DAY, end: now });
+    assert.deepEqual(resolveTimeRange({ preset: '24h' }, now), { start: now - DAY, end: now });
+  });
+
+  test('accepts an absolute range', () => {
+    assert.deepEqual(resolveTimeRange({ start: '1000', end: 5000 }, now), { start: 1000, end: 5000 });
+  });
+
+  test('rejects unknown presets, missing bounds and inverted ranges', () => {
+    assert.throws(() => resolveTimeRange({ preset: '2w' }, now), /Unknown time range/);
+    assert.throws(() => resolveTimeRange({ start: 1000, end: NaN }, now), /required/);
+    assert.throws(() => resolveTimeRange({ start: 5000, end: 5000 }, now), /before end/);
+  });
+});
+
+describe('describeTimeRange', () => {
+  test('uses the preset label when there is one', () => {
+    assert.equal(describeTimeRange({ preset: '90d', start: 0, end: 1 }), 'Last 90 days');
+    assert.match(describeTimeRange({ preset: null, start: now - DAY, end: now }), /–/);
+  });
+});
+
+describe('chunkDuration', () => {
+  test('fits the per-call limit at the stream frequency', () => {
+    assert.equal(chunkDuration(5 * 60 * 1000), 5 * 60 * 1000 * TIMESERIES_MAX_VALUES);
+  });
+
+  test('uses the server default frequency and never goes below an hour', () => {
+    assert.equal(chunkDuration(undefined), 60 * 1000 * TIMESERIES_MAX_VALUES);
+    assert.equal(chunkDuration(1), HOUR);
+  });
+});
+
+describe('planChunks', () => {
+  test('covers the range with windows that do not overlap', () => {
+    assert.deepEqual(planChunks(0, 25, 10), [
+      { start: 0, end: 9 },
+      { start: 10, end: 19 },
+      { start: 20, end: 25 }
+    ]);
+  });
+
+  test('returns a single window for short ranges', () => {
+    assert.deepEqual(planChunks(100, 150, 1000), [{ start: 100, end: 150 }]);
+  });
+});
+
+describe('mergeStreamValues', () => {
+  test('merges values per property and skips the key field', () => {
+    const values = mergeStreamValues({}, { k: 'abc', 'z:LQ': { 1: 20.1, 2: 20.3 } });
+    mergeStreamValues(values, { 'z:LQ': { 3: 20.5 }, 'z:Lg': { 3: 41 } });
+
+    assert.deepEqual(values, { 'z:LQ': { 1: 20.1, 2: 20.3, 3: 20.5 }, 'z:Lg': { 3: 41 } });
+  });
+});
+
+describe('uncoveredRanges', () => {
+  const MINUTE = 60 * 1000;
+  const window = { start: 0, end: 10 * MINUTE };
+  const samples = (from, to) => Object.fromEntries(
+    Array.from({ length: (to - from) / MINUTE + 1 }, (_, i) => [from + i * MINUTE, i])
+  );
+
+  test('finds nothing to fetch when every property reaches both edges', () => {
+    assert.deepEqual(uncoveredRanges({ 'z:LQ': samples(0, 10 * MINUTE), 'z:Lg': samples(0, 10 * MINUTE) }, window, MINUTE), []);
+    assert.deepEqual(uncoveredRanges({ 'z:LQ': samples(MINUTE, 9 * MINUTE) }, window, MINUTE), []);
+    assert.deepEqual(uncoveredRanges(undefined, window, MINUTE), []);
+  });
+
+  test('finds the rest of a window cut short below the requested limit', () => {
+    const chunk = { 'z:LQ': samples(0, 4 * MINUTE), 'z:Lg': samples(0, 10 * MINUTE) };
+
+    assert.deepEqual(uncoveredRanges(chunk, window, MINUTE), [{ start: 4 * MINUTE + 1, end: 10 * MINUTE }]);
+  });
+
+  test('finds the start of a window when the newest values were returned', () => {
+    const chunk = { 'z:LQ': samples(6 * MINUTE, 10 * MINUTE) };
+
+    assert.deepEqual(uncoveredRanges(chunk, window, MINUTE), [{ start: 0, end: 6 * MINUTE - 1 }]);
+  });
+
+  test('uses the server default frequency', () => {
+    assert.deepEqual(uncoveredRanges({ 'z:LQ': samples(0, 8 * MINUTE) }, window), [{ start: 8 * MINUTE + 1, end: 10 * MINUTE }]);
+  });
+});
+
+describe('numericPoints / valueAt', () => {
+  const points = numericPoints({ 3000: 23, 1000: 21, 2000: 'offline', 4000: 24 });
+
+  test('keeps numbers in time order', () => {
+    assert.deepEqual(points, [[1000, 21], [3000, 23], [4000, 24]]);
+  });
+
+  test('finds the latest value at or before a time', () => {
+    assert.equal(valueAt(points, 500), null);
+    assert.deepEqual(valueAt(points, 1000), { timestamp: 1000, value: 21 });
+    assert.deepEqual(valueAt(points, 3500), { timestamp: 3000, value: 23 });
+    assert.deepEqual(valueAt(points, 9000), { timestamp: 4000, value: 24 });
+    assert.equal(valueAt([], 1000), null);
+  });
+});